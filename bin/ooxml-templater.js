@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+/**
+ * ooxml-templater command-line entry point (see src/cli.js)
+ */
+
+const { run } = require('../src/cli');
+
+run(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+});
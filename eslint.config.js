@@ -21,6 +21,7 @@ module.exports = [
         window: 'readonly',
         document: 'readonly',
         fetch: 'readonly',
+        AbortController: 'readonly',
         Blob: 'readonly',
         URL: 'readonly',
         setInterval: 'readonly',
@@ -18,8 +18,8 @@ async function generateInvoiceBatch() {
     cacheOptions: {
       maxSize: 50,
       ttl: 30 * 60 * 1000, // 30 minutes
-      enableLRU: true
-    }
+      enableLRU: true,
+    },
   });
 
   const templatePath = path.join(__dirname, 'templates', 'invoice.docx');
@@ -32,12 +32,12 @@ async function generateInvoiceBatch() {
       customerAddress: '123 Business Ave, Suite 100, New York, NY 10001',
       items: [
         { description: 'Premium Service Package', quantity: 1, unitPrice: 2500, total: 2500 },
-        { description: 'Support Hours', quantity: 10, unitPrice: 150, total: 1500 }
+        { description: 'Support Hours', quantity: 10, unitPrice: 150, total: 1500 },
       ],
       subtotal: 4000,
       tax: 360,
       total: 4360,
-      dueDate: '2024-12-31'
+      dueDate: '2024-12-31',
     },
     {
       invoiceNumber: 'INV-2024-002',
@@ -45,12 +45,12 @@ async function generateInvoiceBatch() {
       customerAddress: '456 Commerce St, Los Angeles, CA 90001',
       items: [
         { description: 'Consulting Services', quantity: 1, unitPrice: 5000, total: 5000 },
-        { description: 'Training Sessions', quantity: 3, unitPrice: 800, total: 2400 }
+        { description: 'Training Sessions', quantity: 3, unitPrice: 800, total: 2400 },
       ],
       subtotal: 7400,
       tax: 666,
       total: 8066,
-      dueDate: '2024-12-31'
+      dueDate: '2024-12-31',
     },
     {
       invoiceNumber: 'INV-2024-003',
@@ -58,79 +58,65 @@ async function generateInvoiceBatch() {
       customerAddress: '789 Innovation Dr, Austin, TX 78701',
       items: [
         { description: 'Software License', quantity: 5, unitPrice: 500, total: 2500 },
-        { description: 'Implementation', quantity: 1, unitPrice: 1500, total: 1500 }
+        { description: 'Implementation', quantity: 1, unitPrice: 1500, total: 1500 },
       ],
       subtotal: 4000,
       tax: 360,
       total: 4360,
-      dueDate: '2024-12-31'
-    }
+      dueDate: '2024-12-31',
+    },
   ];
 
   console.log(`Processing ${customers.length} invoices...`);
 
-  const startTime = Date.now();
-  const results = [];
-
-  for (const customer of customers) {
-    try {
-      // Format items for template
-      const data = {
-        ...customer,
-        itemsTable: customer.items.map((item, index) => ({
-          lineNumber: index + 1,
-          ...item
-        })),
-        issueDate: new Date().toLocaleDateString(),
-        companyName: 'Your Company Name',
-        companyAddress: '100 Main Street, City, State 12345'
-      };
-
-      // Process template (will use cache for 2nd+ iterations)
-      const result = await templater.processTemplate(templatePath, data, {
-        outputPath: path.join(__dirname, 'output', `${customer.invoiceNumber}.docx`)
-      });
-
+  // Format items for template
+  const records = customers.map((customer) => ({
+    ...customer,
+    itemsTable: customer.items.map((item, index) => ({
+      lineNumber: index + 1,
+      ...item,
+    })),
+    issueDate: new Date().toLocaleDateString(),
+    companyName: 'Your Company Name',
+    companyAddress: '100 Main Street, City, State 12345',
+  }));
+
+  // Compile once, render up to 4 invoices at a time; failed invoices don't stop the batch
+  const report = await templater
+    .generateBatch(templatePath, records, {
+      concurrency: 4,
+      outputDir: path.join(__dirname, 'output'),
+      filename: '(((invoiceNumber))).docx',
+    })
+    .on('result', (result) => {
+      const customer = records[result.index];
       if (result.success) {
-        results.push({
-          invoiceNumber: customer.invoiceNumber,
-          customer: customer.customerName,
-          success: true,
-          path: result.output.path
-        });
         console.log(`✓ ${customer.invoiceNumber} - ${customer.customerName}`);
       } else {
-        results.push({
-          invoiceNumber: customer.invoiceNumber,
-          customer: customer.customerName,
-          success: false,
-          error: result.error.message
-        });
         console.log(`✗ ${customer.invoiceNumber} - Error: ${result.error.message}`);
       }
+    });
 
-    } catch (error) {
-      console.error(`✗ ${customer.invoiceNumber} - Exception:`, error.message);
-      results.push({
-        invoiceNumber: customer.invoiceNumber,
-        customer: customer.customerName,
-        success: false,
-        error: error.message
-      });
-    }
-  }
-
-  const endTime = Date.now();
-  const duration = endTime - startTime;
+  const results = records.map((customer, index) => {
+    const failure = report.failures.find((item) => item.index === index);
+    return {
+      invoiceNumber: customer.invoiceNumber,
+      customer: customer.customerName,
+      success: !failure,
+      ...(failure ? { error: failure.error.message } : {}),
+    };
+  });
 
   // Display cache statistics
-  const cacheStats = templater.cache.getStats();
+  const cacheStats = templater.getCacheStats();
 
   console.log(`\n📊 Batch Processing Summary:`);
-  console.log(`  - Total documents: ${customers.length}`);
-  console.log(`  - Successful: ${results.filter(r => r.success).length}`);
-  console.log(`  - Failed: ${results.filter(r => !r.success).length}`);
-  console.log(`  - Duration: ${duration}ms (${(duration / customers.length).toFixed(0)}ms avg)`);
+  console.log(`  - Total documents: ${report.total}`);
+  console.log(`  - Successful: ${report.succeeded}`);
+  console.log(`  - Failed: ${report.failed}`);
+  console.log(
+    `  - Duration: ${report.duration}ms (${(report.duration / report.total).toFixed(0)}ms avg)`
+  );
   console.log(`\n💾 Cache Performance:`);
   console.log(`  - Hit rate: ${cacheStats.hitRate}%`);
   console.log(`  - Hits: ${cacheStats.hits} / Misses: ${cacheStats.misses}`);
@@ -156,8 +142,8 @@ async function generateConditionalReports() {
         executiveSummary: 'Strong performance across all metrics...',
         financialSection: 'Revenue increased by 25%...',
         marketingSection: 'Campaign ROI exceeded targets...',
-        operationsSection: 'Efficiency improvements achieved...'
-      }
+        operationsSection: 'Efficiency improvements achieved...',
+      },
     },
     {
       name: 'Executive Summary Only',
@@ -166,8 +152,8 @@ async function generateConditionalReports() {
         executiveSummary: 'Key highlights for executive review...',
         financialSection: '', // Empty - will delete this section
         marketingSection: '', // Empty - will delete this section
-        operationsSection: '' // Empty - will delete this section
-      }
+        operationsSection: '', // Empty - will delete this section
+      },
     },
     {
       name: 'Financial Focus',
@@ -176,16 +162,16 @@ async function generateConditionalReports() {
         executiveSummary: 'Financial overview...',
         financialSection: 'Detailed financial analysis...',
         marketingSection: null, // null - will delete this section
-        operationsSection: undefined // undefined - will delete this section
-      }
-    }
+        operationsSection: undefined, // undefined - will delete this section
+      },
+    },
   ];
 
   console.log('\nGenerating conditional reports...');
 
   for (const report of reports) {
     const result = await templater.processTemplate(templatePath, report.data, {
-      outputPath: path.join(__dirname, 'output', `${report.name.replace(/\\s+/g, '-')}.docx`)
+      outputPath: path.join(__dirname, 'output', `${report.name.replace(/\\s+/g, '-')}.docx`),
     });
 
     if (result.success) {
@@ -209,9 +195,14 @@ async function processFromAPI() {
 
   // Simulate API data fetch
   const participants = [
-    { name: 'Alice Johnson', course: 'Advanced JavaScript', completionDate: '2024-12-15', score: 95 },
+    {
+      name: 'Alice Johnson',
+      course: 'Advanced JavaScript',
+      completionDate: '2024-12-15',
+      score: 95,
+    },
     { name: 'Bob Smith', course: 'Advanced JavaScript', completionDate: '2024-12-15', score: 88 },
-    { name: 'Carol White', course: 'Advanced JavaScript', completionDate: '2024-12-15', score: 92 }
+    { name: 'Carol White', course: 'Advanced JavaScript', completionDate: '2024-12-15', score: 92 },
   ];
 
   console.log(`Processing ${participants.length} certificates...`);
@@ -223,18 +214,22 @@ async function processFromAPI() {
       completionDate: participant.completionDate,
       score: participant.score,
       grade: participant.score >= 90 ? 'A' : participant.score >= 80 ? 'B' : 'C',
-      issueDate: new Date().toLocaleDateString()
+      issueDate: new Date().toLocaleDateString(),
     };
 
     return templater.processTemplate(templatePath, data, {
-      outputPath: path.join(__dirname, 'output', `certificate-${participant.name.replace(/\\s+/g, '-')}.pptx`)
+      outputPath: path.join(
+        __dirname,
+        'output',
+        `certificate-${participant.name.replace(/\\s+/g, '-')}.pptx`
+      ),
     });
   });
 
   // Process all in parallel
   const results = await Promise.all(promises);
 
-  console.log(`✓ Generated ${results.filter(r => r.success).length} certificates`);
+  console.log(`✓ Generated ${results.filter((r) => r.success).length} certificates`);
 }
 
 // Run examples
@@ -249,5 +244,5 @@ if (require.main === module) {
 module.exports = {
   generateInvoiceBatch,
   generateConditionalReports,
-  processFromAPI
+  processFromAPI,
 };
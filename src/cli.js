@@ -0,0 +1,360 @@
+/**
+ * Command-line interface
+ * Inspects templates, validates data files against them and renders documents:
+ *   ooxml-templater inspect <template> [--json]
+ *   ooxml-templater render <template> <data.json> -o <output> [substitution flags]
+ *   ooxml-templater validate <template> <data.json> [--json]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const OOXMLTemplater = require('./index');
+
+const USAGE = `Usage: ooxml-templater <command> [options]
+
+Commands:
+  inspect <template>                  List placeholders, numeric and delete directives by file
+  render <template> <data.json>       Render a document from a JSON data file
+  validate <template> <data.json>     Check that a JSON data file covers the template
+
+Options:
+  --json                              Print JSON instead of tables (inspect, validate)
+  -o, --output <file>                 Output file (render; default: <template>-rendered.<ext>)
+  --strict                            Fail on placeholders without data
+  --no-preserve-unmatched             Remove placeholders without data from the document
+  --locale <locale>                   Locale for formatter pipes (default: en-US)
+  --time-zone <zone>                  Time zone for date formatters (default: UTC)
+  --line-breaks <break|paragraph>     Render newlines as line breaks or new paragraphs
+  --html-mode <convert|altChunk>      Convert HTML values to Word content or embed them
+  --allowed-link-schemes <list>       Comma-separated URL schemes allowed for hyperlinks
+  --no-preserve-aspect-ratio          Stretch replaced images to their picture frame
+  -h, --help                          Show this help
+`;
+
+// Flags mapped onto substitution options (see substituteTemplate)
+const SUBSTITUTION_FLAGS = {
+  '--strict': { option: 'strictMode', value: true },
+  '--no-preserve-unmatched': { option: 'preserveUnmatched', value: false },
+  '--no-preserve-aspect-ratio': { option: 'preserveAspectRatio', value: false },
+  '--locale': { option: 'locale' },
+  '--time-zone': { option: 'timeZone' },
+  '--line-breaks': { option: 'lineBreaks', choices: ['break', 'paragraph'] },
+  '--html-mode': { option: 'htmlMode', choices: ['convert', 'altChunk'] },
+  '--allowed-link-schemes': { option: 'allowedLinkSchemes', list: true },
+};
+
+// Positional arguments each command expects
+const COMMANDS = {
+  inspect: ['template'],
+  render: ['template', 'data'],
+  validate: ['template', 'data'],
+};
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments after the program name
+ * @returns {Object} command, positional arguments by name, output, json, help and substitution
+ *   options
+ */
+function parseArguments(argv) {
+  const parsed = { command: null, args: {}, output: null, json: false, help: false, options: {} };
+  const positional = [];
+
+  for (let index = 0; index < argv.length; index++) {
+    const argument = argv[index];
+    const [flag, inlineValue] = argument.startsWith('--') ? argument.split(/=(.*)/s) : [argument];
+    const takeValue = () => {
+      const value = inlineValue !== undefined ? inlineValue : argv[++index];
+      if (value === undefined || (inlineValue === undefined && value.startsWith('-'))) {
+        throw new Error(`Missing value for ${flag}`);
+      }
+      return value;
+    };
+
+    if (flag === '-h' || flag === '--help') {
+      parsed.help = true;
+    } else if (flag === '--json') {
+      parsed.json = true;
+    } else if (flag === '-o' || flag === '--output') {
+      parsed.output = takeValue();
+    } else if (SUBSTITUTION_FLAGS[flag]) {
+      const { option, value, choices, list } = SUBSTITUTION_FLAGS[flag];
+      if (value !== undefined) {
+        parsed.options[option] = value;
+        continue;
+      }
+
+      const text = takeValue();
+      if (choices && !choices.includes(text)) {
+        throw new Error(`${flag} must be one of: ${choices.join(', ')}`);
+      }
+      parsed.options[option] = list ? text.split(',').map((item) => item.trim()) : text;
+    } else if (argument.startsWith('-') && argument !== '-') {
+      throw new Error(`Unknown option: ${argument}`);
+    } else {
+      positional.push(argument);
+    }
+  }
+
+  if (parsed.help) {
+    return parsed;
+  }
+
+  const [command, ...rest] = positional;
+  if (!command) {
+    throw new Error('Missing command');
+  }
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command: ${command}`);
+  }
+
+  const names = COMMANDS[command];
+  if (rest.length !== names.length) {
+    throw new Error(`${command} expects ${names.map((name) => `<${name}>`).join(' ')}`);
+  }
+  parsed.command = command;
+  names.forEach((name, index) => {
+    parsed.args[name] = rest[index];
+  });
+  return parsed;
+}
+
+/**
+ * Read a JSON data file
+ * @param {string} dataPath - File path
+ * @returns {Promise<Object>} Parsed data
+ */
+async function readData(dataPath) {
+  let text;
+  try {
+    text = await fs.readFile(dataPath, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read data file ${dataPath}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Data file ${dataPath} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Group placeholder occurrences by name, collecting the files they appear in
+ * @param {Array<Object>} placeholders - Placeholders from the parser
+ * @param {Function} describe - Returns the extra fields of a row for a placeholder
+ * @returns {Array<Object>} Rows with name, the extra fields, occurrences and files
+ */
+function groupPlaceholders(placeholders, describe) {
+  const rows = new Map();
+  for (const placeholder of placeholders) {
+    const row = { name: placeholder.cleanName, ...describe(placeholder) };
+    const key = JSON.stringify(row);
+    if (!rows.has(key)) {
+      rows.set(key, { ...row, occurrences: 0, files: [] });
+    }
+
+    const grouped = rows.get(key);
+    grouped.occurrences++;
+    if (!grouped.files.includes(placeholder.position.file)) {
+      grouped.files.push(placeholder.position.file);
+    }
+  }
+  return Array.from(rows.values());
+}
+
+/**
+ * Format rows as a plain-text table
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string>>} rows - Cell texts
+ * @returns {string} Table text
+ */
+function formatTable(headers, rows) {
+  const widths = headers.map((header, column) =>
+    Math.max(header.length, ...rows.map((row) => String(row[column]).length))
+  );
+  const line = (cells) =>
+    cells
+      .map((cell, column) => String(cell).padEnd(widths[column]))
+      .join('  ')
+      .trimEnd();
+  return [line(headers), line(widths.map((width) => '-'.repeat(width))), ...rows.map(line)].join(
+    '\n'
+  );
+}
+
+/**
+ * inspect: list the placeholders and directives of a template
+ * @param {OOXMLTemplater} templater - Templater
+ * @param {Object} parsed - Parsed arguments
+ * @param {Object} io - Output streams
+ * @returns {Promise<number>} Exit code
+ */
+async function inspect(templater, parsed, io) {
+  const result = await templater.parseTemplate(parsed.args.template);
+  if (!result.success) {
+    throw new Error(result.error.message);
+  }
+
+  const { all, numeric, delete: deletions } = result.placeholders;
+  const report = {
+    template: result.template,
+    statistics: result.statistics,
+    placeholders: groupPlaceholders(
+      all.filter((placeholder) => placeholder.type !== 'numeric' && placeholder.type !== 'delete'),
+      (placeholder) => ({ type: placeholder.type })
+    ),
+    numericDirectives: groupPlaceholders(numeric, (placeholder) => ({
+      value: placeholder.numericValue,
+    })),
+    deleteDirectives: groupPlaceholders(deletions, (placeholder) => ({
+      deleteType: placeholder.deleteType,
+    })),
+  };
+
+  if (parsed.json) {
+    io.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+    return 0;
+  }
+
+  const { statistics } = report;
+  const sections = [
+    `${result.template.filename} (${result.template.type}): ` +
+      `${statistics.uniquePlaceholders} unique placeholders, ` +
+      `${statistics.numericDirectives} numeric directives, ` +
+      `${statistics.deleteDirectives} delete directives in ${statistics.xmlFiles} XML files`,
+  ];
+  const files = (row) => row.files.join(', ');
+  if (report.placeholders.length > 0) {
+    sections.push(
+      formatTable(
+        ['Placeholder', 'Type', 'Count', 'Files'],
+        report.placeholders.map((row) => [row.name, row.type, row.occurrences, files(row)])
+      )
+    );
+  }
+  if (report.numericDirectives.length > 0) {
+    sections.push(
+      formatTable(
+        ['Numeric directive', 'Value', 'Count', 'Files'],
+        report.numericDirectives.map((row) => [row.name, row.value, row.occurrences, files(row)])
+      )
+    );
+  }
+  if (report.deleteDirectives.length > 0) {
+    sections.push(
+      formatTable(
+        ['Delete directive', 'Deletes', 'Count', 'Files'],
+        report.deleteDirectives.map((row) => [
+          row.name,
+          row.deleteType,
+          row.occurrences,
+          files(row),
+        ])
+      )
+    );
+  }
+  io.stdout.write(`${sections.join('\n\n')}\n`);
+  return 0;
+}
+
+/**
+ * render: substitute a JSON data file into a template and save the document
+ * @param {OOXMLTemplater} templater - Templater
+ * @param {Object} parsed - Parsed arguments
+ * @param {Object} io - Output streams
+ * @returns {Promise<number>} Exit code
+ */
+async function render(templater, parsed, io) {
+  const { template } = parsed.args;
+  const data = await readData(parsed.args.data);
+  const result = await templater.substituteTemplate(template, data, parsed.options);
+  if (!result.success) {
+    throw new Error(result.error.message);
+  }
+
+  const extension = path.extname(template);
+  const output =
+    parsed.output ||
+    `${template.slice(0, template.length - extension.length)}-rendered${extension}`;
+  const saved = await templater.saveDocument(result.document, output);
+  if (!saved.success) {
+    throw new Error(saved.error.message);
+  }
+
+  const { stats } = result.substitution;
+  io.stdout.write(
+    `Wrote ${output} (${stats.successfulSubstitutions} substitutions, ` +
+      `${stats.failedSubstitutions} without data)\n`
+  );
+  return 0;
+}
+
+/**
+ * validate: check that a JSON data file has values for every placeholder of a template
+ * @param {OOXMLTemplater} templater - Templater
+ * @param {Object} parsed - Parsed arguments
+ * @param {Object} io - Output streams
+ * @returns {Promise<number>} Exit code (1 when data is missing or has the wrong type)
+ */
+async function validate(templater, parsed, io) {
+  const data = await readData(parsed.args.data);
+  const compiled = await templater.compile(parsed.args.template);
+  const validation = templater.placeholderSubstitution.validateData(compiled.parseResult, data);
+
+  if (parsed.json) {
+    io.stdout.write(`${JSON.stringify(validation, null, 2)}\n`);
+    return validation.valid ? 0 : 1;
+  }
+
+  const lines = [
+    `${validation.valid ? 'Valid' : 'Invalid'}: ${validation.available.length} of ` +
+      `${validation.available.length + validation.missing.length} placeholders have data ` +
+      `(${Math.round(validation.coverage)}% coverage)`,
+  ];
+  for (const name of validation.missing) {
+    lines.push(`  missing: ${name}`);
+  }
+  for (const typeError of validation.typeErrors) {
+    lines.push(
+      `  wrong type: ${typeError.placeholder} (expected ${typeError.expected}, ` +
+        `got ${typeError.received})`
+    );
+  }
+  io.stdout.write(`${lines.join('\n')}\n`);
+  return validation.valid ? 0 : 1;
+}
+
+const HANDLERS = { inspect, render, validate };
+
+/**
+ * Run the command line
+ * @param {Array<string>} argv - Arguments after the program name
+ * @param {Object} [io] - Output streams ({ stdout, stderr }, default: the process streams)
+ * @returns {Promise<number>} Exit code: 0 on success, 1 on failure, 2 on usage errors
+ */
+async function run(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  let parsed;
+  try {
+    parsed = parseArguments(argv);
+  } catch (error) {
+    io.stderr.write(`Error: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (parsed.help) {
+    io.stdout.write(USAGE);
+    return 0;
+  }
+
+  try {
+    // A single run renders each template once, so there is nothing to cache
+    const templater = new OOXMLTemplater({ cacheTemplates: false });
+    return await HANDLERS[parsed.command](templater, parsed, io);
+  } catch (error) {
+    io.stderr.write(`Error: ${error.message}\n`);
+    return 1;
+  }
+}
+
+module.exports = { run, parseArguments };
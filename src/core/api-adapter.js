@@ -0,0 +1,268 @@
+/**
+ * API Adapter
+ * Builds data requests from the placeholders of a template and maps API responses back to
+ * placeholder data
+ */
+
+const { selectJsonPath } = require('../utils/json-path');
+const { FetchResponseError } = require('../utils/fetch-errors');
+
+/**
+ * ApiAdapter class for the request builders and response mappers of fetchData
+ * Requests are a JSON POST of the placeholders (default), a GET with query parameters, a GraphQL
+ * query selecting the placeholder paths, or built by a function. Responses are picked from the
+ * usual wrapper fields (default), selected and renamed with JSON paths, or mapped by a function.
+ */
+class ApiAdapter {
+  constructor() {
+    this.requestTypes = ['json', 'query', 'graphql'];
+
+    // Field names GraphQL allows in a selection
+    this.graphqlNamePattern = /^[_A-Za-z][_0-9A-Za-z]*$/;
+
+    // Path segments that could reach object prototypes
+    this.unsafeKeys = new Set(['__proto__', 'constructor', 'prototype']);
+  }
+
+  /**
+   * Build the request for a set of placeholders
+   * @param {string} apiUrl - API endpoint URL
+   * @param {Array<string>} placeholders - Placeholder paths
+   * @param {Object} [options] - fetchData options
+   * @param {string|Function} [options.request='json'] - 'json', 'query', 'graphql', or
+   *   ({ apiUrl, placeholders, additionalData, manifest }) => ({ url, method, headers, query,
+   *   body })
+   * @param {Object} [options.additionalData] - Extra request data (body fields, query parameters
+   *   or GraphQL variables)
+   * @param {Object} [options.manifest] - Placeholder manifest sent along with the placeholders
+   *   (see PlaceholderManifest)
+   * @param {Object} [options.headers] - Extra HTTP headers
+   * @returns {Object} URL and fetch options ({ url, init })
+   */
+  buildRequest(apiUrl, placeholders, options = {}) {
+    const { request = 'json', additionalData = {}, manifest } = options;
+    const fields = manifest ? { placeholders, manifest } : { placeholders };
+    let spec;
+
+    if (typeof request === 'function') {
+      spec = request({ apiUrl, placeholders, additionalData, manifest }) || {};
+    } else if (request === 'json') {
+      spec = { method: 'POST', body: { ...fields, ...additionalData } };
+    } else if (request === 'query') {
+      spec = { method: 'GET', query: { ...fields, ...additionalData } };
+    } else if (request === 'graphql') {
+      const body = { query: this.buildGraphQLQuery(placeholders) };
+      if (Object.keys(additionalData).length > 0) {
+        body.variables = additionalData;
+      }
+      spec = { method: 'POST', body };
+    } else {
+      throw new Error(
+        `Unknown request type: ${request} (expected ${this.requestTypes.join(', ')} or a function)`
+      );
+    }
+
+    const { method = 'POST', query, body } = spec;
+    const headers = {};
+    let requestBody = body;
+    if (body !== undefined && typeof body !== 'string') {
+      headers['Content-Type'] = 'application/json';
+      requestBody = JSON.stringify(body);
+    }
+    if (options.idempotencyKey) {
+      headers['Idempotency-Key'] = options.idempotencyKey;
+    }
+
+    const init = { method, headers: { ...headers, ...options.headers, ...spec.headers } };
+    if (requestBody !== undefined) {
+      init.body = requestBody;
+    }
+    return { url: this.appendQuery(spec.url || apiUrl, query), init };
+  }
+
+  /**
+   * Append query parameters to a URL
+   * Arrays are joined with commas and objects sent as JSON; null and undefined are left out.
+   * @param {string} url - URL
+   * @param {Object} [query] - Parameters
+   * @returns {string} URL with the parameters
+   */
+  appendQuery(url, query) {
+    const parameters = Object.entries(query || {})
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([name, value]) => {
+        let text = value;
+        if (Array.isArray(value)) {
+          text = value.join(',');
+        } else if (typeof value === 'object') {
+          text = JSON.stringify(value);
+        }
+        return `${encodeURIComponent(name)}=${encodeURIComponent(text)}`;
+      });
+    if (parameters.length === 0) {
+      return url;
+    }
+
+    const [base, hash] = url.split('#');
+    const separator = base.includes('?') ? '&' : '?';
+    return `${base}${separator}${parameters.join('&')}${hash !== undefined ? `#${hash}` : ''}`;
+  }
+
+  /**
+   * Build a GraphQL query selecting every placeholder path
+   * customer.name and customer.address.city become `{ customer { name address { city } } }`.
+   * Array indexes are skipped; paths with names GraphQL does not allow are left out.
+   * @param {Array<string>} placeholders - Placeholder paths
+   * @returns {string} GraphQL query
+   */
+  buildGraphQLQuery(placeholders) {
+    const root = new Map();
+    for (const placeholder of placeholders) {
+      const names = placeholder.split('.').filter((name) => !/^\d+$/.test(name));
+      if (names.length === 0 || !names.every((name) => this.graphqlNamePattern.test(name))) {
+        continue;
+      }
+
+      let fields = root;
+      for (const name of names) {
+        if (!fields.has(name)) {
+          fields.set(name, new Map());
+        }
+        fields = fields.get(name);
+      }
+    }
+
+    const select = (fields) =>
+      Array.from(fields, ([name, children]) =>
+        children.size > 0 ? `${name} { ${select(children)} }` : name
+      ).join(' ');
+    return `query { ${select(root)} }`;
+  }
+
+  /**
+   * Map a response body to placeholder data and a filename
+   * @param {*} body - Parsed response body
+   * @param {Object} context - Request context ({ response, placeholders, apiUrl })
+   * @param {Object} [options] - fetchData options
+   * @param {Object|Function} [options.response] - { data, filename, rename } with JSON paths, or
+   *   (body, context) => ({ data, filename })
+   * @param {string|Function} [options.request] - Request type; GraphQL errors fail the request
+   * @returns {Object} Placeholder data and filename ({ data, filename })
+   */
+  mapResponse(body, context, options = {}) {
+    const { response: mapper } = options;
+
+    if (options.request === 'graphql' && body && Array.isArray(body.errors) && !body.data) {
+      const messages = body.errors.map((error) => error.message).join('; ');
+      throw new FetchResponseError(`GraphQL request failed: ${messages}`, {
+        url: context.apiUrl,
+      });
+    }
+
+    if (typeof mapper === 'function') {
+      const { data, filename = null } = mapper(body, context) || {};
+      return { data, filename };
+    }
+
+    if (mapper) {
+      const selected = mapper.data ? selectJsonPath(body, mapper.data) : body;
+      const filename = selectJsonPath(body, mapper.filename || '$.filename');
+      return {
+        data: mapper.rename ? this.renameFields(selected, mapper.rename) : selected,
+        filename: typeof filename === 'string' ? filename : null,
+      };
+    }
+
+    // Guess the payload from the usual wrapper fields
+    return {
+      data: body.data || body.values || body.placeholders || body,
+      filename: body.filename || null,
+    };
+  }
+
+  /**
+   * Rename fields of the response data to placeholder paths
+   * Sources are JSON paths relative to the data; a top-level source field is replaced by its
+   * new name, and dotted names build nested objects.
+   * @param {Object} data - Selected response data
+   * @param {Object} rename - Source JSON path to placeholder path
+   * @returns {Object} Data with the renamed fields
+   */
+  renameFields(data, rename) {
+    const result = { ...data };
+    for (const [source, target] of Object.entries(rename)) {
+      const value = selectJsonPath(data, source);
+      if (value === undefined) {
+        continue;
+      }
+      if (Object.prototype.hasOwnProperty.call(result, source)) {
+        delete result[source];
+      }
+      this.setPath(result, target, value);
+    }
+    return result;
+  }
+
+  /**
+   * Find the requested placeholders the response has no value for
+   * Values are looked up by path or as flat dotted keys. Paths below an array (the fields of
+   * repeated items) count as returned when the array is.
+   * @param {Object} data - Placeholder data
+   * @param {Array<string>} placeholders - Requested placeholder paths
+   * @returns {Array<string>} Missing placeholder paths
+   */
+  findMissing(data, placeholders) {
+    return placeholders.filter((placeholder) => !this.hasValue(data, placeholder));
+  }
+
+  /**
+   * Check whether data has a value for a placeholder path
+   * @param {Object} data - Placeholder data
+   * @param {string} path - Placeholder path
+   * @returns {boolean} True when a value is present
+   */
+  hasValue(data, path) {
+    if (data === null || typeof data !== 'object') {
+      return false;
+    }
+    if (Object.prototype.hasOwnProperty.call(data, path)) {
+      return data[path] !== null && data[path] !== undefined;
+    }
+
+    let current = data;
+    for (const part of path.split('.')) {
+      if (Array.isArray(current)) {
+        return true;
+      }
+      if (current === null || typeof current !== 'object') {
+        return false;
+      }
+      current = current[part];
+    }
+    return current !== null && current !== undefined;
+  }
+
+  /**
+   * Set a value at a dotted path, creating nested objects
+   * @param {Object} target - Data object
+   * @param {string} path - Dotted path
+   * @param {*} value - Value
+   */
+  setPath(target, path, value) {
+    const keys = path.split('.');
+    if (keys.some((key) => key === '' || this.unsafeKeys.has(key))) {
+      throw new Error(`Invalid placeholder path: ${path}`);
+    }
+
+    let current = target;
+    for (const key of keys.slice(0, -1)) {
+      if (current[key] === null || typeof current[key] !== 'object') {
+        current[key] = {};
+      }
+      current = current[key];
+    }
+    current[keys[keys.length - 1]] = value;
+  }
+}
+
+module.exports = ApiAdapter;
@@ -0,0 +1,412 @@
+/**
+ * Batch Job
+ * Renders one compiled template for many records with limited concurrency
+ */
+
+const { extractFilename } = require('../utils/fetch-handler');
+const { FetchAbortError } = require('../utils/fetch-errors');
+
+// Placeholders in filename templates: 'invoice-(((number))).docx'
+const FILENAME_PLACEHOLDER = /\(\(\(([^)]+)\)\)\)/g;
+
+// Characters a value may not bring into a filename (path separators included)
+// eslint-disable-next-line no-control-regex
+const UNSAFE_FILENAME_CHARACTERS = /[\\/:*?"<>|\u0000-\u001f]/g;
+
+// Values that would name the current or parent directory
+const DOT_SEGMENT = /^\.+$/;
+
+/**
+ * BatchJob class rendering a document per record
+ * A failed record is reported and the batch carries on. Results can be awaited as a summary
+ * report, streamed with `for await`, or followed through 'result', 'progress' and 'done' events.
+ */
+class BatchJob {
+  /**
+   * @param {Object} templater - OOXMLTemplater that compiles, renders and saves the documents
+   * @param {string|CompiledTemplate} template - Template path or URL, or a compiled template
+   * @param {Iterable|AsyncIterable|string} records - Data objects, one per document, or the path
+   *   or URL of a .csv or .xlsx file with one record per row
+   * @param {Object} [options] - Batch options
+   * @param {number} [options.concurrency=4] - Records rendered at the same time
+   * @param {string} [options.outputDir] - Save documents to this directory (Node.js only)
+   *   instead of returning them
+   * @param {string} [options.filename] - Filename template, e.g. 'invoice-(((number))).docx'
+   * @param {Object} [options.substitutionOptions] - Options for each render (see substituteTemplate)
+   * @param {Object} [options.dataSourceOptions] - Options for reading a CSV or Excel file
+   *   (see DataSourceReader)
+   * @param {AbortSignal} [options.signal] - Stops the batch from taking further records; the job
+   *   then rejects with a FetchAbortError
+   */
+  constructor(templater, template, records, options = {}) {
+    this.templater = templater;
+    this.template = template;
+    this.records = records;
+    this.options = {
+      concurrency: 4,
+      substitutionOptions: {},
+      ...options,
+    };
+    this.concurrency = Math.max(1, Math.floor(this.options.concurrency) || 1);
+
+    this.listeners = {};
+    this.usedFilenames = new Set();
+    this.promise = null;
+    this.finished = false;
+    this.stopped = false;
+
+    // Results waiting for the iterator; workers pause while it is full
+    this.streaming = false;
+    this.queue = [];
+    this.wakeIterator = null;
+    this.wakeWorkers = [];
+
+    this.report = {
+      total: Array.isArray(records) ? records.length : null,
+      succeeded: 0,
+      failed: 0,
+      duration: 0,
+      files: [],
+      failures: [],
+    };
+  }
+
+  /**
+   * Listen to batch events
+   * - 'result': (result) after each record, with its document or saved path, or its error
+   * - 'progress': ({ index, success, completed, succeeded, failed, total }) after each record
+   * - 'done': (report) once every record is rendered
+   * @param {string} event - Event name
+   * @param {Function} listener - Event listener
+   * @returns {BatchJob} This job, for chaining
+   */
+  on(event, listener) {
+    (this.listeners[event] = this.listeners[event] || []).push(listener);
+    return this;
+  }
+
+  /**
+   * Call the listeners of an event
+   * @param {string} event - Event name
+   * @param {*} payload - Event payload
+   */
+  emit(event, payload) {
+    for (const listener of this.listeners[event] || []) {
+      listener(payload);
+    }
+  }
+
+  /**
+   * Start the batch (only once; awaiting or iterating the job starts it too)
+   * @returns {Promise<Object>} Summary report: total, succeeded, failed, duration, saved files
+   *   and failures with their record index, filename and error
+   */
+  run() {
+    if (!this.promise) {
+      this.promise = this.execute();
+    }
+    return this.promise;
+  }
+
+  /**
+   * Make the job awaitable: `await templater.generateBatch(...)` resolves to the report
+   * @param {Function} onFulfilled - Called with the report
+   * @param {Function} onRejected - Called if the template cannot be compiled or the batch is
+   *   aborted
+   * @returns {Promise} Chained promise
+   */
+  then(onFulfilled, onRejected) {
+    return this.run().then(onFulfilled, onRejected);
+  }
+
+  /**
+   * Stream results as records finish (in completion order)
+   * Leaving the loop early stops the batch from taking further records.
+   * @returns {AsyncIterator<Object>} Record results
+   */
+  async *[Symbol.asyncIterator]() {
+    this.streaming = true;
+    const run = this.run();
+    // Rejections surface from the await below
+    run.catch(() => {});
+
+    try {
+      while (true) {
+        if (this.queue.length > 0) {
+          const result = this.queue.shift();
+          this.resumeWorkers();
+          yield result;
+        } else if (this.finished) {
+          await run;
+          return;
+        } else {
+          await new Promise((resolve) => {
+            this.wakeIterator = resolve;
+          });
+        }
+      }
+    } finally {
+      if (!this.finished) {
+        this.stopped = true;
+        this.streaming = false;
+        this.queue = [];
+        this.resumeWorkers();
+      }
+    }
+  }
+
+  /**
+   * Compile the template and render the records with a pool of workers
+   * @returns {Promise<Object>} Summary report
+   */
+  async execute() {
+    const startedAt = Date.now();
+    try {
+      const compiled =
+        typeof this.template === 'string'
+          ? await this.templater.compile(this.template)
+          : this.template;
+
+      // CSV and Excel files are read up front into one record per row
+      let source = this.records;
+      if (typeof source === 'string') {
+        source = await this.templater.readDataSource(source, this.options.dataSourceOptions);
+        this.report.total = source.length;
+      }
+
+      const records =
+        typeof source[Symbol.asyncIterator] === 'function'
+          ? source[Symbol.asyncIterator]()
+          : source[Symbol.iterator]();
+      let nextIndex = 0;
+
+      const worker = async () => {
+        while (!this.stopped) {
+          this.throwIfAborted();
+          const { value, done } = await records.next();
+          if (done) {
+            return;
+          }
+          const result = await this.renderRecord(compiled, value, nextIndex++);
+          this.addResult(result);
+          await this.waitForIterator();
+        }
+      };
+      await Promise.all(Array.from({ length: this.concurrency }, worker));
+
+      this.report.total = this.report.succeeded + this.report.failed;
+      this.report.duration = Date.now() - startedAt;
+      this.emit('done', this.report);
+      return this.report;
+    } finally {
+      this.finished = true;
+      if (this.wakeIterator) {
+        this.wakeIterator();
+      }
+    }
+  }
+
+  /**
+   * Stop the batch once its signal is aborted
+   */
+  throwIfAborted() {
+    const { signal } = this.options;
+    if (signal && signal.aborted) {
+      this.stopped = true;
+      throw new FetchAbortError('Batch was aborted', {
+        url: typeof this.template === 'string' ? this.template : undefined,
+      });
+    }
+  }
+
+  /**
+   * Render one record, and save it when an output directory is set
+   * @param {CompiledTemplate} compiled - Compiled template
+   * @param {Object} record - Record data
+   * @param {number} index - Position of the record
+   * @returns {Promise<Object>} Record result
+   */
+  async renderRecord(compiled, record, index) {
+    let filename = null;
+    try {
+      filename = this.createFilename(compiled, record, index);
+      const rendered = await compiled.render(record, this.options.substitutionOptions);
+      if (!rendered.success) {
+        return { index, success: false, filename, error: rendered.error };
+      }
+
+      const result = {
+        index,
+        success: true,
+        filename,
+        substitution: rendered.substitution,
+      };
+      if (!this.options.outputDir) {
+        return { ...result, document: rendered.document };
+      }
+
+      const saved = await this.templater.saveDocument(
+        rendered.document,
+        this.resolveOutputPath(filename)
+      );
+      if (!saved.success) {
+        return { index, success: false, filename, error: saved.error };
+      }
+      return { ...result, path: saved.path, size: saved.size };
+    } catch (error) {
+      return {
+        index,
+        success: false,
+        filename,
+        error: {
+          message: error.message,
+          stack: error.stack,
+          type: error.name,
+        },
+      };
+    }
+  }
+
+  /**
+   * Fill the filename template with values from the record
+   * Placeholders take fallbacks and formatter pipes as in templates. Without a filename
+   * template, records are numbered after the template's name. Repeated names get a suffix.
+   * @param {CompiledTemplate} compiled - Compiled template
+   * @param {Object} record - Record data
+   * @param {number} index - Position of the record
+   * @returns {string} Unique filename
+   */
+  createFilename(compiled, record, index) {
+    const templateName = extractFilename(compiled.source);
+    const { stem, extension } = this.splitExtension(templateName);
+
+    let filename = `${stem}-${index + 1}${extension}`;
+    if (this.options.filename) {
+      filename = this.options.filename.replace(FILENAME_PLACEHOLDER, (marker, content) => {
+        const value = String(this.resolveFilenameValue(content.trim(), record));
+        return DOT_SEGMENT.test(value) ? '-' : value.replace(UNSAFE_FILENAME_CHARACTERS, '-');
+      });
+    }
+
+    const unique = this.splitExtension(filename);
+    for (let copy = 2; this.usedFilenames.has(filename); copy++) {
+      filename = `${unique.stem}-${copy}${unique.extension}`;
+    }
+    this.usedFilenames.add(filename);
+    return filename;
+  }
+
+  /**
+   * Resolve the path a document is saved to, which must stay inside the output directory
+   * @param {string} filename - Filename from createFilename
+   * @returns {string} Output path
+   */
+  resolveOutputPath(filename) {
+    const path = require('path');
+    const outputDir = path.resolve(this.options.outputDir);
+    const relative = path.relative(outputDir, path.resolve(outputDir, filename));
+    if (
+      relative === '' ||
+      relative === '..' ||
+      relative.startsWith(`..${path.sep}`) ||
+      path.isAbsolute(relative)
+    ) {
+      throw new Error(`Filename is outside the output directory: ${filename}`);
+    }
+    return path.join(this.options.outputDir, filename);
+  }
+
+  /**
+   * Resolve a filename placeholder expression against a record
+   * @param {string} content - Placeholder content, e.g. 'date | date:"yyyy-MM-dd"'
+   * @param {Object} record - Record data
+   * @returns {*} Formatted value
+   */
+  resolveFilenameValue(content, record) {
+    const { placeholderParser, placeholderSubstitution } = this.templater;
+    const expression = placeholderParser.parseExpression(content);
+    let value = placeholderSubstitution.resolveValue(
+      { cleanName: expression.path, fallbacks: expression.fallbacks },
+      record
+    );
+    if (expression.formatters.length > 0) {
+      const { locale, timeZone } = this.options.substitutionOptions;
+      value = placeholderSubstitution.formatters.apply(value, expression.formatters, {
+        locale: locale || 'en-US',
+        timeZone: timeZone || 'UTC',
+      });
+    }
+    if (value === null || value === undefined || value === '') {
+      throw new Error(`Missing data for filename placeholder: ${expression.path}`);
+    }
+    return value;
+  }
+
+  /**
+   * Split a filename into its stem and extension
+   * @param {string} filename - Filename
+   * @returns {Object} Stem and extension (with its dot)
+   */
+  splitExtension(filename) {
+    const match = /^(.+?)(\.[^./\\]+)?$/.exec(filename);
+    return { stem: match[1], extension: match[2] || '' };
+  }
+
+  /**
+   * Record a result in the report and hand it to the iterator and listeners
+   * @param {Object} result - Record result
+   */
+  addResult(result) {
+    const report = this.report;
+    if (result.success) {
+      report.succeeded++;
+      if (result.path) {
+        report.files.push(result.path);
+      }
+    } else {
+      report.failed++;
+      report.failures.push({ index: result.index, filename: result.filename, error: result.error });
+    }
+
+    if (this.streaming) {
+      this.queue.push(result);
+      if (this.wakeIterator) {
+        this.wakeIterator();
+        this.wakeIterator = null;
+      }
+    }
+
+    this.emit('result', result);
+    this.emit('progress', {
+      index: result.index,
+      success: result.success,
+      completed: report.succeeded + report.failed,
+      succeeded: report.succeeded,
+      failed: report.failed,
+      total: report.total,
+    });
+  }
+
+  /**
+   * Pause a worker while the iterator has a full queue of unread results
+   * @returns {Promise<void>} Resolves once the worker may continue
+   */
+  async waitForIterator() {
+    while (this.streaming && !this.stopped && this.queue.length >= this.concurrency) {
+      await new Promise((resolve) => this.wakeWorkers.push(resolve));
+    }
+  }
+
+  /**
+   * Let paused workers continue
+   */
+  resumeWorkers() {
+    const wakeWorkers = this.wakeWorkers;
+    this.wakeWorkers = [];
+    for (const wake of wakeWorkers) {
+      wake();
+    }
+  }
+}
+
+module.exports = BatchJob;
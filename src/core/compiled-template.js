@@ -0,0 +1,125 @@
+/**
+ * Compiled Template
+ * Holds an extracted and parsed template so it can be rendered many times
+ */
+
+/**
+ * CompiledTemplate class keeping a template's parts and placeholders between renders
+ * Every render works on a copy of the parts, so the compiled template never changes.
+ */
+class CompiledTemplate {
+  /**
+   * @param {Object} templater - OOXMLTemplater that renders the template
+   * @param {Object} template - Compiled template
+   * @param {string} template.source - URL or file path the template was loaded from
+   * @param {Object} template.extractedFiles - Extracted package from the ZIP handler
+   * @param {Array} template.xmlFiles - Discovered (and healed) XML files
+   * @param {Object} template.parseResult - Placeholder parse result
+   */
+  constructor(templater, { source, extractedFiles, xmlFiles, parseResult }) {
+    this.templater = templater;
+    this.source = source;
+    this.extractedFiles = extractedFiles;
+    this.xmlFiles = xmlFiles;
+    this.parseResult = parseResult;
+    this.compiledAt = new Date().toISOString();
+  }
+
+  /**
+   * Data paths used by the template
+   * @returns {Array<string>} Unique placeholder paths
+   */
+  get placeholders() {
+    return this.parseResult.uniquePlaceholderList;
+  }
+
+  /**
+   * Render a document from data
+   * @param {Object} data - Data object with values for placeholders
+   * @param {Object} [options] - Substitution options (see substituteTemplate)
+   * @returns {Promise<Object>} Substitution result with the new document
+   */
+  async render(data, options = {}) {
+    return this.templater.renderTemplate(this, data, options);
+  }
+
+  /**
+   * Copy the parts a render may change
+   * File entries are copied; their buffers are shared, since parts are replaced rather than
+   * edited in place.
+   * @returns {Object} Extracted package and XML files to render from
+   */
+  createWorkingCopy() {
+    const copyFiles = (files) => {
+      const copy = {};
+      for (const [path, entry] of Object.entries(files)) {
+        const isEntry = entry !== null && typeof entry === 'object' && !ArrayBuffer.isView(entry);
+        copy[path] = isEntry ? { ...entry } : entry;
+      }
+      return copy;
+    };
+
+    const files = copyFiles(this.extractedFiles.files);
+    let embeddedFiles = this.extractedFiles.embeddedFiles;
+    if (embeddedFiles) {
+      embeddedFiles = Object.fromEntries(
+        Object.entries(embeddedFiles).map(([path, embedded]) => [
+          path,
+          { ...embedded, files: copyFiles(embedded.files) },
+        ])
+      );
+    }
+
+    return {
+      extractedFiles: {
+        ...this.extractedFiles,
+        files,
+        embeddedFiles,
+        getFile: (path) => files[path],
+        getAllFiles: () => Object.values(files),
+        getXmlFiles: () => Object.values(files).filter((file) => file.name.endsWith('.xml')),
+      },
+      xmlFiles: this.xmlFiles.map((xmlFile) => ({ ...xmlFile })),
+    };
+  }
+
+  /**
+   * Estimate the memory held by the template's parts
+   * Counts part buffers (byteLength, or size for browser Blobs) and XML text at two bytes per
+   * character; JSON serialization would leave the buffers out.
+   * @returns {number} Estimated size in bytes
+   */
+  estimateSize() {
+    const textSize = (text) => (typeof text === 'string' ? text.length * 2 : 0);
+    const bufferSize = (buffer) => (buffer ? buffer.byteLength || buffer.size || 0 : 0);
+    const filesSize = (files) =>
+      Object.values(files || {}).reduce(
+        (total, entry) =>
+          entry !== null && typeof entry === 'object' && !ArrayBuffer.isView(entry)
+            ? total + bufferSize(entry.buffer) + textSize(entry.content)
+            : total + bufferSize(entry),
+        0
+      );
+
+    const embeddedSize = Object.values(this.extractedFiles.embeddedFiles || {}).reduce(
+      (total, embedded) => total + filesSize(embedded.files),
+      0
+    );
+    const xmlSize = this.xmlFiles.reduce((total, xmlFile) => total + textSize(xmlFile.content), 0);
+    return filesSize(this.extractedFiles.files) + embeddedSize + xmlSize;
+  }
+
+  /**
+   * Describe the template without its parts (for logging)
+   * @returns {Object} Source, compile time and placeholder paths
+   */
+  toJSON() {
+    return {
+      source: this.source,
+      compiledAt: this.compiledAt,
+      placeholders: this.placeholders,
+    };
+  }
+}
+
+module.exports = CompiledTemplate;
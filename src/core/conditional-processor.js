@@ -0,0 +1,507 @@
+/**
+ * Conditional Processor
+ * Keeps or removes the markup of (((#if condition)))...(((else)))...(((/if))) blocks
+ */
+
+const ContentDeletion = require('./content-deletion');
+const { unescapeXml } = require('../utils/xml-escape');
+
+/**
+ * ConditionalProcessor class for inline and multi-paragraph conditional blocks
+ */
+class ConditionalProcessor {
+  constructor() {
+    // Conditional markers: (((#if customer.vip))) ... (((else))) ... (((/if)))
+    this.markerPattern = /\(\(\((?:#if\s+([^)]+?)\s*|(else)|\/if)\)\)\)/g;
+
+    // Condition tokens: quoted strings, lists, comparison operators and words
+    this.tokenPattern =
+      /"[^"]*"|'[^']*'|“[^”]*”|‘[^’]*’|\[[^\]]*\]|==|!=|>=|<=|>|<|!|[=!<>]+|[^\s=!<>[\]]+/g;
+
+    // List items: ["open", "late"] or [1, 2]
+    this.listItemPattern = /"[^"]*"|'[^']*'|“[^”]*”|‘[^’]*’|[^\s,]+/g;
+
+    // Comparison operators a condition may use
+    this.operators = new Set(['==', '!=', '>', '>=', '<', '<=', 'in', 'not in']);
+
+    // Literal keywords
+    this.keywords = { true: true, false: false, null: null };
+
+    // Quote pairs accepted around string literals (word processors often curl quotes)
+    this.quotePairs = { '"': '"', "'": "'", '“': '”', '‘': '’' };
+
+    // Containers a marker may stand alone in, innermost first
+    this.containerElements = {
+      word: ['w:p', 'w:tr'],
+      powerpoint: ['a:p', 'a:tr'],
+    };
+
+    // Elements that must keep at least one paragraph, with the paragraph to add
+    this.paragraphHolders = {
+      word: {
+        pattern: /(<w:tc\b[^>]*>)((?:(?!<\/w:tc>)[\s\S])*?)(<\/w:tc>)/g,
+        paragraph: '<w:p/>',
+      },
+      powerpoint: {
+        pattern:
+          /(<(?:a|p):txBody\b[^>]*>)((?:(?!<\/(?:a|p):txBody>)[\s\S])*?)(<\/(?:a|p):txBody>)/g,
+        paragraph: '<a:p/>',
+      },
+    };
+
+    // Reuse container lookup and data access from content deletion
+    this.contentDeletion = new ContentDeletion();
+  }
+
+  /**
+   * Resolve all conditional blocks in XML content, outermost first
+   * @param {string} content - XML content
+   * @param {Object} data - Data object
+   * @param {string} fileType - File type (word, powerpoint)
+   * @returns {Object} New content, the number of conditional blocks resolved and the conditions
+   *   of blocks that were dropped for an unknown operator
+   */
+  process(content, data, fileType) {
+    const containers = this.containerElements[fileType] || this.containerElements.word;
+    const result = {
+      content,
+      conditionalBlocks: 0,
+      invalidConditions: [],
+    };
+
+    let block;
+    while ((block = this.findOutermostBlock(result.content)) !== null) {
+      if (block.kind === 'strip') {
+        result.content = this.removeRange(result.content, block.start, block.end);
+        continue;
+      }
+
+      // A block with an unknown operator loses its markers; both branches stay
+      if (block.kind === 'invalid') {
+        for (const marker of [block.close, block.else, block.open].filter(Boolean)) {
+          result.content = this.removeRange(result.content, marker.index, marker.end);
+        }
+        result.invalidConditions.push(block.open.condition);
+        continue;
+      }
+
+      const markers = [block.open, block.else, block.close]
+        .filter(Boolean)
+        .map((marker) => this.getMarkerRange(result.content, marker, block, containers));
+      const [open, elseMarker, close] = block.else ? markers : [markers[0], null, markers[1]];
+      const branchEnd = elseMarker || close;
+
+      const value = this.evaluate(block.open.parsed, data);
+      const pieces = value
+        ? [
+            [open.start, open.end, false],
+            [open.end, branchEnd.start, true],
+            [branchEnd.start, close.end, false],
+          ]
+        : [
+            [open.start, branchEnd.end, false],
+            [branchEnd.end, close.start, true],
+            [close.start, close.end, false],
+          ];
+
+      const resolved = pieces
+        .map(([start, end, keep]) =>
+          keep ? result.content.slice(start, end) : this.skeleton(result.content.slice(start, end))
+        )
+        .join('');
+      result.content =
+        result.content.slice(0, open.start) + resolved + result.content.slice(close.end);
+      result.conditionalBlocks++;
+    }
+
+    if (result.conditionalBlocks > 0) {
+      result.content = this.ensureParagraphs(result.content, fileType);
+    }
+    return result;
+  }
+
+  /**
+   * Find the first top-level conditional block, or a marker without a partner to strip
+   * Blocks whose condition uses an unknown operator are returned first, as kind 'invalid'.
+   * @param {string} content - XML content
+   * @returns {Object|null} Block with open, else and close markers, or null if none left
+   */
+  findOutermostBlock(content) {
+    const openStack = [];
+    let outermost = null;
+    let match;
+
+    while ((match = this.markerPattern.exec(content)) !== null) {
+      const marker = { index: match.index, end: match.index + match[0].length };
+
+      if (match[1] !== undefined) {
+        const parsed = this.parseCondition(match[1]);
+        openStack.push({ open: { ...marker, condition: match[1], parsed }, else: null });
+      } else if (openStack.length === 0 || (match[2] && openStack[openStack.length - 1].else)) {
+        // Else or close marker without an open block, or a second else
+        this.markerPattern.lastIndex = 0;
+        return { kind: 'strip', start: marker.index, end: marker.end };
+      } else if (match[2]) {
+        openStack[openStack.length - 1].else = marker;
+      } else {
+        const block = openStack.pop();
+        if (!this.isValidCondition(block.open.parsed)) {
+          this.markerPattern.lastIndex = 0;
+          return { kind: 'invalid', ...block, close: marker };
+        }
+        if (openStack.length === 0 && !outermost) {
+          outermost = { kind: 'block', ...block, close: marker };
+        }
+      }
+    }
+    this.markerPattern.lastIndex = 0;
+
+    // Opening markers that were never closed
+    if (openStack.length > 0) {
+      return { kind: 'strip', start: openStack[0].open.index, end: openStack[0].open.end };
+    }
+    return outermost;
+  }
+
+  /**
+   * Get the range a marker removes: the marker itself, or the whole paragraph or table row it
+   * stands alone in when the block spans several of them
+   * @param {string} content - XML content
+   * @param {Object} marker - Marker position
+   * @param {Object} block - Conditional block
+   * @param {Array} containers - Container element names, innermost first
+   * @returns {Object} Range start and end
+   */
+  getMarkerRange(content, marker, block, containers) {
+    const markerText = content.slice(marker.index, marker.end);
+    const others = [block.open, block.else, block.close].filter(
+      (other) => other && other !== marker
+    );
+    let range = { start: marker.index, end: marker.end };
+
+    for (const elementName of containers) {
+      const container = this.contentDeletion.findContainingElement(
+        content,
+        marker.index,
+        elementName
+      );
+      if (
+        !container ||
+        others.some((other) => other.index >= container.start && other.index < container.end) ||
+        content
+          .slice(container.start, container.end)
+          .replace(/<[^>]+>/g, '')
+          .trim() !== markerText
+      ) {
+        break;
+      }
+      range = { start: container.start, end: container.end };
+    }
+    return range;
+  }
+
+  /**
+   * Reduce removed markup to the tags that keep the document well-formed
+   * Elements that open and close inside the removed range are dropped; closing tags of elements
+   * opened before it and opening tags of elements closed after it are kept, along with the
+   * properties (w:pPr, w:rPr, a:rPr, ...) of those reopened elements.
+   * @param {string} xml - Removed markup
+   * @returns {string} Remaining tags
+   */
+  skeleton(xml) {
+    const tokens = [];
+    const tagPattern = /<(\/?)([\w:.-]+)[^>]*?(\/?)>/g;
+    let lastIndex = 0;
+    let match;
+    while ((match = tagPattern.exec(xml)) !== null) {
+      if (match.index > lastIndex) {
+        tokens.push({ kind: 'text', text: xml.slice(lastIndex, match.index) });
+      }
+      const kind = match[1] ? 'close' : match[3] ? 'empty' : 'open';
+      tokens.push({ kind, name: match[2], text: match[0] });
+      lastIndex = tagPattern.lastIndex;
+    }
+
+    // Opening tags closed within the range
+    const matched = new Set();
+    const openStack = [];
+    for (const token of tokens) {
+      if (token.kind === 'open') {
+        openStack.push(token);
+      } else if (token.kind === 'close' && openStack.length > 0) {
+        matched.add(openStack.pop());
+      }
+    }
+
+    let output = '';
+    const parents = [];
+    for (const token of tokens) {
+      const parent = parents[parents.length - 1];
+      // Inside a kept properties element everything is kept
+      const inKeptProperties = parent && parent.kept && !parent.reopened;
+      const keepChild =
+        inKeptProperties || (parent && parent.reopened && /Pr$/.test(token.name || ''));
+
+      if (token.kind === 'text') {
+        output += inKeptProperties ? token.text : '';
+      } else if (token.kind === 'empty') {
+        output += keepChild ? token.text : '';
+      } else if (token.kind === 'open') {
+        const reopened = !matched.has(token);
+        const kept = reopened || Boolean(keepChild);
+        parents.push({ kept, reopened });
+        output += kept ? token.text : '';
+      } else if (parents.length === 0) {
+        // Closes an element opened before the range
+        output += token.text;
+      } else {
+        output += parents.pop().kept ? token.text : '';
+      }
+    }
+    return output;
+  }
+
+  /**
+   * Remove a range of markup, keeping the document well-formed
+   * @param {string} content - XML content
+   * @param {number} start - Range start
+   * @param {number} end - Range end
+   * @returns {string} Content without the range
+   */
+  removeRange(content, start, end) {
+    return content.slice(0, start) + this.skeleton(content.slice(start, end)) + content.slice(end);
+  }
+
+  /**
+   * Give table cells and text bodies emptied by a removed branch an empty paragraph
+   * @param {string} content - XML content
+   * @param {string} fileType - File type
+   * @returns {string} Content with required paragraphs
+   */
+  ensureParagraphs(content, fileType) {
+    const holder = this.paragraphHolders[fileType] || this.paragraphHolders.word;
+    return content.replace(holder.pattern, (element, open, inner, close) =>
+      /<(?:w|a):p[\s/>]/.test(inner) ? element : `${open}${inner}${holder.paragraph}${close}`
+    );
+  }
+
+  /**
+   * Parse a condition such as "customer.vip", "!items", "total > 100" or
+   * 'status in ["open", "late"]'
+   * @param {string} text - Condition text (may be XML-escaped)
+   * @returns {Object} Condition with negate flag, left operand, and optional operator and right
+   *   operand; operands are { path }, { value } or { list }
+   */
+  parseCondition(text) {
+    const tokens = unescapeXml(text).match(this.tokenPattern) || [];
+    const condition = { negate: false, left: null, operator: null, right: null };
+
+    while (tokens[0] === '!' || tokens[0] === 'not') {
+      condition.negate = !condition.negate;
+      tokens.shift();
+    }
+    condition.left = this.parseOperand(tokens.shift() || '');
+
+    if (tokens[0] === 'not' && tokens[1] === 'in') {
+      condition.operator = 'not in';
+      tokens.splice(0, 2);
+    } else if (tokens.length > 0) {
+      condition.operator = tokens.shift();
+    }
+    if (condition.operator) {
+      condition.right = this.parseOperand(tokens.join(' '));
+    }
+    return condition;
+  }
+
+  /**
+   * Check that a parsed condition only uses known operators
+   * @param {Object} condition - Parsed condition
+   * @returns {boolean} True if the condition can be evaluated
+   */
+  isValidCondition(condition) {
+    return !condition.operator || this.operators.has(condition.operator);
+  }
+
+  /**
+   * Parse one operand: a quoted string, number, true/false/null, [list] or data path
+   * @param {string} token - Operand text
+   * @returns {Object} { value }, { list } or { path }
+   */
+  parseOperand(token) {
+    const closingQuote = this.quotePairs[token[0]];
+    if (closingQuote && token.length > 1 && token.endsWith(closingQuote)) {
+      return { value: token.slice(1, -1) };
+    }
+    if (/^-?\d+(?:\.\d+)?$/.test(token)) {
+      return { value: Number(token) };
+    }
+    if (Object.prototype.hasOwnProperty.call(this.keywords, token)) {
+      return { value: this.keywords[token] };
+    }
+    if (token.startsWith('[') && token.endsWith(']')) {
+      const items = token.slice(1, -1).match(this.listItemPattern) || [];
+      return { list: items.map((item) => this.parseOperand(item)) };
+    }
+    return { path: token };
+  }
+
+  /**
+   * List the data paths a condition reads
+   * @param {Object} condition - Parsed condition
+   * @returns {Array} Data paths
+   */
+  getConditionPaths(condition) {
+    const operands = [condition.left, condition.right].filter(Boolean);
+    return operands
+      .flatMap((operand) => (operand.list ? operand.list : [operand]))
+      .filter((operand) => operand.path)
+      .map((operand) => operand.path);
+  }
+
+  /**
+   * Evaluate a parsed condition against data
+   * @param {Object} condition - Parsed condition
+   * @param {Object} data - Data object
+   * @returns {boolean} Condition result
+   */
+  evaluate(condition, data) {
+    const left = this.resolveOperand(condition.left, data);
+    let result;
+
+    if (!condition.operator) {
+      result = this.isTruthy(left);
+    } else {
+      const right = this.resolveOperand(condition.right, data);
+      result = this.compare(left, condition.operator, right);
+    }
+    return condition.negate ? !result : result;
+  }
+
+  /**
+   * Resolve an operand to its value
+   * @param {Object} operand - Parsed operand
+   * @param {Object} data - Data object
+   * @returns {*} Operand value
+   */
+  resolveOperand(operand, data) {
+    if (operand.list) {
+      return operand.list.map((item) => this.resolveOperand(item, data));
+    }
+    return 'value' in operand ? operand.value : this.getDataValue(data, operand.path);
+  }
+
+  /**
+   * Compare two values
+   * Numbers (and numeric strings compared with numbers) compare numerically, everything else as
+   * text. `in` tests membership of an array, a substring of a string or a key of an object.
+   * @param {*} left - Left value
+   * @param {string} operator - ==, !=, >, >=, <, <=, in or not in
+   * @param {*} right - Right value
+   * @returns {boolean} Comparison result
+   */
+  compare(left, operator, right) {
+    switch (operator) {
+      case '==':
+        return this.isEqual(left, right);
+      case '!=':
+        return !this.isEqual(left, right);
+      case 'in':
+        return this.contains(right, left);
+      case 'not in':
+        return !this.contains(right, left);
+      case '>':
+      case '>=':
+      case '<':
+      case '<=': {
+        if (left === null || right === null) {
+          return false;
+        }
+        const [a, b] = this.toComparable(left, right);
+        return {
+          '>': a > b,
+          '>=': a >= b,
+          '<': a < b,
+          '<=': a <= b,
+        }[operator];
+      }
+      default:
+        throw new Error(`Unknown condition operator: ${operator}`);
+    }
+  }
+
+  /**
+   * Check two values for equality, comparing numbers numerically and everything else as text
+   * @param {*} left - Left value
+   * @param {*} right - Right value
+   * @returns {boolean} True if equal
+   */
+  isEqual(left, right) {
+    if (left === null || right === null) {
+      return left === right;
+    }
+    const [a, b] = this.toComparable(left, right);
+    return a === b;
+  }
+
+  /**
+   * Check whether a collection contains a value
+   * @param {*} collection - Array, string or object
+   * @param {*} value - Value to look for
+   * @returns {boolean} True if contained
+   */
+  contains(collection, value) {
+    if (Array.isArray(collection)) {
+      return collection.some((item) => this.isEqual(item, value));
+    }
+    if (typeof collection === 'string') {
+      return value !== null && collection.includes(String(value));
+    }
+    if (collection && typeof collection === 'object') {
+      return value !== null && Object.prototype.hasOwnProperty.call(collection, value);
+    }
+    return false;
+  }
+
+  /**
+   * Convert two values to numbers when either is a number and both are numeric, else to text
+   * @param {*} left - Left value
+   * @param {*} right - Right value
+   * @returns {Array} Comparable pair
+   */
+  toComparable(left, right) {
+    const numeric = (value) =>
+      typeof value === 'number' ||
+      (typeof value === 'string' && value.trim() !== '' && !isNaN(value));
+    if (
+      (typeof left === 'number' || typeof right === 'number') &&
+      numeric(left) &&
+      numeric(right)
+    ) {
+      return [Number(left), Number(right)];
+    }
+    const text = (value) => (value instanceof Date ? value.toISOString() : String(value));
+    return [text(left), text(right)];
+  }
+
+  /**
+   * Check whether a value counts as true: not empty (see ContentDeletion), false or 0
+   * @param {*} value - Value to check
+   * @returns {boolean} True if truthy
+   */
+  isTruthy(value) {
+    return value !== false && value !== 0 && !this.contentDeletion.isEmptyValue(value);
+  }
+
+  /**
+   * Get data value from nested object using dot notation
+   * @param {Object} data - Data object
+   * @param {string} path - Dot notation path
+   * @returns {*} Data value or null
+   */
+  getDataValue(data, path) {
+    return this.contentDeletion.getDataValue(data, path);
+  }
+}
+
+module.exports = ConditionalProcessor;
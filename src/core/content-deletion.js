@@ -3,6 +3,8 @@
  * Handles deletion of pages, slides, and other structural elements based on DeleteIfEmpty directives
  */
 
+const ExcelRowShifter = require('./excel-row-shifter');
+
 /**
  * ContentDeletion class for removing empty content sections
  */
@@ -14,6 +16,9 @@ class ContentDeletion {
       powerpoint: this.deletePowerPointSlide.bind(this),
       excel: this.deleteExcelRow.bind(this),
     };
+
+    // Renumbers rows and references below deleted spreadsheet rows
+    this.rowShifter = new ExcelRowShifter();
   }
 
   /**
@@ -319,37 +324,46 @@ class ContentDeletion {
    * @returns {Object|null} Element boundaries or null
    */
   findContainingElement(content, position, elementName) {
-    // Search backwards for opening tag
-    const openingTagRegex = new RegExp(`<${elementName}[^>]*>`, 'g');
-    const closingTagRegex = new RegExp(`</${elementName}>`, 'g');
-
-    let openingMatch;
-    let lastOpening = null;
+    // Match opening and closing tags of exactly this element (not e.g. <w:pPr> for w:p)
+    const tagRegex = new RegExp(`<(/?)${elementName}(?=[\\s/>])[^>]*>`, 'g');
 
-    while ((openingMatch = openingTagRegex.exec(content)) !== null) {
-      if (openingMatch.index > position) {
+    // Track open elements up to the position; the innermost one contains it
+    const openStack = [];
+    let match;
+    while ((match = tagRegex.exec(content)) !== null) {
+      if (match.index > position) {
         break;
       }
-      lastOpening = openingMatch;
+      if (match[1]) {
+        openStack.pop();
+      } else if (!match[0].endsWith('/>')) {
+        openStack.push(match.index);
+      }
     }
 
-    if (!lastOpening) {
+    if (openStack.length === 0) {
       return null;
     }
 
-    // Find corresponding closing tag
-    closingTagRegex.lastIndex = lastOpening.index;
-    const closingMatch = closingTagRegex.exec(content);
-
-    if (!closingMatch) {
-      return null;
+    // Find the corresponding closing tag, skipping nested elements of the same name
+    const start = openStack[openStack.length - 1];
+    tagRegex.lastIndex = start;
+    let depth = 0;
+    while ((match = tagRegex.exec(content)) !== null) {
+      if (match[0].endsWith('/>')) {
+        continue;
+      }
+      depth += match[1] ? -1 : 1;
+      if (depth === 0) {
+        return {
+          start,
+          end: match.index + match[0].length,
+          elementName,
+        };
+      }
     }
 
-    return {
-      start: lastOpening.index,
-      end: closingMatch.index + closingMatch[0].length,
-      elementName,
-    };
+    return null;
   }
 
   /**
@@ -466,7 +480,8 @@ class ContentDeletion {
       }
 
       // Mark the entire slide file for deletion by emptying its content
-      // The actual file removal will be handled by the ZIP handler
+      // OOXMLTemplater then removes the part, its relationships, notes and registrations
+      // from the package via SlideManager.removeSlides
       const deletedSlides = [
         {
           directive: directives.map((d) => d.cleanName).join(', '),
@@ -506,21 +521,36 @@ class ContentDeletion {
       let modifiedContent = file.content;
       const deletedRows = [];
 
-      // Excel rows are defined in <row> elements
-      // Find and remove the containing row element for each directive
+      // Excel rows are defined in <row> elements; rows below a deleted one move up, so every
+      // reference to them is shifted. Bottom-up keeps the remaining directive positions valid.
+      const sortedDirectives = [...directives].sort((a, b) => b.position.index - a.position.index);
 
-      for (const directive of directives) {
+      for (const directive of sortedDirectives) {
         const rowInfo = this.findContainingElement(
           modifiedContent,
           directive.position.index,
           'row'
         );
-        if (rowInfo) {
-          // Remove the entire row element
-          const beforeRow = modifiedContent.slice(0, rowInfo.start);
-          const afterRow = modifiedContent.slice(rowInfo.end);
-          modifiedContent = beforeRow + afterRow;
+        const rowNumber = rowInfo
+          ? modifiedContent.slice(rowInfo.start, rowInfo.end).match(/^<row\b[^>]*?\sr="(\d+)"/)
+          : null;
+        if (rowNumber) {
+          modifiedContent = this.rowShifter.shiftSheet(
+            modifiedContent,
+            this.rowShifter.deleteRows(parseInt(rowNumber[1], 10), 1),
+            null
+          );
 
+          deletedRows.push({
+            directive: directive.cleanName,
+            row: parseInt(rowNumber[1], 10),
+            startIndex: rowInfo.start,
+            endIndex: rowInfo.end,
+          });
+        } else if (rowInfo) {
+          // Rows without a row number cannot be shifted; remove the element only
+          modifiedContent =
+            modifiedContent.slice(0, rowInfo.start) + modifiedContent.slice(rowInfo.end);
           deletedRows.push({
             directive: directive.cleanName,
             startIndex: rowInfo.start,
@@ -607,7 +637,7 @@ class ContentDeletion {
     if (Array.isArray(value) && value.length === 0) {
       return true;
     }
-    if (typeof value === 'object' && Object.keys(value).length === 0) {
+    if (typeof value === 'object' && !(value instanceof Date) && Object.keys(value).length === 0) {
       return true;
     }
     return false;
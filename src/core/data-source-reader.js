@@ -0,0 +1,349 @@
+/**
+ * Data Source Reader
+ * Reads CSV files and Excel sheets as records for bulk rendering: one data object per row,
+ * keyed by the header row
+ */
+
+const { fetchTemplate } = require('../utils/fetch-handler');
+const { unescapeXml } = require('../utils/xml-escape');
+const ExcelRowExpander = require('./excel-row-expander');
+const ExcelCellTyper = require('./excel-cell-typer');
+
+/**
+ * DataSourceReader class turning tabular files into data objects
+ * Dotted headers such as customer.name become nested objects. Excel cells keep their cell type
+ * (number, boolean or date); CSV fields stay text as written unless their column type is declared.
+ */
+class DataSourceReader {
+  /**
+   * @param {Object} zipHandler - ZIP handler used to extract workbooks
+   */
+  constructor(zipHandler) {
+    this.zipHandler = zipHandler;
+    this.formats = ['csv', 'xlsx'];
+
+    // Delimiters recognized in the header line of CSV files
+    this.csvDelimiters = [',', ';', '\t'];
+
+    // Header segments that could reach object prototypes
+    this.unsafeKeys = new Set(['__proto__', 'constructor', 'prototype']);
+
+    // Reuse workbook discovery, shared strings and date styles from the Excel pipeline
+    this.rowExpander = new ExcelRowExpander();
+    this.cellTyper = new ExcelCellTyper();
+  }
+
+  /**
+   * Get the tabular format of a data source from its extension
+   * @param {*} source - Data source
+   * @returns {string|null} 'csv', 'xlsx' or null for other sources
+   */
+  getFormat(source) {
+    if (typeof source !== 'string') {
+      return null;
+    }
+    const cleanPath = source.split('?')[0].split('#')[0];
+    const extension = cleanPath.split('.').pop().toLowerCase();
+    return this.formats.includes(extension) ? extension : null;
+  }
+
+  /**
+   * Read a CSV file or Excel sheet as records
+   * @param {string} source - File path or URL
+   * @param {Object} [options] - Read options
+   * @param {string} [options.format] - 'csv' or 'xlsx' (default: from the extension)
+   * @param {string|number} [options.sheet] - Sheet name or 1-based position (default: first sheet)
+   * @param {string} [options.delimiter] - CSV delimiter (default: detected from the header line)
+   * @param {Object} [options.columnTypes] - Header to type ('string', 'number', 'boolean' or
+   *   'date') for columns whose values should be converted
+   * @returns {Promise<Array<Object>>} One data object per non-empty row
+   */
+  async read(source, options = {}) {
+    const format = options.format || this.getFormat(source);
+    if (!this.formats.includes(format)) {
+      throw new Error(`Unsupported data source format: ${source} (expected .csv or .xlsx)`);
+    }
+
+    // Browsers fetch an ArrayBuffer
+    const bytes = Buffer.from(await fetchTemplate(source));
+    const rows =
+      format === 'csv'
+        ? this.readCsv(bytes.toString('utf8'), options.delimiter)
+        : await this.readWorkbook(bytes, options);
+    return this.toRecords(rows, options.columnTypes || {});
+  }
+
+  /**
+   * Read the rows of a CSV file
+   * Fields stay text as written ("12.50", "007", "2024-01-02"), so they render unchanged;
+   * declared column types are converted later.
+   * @param {string} text - CSV text
+   * @param {string} [delimiter] - Field delimiter (default: detected from the header line)
+   * @returns {Array<Array<string>>} Rows of field texts, the header row first
+   */
+  readCsv(text, delimiter) {
+    const content = text.replace(/^\uFEFF/, '');
+    return this.parseCsv(content, delimiter || this.detectDelimiter(content));
+  }
+
+  /**
+   * Split CSV text into rows of fields (RFC 4180: quoted fields, doubled quotes, CRLF)
+   * @param {string} text - CSV text
+   * @param {string} delimiter - Field delimiter
+   * @returns {Array<Array<string>>} Rows of field texts
+   */
+  parseCsv(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let index = 0; index < text.length; index++) {
+      const character = text[index];
+      if (quoted) {
+        if (character !== '"') {
+          field += character;
+        } else if (text[index + 1] === '"') {
+          field += '"';
+          index++;
+        } else {
+          quoted = false;
+        }
+      } else if (character === '"' && field === '') {
+        quoted = true;
+      } else if (character === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (character === '\n' || character === '\r') {
+        if (character === '\r' && text[index + 1] === '\n') {
+          index++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += character;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * Pick the delimiter used most in the header line
+   * @param {string} text - CSV text
+   * @returns {string} Delimiter
+   */
+  detectDelimiter(text) {
+    const headerLine = text.split(/\r?\n/, 1)[0];
+    let best = this.csvDelimiters[0];
+    let bestCount = 0;
+    for (const delimiter of this.csvDelimiters) {
+      const count = headerLine.split(delimiter).length - 1;
+      if (count > bestCount) {
+        best = delimiter;
+        bestCount = count;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Read the rows of a workbook sheet with typed cell values
+   * @param {Buffer} bytes - Workbook file
+   * @param {Object} options - Read options (sheet)
+   * @returns {Promise<Array<Array>>} Rows of cell values, the header row first
+   */
+  async readWorkbook(bytes, options) {
+    const { files } = await this.zipHandler.extract(bytes);
+    const contents = new Map(
+      Object.entries(files)
+        .filter(([, file]) => typeof file.content === 'string')
+        .map(([filePath, file]) => [filePath, file.content])
+    );
+
+    const workbook = this.rowExpander
+      .findWorkbooks(contents)
+      .find((candidate) => candidate.workbookPath === 'xl/workbook.xml');
+    if (!workbook) {
+      throw new Error('Data source is not an Excel workbook (xl/workbook.xml not found)');
+    }
+
+    const { sheet: sheetOption } = options;
+    const sheet =
+      sheetOption === undefined
+        ? workbook.sheets[0]
+        : workbook.sheets.find((candidate) => candidate.name === sheetOption) ||
+          (typeof sheetOption === 'number' ? workbook.sheets[sheetOption - 1] : undefined);
+    if (!sheet) {
+      throw new Error(
+        `Sheet not found in data source: ${sheetOption === undefined ? 1 : sheetOption}`
+      );
+    }
+
+    const styles = contents.get('xl/styles.xml') || '';
+    const context = {
+      sharedStrings: this.rowExpander.getSharedStrings(contents.get(workbook.sharedStringsPath)),
+      date1904: /<workbookPr\b[^>]*\sdate1904="(?:1|true)"/.test(
+        contents.get(workbook.workbookPath)
+      ),
+      styles,
+      cellFormats: styles ? this.cellTyper.getCellFormats(styles) : [],
+    };
+
+    const rowsXml = contents.get(sheet.path).match(/<row\b[^>]*?(?:\/>|>[\s\S]*?<\/row>)/g) || [];
+    return rowsXml.map((rowXml) => {
+      const values = [];
+      for (const cell of this.rowExpander.getCells(rowXml)) {
+        const reference = this.cellTyper.getCellReference(cell);
+        const column = reference ? this.getColumnIndex(reference) : values.length;
+        values[column] = this.readCell(cell, context);
+      }
+      return values;
+    });
+  }
+
+  /**
+   * Read the value of a worksheet cell
+   * @param {string} cellXml - Cell XML
+   * @param {Object} context - Workbook context (shared strings, date system, cell formats)
+   * @returns {*} Text, number, boolean, Date, or undefined for empty and error cells
+   */
+  readCell(cellXml, context) {
+    const type = (cellXml.match(/^<c\b[^>]*?\st="([^"]*)"/) || [])[1] || 'n';
+    if (type === 's' || type === 'inlineStr') {
+      return unescapeXml(this.rowExpander.getCellText(cellXml, context.sharedStrings));
+    }
+
+    const raw = cellXml.match(/<v>([\s\S]*?)<\/v>/);
+    if (!raw) {
+      return undefined;
+    }
+    const text = unescapeXml(raw[1]);
+    if (type === 'str') {
+      return text;
+    }
+    if (type === 'b') {
+      return text === '1';
+    }
+    if (type === 'd') {
+      const date = this.cellTyper.parseDate(text);
+      return date ? new Date(date.time) : text;
+    }
+    if (type === 'e') {
+      return undefined;
+    }
+
+    const number = Number(text);
+    const style = parseInt((cellXml.match(/^<c\b[^>]*?\ss="(\d+)"/) || [])[1] || '0', 10);
+    const xf = context.cellFormats[style] || '';
+    const numFmtId = parseInt((xf.match(/\snumFmtId="(\d+)"/) || [])[1] || '0', 10);
+    if (!this.cellTyper.isDateFormat(context.styles, numFmtId)) {
+      return number;
+    }
+
+    // Excel serials count days from 1899-12-30 (1904-01-01 in the 1904 date system)
+    const epoch = context.date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+    return new Date(epoch + Math.round(number * 86400000));
+  }
+
+  /**
+   * Get the 0-based column index of a cell reference (B3 -> 1)
+   * @param {string} reference - Cell reference
+   * @returns {number} Column index
+   */
+  getColumnIndex(reference) {
+    const letters = reference.match(/^\$?([A-Z]+)/)[1];
+    let index = 0;
+    for (const letter of letters) {
+      index = index * 26 + (letter.charCodeAt(0) - 64);
+    }
+    return index - 1;
+  }
+
+  /**
+   * Turn rows into data objects keyed by the first non-empty row
+   * Empty cells are left out, so fallbacks and missing-data handling apply to them.
+   * @param {Array<Array>} rows - Rows of cell values
+   * @param {Object} columnTypes - Header to declared type
+   * @returns {Array<Object>} Data objects
+   */
+  toRecords(rows, columnTypes) {
+    const isEmpty = (value) => value === undefined || value === null || value === '';
+    const filled = rows.filter((row) => row.some((value) => !isEmpty(value)));
+    if (filled.length === 0) {
+      return [];
+    }
+
+    const [header, ...body] = filled;
+    const columns = Array.from(header, (name) => (isEmpty(name) ? null : String(name).trim()));
+    return body.map((row) => {
+      const record = {};
+      columns.forEach((name, column) => {
+        if (name && !isEmpty(row[column])) {
+          const value = columnTypes[name]
+            ? this.convertValue(row[column], columnTypes[name])
+            : row[column];
+          this.setPath(record, name, value);
+        }
+      });
+      return record;
+    });
+  }
+
+  /**
+   * Convert a cell value to a declared column type
+   * @param {*} value - Cell value
+   * @param {string} type - 'string', 'number', 'boolean' or 'date'
+   * @returns {*} Converted value (unchanged when it cannot be converted)
+   */
+  convertValue(value, type) {
+    if (type === 'string') {
+      return value instanceof Date ? value.toISOString() : String(value);
+    }
+    if (type === 'number') {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      return Number.isFinite(number) ? number : value;
+    }
+    if (type === 'boolean') {
+      return typeof value === 'boolean' ? value : /^(?:true|1|yes)$/i.test(String(value).trim());
+    }
+    if (type === 'date') {
+      if (value instanceof Date) {
+        return value;
+      }
+      const date = this.cellTyper.parseDate(String(value).trim());
+      return date ? new Date(date.time) : value;
+    }
+    throw new Error(`Unknown column type: ${type}`);
+  }
+
+  /**
+   * Set a value at a dotted path, creating nested objects
+   * @param {Object} record - Data object
+   * @param {string} path - Dotted path such as customer.name
+   * @param {*} value - Value
+   */
+  setPath(record, path, value) {
+    const keys = path.split('.');
+    if (keys.some((key) => key === '' || this.unsafeKeys.has(key))) {
+      return;
+    }
+
+    let target = record;
+    for (const key of keys.slice(0, -1)) {
+      if (typeof target[key] !== 'object' || target[key] === null || target[key] instanceof Date) {
+        target[key] = {};
+      }
+      target = target[key];
+    }
+    target[keys[keys.length - 1]] = value;
+  }
+}
+
+module.exports = DataSourceReader;
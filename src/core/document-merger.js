@@ -0,0 +1,596 @@
+/**
+ * Document Merger
+ * Combines rendered Word documents into one document, record after record (mail merge)
+ */
+
+const PackageEditor = require('./package-editor');
+
+/**
+ * DocumentMerger class appending the bodies of Word packages to the first one
+ * Parts the appended bodies use (pictures, headers, footers, charts) are copied under free
+ * names, and relationship, bookmark, comment, note, drawing and list ids are renumbered.
+ */
+class DocumentMerger {
+  constructor() {
+    this.documentPath = 'word/document.xml';
+    this.numberingPath = 'word/numbering.xml';
+    this.stylesPath = 'word/styles.xml';
+
+    this.pageBreak = '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+
+    // Parts whose entries are merged one by one, with the tags referencing an entry's w:id
+    this.noteParts = {
+      footnotes: {
+        element: 'w:footnote',
+        root: 'w:footnotes',
+        references: ['footnoteReference'],
+      },
+      endnotes: {
+        element: 'w:endnote',
+        root: 'w:endnotes',
+        references: ['endnoteReference'],
+      },
+      comments: {
+        element: 'w:comment',
+        root: 'w:comments',
+        references: ['commentRangeStart', 'commentRangeEnd', 'commentReference'],
+      },
+    };
+  }
+
+  /**
+   * Start a merged document from the parts of the first record
+   * @param {Object} files - Parts of the first rendered document (edited in place)
+   * @param {Object} [options] - Merge options
+   * @param {string} [options.separator='page'] - Start each record on a new page ('page') or
+   *   in its own section with its own headers and footers ('section'). Templates with several
+   *   sections always keep their sections.
+   * @returns {Object} Merge state for append() and finish()
+   */
+  begin(files, options = {}) {
+    const editor = new PackageEditor(files);
+    const documentXml = editor.getPartText(this.documentPath);
+    if (documentXml === null) {
+      throw new Error('Mail merge needs a Word document (word/document.xml not found)');
+    }
+
+    const document = this.splitDocument(documentXml);
+    const state = {
+      editor,
+      head: document.head,
+      tail: document.tail,
+      body: [document.content],
+      sectPr: document.sectPr,
+      useSections: options.separator === 'section' || this.countSections(document.content) > 0,
+      records: 1,
+      bookmarkNames: new Set(),
+      nextIds: {
+        bookmark: this.nextId(documentXml, /<w:bookmarkStart\b[^>]*?\bw:id="(\d+)"/g),
+        drawing: 1,
+        numbering: this.nextId(
+          editor.getPartText(this.numberingPath) || '',
+          /<w:num\b[^>]*?\bw:numId="(\d+)"/g
+        ),
+      },
+      notes: {},
+      relationshipIds: new Map(),
+    };
+
+    for (const match of documentXml.matchAll(/<w:bookmarkStart\b[^>]*?\bw:name="([^"]*)"/g)) {
+      state.bookmarkNames.add(match[1]);
+    }
+    for (const partPath of editor.listParts()) {
+      if (partPath.startsWith('word/') && partPath.endsWith('.xml')) {
+        const nextDrawing = this.nextId(
+          editor.getPartText(partPath),
+          /<wp:docPr\b[^>]*?\sid="(\d+)"/g
+        );
+        state.nextIds.drawing = Math.max(state.nextIds.drawing, nextDrawing);
+      }
+    }
+    for (const relationship of editor.getRelationships(this.documentPath)) {
+      if (this.noteParts[relationship.kind] && editor.hasPart(relationship.partPath)) {
+        const element = this.noteParts[relationship.kind].element;
+        state.notes[relationship.kind] = {
+          partPath: relationship.partPath,
+          nextId: this.nextId(
+            editor.getPartText(relationship.partPath),
+            new RegExp(`<${element}\\b[^>]*?\\bw:id="(-?\\d+)"`, 'g')
+          ),
+        };
+      }
+    }
+
+    return state;
+  }
+
+  /**
+   * Append the body of the next record
+   * @param {Object} state - Merge state from begin()
+   * @param {Object} files - Parts of the record's rendered document
+   */
+  append(state, files) {
+    const source = new PackageEditor(files);
+    const documentXml = source.getPartText(this.documentPath);
+    if (documentXml === null) {
+      throw new Error('Mail merge needs a Word document (word/document.xml not found)');
+    }
+
+    state.records++;
+    const record = {
+      source,
+      number: state.records,
+      imports: { copies: new Map(), transform: (xml) => this.renumberDrawings(state, xml) },
+      relationshipIds: new Map(),
+    };
+    const document = this.splitDocument(documentXml);
+
+    let content = this.mergeNotes(state, record, document.content);
+    content = this.renumberBookmarks(state, record, content);
+    content = this.renumberDrawings(state, content);
+    content = this.mergeNumbering(state, record, content);
+    content = this.mapRelationships(state, record, this.documentPath, this.documentPath, content);
+
+    this.mergeStyles(state, source);
+    state.head = this.mergeNamespaces(state.head, document.head);
+
+    if (state.useSections) {
+      // The previous record's last section ends before this record
+      state.body.push(`<w:p><w:pPr>${state.sectPr || '<w:sectPr/>'}</w:pPr></w:p>`);
+      state.sectPr = this.mapRelationships(
+        state,
+        record,
+        this.documentPath,
+        this.documentPath,
+        document.sectPr
+      );
+    } else {
+      state.body.push(this.pageBreak);
+    }
+    state.body.push(content);
+  }
+
+  /**
+   * Write the merged body and list the parts of the merged package
+   * @param {Object} state - Merge state from begin()
+   * @returns {Object} File structure for the ZIP handler (part path to text or buffer)
+   */
+  finish(state) {
+    const { editor } = state;
+    editor.setPartText(
+      this.documentPath,
+      state.head + state.body.join('') + state.sectPr + state.tail
+    );
+
+    return editor.toFileStructure();
+  }
+
+  /**
+   * Split document XML around the body content and its final section properties
+   * @param {string} documentXml - Content of word/document.xml
+   * @returns {Object} head (up to <w:body>), content, sectPr and tail (from </w:body>)
+   */
+  splitDocument(documentXml) {
+    const bodyMatch = /<w:body\b[^>]*>/.exec(documentXml);
+    const bodyEnd = documentXml.lastIndexOf('</w:body>');
+    if (!bodyMatch || bodyEnd === -1) {
+      throw new Error('Word document has no body');
+    }
+
+    const bodyStart = bodyMatch.index + bodyMatch[0].length;
+    let content = documentXml.slice(bodyStart, bodyEnd);
+    // The body's own section properties follow its last paragraph or table
+    let sectPr = '';
+    for (const match of content.matchAll(/<w:sectPr\b/g)) {
+      const rest = content.slice(match.index);
+      if (
+        /^<w:sectPr\b(?:[^>]*\/>|[\s\S]*<\/w:sectPr>)\s*$/.test(rest) &&
+        !/<\/w:(?:p|tbl|sdt)>/.test(rest)
+      ) {
+        sectPr = rest.trim();
+        content = content.slice(0, match.index);
+        break;
+      }
+    }
+
+    return {
+      head: documentXml.slice(0, bodyStart),
+      content,
+      sectPr,
+      tail: documentXml.slice(bodyEnd),
+    };
+  }
+
+  /**
+   * Count the section breaks inside body content (sections other than the last)
+   * @param {string} content - Body content without its final section properties
+   * @returns {number} Number of section breaks
+   */
+  countSections(content) {
+    return (content.match(/<w:sectPr\b/g) || []).length;
+  }
+
+  /**
+   * Find the id after the highest id matched in XML
+   * @param {string} xml - XML to scan
+   * @param {RegExp} pattern - Global pattern capturing an id
+   * @returns {number} Next free id (at least 1)
+   */
+  nextId(xml, pattern) {
+    let maxId = 0;
+    for (const match of xml.matchAll(pattern)) {
+      maxId = Math.max(maxId, parseInt(match[1], 10));
+    }
+    return maxId + 1;
+  }
+
+  /**
+   * Point the relationship ids used in XML at relationships of the merged package
+   * Internal targets are imported with PackageEditor.importPart(); equal relationships are reused.
+   * @param {Object} state - Merge state
+   * @param {Object} record - Record being appended
+   * @param {string} sourcePart - Part of the record the XML comes from
+   * @param {string} targetPart - Part of the merged package the XML goes to
+   * @param {string} xml - XML using the source part's relationship ids
+   * @returns {string} XML using the target part's relationship ids
+   */
+  mapRelationships(state, record, sourcePart, targetPart, xml) {
+    const relationships = new Map(
+      record.source
+        .getRelationships(sourcePart)
+        .map((relationship) => [relationship.id, relationship])
+    );
+    if (relationships.size === 0) {
+      return xml;
+    }
+
+    if (!record.relationshipIds.has(sourcePart)) {
+      record.relationshipIds.set(sourcePart, new Map());
+    }
+    const ids = record.relationshipIds.get(sourcePart);
+
+    return xml.replace(/(\br:[A-Za-z]+=")([^"]*)"/g, (match, prefix, id) => {
+      const relationship = relationships.get(id);
+      if (!relationship) {
+        return match;
+      }
+      if (!ids.has(id)) {
+        const external = relationship.targetMode === 'External';
+        const target = external
+          ? relationship.target
+          : state.editor.importPart(record.source, relationship.partPath, record.imports);
+        ids.set(id, this.getRelationshipId(state, targetPart, relationship.type, target, external));
+      }
+      return `${prefix}${ids.get(id)}"`;
+    });
+  }
+
+  /**
+   * Find or add a relationship of the merged package
+   * @param {Object} state - Merge state
+   * @param {string} partPath - Source part of the relationship
+   * @param {string} type - Relationship type URI
+   * @param {string} target - Target part path, or URL for external targets
+   * @param {boolean} external - Whether the target is external
+   * @returns {string} Relationship id
+   */
+  getRelationshipId(state, partPath, type, target, external) {
+    const { editor } = state;
+    if (!state.relationshipIds.has(partPath)) {
+      const existing = new Map();
+      for (const relationship of editor.getRelationships(partPath)) {
+        const key = `${relationship.type} ${relationship.partPath || relationship.target}`;
+        existing.set(key, relationship.id);
+      }
+      state.relationshipIds.set(partPath, existing);
+    }
+
+    const ids = state.relationshipIds.get(partPath);
+    const key = `${type} ${target}`;
+    if (!ids.has(key)) {
+      ids.set(key, editor.addRelationship(partPath, type, target, { external }));
+    }
+    return ids.get(key);
+  }
+
+  /**
+   * Give the footnotes, endnotes and comments referenced by body content new ids, and copy
+   * them into the merged package's note parts
+   * @param {Object} state - Merge state
+   * @param {Object} record - Record being appended
+   * @param {string} content - Body content of the record
+   * @returns {string} Body content referencing the new ids
+   */
+  mergeNotes(state, record, content) {
+    const { source } = record;
+    const { editor } = state;
+
+    for (const relationship of source.getRelationships(this.documentPath)) {
+      const notePart = this.noteParts[relationship.kind];
+      if (!notePart || !source.hasPart(relationship.partPath)) {
+        continue;
+      }
+
+      // A note part only the record has is copied whole, keeping its ids
+      const notes = state.notes[relationship.kind];
+      if (!notes) {
+        const partPath = state.editor.importPart(source, relationship.partPath, record.imports);
+        this.getRelationshipId(state, this.documentPath, relationship.type, partPath, false);
+        state.notes[relationship.kind] = {
+          partPath,
+          nextId: this.nextId(
+            editor.getPartText(partPath),
+            new RegExp(`<${notePart.element}\\b[^>]*?\\bw:id="(-?\\d+)"`, 'g')
+          ),
+        };
+        continue;
+      }
+
+      const ids = new Map();
+      const referencePattern = new RegExp(`<w:(?:${notePart.references.join('|')})\\b[^>]*>`, 'g');
+      content = content.replace(referencePattern, (tag) =>
+        tag.replace(/\bw:id="([^"]*)"/, (match, id) => {
+          if (!ids.has(id)) {
+            ids.set(id, String(notes.nextId++));
+          }
+          return `w:id="${ids.get(id)}"`;
+        })
+      );
+      if (ids.size === 0) {
+        continue;
+      }
+
+      const sourceXml = source.getPartText(relationship.partPath);
+      const entries = [];
+      const entryPattern = new RegExp(
+        `<${notePart.element}\\b[^>]*?\\bw:id="([^"]*)"[^>]*?(?:/>|>[\\s\\S]*?</${notePart.element}>)`,
+        'g'
+      );
+      for (const match of sourceXml.matchAll(entryPattern)) {
+        if (ids.has(match[1])) {
+          const entry = match[0].replace(/\bw:id="[^"]*"/, `w:id="${ids.get(match[1])}"`);
+          entries.push(
+            this.mapRelationships(
+              state,
+              record,
+              relationship.partPath,
+              notes.partPath,
+              this.renumberDrawings(state, entry)
+            )
+          );
+        }
+      }
+      editor.setPartText(
+        notes.partPath,
+        editor.insertBeforeClosingTag(
+          editor.getPartText(notes.partPath),
+          notePart.root,
+          entries.join('')
+        )
+      );
+    }
+    return content;
+  }
+
+  /**
+   * Give bookmarks new ids, and new names where the merged document already uses the name
+   * Hyperlink anchors and REF, PAGEREF and NOTEREF fields follow renamed bookmarks.
+   * @param {Object} state - Merge state
+   * @param {Object} record - Record being appended
+   * @param {string} content - Body content of the record
+   * @returns {string} Updated content
+   */
+  renumberBookmarks(state, record, content) {
+    const ids = new Map();
+    const names = new Map();
+
+    content = content.replace(/<w:bookmark(?:Start|End)\b[^>]*>/g, (tag) =>
+      tag
+        .replace(/\bw:id="([^"]*)"/, (match, id) => {
+          if (!ids.has(id)) {
+            ids.set(id, String(state.nextIds.bookmark++));
+          }
+          return `w:id="${ids.get(id)}"`;
+        })
+        .replace(/\bw:name="([^"]*)"/, (match, name) => {
+          return `w:name="${this.getBookmarkName(state, record, name, names)}"`;
+        })
+    );
+    if (names.size === 0) {
+      return content;
+    }
+
+    const renameFields = (instruction) =>
+      instruction.replace(/\b(REF|PAGEREF|NOTEREF)(\s+)([^\s"]+)/g, (match, field, space, name) =>
+        names.has(name) ? `${field}${space}${names.get(name)}` : match
+      );
+    return content
+      .replace(/\bw:anchor="([^"]*)"/g, (match, name) =>
+        names.has(name) ? `w:anchor="${names.get(name)}"` : match
+      )
+      .replace(
+        /(<w:instrText\b[^>]*>)([^<]*)/g,
+        (match, tag, instruction) => tag + renameFields(instruction)
+      )
+      .replace(
+        /\bw:instr="([^"]*)"/g,
+        (match, instruction) => `w:instr="${renameFields(instruction)}"`
+      );
+  }
+
+  /**
+   * Get a bookmark name not used yet in the merged document (bookmark names hold 40 characters)
+   * @param {Object} state - Merge state
+   * @param {Object} record - Record being appended
+   * @param {string} name - Bookmark name in the record
+   * @param {Map} names - Renamed bookmarks of the record
+   * @returns {string} Bookmark name
+   */
+  getBookmarkName(state, record, name, names) {
+    if (names.has(name)) {
+      return names.get(name);
+    }
+
+    let unique = name;
+    for (let copy = 0; state.bookmarkNames.has(unique); copy++) {
+      const suffix = copy === 0 ? `_${record.number}` : `_${record.number}_${copy}`;
+      unique = name.slice(0, 40 - suffix.length) + suffix;
+    }
+    state.bookmarkNames.add(unique);
+    if (unique !== name) {
+      names.set(name, unique);
+    }
+    return unique;
+  }
+
+  /**
+   * Give drawings new ids (wp:docPr ids are unique within a document)
+   * @param {Object} state - Merge state
+   * @param {string} xml - XML with drawings
+   * @returns {string} Updated XML
+   */
+  renumberDrawings(state, xml) {
+    return xml.replace(
+      /(<wp:docPr\b[^>]*?\sid=")\d+"/g,
+      (match, prefix) => `${prefix}${state.nextIds.drawing++}"`
+    );
+  }
+
+  /**
+   * Give each list of the record its own numbering instance, so numbered lists restart
+   * Instances are copied from the record's numbering part (lists added while rendering
+   * included); instances without overrides get start overrides from their definition.
+   * @param {Object} state - Merge state
+   * @param {Object} record - Record being appended
+   * @param {string} content - Body content of the record
+   * @returns {string} Content referencing the new numbering instances
+   */
+  mergeNumbering(state, record, content) {
+    const { editor } = state;
+    const sourceNumbering = record.source.getPartText(this.numberingPath);
+    const targetNumbering = editor.getPartText(this.numberingPath);
+    if (!sourceNumbering || !targetNumbering) {
+      return content;
+    }
+
+    const numIds = new Map();
+    const added = [];
+    content = content.replace(/(<w:numId w:val=")(\d+)"/g, (match, prefix, numId) => {
+      if (numId === '0') {
+        return match;
+      }
+      if (!numIds.has(numId)) {
+        const num = new RegExp(
+          `<w:num\\b[^>]*?\\bw:numId="${numId}"[^>]*>([\\s\\S]*?)</w:num>`
+        ).exec(sourceNumbering);
+        if (!num) {
+          numIds.set(numId, numId);
+        } else {
+          const newNumId = String(state.nextIds.numbering++);
+          let definition = num[1];
+          if (!/<w:lvlOverride\b/.test(definition)) {
+            definition += this.restartOverrides(sourceNumbering, definition);
+          }
+          added.push(`<w:num w:numId="${newNumId}">${definition}</w:num>`);
+          numIds.set(numId, newNumId);
+        }
+      }
+      return `${prefix}${numIds.get(numId)}"`;
+    });
+
+    if (added.length > 0) {
+      // w:num elements follow the abstract definitions and precede w:numIdMacAtCleanup
+      editor.setPartText(
+        this.numberingPath,
+        /<w:numIdMacAtCleanup\b/.test(targetNumbering)
+          ? targetNumbering.replace(/<w:numIdMacAtCleanup\b/, `${added.join('')}$&`)
+          : editor.insertBeforeClosingTag(targetNumbering, 'w:numbering', added.join(''))
+      );
+    }
+    return content;
+  }
+
+  /**
+   * Build level overrides restarting a numbering instance at its levels' start values
+   * @param {string} numberingXml - Content of word/numbering.xml
+   * @param {string} definition - Content of the w:num element
+   * @returns {string} w:lvlOverride elements
+   */
+  restartOverrides(numberingXml, definition) {
+    const abstractId = (definition.match(/<w:abstractNumId w:val="(\d+)"/) || [])[1];
+    const abstract = new RegExp(
+      `<w:abstractNum\\b[^>]*?\\bw:abstractNumId="${abstractId}"[^>]*>([\\s\\S]*?)</w:abstractNum>`
+    ).exec(numberingXml);
+    if (!abstract) {
+      return '';
+    }
+
+    let overrides = '';
+    for (const level of abstract[1].matchAll(
+      /<w:lvl\b[^>]*?\bw:ilvl="(\d+)"[^>]*>[\s\S]*?<\/w:lvl>/g
+    )) {
+      const start = level[0].match(/<w:start w:val="(\d+)"/);
+      if (start) {
+        overrides +=
+          `<w:lvlOverride w:ilvl="${level[1]}">` +
+          `<w:startOverride w:val="${start[1]}"/></w:lvlOverride>`;
+      }
+    }
+    return overrides;
+  }
+
+  /**
+   * Add the styles of a record the merged document lacks (e.g. added while rendering)
+   * @param {Object} state - Merge state
+   * @param {PackageEditor} source - Record package
+   */
+  mergeStyles(state, source) {
+    const { editor } = state;
+    const sourceStyles = source.getPartText(this.stylesPath);
+    const targetStyles = editor.getPartText(this.stylesPath);
+    if (!sourceStyles || !targetStyles) {
+      return;
+    }
+
+    const styleIds = new Set(
+      Array.from(targetStyles.matchAll(/<w:style\b[^>]*?\bw:styleId="([^"]*)"/g), (m) => m[1])
+    );
+    const added = Array.from(sourceStyles.matchAll(/<w:style\b[^>]*?(?:\/>|>[\s\S]*?<\/w:style>)/g))
+      .map((match) => match[0])
+      .filter((style) => {
+        const styleId = (style.match(/\bw:styleId="([^"]*)"/) || [])[1];
+        return styleId && !styleIds.has(styleId);
+      });
+    if (added.length > 0) {
+      editor.setPartText(
+        this.stylesPath,
+        editor.insertBeforeClosingTag(targetStyles, 'w:styles', added.join(''))
+      );
+    }
+  }
+
+  /**
+   * Declare the namespaces of a record's document element the merged document lacks
+   * @param {string} head - Merged document XML up to the body
+   * @param {string} sourceHead - Record document XML up to the body
+   * @returns {string} Updated head
+   */
+  mergeNamespaces(head, sourceHead) {
+    const sourceRoot = sourceHead.match(/<w:document\b[^>]*>/);
+    const root = head.match(/<w:document\b[^>]*>/);
+    if (!sourceRoot || !root) {
+      return head;
+    }
+
+    const missing = Array.from(sourceRoot[0].matchAll(/\sxmlns:([\w-]+)="[^"]*"/g))
+      .filter((match) => !root[0].includes(` xmlns:${match[1]}=`))
+      .map((match) => match[0]);
+    if (missing.length === 0) {
+      return head;
+    }
+    const updatedRoot = root[0].replace(/\s*(\/?)>$/, `${missing.join('')}$1>`);
+    return head.replace(root[0], updatedRoot);
+  }
+}
+
+module.exports = DocumentMerger;
@@ -0,0 +1,430 @@
+/**
+ * Excel Cell Typer
+ * Turns spreadsheet cells filled by a single placeholder into number, boolean or date cells,
+ * and wraps the text of cells that received multi-line values
+ */
+
+const ExcelRowExpander = require('./excel-row-expander');
+
+/**
+ * ExcelCellTyper class for writing typed values into worksheet cells
+ */
+class ExcelCellTyper {
+  constructor() {
+    // A plain data placeholder making up the whole cell text (no directives or formatters)
+    this.wholeCellPattern = /^\(\(\(([^)=#/|][^)=|]*)\)\)\)$/;
+
+    // ISO 8601 date or date-time, as dates arrive from JSON data
+    this.isoDatePattern =
+      /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+    // Built-in number formats used for dates without a date style
+    this.dateFormats = {
+      date: 14, // m/d/yyyy
+      dateTime: 22, // m/d/yyyy h:mm
+    };
+
+    // Built-in number formats that already display dates or times
+    this.builtInDateFormats = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+    // Reuse workbook discovery and cell helpers
+    this.rowExpander = new ExcelRowExpander();
+  }
+
+  /**
+   * Type placeholder cells in every workbook of a document (including embedded workbooks)
+   * @param {Array} xmlFiles - XML files from XML parser
+   * @param {Object} data - Data object
+   * @param {Function} getDataValue - Data lookup (data, path) => value
+   * @returns {Object} Changed file contents by path and the number of typed cells
+   */
+  apply(xmlFiles, data, getDataValue) {
+    const contents = new Map(xmlFiles.map((file) => [file.path, file.content]));
+    const result = {
+      changedFiles: new Map(),
+      typedCells: 0,
+    };
+
+    for (const workbook of this.rowExpander.findWorkbooks(contents)) {
+      const stylesPath = workbook.workbookPath.replace(/workbook\.xml$/, 'styles.xml');
+      const sharedStrings = this.rowExpander.getSharedStrings(
+        contents.get(workbook.sharedStringsPath)
+      );
+      const context = {
+        date1904: /<workbookPr\b[^>]*\sdate1904="(?:1|true)"/.test(
+          contents.get(workbook.workbookPath)
+        ),
+        styles: contents.get(stylesPath) || null,
+        dateStyles: new Map(),
+      };
+      const touchedStrings = new Set();
+
+      for (const sheet of workbook.sheets) {
+        const sheetXml = contents.get(sheet.path);
+        const typedXml = sheetXml.replace(/<c\b[^>]*?(?:\/>|>[\s\S]*?<\/c>)/g, (cell) => {
+          const typed = this.typeCell(cell, sharedStrings, data, getDataValue, context);
+          if (typed === null) {
+            return cell;
+          }
+          const sharedIndex = this.rowExpander.getSharedStringIndex(cell);
+          if (sharedIndex !== null) {
+            touchedStrings.add(sharedIndex);
+          }
+          result.typedCells++;
+          return typed;
+        });
+
+        if (typedXml !== sheetXml) {
+          contents.set(sheet.path, typedXml);
+          result.changedFiles.set(sheet.path, typedXml);
+        }
+      }
+
+      // Strings that only fed typed cells are blanked so they are not substituted as text
+      const sharedStringsXml = this.rowExpander.blankUnusedStrings(
+        contents.get(workbook.sharedStringsPath),
+        touchedStrings,
+        workbook.sheets.map((sheet) => contents.get(sheet.path))
+      );
+      if (sharedStringsXml !== null) {
+        result.changedFiles.set(workbook.sharedStringsPath, sharedStringsXml);
+      }
+      if (context.dateStyles.size > 0) {
+        result.changedFiles.set(stylesPath, context.styles);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Rewrite a string cell whose whole text is a placeholder with a typed value
+   * @param {string} cellXml - Cell XML
+   * @param {Array} sharedStrings - Shared string items
+   * @param {Object} data - Data object
+   * @param {Function} getDataValue - Data lookup
+   * @param {Object} context - Workbook context (date system, styles, added date styles)
+   * @returns {string|null} Typed cell XML, or null if the cell stays a string
+   */
+  typeCell(cellXml, sharedStrings, data, getDataValue, context) {
+    if (!/^<c\b[^>]*\st="(?:s|inlineStr)"/.test(cellXml)) {
+      return null;
+    }
+
+    const placeholder = this.rowExpander
+      .getCellText(cellXml, sharedStrings)
+      .match(this.wholeCellPattern);
+    if (!placeholder) {
+      return null;
+    }
+
+    const cellValue = this.toCellValue(getDataValue(data, placeholder[1].trim()), context.date1904);
+    if (!cellValue) {
+      return null;
+    }
+
+    const openTag = cellXml.match(/^<c\b[^>]*?(?=\/?>)/)[0].replace(/\st="[^"]*"/, '');
+    let attributes = openTag;
+    if (cellValue.dateFormat && context.styles) {
+      const style = parseInt((openTag.match(/\ss="(\d+)"/) || [])[1] || '0', 10);
+      const dateStyle = this.getDateStyle(context, style, cellValue.dateFormat);
+      attributes = /\ss="\d+"/.test(openTag)
+        ? openTag.replace(/\ss="\d+"/, ` s="${dateStyle}"`)
+        : `${openTag} s="${dateStyle}"`;
+    }
+    const type = cellValue.type === 'b' ? ' t="b"' : '';
+
+    return `${attributes}${type}><v>${cellValue.value}</v></c>`;
+  }
+
+  /**
+   * Convert a data value to a cell value
+   * @param {*} value - Data value
+   * @param {boolean} date1904 - Whether the workbook uses the 1904 date system
+   * @returns {Object|null} Cell type ('n' or 'b'), value text and date format, or null for text
+   */
+  toCellValue(value, date1904) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? { type: 'n', value: String(value) } : null;
+    }
+    if (typeof value === 'boolean') {
+      return { type: 'b', value: value ? '1' : '0' };
+    }
+
+    const date = this.parseDate(value);
+    if (!date) {
+      return null;
+    }
+    // Excel serials count days from 1899-12-30 (1904-01-01 in the 1904 date system)
+    const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+    return {
+      type: 'n',
+      value: String((date.time - epoch) / 86400000),
+      dateFormat: date.hasTime ? 'dateTime' : 'date',
+    };
+  }
+
+  /**
+   * Parse a Date object or ISO 8601 string into a UTC time
+   * Excel dates have no time zone: Date objects are written in UTC, and strings without an
+   * offset keep their wall-clock time.
+   * @param {*} value - Data value
+   * @returns {Object|null} UTC-based time and whether a time of day is present
+   */
+  parseDate(value) {
+    if (value instanceof Date) {
+      const time = value.getTime();
+      return Number.isNaN(time) ? null : { time, hasTime: time % 86400000 !== 0 };
+    }
+
+    if (typeof value !== 'string') {
+      return null;
+    }
+    const match = value.match(this.isoDatePattern);
+    if (!match) {
+      return null;
+    }
+
+    const [, year, month, day, hours = '0', minutes = '0', seconds = '0', fraction = '0'] = match;
+    const milliseconds = Math.round(parseFloat(`0.${fraction}`) * 1000);
+    let time = Date.UTC(year, month - 1, day, hours, minutes, seconds, milliseconds);
+    const check = new Date(time);
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== parseInt(day, 10)) {
+      return null;
+    }
+
+    const offset = match[8];
+    if (offset && offset !== 'Z') {
+      // Express the instant in UTC wall-clock time
+      const sign = offset[0] === '-' ? -1 : 1;
+      const [offsetHours, offsetMinutes] = offset.slice(1).replace(':', '').match(/\d{2}/g);
+      time -= sign * (parseInt(offsetHours, 10) * 60 + parseInt(offsetMinutes, 10)) * 60000;
+    }
+    return { time, hasTime: match[4] !== undefined };
+  }
+
+  /**
+   * Get a cell style that shows dates, adding one based on the cell's style if needed
+   * @param {Object} context - Workbook context; styles are updated in place
+   * @param {number} style - Current cell style index
+   * @param {string} dateFormat - 'date' or 'dateTime'
+   * @returns {number} Style index to use
+   */
+  getDateStyle(context, style, dateFormat) {
+    const key = `${style}:${dateFormat}`;
+    if (context.dateStyles.has(key)) {
+      return context.dateStyles.get(key);
+    }
+
+    const xf = this.getCellFormats(context.styles)[style];
+    if (!xf) {
+      return style;
+    }
+
+    const numFmtId = parseInt((xf.match(/\snumFmtId="(\d+)"/) || [])[1] || '0', 10);
+    if (this.isDateFormat(context.styles, numFmtId)) {
+      context.dateStyles.set(key, style);
+      return style;
+    }
+
+    const dateFmtId = this.dateFormats[dateFormat];
+    let dateXf = /\snumFmtId="\d+"/.test(xf)
+      ? xf.replace(/\snumFmtId="\d+"/, ` numFmtId="${dateFmtId}"`)
+      : xf.replace(/^<xf\b/, `<xf numFmtId="${dateFmtId}"`);
+    dateXf = /\sapplyNumberFormat="[^"]*"/.test(dateXf)
+      ? dateXf.replace(/\sapplyNumberFormat="[^"]*"/, ' applyNumberFormat="1"')
+      : dateXf.replace(/^<xf\b/, '<xf applyNumberFormat="1"');
+
+    const dateStyle = this.appendCellFormat(context, dateXf);
+    context.dateStyles.set(key, dateStyle);
+    return dateStyle;
+  }
+
+  /**
+   * Turn on text wrapping for cells whose placeholders were replaced with multi-line text
+   * Excel only shows the line breaks of a cell whose style wraps text.
+   * @param {Array} xmlFiles - XML files before substitution
+   * @param {Map} modifiedFiles - Substituted files by path; updated in place
+   * @returns {number} Number of cells that now wrap their text
+   */
+  wrapMultilineCells(xmlFiles, modifiedFiles) {
+    const templates = new Map(xmlFiles.map((file) => [file.path, file.content]));
+    const contents = new Map(templates);
+    for (const [path, file] of modifiedFiles) {
+      contents.set(path, file.content);
+    }
+    const setContent = (path, content) => {
+      const file = modifiedFiles.get(path) || xmlFiles.find((f) => f.path === path);
+      modifiedFiles.set(path, { ...file, content, modified: true });
+    };
+    let wrappedCells = 0;
+
+    for (const workbook of this.rowExpander.findWorkbooks(contents)) {
+      const stylesPath = workbook.workbookPath.replace(/workbook\.xml$/, 'styles.xml');
+      if (!contents.get(stylesPath)) {
+        continue;
+      }
+      const context = { styles: contents.get(stylesPath), wrapStyles: new Map() };
+      const templateStrings = this.rowExpander.getSharedStrings(
+        templates.get(workbook.sharedStringsPath)
+      );
+      const sharedStrings = this.rowExpander.getSharedStrings(
+        contents.get(workbook.sharedStringsPath)
+      );
+
+      for (const sheet of workbook.sheets) {
+        // Cells are matched to their template by reference; substitution keeps the layout
+        const templateCells = new Map(
+          this.rowExpander
+            .getCells(templates.get(sheet.path) || '')
+            .map((cell) => [this.getCellReference(cell), cell])
+        );
+        const sheetXml = contents.get(sheet.path);
+        const wrappedXml = sheetXml.replace(/<c\b[^>]*?(?:\/>|>[\s\S]*?<\/c>)/g, (cell) => {
+          const reference = this.getCellReference(cell);
+          const template = reference && templateCells.get(reference);
+          if (
+            !template ||
+            !this.rowExpander.getCellText(template, templateStrings).includes('(((') ||
+            !/\n|&#10;|&#xA;/i.test(this.rowExpander.getCellText(cell, sharedStrings))
+          ) {
+            return cell;
+          }
+          const wrapped = this.wrapCell(cell, context);
+          if (wrapped !== cell) {
+            wrappedCells++;
+          }
+          return wrapped;
+        });
+
+        if (wrappedXml !== sheetXml) {
+          setContent(sheet.path, wrappedXml);
+        }
+      }
+
+      if (context.wrapStyles.size > 0) {
+        setContent(stylesPath, context.styles);
+      }
+    }
+
+    return wrappedCells;
+  }
+
+  /**
+   * Give a cell a style that wraps text
+   * @param {string} cellXml - Cell XML
+   * @param {Object} context - Workbook context (styles, added wrap styles)
+   * @returns {string} Cell XML with the wrapping style
+   */
+  wrapCell(cellXml, context) {
+    const openTag = cellXml.match(/^<c\b[^>]*?(?=\/?>)/)[0];
+    const style = parseInt((openTag.match(/\ss="(\d+)"/) || [])[1] || '0', 10);
+    const wrapStyle = this.getWrapStyle(context, style);
+    if (wrapStyle === style) {
+      return cellXml;
+    }
+    const wrappedTag = /\ss="\d+"/.test(openTag)
+      ? openTag.replace(/\ss="\d+"/, ` s="${wrapStyle}"`)
+      : `${openTag} s="${wrapStyle}"`;
+    return wrappedTag + cellXml.slice(openTag.length);
+  }
+
+  /**
+   * Get a cell style that wraps text, adding one based on the cell's style if needed
+   * @param {Object} context - Workbook context; styles are updated in place
+   * @param {number} style - Current cell style index
+   * @returns {number} Style index to use
+   */
+  getWrapStyle(context, style) {
+    if (context.wrapStyles.has(style)) {
+      return context.wrapStyles.get(style);
+    }
+
+    const xf = this.getCellFormats(context.styles)[style];
+    if (!xf || /<alignment\b[^>]*\swrapText="(?:1|true)"/.test(xf)) {
+      return style;
+    }
+
+    let wrapXf;
+    if (/<alignment\b/.test(xf)) {
+      wrapXf = xf.replace(/<alignment\b([^>]*?)(\/?>)/, (_match, attributes, end) => {
+        const rest = attributes.replace(/\swrapText="[^"]*"/, '');
+        return `<alignment${rest} wrapText="1"${end}`;
+      });
+    } else if (xf.endsWith('/>')) {
+      wrapXf = `${xf.slice(0, -2).trimEnd()}><alignment wrapText="1"/></xf>`;
+    } else {
+      // alignment is the first child of xf
+      wrapXf = xf.replace(/^<xf\b[^>]*>/, (open) => `${open}<alignment wrapText="1"/>`);
+    }
+    wrapXf = /\sapplyAlignment="[^"]*"/.test(wrapXf)
+      ? wrapXf.replace(/\sapplyAlignment="[^"]*"/, ' applyAlignment="1"')
+      : wrapXf.replace(/^<xf\b/, '<xf applyAlignment="1"');
+
+    const wrapStyle = this.appendCellFormat(context, wrapXf);
+    context.wrapStyles.set(style, wrapStyle);
+    return wrapStyle;
+  }
+
+  /**
+   * List the cell formats (cellXfs entries) of a styles part
+   * @param {string} stylesXml - styles.xml content
+   * @returns {Array} xf elements in style index order
+   */
+  getCellFormats(stylesXml) {
+    const cellXfs = stylesXml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/);
+    return cellXfs ? cellXfs[1].match(/<xf\b[^>]*?(?:\/>|>[\s\S]*?<\/xf>)/g) || [] : [];
+  }
+
+  /**
+   * Append a cell format to the styles in a workbook context
+   * @param {Object} context - Workbook context; styles are updated in place
+   * @param {string} xf - xf element to append
+   * @returns {number} Index of the new style
+   */
+  appendCellFormat(context, xf) {
+    const index = this.getCellFormats(context.styles).length;
+    context.styles = context.styles.replace(
+      /(<cellXfs\b[^>]*>)([\s\S]*?)(<\/cellXfs>)/,
+      (_match, open, inner, close) =>
+        `${open.replace(/\scount="\d+"/, ` count="${index + 1}"`)}${inner}${xf}${close}`
+    );
+    return index;
+  }
+
+  /**
+   * Get the reference of a cell
+   * @param {string} cellXml - Cell XML
+   * @returns {string|null} Cell reference such as B3
+   */
+  getCellReference(cellXml) {
+    const reference = cellXml.match(/^<c\b[^>]*?\sr="([^"]+)"/);
+    return reference ? reference[1] : null;
+  }
+
+  /**
+   * Check whether a number format displays dates or times
+   * @param {string} stylesXml - styles.xml content
+   * @param {number} numFmtId - Number format id
+   * @returns {boolean} True for date and time formats
+   */
+  isDateFormat(stylesXml, numFmtId) {
+    if (this.builtInDateFormats.has(numFmtId)) {
+      return true;
+    }
+    const custom = stylesXml.match(
+      new RegExp(`<numFmt\\b[^>]*\\snumFmtId="${numFmtId}"[^>]*\\sformatCode="([^"]*)"`)
+    );
+    if (!custom) {
+      return false;
+    }
+    // Ignore quoted text, escaped characters and [colour]/[condition] sections
+    const code = custom[1]
+      .replace(/&quot;[\s\S]*?&quot;|"[^"]*"/g, '')
+      .replace(/\\./g, '')
+      .replace(/\[[^\]]*\]/g, '');
+    return /[dmyhs]/i.test(code);
+  }
+}
+
+module.exports = ExcelCellTyper;
@@ -0,0 +1,482 @@
+/**
+ * Excel Row Expander
+ * Repeats and removes worksheet rows before substitution, keeping the workbook's references valid
+ */
+
+const ExcelRowShifter = require('./excel-row-shifter');
+const PackageEditor = require('./package-editor');
+const RepeatProcessor = require('./repeat-processor');
+
+/**
+ * ExcelRowExpander class for (((#items))) rows and DeleteRowIfEmpty directives in spreadsheets
+ */
+class ExcelRowExpander {
+  constructor() {
+    // Row repetition marker: (((#items)))
+    this.rowMarkerPattern = /\(\(\(#([^)\s]+)\)\)\)/;
+
+    // Delete directive: (((DeleteRowIfEmpty=my.placeholder)))
+    this.deleteMarkerPattern = /\(\(\((Delete\w+IfEmpty)=([^)]+)\)\)\)/g;
+
+    // Quick check for workbooks without any row directives
+    this.directivePattern = /\(\(\((?:#|Delete\w+IfEmpty=)/;
+
+    this.shifter = new ExcelRowShifter();
+
+    // Reuse placeholder scoping, data lookup and delete type detection
+    this.repeatProcessor = new RepeatProcessor();
+    this.contentDeletion = this.repeatProcessor.contentDeletion;
+  }
+
+  /**
+   * Expand row directives in every workbook of a document (including embedded workbooks)
+   * @param {Array} xmlFiles - XML files from XML parser
+   * @param {Object} data - Data object
+   * @param {Object} [options] - Expansion options
+   * @param {boolean} [options.deleteEmptyRows=true] - Whether DeleteRowIfEmpty removes rows
+   * @returns {Object} Changed file contents by path and statistics
+   */
+  expand(xmlFiles, data, options = {}) {
+    const deleteEmptyRows = options.deleteEmptyRows !== false;
+    const contents = new Map(xmlFiles.map((file) => [file.path, file.content]));
+    const result = {
+      changedFiles: new Map(),
+      repeatedRows: 0,
+      removedRows: 0,
+    };
+
+    for (const workbook of this.findWorkbooks(contents)) {
+      const sharedStrings = this.getSharedStrings(contents.get(workbook.sharedStringsPath));
+      const hasDirectives = [workbook.sharedStringsPath, ...workbook.sheets.map((s) => s.path)]
+        .map((path) => contents.get(path))
+        .some((content) => content && this.directivePattern.test(content));
+      if (!hasDirectives) {
+        continue;
+      }
+
+      const touchedStrings = new Set();
+      const setContent = (path, content) => {
+        if (content !== contents.get(path)) {
+          contents.set(path, content);
+          result.changedFiles.set(path, content);
+        }
+      };
+
+      for (const sheet of workbook.sheets) {
+        // Bottom-up, so row numbers of directives still to process are not shifted
+        const directives = this.findRowDirectives(contents.get(sheet.path), sharedStrings)
+          .map((directive) => this.resolveDirective(directive, data, deleteEmptyRows))
+          .filter(Boolean)
+          .sort((a, b) => b.row - a.row);
+
+        for (const directive of directives) {
+          directive.stringIndexes.forEach((index) => touchedStrings.add(index));
+
+          const expansion = this.expandRow(
+            contents.get(sheet.path),
+            directive,
+            sharedStrings,
+            sheet.name
+          );
+          setContent(sheet.path, expansion.content);
+          result.repeatedRows += directive.kind === 'repeat' ? directive.count : 0;
+          result.removedRows += directive.count === 0 ? 1 : 0;
+
+          if (expansion.operation) {
+            this.shiftWorkbook(workbook, sheet, expansion.operation, contents, setContent);
+          }
+        }
+      }
+
+      // Template strings now live inline (or were deleted); blank them so they are not substituted
+      const sharedStringsXml = this.blankUnusedStrings(
+        contents.get(workbook.sharedStringsPath),
+        touchedStrings,
+        workbook.sheets.map((sheet) => contents.get(sheet.path))
+      );
+      if (sharedStringsXml !== null) {
+        setContent(workbook.sharedStringsPath, sharedStringsXml);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Find workbooks and their worksheets
+   * @param {Map} contents - File contents by path
+   * @returns {Array} Workbooks with part paths and sheets in workbook order
+   */
+  findWorkbooks(contents) {
+    const editor = new PackageEditor(Object.fromEntries(contents));
+    const workbooks = [];
+
+    for (const path of contents.keys()) {
+      if (!path.endsWith('xl/workbook.xml')) {
+        continue;
+      }
+
+      const prefix = path.slice(0, -'xl/workbook.xml'.length);
+      const targets = new Map(
+        editor.getRelationships(path).map((relationship) => [relationship.id, relationship])
+      );
+      const sheets = [];
+      const sheetRegex = /<sheet\b[^>]*>/g;
+      let match;
+      while ((match = sheetRegex.exec(contents.get(path))) !== null) {
+        const attributes = editor.parseAttributes(match[0]);
+        const relationship = targets.get(attributes['r:id']);
+        if (relationship && contents.has(relationship.partPath)) {
+          sheets.push({
+            name: attributes.name,
+            sheetId: attributes.sheetId,
+            path: relationship.partPath,
+          });
+        }
+      }
+
+      workbooks.push({
+        workbookPath: path,
+        sharedStringsPath: `${prefix}xl/sharedStrings.xml`,
+        calcChainPath: `${prefix}xl/calcChain.xml`,
+        sheets,
+      });
+    }
+
+    return workbooks;
+  }
+
+  /**
+   * Find rows carrying repeat or delete directives, inline or through shared strings
+   * @param {string} sheetXml - Worksheet XML
+   * @param {Array} sharedStrings - Shared string items
+   * @returns {Array} Row directives with marker paths
+   */
+  findRowDirectives(sheetXml, sharedStrings) {
+    const directives = [];
+    const rowRegex = /<row\b[^>]*?(?:\/>|>[\s\S]*?<\/row>)/g;
+    let match;
+
+    while ((match = rowRegex.exec(sheetXml)) !== null) {
+      const rowNumber = match[0].match(/^<row\b[^>]*?\sr="(\d+)"/);
+      if (!rowNumber) {
+        continue;
+      }
+
+      const stringIndexes = [];
+      let text = '';
+      for (const cell of this.getCells(match[0])) {
+        const sharedIndex = this.getSharedStringIndex(cell);
+        if (sharedIndex !== null && sharedStrings[sharedIndex]?.includes('(((')) {
+          stringIndexes.push(sharedIndex);
+        }
+        text += this.getCellText(cell, sharedStrings);
+      }
+
+      const repeat = text.match(this.rowMarkerPattern);
+      const deletes = [...text.matchAll(this.deleteMarkerPattern)].filter(
+        (marker) =>
+          this.contentDeletion.inferDeleteType({
+            directive: marker[1],
+            position: { fileType: 'excel' },
+          }) === 'row'
+      );
+      if (repeat || deletes.length > 0) {
+        directives.push({
+          row: parseInt(rowNumber[1], 10),
+          repeat: repeat ? { marker: repeat[0], path: repeat[1] } : null,
+          deletePaths: deletes.map((marker) => marker[2]),
+          stringIndexes,
+        });
+      }
+    }
+
+    return directives;
+  }
+
+  /**
+   * Decide what a row directive does with the given data
+   * @param {Object} directive - Row directive
+   * @param {Object} data - Data object
+   * @param {boolean} deleteEmptyRows - Whether delete directives remove rows
+   * @returns {Object|null} Directive with kind, count and items, or null when nothing changes
+   */
+  resolveDirective(directive, data, deleteEmptyRows) {
+    const emptyDelete = directive.deletePaths.some((path) =>
+      this.contentDeletion.isEmptyValue(this.contentDeletion.getDataValue(data, path))
+    );
+    if (deleteEmptyRows && emptyDelete) {
+      return { ...directive, kind: 'delete', count: 0 };
+    }
+    if (!directive.repeat) {
+      return null;
+    }
+
+    const items = this.contentDeletion.getDataValue(data, directive.repeat.path);
+    const empty = this.contentDeletion.isEmptyValue(items);
+    return {
+      ...directive,
+      kind: 'repeat',
+      items,
+      count: empty ? 0 : Array.isArray(items) ? items.length : 1,
+    };
+  }
+
+  /**
+   * Repeat or remove one row and shift the rows below it
+   * @param {string} sheetXml - Worksheet XML
+   * @param {Object} directive - Resolved row directive
+   * @param {Array} sharedStrings - Shared string items
+   * @param {string} sheetName - Worksheet name
+   * @returns {Object} New worksheet XML and the shift operation applied (if any)
+   */
+  expandRow(sheetXml, directive, sharedStrings, sheetName) {
+    const row = directive.row;
+    if (directive.count === 0) {
+      const operation = this.shifter.deleteRows(row, 1);
+      return { content: this.shifter.shiftSheet(sheetXml, operation, sheetName), operation };
+    }
+
+    // Single-row merges on the template row are repeated rather than stretched
+    const mergeRefs = this.findRowMerges(sheetXml, row);
+    const operation =
+      directive.count > 1 ? this.shifter.insertRowsAfter(row, directive.count - 1) : null;
+    let content = operation ? this.shifter.shiftSheet(sheetXml, operation, sheetName) : sheetXml;
+
+    const rowXml = this.findRow(content, row);
+    const template = this.removeRowMarker(
+      this.materializeSharedStrings(rowXml, sharedStrings),
+      directive.repeat.marker
+    );
+    const rows = Array.isArray(directive.items)
+      ? directive.items.map((_item, index) =>
+          this.shifter.renumberRow(
+            this.repeatProcessor.scopePlaceholders(template, directive.repeat.path, index),
+            row + index,
+            (formula) => this.shifter.offsetFormula(formula, index)
+          )
+        )
+      : [template];
+    content = content.replace(rowXml, () => rows.join(''));
+
+    if (operation) {
+      content = this.repeatMerges(content, mergeRefs, row, directive.count);
+    }
+    return { content, operation };
+  }
+
+  /**
+   * Apply a row shift of one sheet to the rest of its workbook
+   * @param {Object} workbook - Workbook description
+   * @param {Object} sheet - Sheet whose rows moved
+   * @param {Object} operation - Shift operation
+   * @param {Map} contents - File contents by path
+   * @param {Function} setContent - Content setter recording changes
+   */
+  shiftWorkbook(workbook, sheet, operation, contents, setContent) {
+    for (const other of workbook.sheets) {
+      if (other.path !== sheet.path) {
+        setContent(
+          other.path,
+          this.shifter.shiftExternalFormulas(contents.get(other.path), operation, sheet.name)
+        );
+      }
+    }
+
+    setContent(
+      workbook.workbookPath,
+      this.shifter.shiftDefinedNames(contents.get(workbook.workbookPath), operation, sheet.name)
+    );
+
+    if (contents.has(workbook.calcChainPath)) {
+      setContent(
+        workbook.calcChainPath,
+        this.shifter.shiftCalcChain(contents.get(workbook.calcChainPath), operation, sheet.sheetId)
+      );
+    }
+  }
+
+  /**
+   * Replace shared string cells that hold placeholders with inline strings
+   * @param {string} rowXml - Row XML
+   * @param {Array} sharedStrings - Shared string items
+   * @returns {string} Row XML with template text inline
+   */
+  materializeSharedStrings(rowXml, sharedStrings) {
+    return rowXml.replace(/<c\b[^>]*?(?:\/>|>[\s\S]*?<\/c>)/g, (cell) => {
+      const index = this.getSharedStringIndex(cell);
+      const item = index === null ? undefined : sharedStrings[index];
+      if (!item || !item.includes('(((')) {
+        return cell;
+      }
+      return cell
+        .replace(/\st="s"/, ' t="inlineStr"')
+        .replace(/<v>[\s\S]*?<\/v>/, () => `<is>${item}</is>`);
+    });
+  }
+
+  /**
+   * Remove the repeat marker from a row, emptying its cell if nothing else is left
+   * @param {string} rowXml - Row XML with inline template text
+   * @param {string} marker - Marker text
+   * @returns {string} Row XML without the marker
+   */
+  removeRowMarker(rowXml, marker) {
+    let removed = false;
+    return rowXml.replace(/<c\b[^>]*?(?:\/>|>[\s\S]*?<\/c>)/g, (cell) => {
+      if (removed || !cell.includes(marker)) {
+        return cell;
+      }
+      removed = true;
+
+      const updated = cell.replace(marker, '');
+      if (this.getCellText(updated, []) !== '') {
+        return updated;
+      }
+      // Keep the cell (and its style) but drop the now empty value
+      return updated.match(/^<c\b[^>]*?(?=\/?>)/)[0].replace(/\st="[^"]*"/, '') + '/>';
+    });
+  }
+
+  /**
+   * Find single-row merged ranges on a row
+   * @param {string} sheetXml - Worksheet XML
+   * @param {number} row - Row number
+   * @returns {Array} Column pairs of the merged ranges
+   */
+  findRowMerges(sheetXml, row) {
+    const merges = [];
+    const mergeRegex = /<mergeCell\b[^>]*\sref="([A-Z]+)(\d+):([A-Z]+)(\d+)"[^>]*\/>/g;
+    let match;
+    while ((match = mergeRegex.exec(sheetXml)) !== null) {
+      if (parseInt(match[2], 10) === row && parseInt(match[4], 10) === row) {
+        merges.push({ start: match[1], end: match[3] });
+      }
+    }
+    return merges;
+  }
+
+  /**
+   * Turn merges stretched by an insert back into one merge per repeated row
+   * @param {string} sheetXml - Worksheet XML after the shift
+   * @param {Array} merges - Column pairs from findRowMerges
+   * @param {number} row - Template row number
+   * @param {number} count - Number of rows the template became
+   * @returns {string} Worksheet XML with repeated merges
+   */
+  repeatMerges(sheetXml, merges, row, count) {
+    if (merges.length === 0) {
+      return sheetXml;
+    }
+
+    let content = sheetXml;
+    for (const merge of merges) {
+      const stretched = `<mergeCell ref="${merge.start}${row}:${merge.end}${row + count - 1}"/>`;
+      const repeated = Array.from(
+        { length: count },
+        (_value, index) =>
+          `<mergeCell ref="${merge.start}${row + index}:${merge.end}${row + index}"/>`
+      ).join('');
+      content = content.replace(stretched, repeated);
+    }
+    return this.shifter.updateCount(content, 'mergeCells', 'mergeCell');
+  }
+
+  /**
+   * Blank shared strings that held template text and are no longer used by any cell
+   * Items are kept (not removed) so the indexes of other strings stay valid.
+   * @param {string} sharedStringsXml - sharedStrings.xml content
+   * @param {Set} indexes - Indexes of strings that may have become unused
+   * @param {Array} sheets - Worksheet XML of the workbook
+   * @returns {string|null} Updated XML, or null if nothing changed
+   */
+  blankUnusedStrings(sharedStringsXml, indexes, sheets) {
+    if (!sharedStringsXml || indexes.size === 0) {
+      return null;
+    }
+
+    const used = new Set();
+    for (const sheetXml of sheets) {
+      for (const cell of this.getCells(sheetXml || '')) {
+        const index = this.getSharedStringIndex(cell);
+        if (index !== null) {
+          used.add(index);
+        }
+      }
+    }
+
+    let position = -1;
+    return sharedStringsXml.replace(/<si>[\s\S]*?<\/si>|<si\/>/g, (item) => {
+      position++;
+      return indexes.has(position) && !used.has(position) ? '<si><t/></si>' : item;
+    });
+  }
+
+  /**
+   * Read shared string items
+   * @param {string} [sharedStringsXml] - sharedStrings.xml content
+   * @returns {Array} Inner XML of each <si> item
+   */
+  getSharedStrings(sharedStringsXml) {
+    if (!sharedStringsXml) {
+      return [];
+    }
+    return [...sharedStringsXml.matchAll(/<si>([\s\S]*?)<\/si>|<si\/>/g)].map(
+      (match) => match[1] || ''
+    );
+  }
+
+  /**
+   * Find a row element by row number
+   * @param {string} sheetXml - Worksheet XML
+   * @param {number} row - Row number
+   * @returns {string|null} Row XML
+   */
+  findRow(sheetXml, row) {
+    const rowRegex = new RegExp(`<row\\b[^>]*?\\sr="${row}"[^>]*?(?:/>|>[\\s\\S]*?</row>)`);
+    const match = sheetXml.match(rowRegex);
+    return match ? match[0] : null;
+  }
+
+  /**
+   * List the cells of a row or sheet
+   * @param {string} xml - Row or worksheet XML
+   * @returns {Array} Cell XML strings
+   */
+  getCells(xml) {
+    return xml.match(/<c\b[^>]*?(?:\/>|>[\s\S]*?<\/c>)/g) || [];
+  }
+
+  /**
+   * Get the shared string index of a cell
+   * @param {string} cellXml - Cell XML
+   * @returns {number|null} Shared string index or null for other cells
+   */
+  getSharedStringIndex(cellXml) {
+    if (!/^<c\b[^>]*\st="s"/.test(cellXml)) {
+      return null;
+    }
+    const value = cellXml.match(/<v>(\d+)<\/v>/);
+    return value ? parseInt(value[1], 10) : null;
+  }
+
+  /**
+   * Get the text of a string cell
+   * @param {string} cellXml - Cell XML
+   * @param {Array} sharedStrings - Shared string items
+   * @returns {string} Cell text (empty for non-string cells)
+   */
+  getCellText(cellXml, sharedStrings) {
+    const index = this.getSharedStringIndex(cellXml);
+    const markup =
+      index !== null
+        ? sharedStrings[index] || ''
+        : (cellXml.match(/<is>([\s\S]*?)<\/is>/) || [])[1];
+    if (!markup) {
+      return '';
+    }
+    return [...markup.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map((match) => match[1]).join('');
+  }
+}
+
+module.exports = ExcelRowExpander;
@@ -0,0 +1,389 @@
+/**
+ * Excel Row Shifter
+ * Renumbers worksheet rows and every reference to them when rows are inserted or deleted
+ */
+
+// Cell, range or whole-row reference with an optional sheet prefix (Sheet1!$A$5, 'My Sheet'!A1:B3, 5:7)
+const REFERENCE_PATTERN =
+  /(?<![\w.$'!])(?:('(?:[^']|'')+'|[A-Za-z_][\w.]*)!)?(\$?[A-Z]{1,3}\$?\d+(?::\$?[A-Z]{1,3}\$?\d+)?|\$?\d+:\$?\d+)(?![\w(!])/g;
+
+/**
+ * ExcelRowShifter class shared by row expansion and row deletion
+ *
+ * Operations:
+ * - { kind: 'insert', row, count } inserts `count` rows after `row`; ranges that include `row` grow
+ * - { kind: 'delete', row, count } deletes `count` rows starting at `row`
+ */
+class ExcelRowShifter {
+  /**
+   * Create an operation inserting rows after a row
+   * @param {number} row - Row the new rows follow
+   * @param {number} count - Number of rows inserted
+   * @returns {Object} Shift operation
+   */
+  insertRowsAfter(row, count) {
+    return { kind: 'insert', row, count };
+  }
+
+  /**
+   * Create an operation deleting rows
+   * @param {number} row - First deleted row
+   * @param {number} count - Number of rows deleted
+   * @returns {Object} Shift operation
+   */
+  deleteRows(row, count) {
+    return { kind: 'delete', row, count };
+  }
+
+  /**
+   * Shift a row number
+   * @param {number} row - Row number
+   * @param {Object} operation - Shift operation
+   * @param {string} [edge] - 'start' or 'end' for range edges; omitted for single cells
+   * @returns {number|null} New row number, or null if the row was deleted
+   */
+  shiftRow(row, operation, edge) {
+    if (operation.kind === 'insert') {
+      // Range ends on the anchor row grow with it; everything below moves down
+      const threshold = edge === 'end' ? operation.row : operation.row + 1;
+      return row >= threshold ? row + operation.count : row;
+    }
+
+    const lastDeleted = operation.row + operation.count - 1;
+    if (row < operation.row) {
+      return row;
+    }
+    if (row > lastDeleted) {
+      return row - operation.count;
+    }
+    if (edge === 'start') {
+      return operation.row;
+    }
+    if (edge === 'end') {
+      return operation.row - 1;
+    }
+    return null;
+  }
+
+  /**
+   * Shift a cell or range reference (A5, $A$5:$C$9, 5:7)
+   * @param {string} reference - Reference without sheet prefix
+   * @param {Object} operation - Shift operation
+   * @returns {string|null} Shifted reference, or null if it no longer exists
+   */
+  shiftReference(reference, operation) {
+    const parts = reference.split(':');
+    if (parts.length === 1) {
+      const cell = this.parseCell(parts[0]);
+      const row = cell ? this.shiftRow(cell.row, operation) : null;
+      return row === null ? null : this.formatCell(cell, row);
+    }
+
+    const start = this.parseCell(parts[0]);
+    const end = this.parseCell(parts[1]);
+    if (!start || !end) {
+      return reference;
+    }
+
+    const startRow = this.shiftRow(start.row, operation, 'start');
+    const endRow = this.shiftRow(end.row, operation, 'end');
+    if (endRow < startRow) {
+      return null;
+    }
+    return `${this.formatCell(start, startRow)}:${this.formatCell(end, endRow)}`;
+  }
+
+  /**
+   * Shift a space-separated list of references (sqref attributes)
+   * @param {string} sqref - Reference list
+   * @param {Object} operation - Shift operation
+   * @returns {string|null} Shifted list, or null if no reference survived
+   */
+  shiftSqref(sqref, operation) {
+    const shifted = sqref
+      .split(/\s+/)
+      .filter(Boolean)
+      .map((reference) => this.shiftReference(reference, operation))
+      .filter((reference) => reference !== null);
+    return shifted.length > 0 ? shifted.join(' ') : null;
+  }
+
+  /**
+   * Shift the references of a formula that point at a sheet
+   * @param {string} formula - Formula text (without leading "=")
+   * @param {Object} operation - Shift operation
+   * @param {string} sheetName - Name of the sheet whose rows moved
+   * @param {boolean} isLocal - Whether the formula lives on that sheet (unqualified references count)
+   * @returns {string} Shifted formula (deleted references become #REF!)
+   */
+  shiftFormula(formula, operation, sheetName, isLocal) {
+    return this.mapFormulaReferences(formula, (reference, sheet) => {
+      const targetsSheet = sheet === null ? isLocal : sheet === sheetName;
+      if (!targetsSheet) {
+        return reference;
+      }
+      const shifted = this.shiftReference(reference, operation);
+      return shifted === null ? '#REF!' : shifted;
+    });
+  }
+
+  /**
+   * Move the relative row references of a formula copied to another row
+   * e.g. B5*C5 copied three rows down becomes B8*C8; $B$5 stays
+   * @param {string} formula - Formula text
+   * @param {number} offset - Row offset of the copy
+   * @returns {string} Adjusted formula
+   */
+  offsetFormula(formula, offset) {
+    if (offset === 0) {
+      return formula;
+    }
+    return this.mapFormulaReferences(formula, (reference) =>
+      reference
+        .split(':')
+        .map((part) =>
+          part.replace(/^(\$?[A-Z]{0,3})(\$?)(\d+)$/, (_match, column, absolute, row) =>
+            absolute ? `${column}${absolute}${row}` : `${column}${parseInt(row, 10) + offset}`
+          )
+        )
+        .join(':')
+    );
+  }
+
+  /**
+   * Apply a function to every reference in a formula, leaving string literals alone
+   * @param {string} formula - Formula text
+   * @param {Function} mapper - (reference, sheetName|null) => replacement reference
+   * @returns {string} Formula with mapped references
+   */
+  mapFormulaReferences(formula, mapper) {
+    // Split on string literals so text like "A1" inside quotes is never treated as a reference
+    return formula
+      .split(/("(?:[^"]|"")*")/)
+      .map((segment, index) => {
+        if (index % 2 === 1) {
+          return segment;
+        }
+        return segment.replace(REFERENCE_PATTERN, (match, sheet, reference) => {
+          const sheetName = sheet ? sheet.replace(/^'|'$/g, '').replace(/''/g, "'") : null;
+          const mapped = mapper(reference, sheetName);
+          if (mapped === '#REF!') {
+            return sheet ? `${sheet}!#REF!` : '#REF!';
+          }
+          return sheet ? `${sheet}!${mapped}` : mapped;
+        });
+      })
+      .join('');
+  }
+
+  /**
+   * Shift a worksheet: rows, cells, formulas, dimension, merged cells, conditional formatting,
+   * data validations, hyperlinks and auto filters. Deleted rows are removed.
+   * @param {string} sheetXml - Worksheet XML
+   * @param {Object} operation - Shift operation
+   * @param {string} sheetName - Name of this sheet (for qualified references)
+   * @returns {string} Shifted worksheet XML
+   */
+  shiftSheet(sheetXml, operation, sheetName) {
+    const shiftFormulaText = (formula) => this.shiftFormula(formula, operation, sheetName, true);
+
+    let content = sheetXml.replace(/<row\b[^>]*?(?:\/>|>[\s\S]*?<\/row>)/g, (rowXml) => {
+      const rowMatch = rowXml.match(/^<row\b[^>]*?\sr="(\d+)"/);
+      if (!rowMatch) {
+        return rowXml;
+      }
+      const newRow = this.shiftRow(parseInt(rowMatch[1], 10), operation);
+      if (newRow === null) {
+        return '';
+      }
+      return this.renumberRow(rowXml, newRow, shiftFormulaText);
+    });
+
+    content = this.replaceAttribute(content, 'dimension', 'ref', (ref) =>
+      this.shiftReference(ref, operation)
+    );
+    content = this.replaceAttribute(content, 'autoFilter', 'ref', (ref) =>
+      this.shiftReference(ref, operation)
+    );
+    content = this.replaceAttribute(content, 'mergeCell', 'ref', (ref) =>
+      this.shiftReference(ref, operation)
+    );
+    content = this.replaceAttribute(content, 'hyperlink', 'ref', (ref) =>
+      this.shiftReference(ref, operation)
+    );
+    content = this.replaceAttribute(content, 'conditionalFormatting', 'sqref', (sqref) =>
+      this.shiftSqref(sqref, operation)
+    );
+    content = this.replaceAttribute(content, 'dataValidation', 'sqref', (sqref) =>
+      this.shiftSqref(sqref, operation)
+    );
+
+    // Formulas of conditional formats and validations are relative to the sheet as well
+    content = content.replace(
+      /<(formula|formula1|formula2)>([\s\S]*?)<\/\1>/g,
+      (_match, element, formula) => `<${element}>${shiftFormulaText(formula)}</${element}>`
+    );
+
+    content = this.updateCount(content, 'mergeCells', 'mergeCell');
+    content = this.updateCount(content, 'dataValidations', 'dataValidation');
+    return content;
+  }
+
+  /**
+   * Shift formulas of a worksheet that reference another sheet
+   * @param {string} sheetXml - Worksheet XML
+   * @param {Object} operation - Shift operation
+   * @param {string} sheetName - Name of the sheet whose rows moved
+   * @returns {string} Updated worksheet XML
+   */
+  shiftExternalFormulas(sheetXml, operation, sheetName) {
+    return sheetXml.replace(
+      /(<f\b[^>]*>)([\s\S]*?)(<\/f>)/g,
+      (_match, open, formula, close) =>
+        `${open}${this.shiftFormula(formula, operation, sheetName, false)}${close}`
+    );
+  }
+
+  /**
+   * Shift the defined names of a workbook that reference a sheet
+   * @param {string} workbookXml - workbook.xml content
+   * @param {Object} operation - Shift operation
+   * @param {string} sheetName - Name of the sheet whose rows moved
+   * @returns {string} Updated workbook XML
+   */
+  shiftDefinedNames(workbookXml, operation, sheetName) {
+    return workbookXml.replace(
+      /(<definedName\b[^>]*>)([\s\S]*?)(<\/definedName>)/g,
+      (_match, open, formula, close) =>
+        `${open}${this.shiftFormula(formula, operation, sheetName, false)}${close}`
+    );
+  }
+
+  /**
+   * Shift calculation chain entries of a sheet, dropping cells in deleted rows
+   * @param {string} calcChainXml - calcChain.xml content
+   * @param {Object} operation - Shift operation
+   * @param {string} sheetId - Sheet id the entries belong to
+   * @returns {string} Updated calcChain XML
+   */
+  shiftCalcChain(calcChainXml, operation, sheetId) {
+    // The i attribute may be omitted, in which case the previous entry's sheet applies,
+    // so the entry following a removed one gets an explicit sheet id
+    let currentSheetId = null;
+    let removedPrevious = false;
+    return calcChainXml.replace(/<c\b[^>]*\/>/g, (entry) => {
+      const sheetMatch = entry.match(/\si="(\d+)"/);
+      const entrySheetId = sheetMatch ? sheetMatch[1] : currentSheetId;
+      currentSheetId = entrySheetId;
+      const cellMatch = entry.match(/\sr="([^"]+)"/);
+
+      let updated = entry;
+      if (entrySheetId === String(sheetId) && cellMatch) {
+        const shifted = this.shiftReference(cellMatch[1], operation);
+        if (shifted === null) {
+          removedPrevious = true;
+          return '';
+        }
+        updated = updated.replace(/\sr="[^"]+"/, ` r="${shifted}"`);
+      }
+
+      if (removedPrevious && !sheetMatch && entrySheetId !== null) {
+        updated = updated.replace(/^<c\b/, `<c i="${entrySheetId}"`);
+      }
+      removedPrevious = false;
+      return updated;
+    });
+  }
+
+  /**
+   * Give a row and its cells a new row number, optionally rewriting formulas
+   * @param {string} rowXml - Row XML
+   * @param {number} newRow - New row number
+   * @param {Function} [formulaTransform] - Transform applied to cell formulas
+   * @returns {string} Renumbered row XML
+   */
+  renumberRow(rowXml, newRow, formulaTransform) {
+    let content = rowXml.replace(/^(<row\b[^>]*?\sr=")\d+(")/, `$1${newRow}$2`);
+    content = content.replace(
+      /(<c\b[^>]*?\sr=")(\$?[A-Z]{1,3})\$?\d+(")/g,
+      (_match, before, column, after) => `${before}${column}${newRow}${after}`
+    );
+
+    if (formulaTransform) {
+      content = content.replace(
+        /(<f\b[^>]*>)([\s\S]*?)(<\/f>)/g,
+        (_match, open, formula, close) => `${open}${formulaTransform(formula)}${close}`
+      );
+      content = content.replace(/(<f\b[^>]*?\sref=")([^"]+)(")/g, (match, before, ref, after) => {
+        const shifted = formulaTransform(ref);
+        return shifted.includes('#REF!') ? match : `${before}${shifted}${after}`;
+      });
+    }
+    return content;
+  }
+
+  /**
+   * Rewrite an attribute on every occurrence of an element, removing elements that lose their range
+   * @param {string} xml - XML content
+   * @param {string} element - Element name
+   * @param {string} attribute - Attribute name
+   * @param {Function} transform - Attribute transform returning null to remove the element
+   * @returns {string} Updated XML
+   */
+  replaceAttribute(xml, element, attribute, transform) {
+    const elementRegex = new RegExp(
+      `<${element}\\b[^>]*?\\s${attribute}="([^"]*)"[^>]*?(?:/>|>[\\s\\S]*?</${element}>)`,
+      'g'
+    );
+    return xml.replace(elementRegex, (match, value) => {
+      const shifted = transform(value);
+      if (shifted === null) {
+        return '';
+      }
+      return match.replace(`${attribute}="${value}"`, `${attribute}="${shifted}"`);
+    });
+  }
+
+  /**
+   * Update the count attribute of a container after children were added or removed
+   * @param {string} xml - XML content
+   * @param {string} container - Container element name
+   * @param {string} child - Child element name
+   * @returns {string} Updated XML (empty containers are removed)
+   */
+  updateCount(xml, container, child) {
+    const containerRegex = new RegExp(`<${container}\\b([^>]*)>([\\s\\S]*?)</${container}>`, 'g');
+    return xml.replace(containerRegex, (match, attributes, inner) => {
+      const count = (inner.match(new RegExp(`<${child}\\b`, 'g')) || []).length;
+      if (count === 0) {
+        return '';
+      }
+      return match.replace(/\scount="\d+"/, ` count="${count}"`);
+    });
+  }
+
+  /**
+   * Parse a cell reference
+   * @param {string} reference - Cell reference (e.g. $B$12, or a row number for whole rows)
+   * @returns {Object|null} Parsed cell with column, row and absolute markers
+   */
+  parseCell(reference) {
+    const match = reference.match(/^(\$?[A-Z]{0,3})(\$?)(\d+)$/);
+    if (!match) {
+      return null;
+    }
+    return { column: match[1], absolute: match[2], row: parseInt(match[3], 10) };
+  }
+
+  /**
+   * Format a parsed cell with a new row number
+   * @param {Object} cell - Parsed cell
+   * @param {number} row - Row number
+   * @returns {string} Cell reference
+   */
+  formatCell(cell, row) {
+    return `${cell.column}${cell.absolute}${row}`;
+  }
+}
+
+module.exports = ExcelRowShifter;
@@ -0,0 +1,258 @@
+/**
+ * Formatter Registry
+ * Named value formatters applied through placeholder pipes, e.g. (((invoice.total | currency:EUR)))
+ */
+
+const { richText } = require('../utils/rich-text');
+
+/**
+ * FormatterRegistry class holding built-in and custom formatters
+ *
+ * A formatter is called as formatter(value, args, context) where args are the pipe arguments
+ * as strings and context holds the locale and time zone of the current substitution.
+ */
+class FormatterRegistry {
+  constructor() {
+    this.formatters = new Map();
+
+    // Defaults used when substitution options do not set them
+    this.defaults = {
+      locale: 'en-US',
+      timeZone: 'UTC',
+      currency: 'USD',
+    };
+
+    this.registerBuiltIns();
+  }
+
+  /**
+   * Register a formatter (replaces an existing one with the same name)
+   * @param {string} name - Formatter name used in templates
+   * @param {Function} formatter - (value, args, context) => formatted value
+   * @returns {FormatterRegistry} This registry, for chaining
+   */
+  register(name, formatter) {
+    if (typeof name !== 'string' || !/^[A-Za-z_][\w-]*$/.test(name)) {
+      throw new Error(`Invalid formatter name: ${name}`);
+    }
+    if (typeof formatter !== 'function') {
+      throw new Error(`Formatter ${name} must be a function`);
+    }
+    this.formatters.set(name, formatter);
+    return this;
+  }
+
+  /**
+   * Check whether a formatter exists
+   * @param {string} name - Formatter name
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return this.formatters.has(name);
+  }
+
+  /**
+   * List registered formatter names
+   * @returns {Array} Formatter names
+   */
+  list() {
+    return Array.from(this.formatters.keys());
+  }
+
+  /**
+   * Apply a chain of formatters to a value
+   * @param {*} value - Data value
+   * @param {Array} pipes - Formatters as { name, args }
+   * @param {Object} [options] - Locale and time zone
+   * @returns {*} Formatted value
+   */
+  apply(value, pipes, options = {}) {
+    const context = {
+      locale: options.locale || this.defaults.locale,
+      timeZone: options.timeZone || this.defaults.timeZone,
+    };
+
+    return pipes.reduce((current, pipe) => {
+      const formatter = this.formatters.get(pipe.name);
+      if (!formatter) {
+        throw new Error(`Unknown formatter: ${pipe.name}`);
+      }
+      return formatter(current, pipe.args, context);
+    }, value);
+  }
+
+  /**
+   * Register the built-in formatters
+   */
+  registerBuiltIns() {
+    // Formatters other than `default` pass missing values through so they are still reported
+    const skipMissing = (formatter) => (value, args, context) =>
+      value === null || value === undefined ? value : formatter(value, args, context);
+
+    this.register(
+      'number',
+      skipMissing((value, [decimals], context) =>
+        this.formatNumber(value, context, this.fractionDigits(decimals))
+      )
+    );
+    this.register(
+      'currency',
+      skipMissing((value, [currency, decimals], context) =>
+        this.formatNumber(value, context, {
+          style: 'currency',
+          currency: (currency || this.defaults.currency).toUpperCase(),
+          ...this.fractionDigits(decimals),
+        })
+      )
+    );
+    this.register(
+      'percent',
+      skipMissing((value, [decimals], context) =>
+        this.formatNumber(value, context, { style: 'percent', ...this.fractionDigits(decimals) })
+      )
+    );
+    this.register(
+      'date',
+      skipMissing((value, [pattern], context) => this.formatDate(value, pattern, context))
+    );
+    this.register(
+      'upper',
+      skipMissing((value, _args, context) => String(value).toLocaleUpperCase(context.locale))
+    );
+    this.register(
+      'lower',
+      skipMissing((value, _args, context) => String(value).toLocaleLowerCase(context.locale))
+    );
+    this.register(
+      'title',
+      skipMissing((value, _args, context) =>
+        String(value)
+          .toLocaleLowerCase(context.locale)
+          .replace(
+            /(^|[\s\-/])(\p{L})/gu,
+            (_match, separator, letter) => `${separator}${letter.toLocaleUpperCase(context.locale)}`
+          )
+      )
+    );
+    this.register(
+      'truncate',
+      skipMissing((value, [length, suffix = '…']) => {
+        const text = String(value);
+        const limit = parseInt(length, 10);
+        if (!Number.isFinite(limit) || text.length <= limit) {
+          return text;
+        }
+        return text.slice(0, Math.max(0, limit - suffix.length)).trimEnd() + suffix;
+      })
+    );
+    this.register('default', (value, [fallback = '']) =>
+      value === null || value === undefined || value === '' ? fallback : value
+    );
+    this.register(
+      'join',
+      skipMissing((value, [separator = ', ']) =>
+        Array.isArray(value) ? value.filter((item) => item !== null).join(separator) : value
+      )
+    );
+    this.register(
+      'markdown',
+      skipMissing((value) => richText(value))
+    );
+  }
+
+  /**
+   * Format a number with Intl.NumberFormat, leaving non-numeric values unchanged
+   * @param {*} value - Number or numeric string
+   * @param {Object} context - Formatting context
+   * @param {Object} options - Intl.NumberFormat options
+   * @returns {*} Formatted number
+   */
+  formatNumber(value, context, options) {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    if (!Number.isFinite(number)) {
+      return value;
+    }
+    return new Intl.NumberFormat(context.locale, options).format(number);
+  }
+
+  /**
+   * Build fraction digit options from a pipe argument
+   * @param {string} [decimals] - Number of decimals
+   * @returns {Object} Intl.NumberFormat fraction digit options
+   */
+  fractionDigits(decimals) {
+    const digits = parseInt(decimals, 10);
+    if (!Number.isFinite(digits)) {
+      return {};
+    }
+    return { minimumFractionDigits: digits, maximumFractionDigits: digits };
+  }
+
+  /**
+   * Format a date with a pattern such as "d MMM yyyy" or "yyyy-MM-dd HH:mm"
+   * Tokens: yyyy yy MMMM MMM MM M dd d EEEE EEE HH H hh h mm ss a; text in '' is literal.
+   * Without a pattern the locale's medium date style is used.
+   * @param {*} value - Date, timestamp or date string
+   * @param {string} [pattern] - Date pattern
+   * @param {Object} context - Formatting context
+   * @returns {*} Formatted date (or the value unchanged if it is not a date)
+   */
+  formatDate(value, pattern, context) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return value;
+    }
+
+    const { locale, timeZone } = context;
+    if (!pattern) {
+      return new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeZone }).format(date);
+    }
+
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    })
+      .formatToParts(date)
+      .forEach((part) => {
+        parts[part.type] = part.value;
+      });
+    const name = (options) =>
+      new Intl.DateTimeFormat(locale, { timeZone, ...options }).format(date);
+    const pad = (number) => String(number).padStart(2, '0');
+    const hour = parseInt(parts.hour, 10);
+
+    const tokens = {
+      yyyy: () => parts.year,
+      yy: () => parts.year.slice(-2),
+      MMMM: () => name({ month: 'long' }),
+      MMM: () => name({ month: 'short' }),
+      MM: () => pad(parts.month),
+      M: () => String(parseInt(parts.month, 10)),
+      dd: () => pad(parts.day),
+      d: () => String(parseInt(parts.day, 10)),
+      EEEE: () => name({ weekday: 'long' }),
+      EEE: () => name({ weekday: 'short' }),
+      HH: () => pad(hour),
+      H: () => String(hour),
+      hh: () => pad(hour % 12 || 12),
+      h: () => String(hour % 12 || 12),
+      mm: () => pad(parts.minute),
+      ss: () => pad(parts.second),
+      a: () => (hour < 12 ? 'AM' : 'PM'),
+    };
+
+    return pattern.replace(
+      /'([^']*)'|yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|HH|H|hh|h|mm|ss|a/g,
+      (token, literal) => (literal !== undefined ? literal : tokens[token]())
+    );
+  }
+}
+
+module.exports = FormatterRegistry;
@@ -0,0 +1,624 @@
+/**
+ * HTML Converter
+ * Converts HTML fragments into WordprocessingML paragraphs, lists, tables and pictures
+ */
+
+const RichTextRenderer = require('./rich-text-renderer');
+const { parseHtml, parseStyle } = require('../utils/html-parser');
+const { escapeXmlAttribute } = require('../utils/xml-escape');
+
+/**
+ * HtmlConverter class writing Word body content for an HTML fragment
+ *
+ * Inline formatting becomes rich text runs, so runs, links and lists are written the same way
+ * as rich text values.
+ */
+class HtmlConverter {
+  constructor() {
+    // Run formatting of inline elements
+    this.inlineFormats = {
+      b: { bold: true },
+      strong: { bold: true },
+      i: { italic: true },
+      em: { italic: true },
+      cite: { italic: true },
+      var: { italic: true },
+      u: { underline: true },
+      ins: { underline: true },
+      s: { strike: true },
+      strike: { strike: true },
+      del: { strike: true },
+      code: { code: true },
+      kbd: { code: true },
+      samp: { code: true },
+      tt: { code: true },
+    };
+
+    // Elements whose content is not shown
+    this.hiddenElements = new Set([
+      'audio',
+      'button',
+      'canvas',
+      'embed',
+      'head',
+      'iframe',
+      'input',
+      'noscript',
+      'object',
+      'script',
+      'select',
+      'style',
+      'svg',
+      'template',
+      'textarea',
+      'title',
+      'video',
+    ]);
+
+    // Block elements written as plain paragraphs
+    this.paragraphElements = new Set([
+      'address',
+      'article',
+      'aside',
+      'center',
+      'dd',
+      'details',
+      'div',
+      'dl',
+      'dt',
+      'fieldset',
+      'figcaption',
+      'figure',
+      'footer',
+      'form',
+      'header',
+      'main',
+      'nav',
+      'p',
+      'section',
+      'summary',
+    ]);
+
+    // Order of the paragraph property elements in w:pPr
+    this.paragraphPropertyOrder = [
+      'w:pStyle',
+      'w:keepNext',
+      'w:keepLines',
+      'w:pageBreakBefore',
+      'w:framePr',
+      'w:widowControl',
+      'w:numPr',
+      'w:suppressLineNumbers',
+      'w:pBdr',
+      'w:shd',
+      'w:tabs',
+      'w:suppressAutoHyphens',
+      'w:kinsoku',
+      'w:wordWrap',
+      'w:overflowPunct',
+      'w:topLinePunct',
+      'w:autoSpaceDE',
+      'w:autoSpaceDN',
+      'w:bidi',
+      'w:adjustRightInd',
+      'w:snapToGrid',
+      'w:spacing',
+      'w:ind',
+      'w:contextualSpacing',
+      'w:mirrorIndents',
+      'w:suppressOverlap',
+      'w:jc',
+      'w:textDirection',
+      'w:textAlignment',
+      'w:textboxTightWrap',
+      'w:outlineLvl',
+      'w:divId',
+      'w:cnfStyle',
+      'w:rPr',
+      'w:sectPr',
+      'w:pPrChange',
+    ];
+
+    // Left indent per blockquote level, in twentieths of a point (0.5 inch)
+    this.quoteIndent = 720;
+
+    // Picture size: 96 pixels per inch, at most 6 inches wide
+    this.emuPerPixel = 9525;
+    this.maxImageWidth = 5486400;
+
+    // Writes runs, links and list numbering
+    this.richTextRenderer = new RichTextRenderer();
+  }
+
+  /**
+   * Convert HTML to Word body content
+   * @param {string} html - HTML fragment or document
+   * @param {Object} context - Conversion context
+   * @param {string} context.paragraphProperties - w:pPr copied to plain paragraphs
+   * @param {string} context.runProperties - w:rPr that runs start from
+   * @param {Object} context.headingStyles - Paragraph style id per heading level (1-6)
+   * @param {Object|null} context.numbering - List numbering definitions (see RichTextRenderer)
+   * @param {Array<string>} context.links - Link URLs; links get a pending relationship id
+   * @param {Function} context.addImage - (src) => { id, width, height } or null if unusable
+   * @param {Function} context.nextDrawingId - () => unique id for a drawing object
+   * @returns {string} Paragraph and table markup
+   */
+  convert(html, context) {
+    const output = this.createOutput(context, []);
+    this.convertNodes(parseHtml(html), { format: {}, block: {}, list: null }, output);
+    this.flushParagraph(output);
+    return output.blocks.join('');
+  }
+
+  /**
+   * Create the output state of a conversion (the document or a table cell)
+   * @param {Object} context - Conversion context
+   * @param {Array} numbering - Numbering instance of the numbered list open on each level
+   * @returns {Object} Output state
+   */
+  createOutput(context, numbering) {
+    return { context, numbering, blocks: [], inline: [], block: {} };
+  }
+
+  /**
+   * Convert a list of nodes
+   * @param {Array} nodes - HTML nodes
+   * @param {Object} scope - Inherited run format, paragraph settings and open list
+   * @param {Object} output - Output state
+   */
+  convertNodes(nodes, scope, output) {
+    for (const node of nodes) {
+      this.convertNode(node, scope, output);
+    }
+  }
+
+  /**
+   * Convert one node
+   * @param {Object} node - HTML node
+   * @param {Object} scope - Inherited run format, paragraph settings and open list
+   * @param {Object} output - Output state
+   */
+  convertNode(node, scope, output) {
+    if (node.type === 'text') {
+      const text = scope.block.pre
+        ? node.text.replace(/\r\n?/g, '\n')
+        : node.text.replace(/[ \t\n\r\f]+/g, ' ');
+      this.addInline({ ...scope.format, text }, scope, output);
+      return;
+    }
+
+    const name = node.name;
+    if (this.hiddenElements.has(name)) {
+      return;
+    }
+
+    if (name === 'br') {
+      this.addInline({ ...scope.format, text: '\n' }, scope, output);
+    } else if (name === 'img') {
+      this.addImage(node, scope, output);
+    } else if (/^h[1-6]$/.test(name)) {
+      this.convertBlock(node, { ...scope, block: { heading: Number(name[1]) } }, output);
+    } else if (name === 'ul' || name === 'ol') {
+      const list = {
+        type: name === 'ol' ? 'number' : 'bullet',
+        level: scope.list ? Math.min(scope.list.level + 1, 8) : 0,
+        count: 0,
+      };
+      this.convertBlock(node, { ...scope, list }, output);
+    } else if (name === 'li') {
+      const list = scope.list || { type: 'bullet', level: 0, count: 0 };
+      list.count++;
+      const item = {
+        list: list.type,
+        level: list.level,
+        marker: list.type === 'number' ? `${list.count}.` : '•',
+        numbered: false,
+      };
+      this.convertBlock(node, { ...scope, block: { ...scope.block, item } }, output);
+    } else if (name === 'blockquote') {
+      const block = { ...scope.block, indent: (scope.block.indent || 0) + 1 };
+      this.convertBlock(node, { ...scope, block }, output);
+    } else if (name === 'pre') {
+      const format = { ...scope.format, code: true };
+      this.convertBlock(node, { ...scope, format, block: { ...scope.block, pre: true } }, output);
+    } else if (name === 'hr') {
+      this.flushParagraph(output);
+      output.blocks.push(`<w:p>${this.paragraphProperties(output, { rule: true })}</w:p>`);
+    } else if (name === 'table') {
+      this.flushParagraph(output);
+      const table = this.tableXml(node, scope, output);
+      output.blocks.push(table);
+    } else if (this.paragraphElements.has(name)) {
+      this.convertBlock(node, scope, output);
+    } else {
+      this.convertNodes(
+        node.children,
+        { ...scope, format: this.getFormat(node, scope.format) },
+        output
+      );
+    }
+  }
+
+  /**
+   * Convert a block element into its own paragraphs
+   * @param {Object} node - HTML element
+   * @param {Object} scope - Scope for the element's content
+   * @param {Object} output - Output state
+   */
+  convertBlock(node, scope, output) {
+    this.flushParagraph(output);
+    this.convertNodes(node.children, scope, output);
+    this.flushParagraph(output);
+  }
+
+  /**
+   * Add a text run or picture to the paragraph being collected
+   * @param {Object} item - Rich text run, or { drawing } for pictures
+   * @param {Object} scope - Scope of the content
+   * @param {Object} output - Output state
+   */
+  addInline(item, scope, output) {
+    if (output.inline.length === 0) {
+      output.block = scope.block;
+    }
+    output.inline.push(item);
+  }
+
+  /**
+   * Layer the formatting of an inline element over the inherited format
+   * @param {Object} node - HTML element
+   * @param {Object} format - Inherited run format
+   * @returns {Object} Run format
+   */
+  getFormat(node, format) {
+    const result = { ...format, ...this.inlineFormats[node.name] };
+    if (node.name === 'a' && node.attributes.href && !node.attributes.href.startsWith('#')) {
+      result.link = node.attributes.href.trim();
+    }
+
+    const style = parseStyle(node.attributes.style);
+    if (/^(?:bold|bolder|[6-9]00)$/.test(style['font-weight'])) {
+      result.bold = true;
+    }
+    if (/^(?:italic|oblique)/.test(style['font-style'])) {
+      result.italic = true;
+    }
+    if (/underline/.test(style['text-decoration'])) {
+      result.underline = true;
+    }
+    if (/line-through/.test(style['text-decoration'])) {
+      result.strike = true;
+    }
+    const color = this.parseColor(style.color || (node.name === 'font' && node.attributes.color));
+    if (color) {
+      result.color = color;
+    }
+    return result;
+  }
+
+  /**
+   * Read a CSS color as RGB hex
+   * @param {string} value - #rgb, #rrggbb or rgb(r, g, b)
+   * @returns {string|null} RRGGBB or null for other values
+   */
+  parseColor(value) {
+    const text = String(value || '').trim();
+    const hex = text.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (hex) {
+      const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+      return digits.toUpperCase();
+    }
+    const rgb = text.match(/^rgba?\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*[,)]/i);
+    if (rgb) {
+      return rgb
+        .slice(1, 4)
+        .map((channel) => Math.min(Number(channel), 255).toString(16).padStart(2, '0'))
+        .join('')
+        .toUpperCase();
+    }
+    return null;
+  }
+
+  /**
+   * Write the collected inline content as a paragraph
+   * Whitespace is collapsed like a browser does; paragraphs without content are dropped.
+   * @param {Object} output - Output state
+   */
+  flushParagraph(output) {
+    const block = output.block;
+    let items = this.trimInline(output.inline, block.pre);
+    output.inline = [];
+    output.block = {};
+    if (items.length === 0) {
+      return;
+    }
+
+    const styleId = block.heading ? output.context.headingStyles[block.heading] : null;
+    if (block.heading && !styleId) {
+      // Without a heading style the heading is at least bold
+      items = items.map((item) => (item.drawing ? item : { ...item, bold: true }));
+    }
+
+    let properties = this.paragraphProperties(output, block);
+    if (block.item && !block.item.numbered) {
+      // Only the first paragraph of a list item gets its bullet or number
+      block.item.numbered = true;
+      const numId = this.richTextRenderer.getListNumId(
+        block.item,
+        block.item.marker,
+        output.numbering,
+        output.context
+      );
+      if (numId !== null) {
+        properties = this.richTextRenderer.wordListProperties(properties, block.item.level, numId);
+      } else {
+        items = [{ text: `${'\t'.repeat(block.item.level)}${block.item.marker}\t` }, ...items];
+      }
+    }
+
+    const runProperties = styleId ? '' : output.context.runProperties;
+    output.blocks.push(`<w:p>${properties}${this.runsXml(items, runProperties, output)}</w:p>`);
+  }
+
+  /**
+   * Build the paragraph properties for a block
+   * @param {Object} output - Output state
+   * @param {Object} block - Paragraph settings (heading, indent, rule)
+   * @returns {string} Paragraph properties markup
+   */
+  paragraphProperties(output, block) {
+    const styleId = block.heading ? output.context.headingStyles[block.heading] : null;
+    let properties = styleId
+      ? `<w:pPr><w:pStyle w:val="${escapeXmlAttribute(styleId)}"/></w:pPr>`
+      : output.context.paragraphProperties;
+    if (block.indent && !block.item) {
+      properties = this.setParagraphProperty(
+        properties,
+        `<w:ind w:left="${block.indent * this.quoteIndent}"/>`
+      );
+    }
+    if (block.rule) {
+      properties = this.setParagraphProperty(
+        properties,
+        '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="auto"/></w:pBdr>'
+      );
+    }
+    return properties;
+  }
+
+  /**
+   * Add or replace one element of w:pPr, keeping the schema order
+   * @param {string} properties - Paragraph properties markup (may be empty)
+   * @param {string} xml - Property element
+   * @returns {string} Paragraph properties markup
+   */
+  setParagraphProperty(properties, xml) {
+    const renderer = this.richTextRenderer;
+    const name = renderer.elementName(xml);
+    const rank = (child) => {
+      const index = this.paragraphPropertyOrder.indexOf(renderer.elementName(child));
+      return index === -1 ? this.paragraphPropertyOrder.length : index;
+    };
+    const children = renderer
+      .getChildElements(properties)
+      .filter((child) => renderer.elementName(child) !== name)
+      .concat(xml)
+      .sort((a, b) => rank(a) - rank(b));
+
+    const open = properties ? properties.match(/^<w:pPr\b[^>]*?(?=\/?>)/)[0] : '<w:pPr';
+    return `${open}>${children.join('')}</w:pPr>`;
+  }
+
+  /**
+   * Collapse whitespace at the start and end of a paragraph and around line breaks
+   * @param {Array} items - Runs and pictures
+   * @param {boolean} pre - Whether whitespace is preformatted
+   * @returns {Array} Items without empty runs
+   */
+  trimInline(items, pre) {
+    let result = items.map((item) => ({ ...item }));
+    const texts = result.filter((item) => !item.drawing);
+    if (pre) {
+      // A newline right after <pre> and before </pre> is not shown
+      if (texts.length > 0) {
+        texts[0].text = texts[0].text.replace(/^\n/, '');
+        texts[texts.length - 1].text = texts[texts.length - 1].text.replace(/\n$/, '');
+      }
+    } else {
+      let afterSpace = true;
+      for (const item of result) {
+        if (item.drawing) {
+          afterSpace = false;
+          continue;
+        }
+        item.text = item.text.replace(/ *\n */g, '\n');
+        if (afterSpace) {
+          item.text = item.text.replace(/^ +/, '');
+        }
+        if (item.text) {
+          afterSpace = /[ \n]$/.test(item.text);
+        }
+      }
+      for (let i = result.length - 1; i >= 0 && !result[i].drawing; i--) {
+        result[i].text = result[i].text.replace(/[ \n]+$/, '');
+        if (result[i].text) {
+          break;
+        }
+      }
+    }
+
+    result = result.filter((item) => item.drawing || item.text !== '');
+    return result;
+  }
+
+  /**
+   * Write runs and pictures
+   * @param {Array} items - Runs and pictures
+   * @param {string} runProperties - Run properties the runs start from
+   * @param {Object} output - Output state
+   * @returns {string} Runs markup
+   */
+  runsXml(items, runProperties, output) {
+    const state = {
+      fileType: 'word',
+      context: output.context,
+      baseRunProperties: runProperties,
+      allowLinks: true,
+    };
+
+    let markup = '';
+    let runs = [];
+    for (const item of [...items, null]) {
+      if (item && !item.drawing) {
+        runs.push(item);
+        continue;
+      }
+      markup += this.richTextRenderer.runsXml(runs, state);
+      runs = [];
+      if (item) {
+        markup += `<w:r>${runProperties}${item.drawing}</w:r>`;
+      }
+    }
+    return markup;
+  }
+
+  /**
+   * Add a picture for an img element, or its alt text if the image cannot be used
+   * Only embedded images (data URIs) are used; nothing is downloaded.
+   * @param {Object} node - img element
+   * @param {Object} scope - Scope of the element
+   * @param {Object} output - Output state
+   */
+  addImage(node, scope, output) {
+    const alt = node.attributes.alt || '';
+    const image = node.attributes.src ? output.context.addImage(node.attributes.src) : null;
+    if (!image) {
+      if (alt) {
+        this.addInline({ ...scope.format, text: alt }, scope, output);
+      }
+      return;
+    }
+
+    const style = parseStyle(node.attributes.style);
+    const size = (value) => parseFloat(value) || null;
+    let width = size(style.width || node.attributes.width);
+    let height = size(style.height || node.attributes.height);
+    if (width && !height && image.width && image.height) {
+      height = (width * image.height) / image.width;
+    } else if (height && !width && image.width && image.height) {
+      width = (height * image.width) / image.height;
+    }
+    width = width || image.width || 96;
+    height = height || image.height || 96;
+
+    const scale = Math.min(1, this.maxImageWidth / (width * this.emuPerPixel));
+    const cx = Math.round(width * this.emuPerPixel * scale);
+    const cy = Math.round(height * this.emuPerPixel * scale);
+    this.addInline({ drawing: this.drawingXml(image.id, cx, cy, alt, output) }, scope, output);
+  }
+
+  /**
+   * Build an inline picture
+   * The wp, a, pic and r prefixes are declared on the part's root element (see HtmlProcessor).
+   * @param {string} id - Image relationship id
+   * @param {number} cx - Width in EMU
+   * @param {number} cy - Height in EMU
+   * @param {string} alt - Alternative text
+   * @param {Object} output - Output state
+   * @returns {string} w:drawing markup
+   */
+  drawingXml(id, cx, cy, alt, output) {
+    const drawingId = output.context.nextDrawingId();
+    const pic = 'http://schemas.openxmlformats.org/drawingml/2006/picture';
+    return (
+      '<w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0">' +
+      `<wp:extent cx="${cx}" cy="${cy}"/>` +
+      `<wp:docPr id="${drawingId}" name="Picture ${drawingId}" descr="${escapeXmlAttribute(alt)}"/>` +
+      '<wp:cNvGraphicFramePr><a:graphicFrameLocks noChangeAspect="1"/></wp:cNvGraphicFramePr>' +
+      `<a:graphic><a:graphicData uri="${pic}"><pic:pic>` +
+      `<pic:nvPicPr><pic:cNvPr id="0" name="Picture ${drawingId}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+      `<pic:blipFill><a:blip r:embed="${id}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+      `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm>` +
+      '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>' +
+      '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing>'
+    );
+  }
+
+  /**
+   * Build a table with single borders; header rows repeat on each page
+   * @param {Object} table - table element
+   * @param {Object} scope - Scope of the element
+   * @param {Object} output - Output state
+   * @returns {string} w:tbl markup (empty for tables without rows)
+   */
+  tableXml(table, scope, output) {
+    const rows = [];
+    const collect = (element, header) => {
+      for (const child of element.children) {
+        if (child.name === 'tr') {
+          rows.push({ cells: child.children.filter((cell) => /^t[dh]$/.test(cell.name)), header });
+        } else if (['thead', 'tbody', 'tfoot'].includes(child.name)) {
+          collect(child, child.name === 'thead');
+        } else if (child.name === 'caption') {
+          // The caption is written as a paragraph above the table
+          this.convertBlock(child, scope, output);
+        }
+      }
+    };
+    collect(table, false);
+    if (rows.length === 0) {
+      return '';
+    }
+
+    const span = (cell) => Math.max(parseInt(cell.attributes.colspan, 10) || 1, 1);
+    const columns = Math.max(
+      1,
+      ...rows.map((row) => row.cells.reduce((sum, cell) => sum + span(cell), 0))
+    );
+    const borders = ['top', 'left', 'bottom', 'right', 'insideH', 'insideV']
+      .map((side) => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="auto"/>`)
+      .join('');
+
+    const rowsXml = rows
+      .filter((row) => row.cells.length > 0)
+      .map((row) => {
+        const header = row.header ? '<w:trPr><w:tblHeader/></w:trPr>' : '';
+        const cells = row.cells.map((cell) => {
+          const gridSpan = span(cell) > 1 ? `<w:gridSpan w:val="${span(cell)}"/>` : '';
+          return (
+            `<w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/>${gridSpan}</w:tcPr>` +
+            `${this.cellContent(cell, scope, output)}</w:tc>`
+          );
+        });
+        return `<w:tr>${header}${cells.join('')}</w:tr>`;
+      });
+
+    return (
+      `<w:tbl><w:tblPr><w:tblW w:w="0" w:type="auto"/><w:tblBorders>${borders}</w:tblBorders></w:tblPr>` +
+      `<w:tblGrid>${'<w:gridCol/>'.repeat(columns)}</w:tblGrid>${rowsXml.join('')}</w:tbl>`
+    );
+  }
+
+  /**
+   * Convert the content of a table cell; header cells are bold
+   * Cells start from plain paragraphs and always end with one, as Word requires.
+   * @param {Object} cell - td or th element
+   * @param {Object} scope - Scope of the table
+   * @param {Object} output - Output state of the table
+   * @returns {string} Cell content markup
+   */
+  cellContent(cell, scope, output) {
+    const cellOutput = this.createOutput(
+      { ...output.context, paragraphProperties: '' },
+      output.numbering
+    );
+    const format = cell.name === 'th' ? { ...scope.format, bold: true } : scope.format;
+    this.convertNodes(cell.children, { format, block: {}, list: null }, cellOutput);
+    this.flushParagraph(cellOutput);
+
+    const content = cellOutput.blocks.join('');
+    return content.endsWith('</w:p>') ? content : `${content}<w:p/>`;
+  }
+}
+
+module.exports = HtmlConverter;
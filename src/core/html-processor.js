@@ -0,0 +1,375 @@
+/**
+ * HTML Processor
+ * Replaces the paragraph holding an (((html:path))) placeholder with the HTML from the data
+ */
+
+const ContentDeletion = require('./content-deletion');
+const HtmlConverter = require('./html-converter');
+const HyperlinkProcessor = require('./hyperlink-processor');
+const ImageReplacer = require('./image-replacer');
+const PackageEditor = require('./package-editor');
+const { htmlToText } = require('../utils/html-parser');
+const { encodeXmlValue } = require('../utils/xml-escape');
+
+/**
+ * HtmlProcessor class converting HTML values to Word content, or embedding them as altChunk parts
+ */
+class HtmlProcessor {
+  constructor() {
+    // HTML placeholder in a text run: (((html:article.body)))
+    this.markerPattern = /\(\(\(html:([^)\s]+)\)\)\)/g;
+
+    // Ends of elements that must end with a paragraph (body, table cells, headers, text boxes,
+    // notes); the body's section properties follow its last paragraph
+    this.paragraphContainerEnd =
+      /^(?:<\/w:(?:body|tc|hdr|ftr|txbxContent|footnote|endnote|comment)>|<w:sectPr\b)/;
+
+    // Namespaces used by converted pictures and links, declared on the part's root element
+    this.namespaces = {
+      r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+      wp: 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing',
+      a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+      pic: 'http://schemas.openxmlformats.org/drawingml/2006/picture',
+    };
+
+    this.contentDeletion = new ContentDeletion();
+    this.htmlConverter = new HtmlConverter();
+    this.hyperlinkProcessor = new HyperlinkProcessor();
+    this.imageReplacer = new ImageReplacer();
+  }
+
+  /**
+   * Insert the HTML values of all HTML placeholders in the modified parts of a package
+   * @param {Object} files - Package files map (edited in place)
+   * @param {Map} modifiedFiles - Substituted XML files by path (content updated in place)
+   * @param {Object} data - Data object
+   * @param {Object} [options] - HTML options
+   * @param {string} [options.mode='convert'] - 'convert' writes Word content; 'altChunk' embeds
+   *   the HTML as a part that Word converts when the document is opened
+   * @param {Array<string>} [options.allowedLinkSchemes] - Allowed URL schemes of links
+   * @param {boolean} [options.strictMode=false] - Throw on missing HTML or unsafe links
+   * @param {boolean} [options.preserveUnmatched=true] - Keep placeholders whose HTML is missing
+   * @param {boolean} [options.logMissingData=true] - Warn about missing HTML or unsafe links
+   * @returns {Object} HTML and link statistics
+   */
+  insertHtml(files, modifiedFiles, data, options = {}) {
+    const settings = {
+      mode: 'convert',
+      strictMode: false,
+      preserveUnmatched: true,
+      logMissingData: true,
+      ...options,
+    };
+    const editor = new PackageEditor(files);
+    const state = {
+      settings: { ...settings, richTextLinks: [] },
+      mediaParts: new Map(),
+      headingStyles: null,
+      numbering: undefined,
+      insertedHtml: 0,
+      failedHtml: 0,
+      createdLinks: 0,
+      failedLinks: 0,
+      usesHyperlinkStyle: false,
+    };
+
+    // Parts outside the package (embedded documents) keep their placeholders
+    const partPaths = [...modifiedFiles.keys()].filter((path) => editor.hasPart(path));
+
+    // Relationship parts may have been substituted too, so the package starts from the new text
+    for (const partPath of partPaths) {
+      editor.setPartText(partPath, modifiedFiles.get(partPath).content);
+    }
+
+    for (const partPath of partPaths) {
+      const content = editor.getPartText(partPath);
+      if (content.includes('(((html:')) {
+        editor.setPartText(partPath, this.insertInPart(editor, partPath, content, data, state));
+      }
+    }
+
+    if (state.numbering && state.numbering.added.length > 0) {
+      const numberingXml = editor.getPartText('word/numbering.xml');
+      editor.setPartText(
+        'word/numbering.xml',
+        this.htmlConverter.richTextRenderer.insertNumbering(numberingXml, state.numbering)
+      );
+    }
+    if (state.usesHyperlinkStyle) {
+      this.hyperlinkProcessor.ensureHyperlinkStyle(editor);
+    }
+
+    for (const partPath of partPaths) {
+      modifiedFiles.get(partPath).content = editor.getPartText(partPath);
+    }
+
+    return {
+      insertedHtml: state.insertedHtml,
+      failedHtml: state.failedHtml,
+      createdLinks: state.createdLinks,
+      failedLinks: state.failedLinks,
+    };
+  }
+
+  /**
+   * Replace the HTML placeholders of one part in document order
+   * @param {PackageEditor} editor - Package editor
+   * @param {string} partPath - Part path
+   * @param {string} content - Part XML
+   * @param {Object} data - Data object
+   * @param {Object} state - Shared settings, document definitions and statistics
+   * @returns {string} Updated part XML
+   */
+  insertInPart(editor, partPath, content, data, state) {
+    const isWord = partPath.startsWith('word/');
+    const pattern = new RegExp(this.markerPattern.source, 'g');
+    const drawingIds = [...content.matchAll(/<wp:docPr\b[^>]*?\bid="(\d+)"/g)];
+    let drawingId = Math.max(0, ...drawingIds.map((match) => Number(match[1])));
+    const context = {
+      links: state.settings.richTextLinks,
+      addImage: (src) => this.addImage(editor, partPath, src, state),
+      nextDrawingId: () => ++drawingId,
+    };
+
+    let updated = content;
+    let marker;
+    while ((marker = pattern.exec(updated)) !== null) {
+      const value = this.contentDeletion.getDataValue(data, marker[1]);
+      if (value === undefined || value === null) {
+        const replacement = this.handleFailure(
+          `Missing data for HTML placeholder: ${marker[1]}`,
+          marker[0],
+          state
+        );
+        updated =
+          updated.slice(0, marker.index) +
+          replacement +
+          updated.slice(marker.index + marker[0].length);
+        pattern.lastIndex = marker.index + replacement.length;
+        continue;
+      }
+
+      const html = String(value);
+      const paragraph = isWord ? this.findTextParagraph(updated, marker.index) : null;
+      let range;
+      if (paragraph) {
+        range = {
+          ...paragraph,
+          markup: this.paragraphMarkup(editor, partPath, updated, paragraph, html, context, state),
+        };
+      } else {
+        // Slides, spreadsheets and attribute values get the text of the HTML
+        range = {
+          start: marker.index,
+          end: marker.index + marker[0].length,
+          markup: encodeXmlValue(htmlToText(html), updated, marker.index),
+        };
+      }
+
+      state.insertedHtml++;
+      updated = updated.slice(0, range.start) + range.markup + updated.slice(range.end);
+      pattern.lastIndex = range.start + range.markup.length;
+    }
+
+    if (updated.includes('"richTextLink:')) {
+      updated = this.hyperlinkProcessor.resolveRichTextLinks(editor, partPath, updated, state);
+    }
+    if (updated.includes('<wp:inline')) {
+      for (const prefix of ['wp', 'a', 'pic']) {
+        updated = this.ensureNamespace(updated, prefix);
+      }
+    }
+    if (/\br:(?:id|embed)="/.test(updated)) {
+      updated = this.ensureNamespace(updated, 'r');
+    }
+    return updated;
+  }
+
+  /**
+   * Find the paragraph of a placeholder that sits in a Word text element
+   * @param {string} content - Part XML
+   * @param {number} index - Placeholder position
+   * @returns {Object|null} Paragraph boundaries, or null outside a w:t element
+   */
+  findTextParagraph(content, index) {
+    const paragraph = this.contentDeletion.findContainingElement(content, index, 'w:p');
+    if (!paragraph || !/<w:t(?:\s[^>]*)?>[^<]*$/.test(content.slice(paragraph.start, index))) {
+      return null;
+    }
+    return paragraph;
+  }
+
+  /**
+   * Build the markup replacing the placeholder's paragraph
+   * Converted paragraphs take the paragraph and run properties of the placeholder.
+   * @param {PackageEditor} editor - Package editor
+   * @param {string} partPath - Part path
+   * @param {string} content - Part XML
+   * @param {Object} paragraph - Paragraph boundaries
+   * @param {string} html - HTML value
+   * @param {Object} context - Conversion context of the part
+   * @param {Object} state - Shared settings, document definitions and statistics
+   * @returns {string} Replacement markup
+   */
+  paragraphMarkup(editor, partPath, content, paragraph, html, context, state) {
+    const paragraphXml = content.slice(paragraph.start, paragraph.end);
+    const properties = (paragraphXml.match(
+      /^<w:p\b[^>]*>(<w:pPr\b[^>]*?(?:\/>|>[\s\S]*?<\/w:pPr>))/
+    ) || [])[1];
+    const sectionMatch = (properties || '').match(/<w:sectPr\b[^>]*?(?:\/>|>[\s\S]*?<\/w:sectPr>)/);
+    const runStarts = [...paragraphXml.matchAll(/<w:r(?=[\s>])[^>]*>/g)];
+    const lastRun = runStarts[runStarts.length - 1];
+    const runProperties = lastRun
+      ? (paragraphXml
+          .slice(lastRun.index + lastRun[0].length)
+          .match(/^<w:rPr\b[^>]*?(?:\/>|>[\s\S]*?<\/w:rPr>)/) || [''])[0]
+      : '';
+
+    let markup;
+    if (state.settings.mode === 'altChunk') {
+      markup = `<w:altChunk r:id="${this.addChunkPart(editor, partPath, html)}"/>`;
+    } else {
+      markup = this.htmlConverter.convert(html, {
+        ...context,
+        paragraphProperties: sectionMatch
+          ? properties.replace(sectionMatch[0], '').replace(/^<w:pPr><\/w:pPr>$/, '')
+          : properties || '',
+        runProperties,
+        headingStyles: this.getHeadingStyles(editor, state),
+        numbering: this.getNumbering(editor, state),
+      });
+    }
+
+    // The section break of the replaced paragraph and paragraphs required at the end of a
+    // container are kept as empty paragraphs
+    if (sectionMatch) {
+      markup += `<w:p><w:pPr>${sectionMatch[0]}</w:pPr></w:p>`;
+    } else if (
+      !markup.endsWith('</w:p>') &&
+      this.paragraphContainerEnd.test(content.slice(paragraph.end))
+    ) {
+      markup += '<w:p/>';
+    }
+    return markup;
+  }
+
+  /**
+   * Store HTML as an altChunk part of a Word part
+   * @param {PackageEditor} editor - Package editor
+   * @param {string} partPath - Part path
+   * @param {string} html - HTML value
+   * @returns {string} Relationship id of the chunk
+   */
+  addChunkPart(editor, partPath, html) {
+    const document = /<html[\s>]/i.test(html)
+      ? html
+      : `<!DOCTYPE html><html><head><meta charset="utf-8"></head><body>${html}</body></html>`;
+    const chunkPath = editor.getNextPartName('word/htmlChunk.html');
+    editor.setPartBuffer(chunkPath, Buffer.from(document, 'utf8'));
+    editor.addContentTypeDefault('html', 'text/html');
+    return editor.addRelationship(partPath, editor.relationshipType('aFChunk'), chunkPath);
+  }
+
+  /**
+   * Add an embedded (data URI) image of the HTML to the package
+   * Remote images are not downloaded.
+   * @param {PackageEditor} editor - Package editor
+   * @param {string} partPath - Part showing the image
+   * @param {string} src - Image source
+   * @param {Object} state - Shared media cache
+   * @returns {Object|null} Relationship id and pixel size, or null if the image is unusable
+   */
+  addImage(editor, partPath, src, state) {
+    const image = /^data:image\//i.test(src) ? this.imageReplacer.decodeImage(src) : null;
+    if (!image) {
+      return null;
+    }
+
+    const mediaPath = this.imageReplacer.getMediaPart(editor, partPath, image, state);
+    return {
+      id: editor.addRelationship(partPath, editor.relationshipType('image'), mediaPath),
+      width: image.width,
+      height: image.height,
+    };
+  }
+
+  /**
+   * Find the paragraph styles of headings in word/styles.xml
+   * @param {PackageEditor} editor - Package editor
+   * @param {Object} state - Shared document definitions
+   * @returns {Object} Style id per heading level
+   */
+  getHeadingStyles(editor, state) {
+    if (state.headingStyles) {
+      return state.headingStyles;
+    }
+
+    state.headingStyles = {};
+    const styles = editor.getPartText('word/styles.xml') || '';
+    for (const match of styles.matchAll(/<w:style\b([^>]*)>([\s\S]*?)<\/w:style>/g)) {
+      if (!/w:type="paragraph"/.test(match[1])) {
+        continue;
+      }
+      const styleId = (match[1].match(/w:styleId="([^"]+)"/) || [])[1];
+      const name = (match[2].match(/<w:name w:val="([^"]+)"/) || [])[1] || '';
+      const level = (name.match(/^heading ([1-6])$/i) ||
+        (styleId || '').match(/^Heading([1-6])$/i) ||
+        [])[1];
+      if (styleId && level && !state.headingStyles[level]) {
+        state.headingStyles[level] = styleId;
+      }
+    }
+    return state.headingStyles;
+  }
+
+  /**
+   * Read the list definitions of word/numbering.xml once per document
+   * @param {PackageEditor} editor - Package editor
+   * @param {Object} state - Shared document definitions
+   * @returns {Object|null} Numbering definitions (see RichTextRenderer.readNumbering)
+   */
+  getNumbering(editor, state) {
+    if (state.numbering === undefined) {
+      const content = editor.getPartText('word/numbering.xml');
+      state.numbering = this.htmlConverter.richTextRenderer.readNumbering(
+        content === null ? [] : [{ path: 'word/numbering.xml', content }]
+      );
+    }
+    return state.numbering;
+  }
+
+  /**
+   * Declare a namespace prefix on the root element of a part if it is missing
+   * @param {string} content - Part XML
+   * @param {string} prefix - Namespace prefix (r, wp, a or pic)
+   * @returns {string} Updated part XML
+   */
+  ensureNamespace(content, prefix) {
+    return content.replace(/<(?![?!])[^>]*?(?=\/?>)/, (rootTag) =>
+      rootTag.includes(`xmlns:${prefix}=`)
+        ? rootTag
+        : `${rootTag} xmlns:${prefix}="${this.namespaces[prefix]}"`
+    );
+  }
+
+  /**
+   * Handle a placeholder whose HTML is missing
+   * @param {string} message - Failure message
+   * @param {string} markerText - Placeholder text
+   * @param {Object} state - Shared settings and statistics
+   * @returns {string} Replacement: the placeholder, or nothing
+   */
+  handleFailure(message, markerText, state) {
+    state.failedHtml++;
+    if (state.settings.logMissingData) {
+      // eslint-disable-next-line no-console
+      console.warn(message);
+    }
+    if (state.settings.strictMode) {
+      throw new Error(message);
+    }
+    return state.settings.preserveUnmatched ? markerText : '';
+  }
+}
+
+module.exports = HtmlProcessor;
@@ -0,0 +1,441 @@
+/**
+ * Hyperlink Processor
+ * Turns (((link:url|text))) placeholders into Word and PowerPoint hyperlinks
+ */
+
+const ContentDeletion = require('./content-deletion');
+const PackageEditor = require('./package-editor');
+const {
+  escapeXmlText,
+  encodeXmlValue,
+  detectXmlContext,
+  unescapeXml,
+} = require('../utils/xml-escape');
+const { isAllowedLinkTarget } = require('../utils/url-safety');
+
+/**
+ * HyperlinkProcessor class creating hyperlink runs with their external relationships
+ */
+class HyperlinkProcessor {
+  constructor() {
+    // Hyperlink placeholder: (((link:links.portal|"Customer portal")))
+    this.markerPattern = /\(\(\(link:([^)]+)\)\)\)/g;
+
+    // Links written by RichTextRenderer, holding the index of their URL until resolved
+    this.richTextLinkPattern =
+      /<w:hyperlink r:id="richTextLink:(\d+)"[^>]*>([\s\S]*?)<\/w:hyperlink>|<a:hlinkClick r:id="richTextLink:(\d+)"\/>/g;
+
+    // Quote pairs accepted around literal URLs and link texts (word processors often curl quotes)
+    this.quotePairs = { '"': '"', "'": "'", '\u201c': '\u201d', '\u2018': '\u2019' };
+
+    // Text run and text elements for each document type
+    this.runElements = {
+      word: { run: 'w:r', runProperties: 'w:rPr', text: 'w:t' },
+      powerpoint: { run: 'a:r', runProperties: 'a:rPr', text: 'a:t' },
+    };
+
+    // Character style Word applies to hyperlinks, added to styles.xml when missing
+    this.hyperlinkStyle =
+      '<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/>' +
+      '<w:basedOn w:val="DefaultParagraphFont"/><w:uiPriority w:val="99"/><w:unhideWhenUsed/>' +
+      '<w:rPr><w:color w:val="0563C1" w:themeColor="hyperlink"/><w:u w:val="single"/></w:rPr></w:style>';
+
+    // Reuse container lookup and data path lookup from content deletion
+    this.contentDeletion = new ContentDeletion();
+  }
+
+  /**
+   * Parse the content of a link placeholder into its URL and text operands
+   * e.g. 'links.portal|"Customer portal"' -> { url: { path }, text: { value } }
+   * @param {string} content - Placeholder content after "link:" (XML-escaped)
+   * @returns {Object} URL and optional text, each as { path } or { value }
+   */
+  parseLink(content) {
+    const text = unescapeXml(content);
+    const separator = this.findSeparator(text);
+    const urlPart = separator === -1 ? text : text.slice(0, separator);
+    const textPart = separator === -1 ? '' : text.slice(separator + 1);
+
+    return {
+      url: this.parseOperand(urlPart.trim()),
+      text: textPart.trim() ? this.parseOperand(textPart.trim()) : null,
+    };
+  }
+
+  /**
+   * Find the first "|" outside quotes
+   * @param {string} text - Link placeholder content
+   * @returns {number} Separator index or -1
+   */
+  findSeparator(text) {
+    let closingQuote = null;
+    for (let i = 0; i < text.length; i++) {
+      if (closingQuote) {
+        closingQuote = text[i] === closingQuote ? null : closingQuote;
+      } else if (this.quotePairs[text[i]]) {
+        closingQuote = this.quotePairs[text[i]];
+      } else if (text[i] === '|') {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Parse a quoted literal or a data path
+   * @param {string} token - Operand text
+   * @returns {Object} { value } or { path }
+   */
+  parseOperand(token) {
+    const closingQuote = this.quotePairs[token[0]];
+    if (closingQuote && token.length > 1 && token.endsWith(closingQuote)) {
+      return { value: token.slice(1, -1) };
+    }
+    return { path: token };
+  }
+
+  /**
+   * List the data paths a link reads
+   * @param {Object} link - Parsed link
+   * @returns {Array} Data paths
+   */
+  getLinkPaths(link) {
+    return [link.url, link.text]
+      .filter((operand) => operand && 'path' in operand)
+      .map((operand) => operand.path);
+  }
+
+  /**
+   * Create hyperlinks for all link placeholders in the modified parts of a package
+   * @param {Object} files - Package files map (edited in place)
+   * @param {Map} modifiedFiles - Substituted XML files by path (content updated in place)
+   * @param {Object} data - Data object
+   * @param {Object} [options] - Link options
+   * @param {Array<string>} [options.allowedLinkSchemes] - Allowed URL schemes
+   * @param {boolean} [options.strictMode=false] - Throw on missing or unsafe URLs
+   * @param {boolean} [options.preserveUnmatched=true] - Keep placeholders that cannot be resolved
+   * @param {boolean} [options.logMissingData=true] - Warn about missing or unsafe URLs
+   * @param {Array<string>} [options.richTextLinks] - URLs of the links in rich text values
+   * @returns {Object} Link statistics
+   */
+  createLinks(files, modifiedFiles, data, options = {}) {
+    const settings = {
+      strictMode: false,
+      preserveUnmatched: true,
+      logMissingData: true,
+      richTextLinks: [],
+      ...options,
+    };
+    const editor = new PackageEditor(files);
+    const state = { settings, createdLinks: 0, failedLinks: 0, usesHyperlinkStyle: false };
+
+    // Parts outside the package (embedded documents) keep their placeholders
+    const partPaths = [...modifiedFiles.keys()].filter((path) => editor.hasPart(path));
+
+    // Relationship parts may have been substituted too, so the package starts from the new text
+    for (const partPath of partPaths) {
+      editor.setPartText(partPath, modifiedFiles.get(partPath).content);
+    }
+
+    for (const partPath of partPaths) {
+      let content = editor.getPartText(partPath);
+      if (content.includes('(((link:')) {
+        content = this.createLinksInPart(editor, partPath, content, data, state);
+      }
+      if (content.includes('"richTextLink:')) {
+        content = this.resolveRichTextLinks(editor, partPath, content, state);
+      }
+      editor.setPartText(partPath, content);
+    }
+
+    if (state.usesHyperlinkStyle) {
+      this.ensureHyperlinkStyle(editor);
+    }
+
+    for (const partPath of partPaths) {
+      modifiedFiles.get(partPath).content = editor.getPartText(partPath);
+    }
+
+    return { createdLinks: state.createdLinks, failedLinks: state.failedLinks };
+  }
+
+  /**
+   * Replace the link placeholders of one part in document order
+   * @param {PackageEditor} editor - Package editor
+   * @param {string} partPath - Part path
+   * @param {string} content - Part XML
+   * @param {Object} data - Data object
+   * @param {Object} state - Shared settings and statistics
+   * @returns {string} Updated part XML
+   */
+  createLinksInPart(editor, partPath, content, data, state) {
+    const elements = this.runElements[partPath.split('/')[0] === 'ppt' ? 'powerpoint' : 'word'];
+    const pattern = new RegExp(this.markerPattern.source, 'g');
+
+    let updated = content;
+    let marker;
+    while ((marker = pattern.exec(updated)) !== null) {
+      const link = this.parseLink(marker[1]);
+      const url = this.resolveOperand(link.url, data);
+      const text = (link.text && this.resolveOperand(link.text, data)) || url;
+      // Links that cannot be created leave their text, encoded for where the placeholder sits
+      const plainText = text ? encodeXmlValue(text, updated, marker.index) : '';
+
+      let failure = null;
+      if (!url) {
+        failure = `Missing data for link placeholder: ${this.describeOperand(link.url)}`;
+      } else if (!isAllowedLinkTarget(url, state.settings.allowedLinkSchemes)) {
+        failure = `Unsafe link target for placeholder: ${this.describeOperand(link.url)}`;
+      }
+
+      let replacement;
+      if (failure) {
+        replacement = this.handleFailure(failure, marker[0], plainText, state);
+      } else {
+        const id = editor.addRelationship(partPath, editor.relationshipType('hyperlink'), url, {
+          external: true,
+        });
+        const linked = this.insertLink(updated, marker.index, marker[0].length, id, text, elements);
+        if (linked !== null) {
+          // Text after the link was split into a new run; searching resumes behind the link
+          updated = linked.content;
+          pattern.lastIndex = linked.end;
+          state.createdLinks++;
+          state.usesHyperlinkStyle = state.usesHyperlinkStyle || elements.run === 'w:r';
+          continue;
+        }
+
+        // Without a text run (attribute values, spreadsheets) the link text is inserted as is
+        editor.removeRelationship(partPath, id);
+        replacement = plainText;
+      }
+
+      updated =
+        updated.slice(0, marker.index) +
+        replacement +
+        updated.slice(marker.index + marker[0].length);
+      pattern.lastIndex = marker.index + replacement.length;
+    }
+    return updated;
+  }
+
+  /**
+   * Give the links of rich text values their relationships
+   * Links with a URL that is not allowed lose the link and keep their text.
+   * @param {PackageEditor} editor - Package editor
+   * @param {string} partPath - Part path
+   * @param {string} content - Part XML
+   * @param {Object} state - Shared settings and statistics
+   * @returns {string} Updated part XML
+   */
+  resolveRichTextLinks(editor, partPath, content, state) {
+    const ids = new Map();
+    const pattern = new RegExp(this.richTextLinkPattern.source, 'g');
+
+    return content.replace(pattern, (markup, wordLink, runs, drawingLink) => {
+      const link = wordLink ?? drawingLink;
+      const url = state.settings.richTextLinks[link];
+      if (!isAllowedLinkTarget(url, state.settings.allowedLinkSchemes)) {
+        this.handleFailure(`Unsafe link target in rich text value: ${url}`, markup, '', state);
+        // Word link runs drop the Hyperlink style with the link
+        return wordLink === undefined
+          ? ''
+          : runs.replace(/<w:rStyle w:val="Hyperlink"\/>/g, '').replace(/<w:rPr><\/w:rPr>/g, '');
+      }
+
+      if (!ids.has(link)) {
+        ids.set(
+          link,
+          editor.addRelationship(partPath, editor.relationshipType('hyperlink'), url, {
+            external: true,
+          })
+        );
+      }
+      state.createdLinks++;
+      state.usesHyperlinkStyle = state.usesHyperlinkStyle || wordLink !== undefined;
+      return markup.replace(`"richTextLink:${link}"`, `"${ids.get(link)}"`);
+    });
+  }
+
+  /**
+   * Split the text run holding a placeholder and put a hyperlink run in its place
+   * @param {string} content - Part XML
+   * @param {number} index - Placeholder position
+   * @param {number} length - Placeholder length
+   * @param {string} id - Hyperlink relationship id
+   * @param {string} text - Link text
+   * @param {Object} elements - Run, run properties and text element names
+   * @returns {Object|null} Updated XML and the end of the link markup, or null if the
+   *   placeholder is not in a text run
+   */
+  insertLink(content, index, length, id, text, elements) {
+    const run = this.contentDeletion.findContainingElement(content, index, elements.run);
+    if (!run || detectXmlContext(content, index) === 'attribute') {
+      return null;
+    }
+    // Word hyperlinks cannot be nested
+    if (
+      elements.run === 'w:r' &&
+      this.contentDeletion.findContainingElement(content, index, 'w:hyperlink')
+    ) {
+      return null;
+    }
+
+    const runXml = content.slice(run.start, run.end);
+    const offset = index - run.start;
+    const runOpen = runXml.match(/^<[^>]*>/)[0];
+    const propertiesMatch = runXml
+      .slice(runOpen.length)
+      .match(
+        new RegExp(
+          `^\\s*(<${elements.runProperties}\\b[^>]*/>|<${elements.runProperties}\\b[^>]*>[\\s\\S]*?</${elements.runProperties}>)`
+        )
+      );
+    const properties = propertiesMatch ? propertiesMatch[1] : '';
+
+    // The text element holding the placeholder is closed before the link and reopened after it
+    const textOpenRegex = new RegExp(`<${elements.text}(?:\\s[^>]*)?>`, 'g');
+    const textOpens = [...runXml.slice(0, offset).matchAll(textOpenRegex)];
+    if (textOpens.length === 0) {
+      return null;
+    }
+    const textOpen = textOpens[textOpens.length - 1];
+    const preserve = elements.run === 'w:r' ? ' xml:space="preserve"' : '';
+    const openText = `<${elements.text}${preserve}>`;
+    const closeText = `</${elements.text}>`;
+
+    const before =
+      runXml.slice(0, textOpen.index) +
+      openText +
+      runXml.slice(textOpen.index + textOpen[0].length, offset) +
+      closeText +
+      `</${elements.run}>`;
+    const after = runOpen + properties + openText + runXml.slice(offset + length);
+    const linkRun =
+      `<${elements.run}>${this.linkRunProperties(properties, id, elements)}` +
+      `${openText}${escapeXmlText(text)}${closeText}</${elements.run}>`;
+    const linkXml =
+      elements.run === 'w:r'
+        ? `<w:hyperlink r:id="${id}" w:history="1">${linkRun}</w:hyperlink>`
+        : linkRun;
+
+    const prefix = content.slice(0, run.start) + this.dropEmptyRun(before, properties, elements);
+    return {
+      content:
+        prefix + linkXml + this.dropEmptyRun(after, properties, elements) + content.slice(run.end),
+      end: prefix.length + linkXml.length,
+    };
+  }
+
+  /**
+   * Build the run properties of a hyperlink run from the properties of the run it came from
+   * Word runs get the Hyperlink character style; PowerPoint runs get an a:hlinkClick
+   * @param {string} properties - Original run properties markup
+   * @param {string} id - Hyperlink relationship id
+   * @param {Object} elements - Run, run properties and text element names
+   * @returns {string} Run properties markup
+   */
+  linkRunProperties(properties, id, elements) {
+    if (elements.run === 'w:r') {
+      const style = '<w:rStyle w:val="Hyperlink"/>';
+      if (!properties || properties.endsWith('/>')) {
+        return `<w:rPr>${style}</w:rPr>`;
+      }
+      // rStyle must come first in w:rPr
+      return properties
+        .replace(/<w:rStyle\b[^>]*\/>/, '')
+        .replace(/^<w:rPr\b[^>]*>/, (open) => open + style);
+    }
+
+    const click = `<a:hlinkClick r:id="${id}"/>`;
+    if (!properties) {
+      return `<a:rPr>${click}</a:rPr>`;
+    }
+    if (properties.endsWith('/>')) {
+      return properties.replace(/\s*\/>$/, `>${click}</a:rPr>`);
+    }
+    // a:hlinkClick precedes a:hlinkMouseOver, a:rtl and a:extLst
+    const cleaned = properties.replace(
+      /<a:hlinkClick\b[^>]*?(?:\/>|>[\s\S]*?<\/a:hlinkClick>)/,
+      ''
+    );
+    const insertAt = cleaned.search(/<a:hlinkMouseOver\b|<a:rtl\b|<a:extLst\b|<\/a:rPr>/);
+    return cleaned.slice(0, insertAt) + click + cleaned.slice(insertAt);
+  }
+
+  /**
+   * Drop a split-off run piece that holds nothing but properties and empty text
+   * @param {string} runXml - Run markup
+   * @param {string} properties - Run properties markup
+   * @param {Object} elements - Run, run properties and text element names
+   * @returns {string} Run markup or an empty string
+   */
+  dropEmptyRun(runXml, properties, elements) {
+    const remaining = runXml
+      .replace(properties, '')
+      .replace(new RegExp(`<${elements.text}\\b[^>]*></${elements.text}>`, 'g'), '')
+      .replace(new RegExp(`</?${elements.run}\\b[^>]*>`, 'g'), '');
+    return remaining.trim() === '' ? '' : runXml;
+  }
+
+  /**
+   * Add the Hyperlink character style to word/styles.xml if it is missing
+   * @param {PackageEditor} editor - Package editor
+   */
+  ensureHyperlinkStyle(editor) {
+    const styles = editor.getPartText('word/styles.xml');
+    if (styles && !/w:styleId="Hyperlink"/.test(styles)) {
+      editor.setPartText(
+        'word/styles.xml',
+        editor.insertBeforeClosingTag(styles, 'w:styles', this.hyperlinkStyle)
+      );
+    }
+  }
+
+  /**
+   * Handle a link whose URL is missing or not allowed
+   * @param {string} message - Failure message
+   * @param {string} markerText - Placeholder markup
+   * @param {string} plainText - Encoded link text (may be empty)
+   * @param {Object} state - Shared settings and statistics
+   * @returns {string} Replacement: the link text without a link, or the placeholder
+   */
+  handleFailure(message, markerText, plainText, state) {
+    state.failedLinks++;
+    if (state.settings.logMissingData) {
+      // eslint-disable-next-line no-console
+      console.warn(message);
+    }
+    if (state.settings.strictMode) {
+      throw new Error(message);
+    }
+
+    if (plainText) {
+      return plainText;
+    }
+    return state.settings.preserveUnmatched ? markerText : '';
+  }
+
+  /**
+   * Resolve an operand to a trimmed string
+   * @param {Object} operand - { value } or { path }
+   * @param {Object} data - Data object
+   * @returns {string} Resolved text (empty if missing)
+   */
+  resolveOperand(operand, data) {
+    const value =
+      'value' in operand ? operand.value : this.contentDeletion.getDataValue(data, operand.path);
+    return value === null || value === undefined ? '' : String(value).trim();
+  }
+
+  /**
+   * Describe an operand for messages
+   * @param {Object} operand - { value } or { path }
+   * @returns {string} Data path or quoted literal
+   */
+  describeOperand(operand) {
+    return 'path' in operand ? operand.path : `"${operand.value}"`;
+  }
+}
+
+module.exports = HyperlinkProcessor;
@@ -0,0 +1,410 @@
+/**
+ * Image Replacer
+ * Swaps pictures for images from the data when their alt text holds an (((img:path))) placeholder
+ */
+
+const ContentDeletion = require('./content-deletion');
+const PackageEditor = require('./package-editor');
+
+/**
+ * ImageReplacer class writing new media parts and repointing the pictures that show them
+ */
+class ImageReplacer {
+  constructor() {
+    // Picture placeholder in a description attribute: descr="(((img:customer.logo)))"
+    this.markerPattern = /\(\(\(img:([^)\s]+)\)\)\)/g;
+
+    // Picture containers: Word drawings (frame extent + picture) and PowerPoint pictures
+    this.picturePattern = /<(w:drawing|p:pic)\b[^>]*>[\s\S]*?<\/\1>/g;
+
+    // Supported image formats, detected from their leading bytes
+    this.formats = [
+      { extension: 'png', contentType: 'image/png', signature: [0x89, 0x50, 0x4e, 0x47] },
+      { extension: 'jpeg', contentType: 'image/jpeg', signature: [0xff, 0xd8, 0xff] },
+      { extension: 'gif', contentType: 'image/gif', signature: [0x47, 0x49, 0x46, 0x38] },
+      { extension: 'bmp', contentType: 'image/bmp', signature: [0x42, 0x4d] },
+      { extension: 'tiff', contentType: 'image/tiff', signature: [0x49, 0x49, 0x2a, 0x00] },
+      { extension: 'tiff', contentType: 'image/tiff', signature: [0x4d, 0x4d, 0x00, 0x2a] },
+    ];
+
+    // Reuse data path lookup from content deletion
+    this.contentDeletion = new ContentDeletion();
+  }
+
+  /**
+   * Replace all placeholder pictures in the modified parts of a package
+   * @param {Object} files - Package files map (edited in place)
+   * @param {Map} modifiedFiles - Substituted XML files by path (content updated in place)
+   * @param {Object} data - Data object
+   * @param {Object} [options] - Replacement options
+   * @param {boolean} [options.preserveAspectRatio=true] - Fit images inside the template frame
+   * @param {boolean} [options.strictMode=false] - Throw on missing or unusable image data
+   * @param {boolean} [options.preserveUnmatched=true] - Keep placeholders whose image is missing
+   * @param {boolean} [options.logMissingData=true] - Warn about missing or unusable image data
+   * @returns {Object} Replacement statistics
+   */
+  replaceImages(files, modifiedFiles, data, options = {}) {
+    const settings = {
+      preserveAspectRatio: true,
+      strictMode: false,
+      preserveUnmatched: true,
+      logMissingData: true,
+      ...options,
+    };
+    const editor = new PackageEditor(files);
+    const state = { settings, mediaParts: new Map(), replacedImages: 0, failedImages: 0 };
+
+    // Parts outside the package (embedded documents) keep their pictures
+    const partPaths = [...modifiedFiles.keys()].filter((path) => editor.hasPart(path));
+
+    // Relationship parts may have been substituted too, so the package starts from the new text
+    for (const partPath of partPaths) {
+      editor.setPartText(partPath, modifiedFiles.get(partPath).content);
+    }
+
+    for (const partPath of partPaths) {
+      const content = editor.getPartText(partPath);
+      if (content.includes('(((img:')) {
+        editor.setPartText(partPath, this.replaceInPart(editor, partPath, content, data, state));
+      }
+    }
+
+    for (const partPath of partPaths) {
+      modifiedFiles.get(partPath).content = editor.getPartText(partPath);
+    }
+
+    return { replacedImages: state.replacedImages, failedImages: state.failedImages };
+  }
+
+  /**
+   * Replace the placeholder pictures of one part
+   * @param {PackageEditor} editor - Package editor
+   * @param {string} partPath - Part path
+   * @param {string} content - Part XML
+   * @param {Object} data - Data object
+   * @param {Object} state - Shared settings, media cache and statistics
+   * @returns {string} Updated part XML
+   */
+  replaceInPart(editor, partPath, content, data, state) {
+    const replacedIds = new Set();
+    // Placeholders outside a picture's alt text have nothing to replace and are removed
+    const pattern = new RegExp(`${this.picturePattern.source}|${this.markerPattern.source}`, 'g');
+
+    const updated = content.replace(pattern, (picture, element) => {
+      if (!element) {
+        return '';
+      }
+
+      const marker = this.findMarker(picture);
+      if (!marker) {
+        return picture;
+      }
+
+      const image = this.decodeImage(this.contentDeletion.getDataValue(data, marker));
+      if (!image) {
+        return this.handleFailure(picture, marker, data, state);
+      }
+
+      const mediaPath = this.getMediaPart(editor, partPath, image, state);
+      const id = editor.addRelationship(partPath, editor.relationshipType('image'), mediaPath);
+      let replaced = picture.replace(
+        /(<a:blip\b[^>]*?\br:embed=")([^"]*)"/,
+        (_match, prefix, oldId) => {
+          replacedIds.add(oldId);
+          return `${prefix}${id}"`;
+        }
+      );
+
+      // Vector variants (SVG blips) would still be shown in place of the new bitmap
+      replaced = replaced.replace(
+        /<a:ext\b[^>]*>\s*<asvg:svgBlip\b[^>]*?\br:embed="([^"]*)"[^>]*\/>\s*<\/a:ext>/g,
+        (_match, oldId) => {
+          replacedIds.add(oldId);
+          return '';
+        }
+      );
+      replaced = replaced.replace(/<a:extLst>\s*<\/a:extLst>/g, '');
+
+      if (state.settings.preserveAspectRatio && image.width > 0 && image.height > 0) {
+        replaced = this.fitExtents(replaced, image, element === 'p:pic');
+      }
+
+      state.replacedImages++;
+      return this.removeMarkers(replaced);
+    });
+
+    for (const oldId of replacedIds) {
+      this.removeUnusedRelationship(editor, partPath, updated, oldId);
+    }
+    return updated;
+  }
+
+  /**
+   * Find the data path of the first picture placeholder in markup
+   * @param {string} xml - Markup
+   * @returns {string|null} Data path or null if there is no placeholder
+   */
+  findMarker(xml) {
+    const match = xml.match(new RegExp(this.markerPattern.source));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Remove picture placeholders from markup, trimming the attributes that held them
+   * @param {string} xml - Markup
+   * @returns {string} Markup without placeholders
+   */
+  removeMarkers(xml) {
+    return xml
+      .replace(/(\b(?:descr|title)=")([^"]*)"/g, (attribute, prefix, value) =>
+        this.findMarker(value)
+          ? `${prefix}${value.replace(this.markerPattern, '').trim()}"`
+          : attribute
+      )
+      .replace(this.markerPattern, '');
+  }
+
+  /**
+   * Handle a placeholder whose data is missing or not a supported image
+   * @param {string} picture - Picture markup
+   * @param {string} path - Data path
+   * @param {Object} data - Data object
+   * @param {Object} state - Shared settings and statistics
+   * @returns {string} Picture markup, keeping the original image
+   */
+  handleFailure(picture, path, data, state) {
+    const value = this.contentDeletion.getDataValue(data, path);
+    const message = this.contentDeletion.isEmptyValue(value)
+      ? `Missing data for image placeholder: ${path}`
+      : `Unsupported image data for placeholder: ${path}`;
+
+    state.failedImages++;
+    if (state.settings.logMissingData) {
+      // eslint-disable-next-line no-console
+      console.warn(message);
+    }
+    if (state.settings.strictMode) {
+      throw new Error(message);
+    }
+
+    return state.settings.preserveUnmatched ? picture : this.removeMarkers(picture);
+  }
+
+  /**
+   * Get the media part holding an image, writing it on first use
+   * @param {PackageEditor} editor - Package editor
+   * @param {string} partPath - Part showing the image
+   * @param {Object} image - Decoded image
+   * @param {Object} state - Shared media cache
+   * @returns {string} Media part path
+   */
+  getMediaPart(editor, partPath, image, state) {
+    const directory = `${partPath.split('/')[0]}/media/`;
+    const cacheKey = `${directory}|${image.key}`;
+    if (state.mediaParts.has(cacheKey)) {
+      return state.mediaParts.get(cacheKey);
+    }
+
+    // Number images past every existing imageN.* so names stay unique across formats
+    const usedNames = new Set(editor.listParts().map((path) => path.replace(/\.[^./]+$/, '')));
+    let number = 1;
+    while (usedNames.has(`${directory}image${number}`)) {
+      number++;
+    }
+
+    const mediaPath = `${directory}image${number}.${image.extension}`;
+    editor.setPartBuffer(mediaPath, image.bytes);
+    editor.addContentTypeDefault(image.extension, image.contentType);
+    state.mediaParts.set(cacheKey, mediaPath);
+    return mediaPath;
+  }
+
+  /**
+   * Remove a relationship no longer used by its part, and its media part if nothing else uses it
+   * @param {PackageEditor} editor - Package editor
+   * @param {string} partPath - Part path
+   * @param {string} content - Updated part XML
+   * @param {string} id - Relationship id
+   */
+  removeUnusedRelationship(editor, partPath, content, id) {
+    if (content.includes(`"${id}"`)) {
+      return;
+    }
+
+    const relationship = editor.getRelationships(partPath).find((rel) => rel.id === id);
+    editor.removeRelationship(partPath, id);
+    if (
+      relationship &&
+      relationship.partPath &&
+      editor.findReferencingParts(relationship.partPath).length === 0
+    ) {
+      editor.removePart(relationship.partPath);
+    }
+  }
+
+  /**
+   * Scale a picture's extents so the image keeps its aspect ratio inside the template frame
+   * @param {string} picture - Picture markup
+   * @param {Object} image - Decoded image with pixel width and height
+   * @param {boolean} center - Whether to center the picture in the frame (positioned shapes)
+   * @returns {string} Updated picture markup
+   */
+  fitExtents(picture, image, center) {
+    const frameTag = picture.match(/<(?:wp:extent|a:ext)\b[^>]*\bcx="\d+"[^>]*>/);
+    if (!frameTag) {
+      return picture;
+    }
+
+    const frame = {
+      cx: parseInt(frameTag[0].match(/\bcx="(\d+)"/)[1], 10),
+      cy: parseInt((frameTag[0].match(/\bcy="(\d+)"/) || [])[1], 10),
+    };
+    if (!(frame.cx > 0) || !(frame.cy > 0)) {
+      return picture;
+    }
+
+    const scale = Math.min(frame.cx / image.width, frame.cy / image.height);
+    const cx = Math.round(image.width * scale);
+    const cy = Math.round(image.height * scale);
+
+    let updated = picture.replace(/<(?:wp:extent|a:ext)\b[^>]*\bcx="\d+"[^>]*>/g, (tag) =>
+      this.setAttribute(this.setAttribute(tag, 'cx', cx), 'cy', cy)
+    );
+
+    if (center) {
+      updated = updated.replace(/<a:off\b[^>]*>/, (tag) => {
+        const x = parseInt((tag.match(/\bx="(-?\d+)"/) || [])[1], 10) || 0;
+        const y = parseInt((tag.match(/\by="(-?\d+)"/) || [])[1], 10) || 0;
+        return this.setAttribute(
+          this.setAttribute(tag, 'x', x + Math.round((frame.cx - cx) / 2)),
+          'y',
+          y + Math.round((frame.cy - cy) / 2)
+        );
+      });
+    }
+    return updated;
+  }
+
+  /**
+   * Set an attribute value on a tag
+   * @param {string} tag - XML tag markup
+   * @param {string} name - Attribute name
+   * @param {*} value - Attribute value
+   * @returns {string} Updated tag
+   */
+  setAttribute(tag, name, value) {
+    const attributeRegex = new RegExp(`\\b${name}="[^"]*"`);
+    if (attributeRegex.test(tag)) {
+      return tag.replace(attributeRegex, `${name}="${value}"`);
+    }
+    return tag.replace(/\s*(\/?>)$/, ` ${name}="${value}"$1`);
+  }
+
+  /**
+   * Decode image data from a Buffer, typed array, base64 string or data URI
+   * @param {*} value - Image data
+   * @returns {Object|null} Image bytes, format and pixel size, or null if unusable
+   */
+  decodeImage(value) {
+    let bytes = null;
+    if (Buffer.isBuffer(value)) {
+      bytes = value;
+    } else if (value instanceof Uint8Array) {
+      bytes = Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+    } else if (value instanceof ArrayBuffer) {
+      bytes = Buffer.from(value);
+    } else if (typeof value === 'string') {
+      const dataUri = value.match(/^data:[^,]*?;base64,([\s\S]*)$/);
+      const base64 = (dataUri ? dataUri[1] : value).replace(/\s+/g, '');
+      if (/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+        bytes = Buffer.from(base64, 'base64');
+      }
+    }
+    if (!bytes) {
+      return null;
+    }
+
+    const format = this.detectFormat(bytes);
+    if (!format) {
+      return null;
+    }
+
+    return {
+      bytes,
+      // Identical data shares one media part
+      key: typeof value === 'string' ? value : bytes.toString('base64'),
+      extension: format.extension,
+      contentType: format.contentType,
+      ...this.readDimensions(bytes, format.extension),
+    };
+  }
+
+  /**
+   * Detect an image format from its leading bytes
+   * @param {Buffer} bytes - Image bytes
+   * @returns {Object|null} Format with extension and content type, or null if unsupported
+   */
+  detectFormat(bytes) {
+    return (
+      this.formats.find((format) =>
+        format.signature.every((byte, index) => bytes[index] === byte)
+      ) || null
+    );
+  }
+
+  /**
+   * Read the pixel size of an image
+   * @param {Buffer} bytes - Image bytes
+   * @param {string} extension - Image format extension
+   * @returns {Object} Width and height in pixels (null when unknown)
+   */
+  readDimensions(bytes, extension) {
+    const unknown = { width: null, height: null };
+    try {
+      switch (extension) {
+        case 'png':
+          return { width: bytes.readUInt32BE(16), height: bytes.readUInt32BE(20) };
+        case 'gif':
+          return { width: bytes.readUInt16LE(6), height: bytes.readUInt16LE(8) };
+        case 'bmp':
+          return { width: bytes.readInt32LE(18), height: Math.abs(bytes.readInt32LE(22)) };
+        case 'jpeg':
+          return this.readJpegDimensions(bytes) || unknown;
+        default:
+          return unknown;
+      }
+    } catch {
+      // Truncated headers leave the frame size unchanged
+      return unknown;
+    }
+  }
+
+  /**
+   * Read the pixel size of a JPEG from its start-of-frame segment
+   * @param {Buffer} bytes - JPEG bytes
+   * @returns {Object|null} Width and height in pixels or null if not found
+   */
+  readJpegDimensions(bytes) {
+    let offset = 2;
+    while (offset + 9 < bytes.length) {
+      if (bytes[offset] !== 0xff) {
+        return null;
+      }
+
+      const marker = bytes[offset + 1];
+      if (marker === 0xff) {
+        offset++;
+        continue;
+      }
+
+      // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: bytes.readUInt16BE(offset + 7), height: bytes.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + bytes.readUInt16BE(offset + 2);
+    }
+    return null;
+  }
+}
+
+module.exports = ImageReplacer;
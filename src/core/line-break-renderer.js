@@ -0,0 +1,202 @@
+/**
+ * Line Break Renderer
+ * Turns newlines and tabs in substituted text into Word and PowerPoint markup
+ */
+
+const ContentDeletion = require('./content-deletion');
+
+/**
+ * LineBreakRenderer class for multi-line values in text runs
+ */
+class LineBreakRenderer {
+  constructor() {
+    // Element names for each document type; line breaks close the element at their level
+    this.elements = {
+      word: {
+        paragraph: 'w:p',
+        paragraphProperties: 'w:pPr',
+        run: 'w:r',
+        runProperties: 'w:rPr',
+        text: 'w:t',
+        textAttributes: ' xml:space="preserve"',
+        lineBreak: { element: 'w:br', level: 'w:t' },
+        tab: '<w:tab/>',
+      },
+      powerpoint: {
+        paragraph: 'a:p',
+        paragraphProperties: 'a:pPr',
+        run: 'a:r',
+        runProperties: 'a:rPr',
+        text: 'a:t',
+        textAttributes: '',
+        lineBreak: { element: 'a:br', level: 'a:r' },
+        tab: null, // Tabs are plain characters in DrawingML text
+      },
+    };
+
+    // Paragraph attributes that must stay unique within a part
+    this.uniqueParagraphAttributes = /\s(?:w14:paraId|w14:textId)="[^"]*"/g;
+
+    // Any start, end or empty-element tag
+    this.tagPattern = /<(\/?)([A-Za-z_][\w.:-]*)(?:\s[^>]*?)?(\/?)>/g;
+
+    // Reuse container lookup from content deletion
+    this.contentDeletion = new ContentDeletion();
+  }
+
+  /**
+   * Render the newlines and tabs of escaped text inserted at a position
+   * Text outside a Word or PowerPoint text run is returned unchanged.
+   * @param {string} text - Escaped text to insert
+   * @param {string} content - XML content the text is inserted into
+   * @param {number} index - Insertion position
+   * @param {string} fileType - File type (word, powerpoint)
+   * @param {string} [mode] - 'break' for line breaks, 'paragraph' to start new paragraphs
+   * @returns {string} Markup to insert
+   */
+  render(text, content, index, fileType, mode = 'break') {
+    const elements = this.elements[fileType];
+    if (!elements || !/[\r\n\t]/.test(text)) {
+      return text;
+    }
+
+    const paragraph = this.contentDeletion.findContainingElement(
+      content,
+      index,
+      elements.paragraph
+    );
+    if (!paragraph) {
+      return text;
+    }
+    const open = this.getOpenElements(content, paragraph.start, index, elements);
+    const textLevel = open.length - 1;
+    if (textLevel < 1 || open[textLevel].name !== elements.text) {
+      return text;
+    }
+
+    const tab = elements.tab ? this.split(open, textLevel, elements.tab, elements) : '\t';
+    const lines = text.split(/\r\n|\r|\n/).map((line) => line.split('\t').join(tab));
+    return lines.join(this.getLineSeparator(open, mode, elements));
+  }
+
+  /**
+   * Build the markup that separates two lines
+   * @param {Array} open - Open elements from the paragraph to the text element
+   * @param {string} mode - 'break' or 'paragraph'
+   * @param {Object} elements - Element names for the document type
+   * @returns {string} Separator markup
+   */
+  getLineSeparator(open, mode, elements) {
+    if (mode === 'paragraph') {
+      return this.split(open, 0, '', elements);
+    }
+
+    const { element, level } = elements.lineBreak;
+    const levelIndex = open.map((entry) => entry.name).lastIndexOf(level);
+    if (levelIndex < 1) {
+      return ' ';
+    }
+    // DrawingML breaks sit between runs and take the run's properties
+    const properties = level === elements.run ? open[levelIndex].properties : '';
+    const lineBreak = properties ? `<${element}>${properties}</${element}>` : `<${element}/>`;
+    return this.split(open, levelIndex, lineBreak, elements);
+  }
+
+  /**
+   * Close open elements down to a level, insert markup and reopen them
+   * @param {Array} open - Open elements, outermost first
+   * @param {number} level - Index of the outermost element to close
+   * @param {string} markup - Markup to insert between the closed and reopened elements
+   * @param {Object} elements - Element names for the document type
+   * @returns {string} Separator markup
+   */
+  split(open, level, markup, elements) {
+    const closing = open
+      .slice(level)
+      .reverse()
+      .map((entry) => `</${entry.name}>`)
+      .join('');
+    const reopening = open
+      .slice(level)
+      .map((entry) => this.reopen(entry, elements))
+      .join('');
+    return closing + markup + reopening;
+  }
+
+  /**
+   * Build the start tag (and properties) of a reopened element
+   * @param {Object} entry - Open element with its start tag and properties
+   * @param {Object} elements - Element names for the document type
+   * @returns {string} Markup that reopens the element
+   */
+  reopen(entry, elements) {
+    if (entry.name === elements.text) {
+      return `<${elements.text}${elements.textAttributes}>`;
+    }
+    if (entry.name === elements.paragraph) {
+      // Section properties end a section, so only the original paragraph keeps them
+      return (
+        entry.tag.replace(this.uniqueParagraphAttributes, '') +
+        entry.properties.replace(/<w:sectPr\b[^>]*?(?:\/>|>[\s\S]*?<\/w:sectPr>)/, '')
+      );
+    }
+    return entry.tag + entry.properties;
+  }
+
+  /**
+   * List the elements open at a position, starting with the element opened at start
+   * @param {string} content - XML content
+   * @param {number} start - Start of the outermost element
+   * @param {number} index - Position within content
+   * @param {Object} elements - Element names for the document type
+   * @returns {Array} Open elements with name, start tag, position and properties (paragraphs
+   *   and runs)
+   */
+  getOpenElements(content, start, index, elements) {
+    const propertyElements = {
+      [elements.paragraph]: elements.paragraphProperties,
+      [elements.run]: elements.runProperties,
+    };
+    const open = [];
+    const tagRegex = new RegExp(this.tagPattern.source, 'g');
+    tagRegex.lastIndex = start;
+
+    let match;
+    while ((match = tagRegex.exec(content)) !== null && match.index < index) {
+      const [tag, closing, name, empty] = match;
+      if (closing) {
+        const openIndex = open.map((entry) => entry.name).lastIndexOf(name);
+        if (openIndex !== -1) {
+          open.length = openIndex;
+        }
+      } else if (!empty) {
+        open.push({
+          name,
+          tag,
+          start: match.index,
+          properties: propertyElements[name]
+            ? this.getProperties(content, tagRegex.lastIndex, propertyElements[name])
+            : '',
+        });
+      }
+    }
+
+    return open;
+  }
+
+  /**
+   * Get the properties element that directly follows a start tag
+   * @param {string} content - XML content
+   * @param {number} position - Position right after the start tag
+   * @param {string} name - Properties element name (w:pPr, w:rPr, a:pPr, a:rPr)
+   * @returns {string} Properties markup, or empty string if there is none
+   */
+  getProperties(content, position, name) {
+    const propertiesRegex = new RegExp(`<${name}\\b[^>]*?(?:/>|>[\\s\\S]*?</${name}>)`, 'y');
+    propertiesRegex.lastIndex = position;
+    const match = propertiesRegex.exec(content);
+    return match ? match[0] : '';
+  }
+}
+
+module.exports = LineBreakRenderer;
@@ -0,0 +1,686 @@
+/**
+ * Package Editor
+ * Reads and edits the package structure of Office documents: parts, relationships and content types
+ */
+
+const { escapeXmlAttribute, unescapeXml } = require('../utils/xml-escape');
+
+// Namespace shared by all officeDocument relationship types
+const RELATIONSHIP_NAMESPACE =
+  'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+/**
+ * PackageEditor class operating on the files map of an extracted document
+ * Entries may be extracted files ({ name, content, buffer }), strings or binary buffers
+ */
+class PackageEditor {
+  /**
+   * @param {Object} files - Map of part path to file entry (edited in place)
+   */
+  constructor(files) {
+    this.files = files;
+    this.contentTypesPath = '[Content_Types].xml';
+    this.relationshipNamespace = RELATIONSHIP_NAMESPACE;
+  }
+
+  /**
+   * Build a full relationship type URI from its short name
+   * @param {string} kind - Short relationship name (e.g. "slide", "chart")
+   * @returns {string} Relationship type URI
+   */
+  relationshipType(kind) {
+    return `${this.relationshipNamespace}/${kind}`;
+  }
+
+  /**
+   * Get the short name of a relationship type URI
+   * @param {string} type - Relationship type URI
+   * @returns {string} Short relationship name
+   */
+  relationshipKind(type) {
+    return (type || '').split('/').pop();
+  }
+
+  /**
+   * Check if a part exists in the package
+   * @param {string} partPath - Part path
+   * @returns {boolean} True if the part exists
+   */
+  hasPart(partPath) {
+    return Object.prototype.hasOwnProperty.call(this.files, partPath);
+  }
+
+  /**
+   * List all part paths in the package
+   * @returns {Array<string>} Part paths
+   */
+  listParts() {
+    return Object.keys(this.files);
+  }
+
+  /**
+   * Read a part as text
+   * @param {string} partPath - Part path
+   * @returns {string|null} Part text or null if the part does not exist
+   */
+  getPartText(partPath) {
+    if (!this.hasPart(partPath)) {
+      return null;
+    }
+
+    const entry = this.files[partPath];
+    if (typeof entry === 'string') {
+      return entry;
+    }
+    if (entry && typeof entry.content === 'string') {
+      return entry.content;
+    }
+
+    // Extracted binary parts keep their bytes in a buffer property; final structures hold them directly
+    const isBuffer = (value) => typeof Buffer !== 'undefined' && Buffer.isBuffer(value);
+    if (isBuffer(entry)) {
+      return entry.toString('utf8');
+    }
+    if (entry && isBuffer(entry.buffer)) {
+      return entry.buffer.toString('utf8');
+    }
+    return null;
+  }
+
+  /**
+   * Write text to a part, creating it if needed
+   * @param {string} partPath - Part path
+   * @param {string} text - New part text
+   */
+  setPartText(partPath, text) {
+    const entry = this.files[partPath];
+    if (entry && typeof entry === 'object' && 'content' in entry) {
+      entry.content = text;
+    } else {
+      this.files[partPath] = { name: partPath, content: text, buffer: null };
+    }
+  }
+
+  /**
+   * Write binary data to a part, creating it if needed
+   * @param {string} partPath - Part path
+   * @param {Buffer} buffer - Part bytes
+   */
+  setPartBuffer(partPath, buffer) {
+    this.files[partPath] = { name: partPath, content: null, buffer };
+  }
+
+  /**
+   * Copy a part to a new path, optionally transforming its text
+   * @param {string} fromPath - Source part path
+   * @param {string} toPath - Target part path
+   * @param {Function} [transform] - Text transform applied to XML parts
+   */
+  copyPart(fromPath, toPath, transform) {
+    const entry = this.files[fromPath];
+    if (entry === undefined) {
+      throw new Error(`Cannot copy missing part: ${fromPath}`);
+    }
+
+    if (this.isXmlPart(fromPath)) {
+      const text = this.getPartText(fromPath);
+      this.files[toPath] = {
+        name: toPath,
+        content: transform ? transform(text) : text,
+        buffer: null,
+      };
+    } else if (entry && typeof entry === 'object' && 'content' in entry) {
+      // Binary parts share the underlying buffer
+      this.files[toPath] = { ...entry, name: toPath };
+    } else {
+      this.files[toPath] = entry;
+    }
+  }
+
+  /**
+   * Copy a part from another package with the parts it references
+   * Parts this package already holds unchanged (see holdsSamePart) are reused; others are
+   * copied under a free name, with their content type and retargeted relationships.
+   * @param {PackageEditor} source - Package the part comes from
+   * @param {string} sourcePath - Part path in the source package
+   * @param {Object} [context] - Import state shared by the parts of one import
+   * @param {Map} [context.copies] - Source part path to its path in this package (filled in)
+   * @param {Set} [context.ownedKinds] - Relationship kinds whose targets are always copied
+   * @param {Function} [context.transform] - Transform applied to the XML of copied parts
+   * @param {boolean} [copy=false] - Copy the part even if this package holds it unchanged
+   * @returns {string} Part path in this package
+   */
+  importPart(source, sourcePath, context = {}, copy = false) {
+    if (!context.copies) {
+      context.copies = new Map();
+    }
+    if (context.copies.has(sourcePath)) {
+      return context.copies.get(sourcePath);
+    }
+    if (!source.hasPart(sourcePath) || (!copy && this.holdsSamePart(source, sourcePath, context))) {
+      context.copies.set(sourcePath, sourcePath);
+      return sourcePath;
+    }
+
+    const targetPath = this.hasPart(sourcePath) ? this.getNextPartName(sourcePath) : sourcePath;
+    context.copies.set(sourcePath, targetPath);
+
+    const entry = source.files[sourcePath];
+    if (source.isXmlPart(sourcePath)) {
+      const text = source.getPartText(sourcePath);
+      this.setPartText(targetPath, context.transform ? context.transform(text) : text);
+    } else if (entry && typeof entry === 'object' && 'content' in entry) {
+      this.files[targetPath] = { ...entry, name: targetPath };
+    } else {
+      this.files[targetPath] = entry;
+    }
+
+    const contentType = source.getContentTypeOverride(sourcePath);
+    const extension = sourcePath.split('.').pop();
+    if (contentType) {
+      this.addContentTypeOverride(targetPath, contentType);
+    } else if (source.getContentTypeDefault(extension)) {
+      this.addContentTypeDefault(extension, source.getContentTypeDefault(extension));
+    }
+
+    // Relationship ids stay the same, so the copied XML needs no changes
+    const relationships = source.getRelationships(sourcePath);
+    if (relationships.length > 0) {
+      this.setPartText(
+        this.getRelsPath(targetPath),
+        source.getPartText(source.getRelsPath(sourcePath))
+      );
+    }
+    for (const relationship of relationships) {
+      if (relationship.partPath) {
+        const owned = Boolean(context.ownedKinds && context.ownedKinds.has(relationship.kind));
+        const importedPath = this.importPart(source, relationship.partPath, context, owned);
+        this.retargetRelationship(targetPath, relationship.id, importedPath);
+      }
+    }
+    return targetPath;
+  }
+
+  /**
+   * Check if this package holds a part of another package unchanged: the same XML or bytes,
+   * the same relationships, and unchanged relationship targets
+   * @param {PackageEditor} source - Other package
+   * @param {string} partPath - Part path in both packages
+   * @param {Object} [context] - Import state (caches results in context.sameParts)
+   * @param {Set} [visiting] - Parts being compared (cycles count as unchanged)
+   * @returns {boolean} True if the part can be shared
+   */
+  holdsSamePart(source, partPath, context = {}, visiting = new Set()) {
+    if (!context.sameParts) {
+      context.sameParts = new Map();
+    }
+    if (context.sameParts.has(partPath)) {
+      return context.sameParts.get(partPath);
+    }
+    if (visiting.has(partPath)) {
+      return true;
+    }
+
+    const topLevel = visiting.size === 0;
+    const relsPath = this.getRelsPath(partPath);
+    let same =
+      this.hasPart(partPath) &&
+      this.hasSameContent(source, partPath) &&
+      source.getPartText(relsPath) === this.getPartText(relsPath);
+    if (same) {
+      visiting.add(partPath);
+      same = source
+        .getRelationships(partPath)
+        .every(
+          (relationship) =>
+            !relationship.partPath ||
+            !source.hasPart(relationship.partPath) ||
+            this.holdsSamePart(source, relationship.partPath, context, visiting)
+        );
+      visiting.delete(partPath);
+    }
+
+    // Below the top level, "same" may rest on a cycle assumed unchanged, so only differences are final
+    if (!same || topLevel) {
+      context.sameParts.set(partPath, same);
+    }
+    return same;
+  }
+
+  /**
+   * Compare the content of a part in this and another package
+   * @param {PackageEditor} source - Other package
+   * @param {string} partPath - Part path in both packages
+   * @returns {boolean} True for equal XML text or equal bytes
+   */
+  hasSameContent(source, partPath) {
+    if (this.isXmlPart(partPath)) {
+      return source.getPartText(partPath) === this.getPartText(partPath);
+    }
+
+    const bytes = (editor) => {
+      const entry = editor.files[partPath];
+      return entry && typeof entry === 'object' && 'buffer' in entry ? entry.buffer : entry;
+    };
+    const isBuffer = (value) => typeof Buffer !== 'undefined' && Buffer.isBuffer(value);
+    const sourceBytes = bytes(source);
+    const targetBytes = bytes(this);
+    return isBuffer(sourceBytes) && isBuffer(targetBytes) && sourceBytes.equals(targetBytes);
+  }
+
+  /**
+   * List the parts as a file structure for the ZIP handlers (path to text or bytes)
+   * @returns {Object} File structure
+   */
+  toFileStructure() {
+    const fileStructure = {};
+    for (const [partPath, entry] of Object.entries(this.files)) {
+      const isEntry = entry && typeof entry === 'object' && 'content' in entry;
+      if (!isEntry) {
+        fileStructure[partPath] = entry;
+      } else {
+        fileStructure[partPath] = typeof entry.content === 'string' ? entry.content : entry.buffer;
+      }
+    }
+    return fileStructure;
+  }
+
+  /**
+   * Remove a part from the package
+   * @param {string} partPath - Part path
+   * @returns {boolean} True if the part existed
+   */
+  removePart(partPath) {
+    if (!this.hasPart(partPath)) {
+      return false;
+    }
+    delete this.files[partPath];
+    return true;
+  }
+
+  /**
+   * Check if a part holds XML text
+   * @param {string} partPath - Part path
+   * @returns {boolean} True for .xml and .rels parts
+   */
+  isXmlPart(partPath) {
+    const lowerPath = partPath.toLowerCase();
+    return lowerPath.endsWith('.xml') || lowerPath.endsWith('.rels');
+  }
+
+  /**
+   * Get the relationships part path for a part
+   * e.g. ppt/slides/slide1.xml -> ppt/slides/_rels/slide1.xml.rels
+   * @param {string} partPath - Source part path ('' for the package root)
+   * @returns {string} Relationships part path
+   */
+  getRelsPath(partPath) {
+    const slashIndex = partPath.lastIndexOf('/');
+    const directory = slashIndex === -1 ? '' : partPath.slice(0, slashIndex + 1);
+    const name = partPath.slice(slashIndex + 1);
+    return `${directory}_rels/${name}.rels`;
+  }
+
+  /**
+   * Resolve a relationship target relative to its source part
+   * @param {string} sourcePath - Source part path
+   * @param {string} target - Relationship target
+   * @returns {string} Part path within the package
+   */
+  resolveTarget(sourcePath, target) {
+    if (target.startsWith('/')) {
+      return this.normalizePath(target.slice(1));
+    }
+    const slashIndex = sourcePath.lastIndexOf('/');
+    const directory = slashIndex === -1 ? '' : sourcePath.slice(0, slashIndex + 1);
+    return this.normalizePath(directory + target);
+  }
+
+  /**
+   * Build a relative relationship target from a source part to a target part
+   * @param {string} sourcePath - Source part path
+   * @param {string} targetPath - Target part path
+   * @returns {string} Relative target
+   */
+  getRelativeTarget(sourcePath, targetPath) {
+    const sourceDirectory = sourcePath.split('/').slice(0, -1);
+    const targetSegments = targetPath.split('/');
+
+    let common = 0;
+    while (
+      common < sourceDirectory.length &&
+      common < targetSegments.length - 1 &&
+      sourceDirectory[common] === targetSegments[common]
+    ) {
+      common++;
+    }
+
+    const upSegments = sourceDirectory.slice(common).map(() => '..');
+    return [...upSegments, ...targetSegments.slice(common)].join('/');
+  }
+
+  /**
+   * Collapse "." and ".." segments of a path
+   * @param {string} partPath - Path to normalize
+   * @returns {string} Normalized path
+   */
+  normalizePath(partPath) {
+    const segments = [];
+    for (const segment of partPath.split('/')) {
+      if (segment === '..') {
+        segments.pop();
+      } else if (segment !== '.' && segment !== '') {
+        segments.push(segment);
+      }
+    }
+    return segments.join('/');
+  }
+
+  /**
+   * Read the relationships of a part
+   * @param {string} partPath - Source part path
+   * @returns {Array} Relationships with id, type, kind, target, targetMode and resolved part path
+   */
+  getRelationships(partPath) {
+    const relsXml = this.getPartText(this.getRelsPath(partPath));
+    if (!relsXml) {
+      return [];
+    }
+
+    const relationships = [];
+    const relationshipRegex = /<Relationship\b[^>]*>/g;
+    let match;
+    while ((match = relationshipRegex.exec(relsXml)) !== null) {
+      const attributes = this.parseAttributes(match[0]);
+      const external = attributes.TargetMode === 'External';
+      relationships.push({
+        id: attributes.Id,
+        type: attributes.Type,
+        kind: this.relationshipKind(attributes.Type),
+        target: attributes.Target,
+        targetMode: attributes.TargetMode || 'Internal',
+        partPath: external ? null : this.resolveTarget(partPath, attributes.Target || ''),
+        xml: match[0],
+      });
+    }
+    return relationships;
+  }
+
+  /**
+   * Add a relationship to a part, creating its relationships part if needed
+   * @param {string} partPath - Source part path
+   * @param {string} type - Relationship type URI
+   * @param {string} target - Target part path (or URL for external targets)
+   * @param {Object} [options] - Relationship options
+   * @param {boolean} [options.external] - Whether the target is external to the package
+   * @returns {string} New relationship id
+   */
+  addRelationship(partPath, type, target, options = {}) {
+    const relsPath = this.getRelsPath(partPath);
+    let relsXml = this.getPartText(relsPath);
+    if (!relsXml) {
+      relsXml =
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>';
+    }
+
+    const id = this.getNextRelationshipId(relsXml);
+    const targetValue = options.external ? target : this.getRelativeTarget(partPath, target);
+    const targetMode = options.external ? ' TargetMode="External"' : '';
+    const relationship =
+      `<Relationship Id="${id}" Type="${escapeXmlAttribute(type)}" ` +
+      `Target="${escapeXmlAttribute(targetValue)}"${targetMode}/>`;
+
+    this.setPartText(relsPath, this.insertBeforeClosingTag(relsXml, 'Relationships', relationship));
+    return id;
+  }
+
+  /**
+   * Point an existing relationship at a new target part
+   * @param {string} partPath - Source part path
+   * @param {string} id - Relationship id
+   * @param {string} targetPath - New target part path
+   */
+  retargetRelationship(partPath, id, targetPath) {
+    const relsPath = this.getRelsPath(partPath);
+    const relsXml = this.getPartText(relsPath);
+    if (!relsXml) {
+      return;
+    }
+
+    const target = escapeXmlAttribute(this.getRelativeTarget(partPath, targetPath));
+    this.setPartText(
+      relsPath,
+      relsXml.replace(/<Relationship\b[^>]*>/g, (relationship) =>
+        this.parseAttributes(relationship).Id === id
+          ? relationship.replace(/\bTarget="[^"]*"/, `Target="${target}"`)
+          : relationship
+      )
+    );
+  }
+
+  /**
+   * Remove a relationship from a part
+   * @param {string} partPath - Source part path
+   * @param {string} id - Relationship id
+   * @returns {boolean} True if the relationship existed
+   */
+  removeRelationship(partPath, id) {
+    const relsPath = this.getRelsPath(partPath);
+    const relsXml = this.getPartText(relsPath);
+    if (!relsXml) {
+      return false;
+    }
+
+    let removed = false;
+    const updated = relsXml.replace(/<Relationship\b[^>]*>/g, (relationship) => {
+      if (this.parseAttributes(relationship).Id === id) {
+        removed = true;
+        return '';
+      }
+      return relationship;
+    });
+
+    if (removed) {
+      this.setPartText(relsPath, updated);
+    }
+    return removed;
+  }
+
+  /**
+   * Generate the next free relationship id (rIdN)
+   * @param {string} relsXml - Relationships XML
+   * @returns {string} Unused relationship id
+   */
+  getNextRelationshipId(relsXml) {
+    let maxId = 0;
+    const idRegex = /\bId="rId(\d+)"/g;
+    let match;
+    while ((match = idRegex.exec(relsXml)) !== null) {
+      maxId = Math.max(maxId, parseInt(match[1], 10));
+    }
+    return `rId${maxId + 1}`;
+  }
+
+  /**
+   * Get the content type override registered for a part
+   * @param {string} partPath - Part path
+   * @returns {string|null} Content type or null if the part has no override
+   */
+  getContentTypeOverride(partPath) {
+    const contentTypes = this.getPartText(this.contentTypesPath) || '';
+    const partName = `/${partPath}`;
+    const overrideRegex = /<Override\b[^>]*>/g;
+    let match;
+    while ((match = overrideRegex.exec(contentTypes)) !== null) {
+      const attributes = this.parseAttributes(match[0]);
+      if (attributes.PartName === partName) {
+        return attributes.ContentType;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Register a content type override for a part
+   * @param {string} partPath - Part path
+   * @param {string} contentType - Content type
+   */
+  addContentTypeOverride(partPath, contentType) {
+    const contentTypes = this.getPartText(this.contentTypesPath);
+    if (!contentTypes || this.getContentTypeOverride(partPath) !== null) {
+      return;
+    }
+
+    const override =
+      `<Override PartName="/${escapeXmlAttribute(partPath)}" ` +
+      `ContentType="${escapeXmlAttribute(contentType)}"/>`;
+    this.setPartText(
+      this.contentTypesPath,
+      this.insertBeforeClosingTag(contentTypes, 'Types', override)
+    );
+  }
+
+  /**
+   * Get the default content type registered for a file extension
+   * @param {string} extension - File extension without the dot (e.g. "png")
+   * @returns {string|null} Content type or null if the extension has no default
+   */
+  getContentTypeDefault(extension) {
+    const contentTypes = this.getPartText(this.contentTypesPath) || '';
+    const defaultRegex = /<Default\b[^>]*>/g;
+    let match;
+    while ((match = defaultRegex.exec(contentTypes)) !== null) {
+      const attributes = this.parseAttributes(match[0]);
+      if ((attributes.Extension || '').toLowerCase() === extension.toLowerCase()) {
+        return attributes.ContentType;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Register a default content type for a file extension
+   * @param {string} extension - File extension without the dot (e.g. "png")
+   * @param {string} contentType - Content type
+   */
+  addContentTypeDefault(extension, contentType) {
+    const contentTypes = this.getPartText(this.contentTypesPath);
+    if (!contentTypes || this.getContentTypeDefault(extension) !== null) {
+      return;
+    }
+
+    const defaultType =
+      `<Default Extension="${escapeXmlAttribute(extension)}" ` +
+      `ContentType="${escapeXmlAttribute(contentType)}"/>`;
+    this.setPartText(
+      this.contentTypesPath,
+      this.insertBeforeClosingTag(contentTypes, 'Types', defaultType)
+    );
+  }
+
+  /**
+   * Remove the content type override of a part
+   * @param {string} partPath - Part path
+   * @returns {boolean} True if an override was removed
+   */
+  removeContentTypeOverride(partPath) {
+    const contentTypes = this.getPartText(this.contentTypesPath);
+    if (!contentTypes) {
+      return false;
+    }
+
+    let removed = false;
+    const partName = `/${partPath}`;
+    const updated = contentTypes.replace(/\s*<Override\b[^>]*>/g, (override) => {
+      if (this.parseAttributes(override).PartName === partName) {
+        removed = true;
+        return '';
+      }
+      return override;
+    });
+
+    if (removed) {
+      this.setPartText(this.contentTypesPath, updated);
+    }
+    return removed;
+  }
+
+  /**
+   * Find the first unused part name following a numbered naming scheme
+   * e.g. ppt/slides/slide3.xml -> ppt/slides/slide4.xml when slide4 is free
+   * @param {string} partPath - Example part path of the series
+   * @returns {string} Unused part path
+   */
+  getNextPartName(partPath) {
+    const match = partPath.match(/^(.*?)(\d*)(\.[^./]+)$/);
+    const base = match ? match[1] : partPath;
+    const extension = match ? match[3] : '';
+
+    let number = 1;
+    while (this.hasPart(`${base}${number}${extension}`)) {
+      number++;
+    }
+    return `${base}${number}${extension}`;
+  }
+
+  /**
+   * Find all parts whose relationships point at a part
+   * @param {string} targetPath - Target part path
+   * @returns {Array} Source part paths with the referencing relationship ids
+   */
+  findReferencingParts(targetPath) {
+    const references = [];
+    for (const relsPath of this.listParts()) {
+      const match = relsPath.match(/^(.*?)_rels\/([^/]+)\.rels$/);
+      if (!match) {
+        continue;
+      }
+
+      const sourcePath = `${match[1]}${match[2]}`;
+      for (const relationship of this.getRelationships(sourcePath)) {
+        if (relationship.partPath === targetPath) {
+          references.push({ sourcePath, id: relationship.id });
+        }
+      }
+    }
+    return references;
+  }
+
+  /**
+   * Parse the attributes of a single XML tag
+   * @param {string} tag - XML tag markup
+   * @returns {Object} Attribute name to (unescaped) value map
+   */
+  parseAttributes(tag) {
+    const attributes = {};
+    const attributeRegex = /([\w:]+)="([^"]*)"/g;
+    let match;
+    while ((match = attributeRegex.exec(tag)) !== null) {
+      attributes[match[1]] = unescapeXml(match[2]);
+    }
+    return attributes;
+  }
+
+  /**
+   * Insert markup before the closing tag of the root element (expanding self-closing roots)
+   * @param {string} xml - XML document
+   * @param {string} rootElement - Root element name
+   * @param {string} markup - Markup to insert
+   * @returns {string} Updated XML
+   */
+  insertBeforeClosingTag(xml, rootElement, markup) {
+    const closingTag = `</${rootElement}>`;
+    const closingIndex = xml.lastIndexOf(closingTag);
+    if (closingIndex !== -1) {
+      return xml.slice(0, closingIndex) + markup + xml.slice(closingIndex);
+    }
+
+    const selfClosing = new RegExp(`<${rootElement}(\\s[^>]*?)?/>`);
+    return xml.replace(selfClosing, (_tag, attributes) => {
+      return `<${rootElement}${attributes || ''}>${markup}${closingTag}`;
+    });
+  }
+}
+
+module.exports = PackageEditor;
@@ -0,0 +1,161 @@
+/**
+ * Placeholder Manifest
+ * Describes the data a template needs, for APIs that answer placeholder requests: what each
+ * path is used for, which values must be numbers or arrays, and the nested tree of paths
+ */
+
+/**
+ * PlaceholderManifest class building versioned manifests from parse results
+ *
+ * Schema (version 1):
+ *   {
+ *     schema: 'ooxml-templater/placeholder-manifest', version: 1,
+ *     template: { filename, type } | null,
+ *     placeholders: [{ path, expects, usages, collection, occurrences }],
+ *     tree: { name: { expects, fields? } }
+ *   }
+ * `expects` is 'array' (collections of repeated rows, blocks and slides), 'number' (numeric
+ * directives), 'presence' (only delete directives test it; any non-empty value will do) or
+ * 'value'. `collection` is the innermost collection an item path belongs to.
+ */
+class PlaceholderManifest {
+  /**
+   * @param {Object} placeholderParser - Parser listing the data paths of each placeholder
+   */
+  constructor(placeholderParser) {
+    this.placeholderParser = placeholderParser;
+    this.schema = 'ooxml-templater/placeholder-manifest';
+    this.version = 1;
+
+    // How each placeholder type uses its data paths
+    this.usages = {
+      standard: 'value',
+      numeric: 'number',
+      delete: 'presence',
+      conditional: 'condition',
+      repeat: 'collection',
+      loop: 'collection',
+      slideRepeat: 'collection',
+      image: 'image',
+      link: 'link',
+      html: 'html',
+    };
+  }
+
+  /**
+   * Build the manifest of a parsed template
+   * @param {Object} parseResult - Result of parseTemplate() or the parseResult of a compiled
+   *   template
+   * @returns {Object} Manifest
+   */
+  build(parseResult) {
+    const placeholders = Array.isArray(parseResult.placeholders)
+      ? parseResult.placeholders
+      : parseResult.placeholders.all;
+
+    const entries = new Map();
+    for (const placeholder of placeholders) {
+      const usage = this.usages[placeholder.type];
+      if (!usage) {
+        continue;
+      }
+      for (const path of this.placeholderParser.getReferencedPaths(placeholder)) {
+        if (!entries.has(path)) {
+          entries.set(path, { path, usages: [], occurrences: 0 });
+        }
+        const entry = entries.get(path);
+        entry.occurrences++;
+        if (!entry.usages.includes(usage)) {
+          entry.usages.push(usage);
+        }
+      }
+    }
+
+    const collections = Array.from(entries.values())
+      .filter((entry) => entry.usages.includes('collection'))
+      .map((entry) => entry.path);
+
+    const manifestPlaceholders = Array.from(entries.values()).map((entry) => ({
+      path: entry.path,
+      expects: this.getExpectedType(entry.usages),
+      usages: entry.usages,
+      collection: this.findCollection(entry.path, collections),
+      occurrences: entry.occurrences,
+    }));
+
+    const { template } = parseResult;
+    return {
+      schema: this.schema,
+      version: this.version,
+      template: template ? { filename: template.filename, type: template.type } : null,
+      placeholders: manifestPlaceholders,
+      tree: this.buildTree(manifestPlaceholders),
+    };
+  }
+
+  /**
+   * Get the type of value a path needs from its usages
+   * @param {Array<string>} usages - Usages of the path
+   * @returns {string} 'array', 'number', 'presence' or 'value'
+   */
+  getExpectedType(usages) {
+    if (usages.includes('collection')) {
+      return 'array';
+    }
+    if (usages.includes('number')) {
+      return 'number';
+    }
+    return usages.every((usage) => usage === 'presence') ? 'presence' : 'value';
+  }
+
+  /**
+   * Find the innermost collection an item path belongs to
+   * @param {string} path - Placeholder path
+   * @param {Array<string>} collections - Collection paths
+   * @returns {string|null} Collection path
+   */
+  findCollection(path, collections) {
+    return collections
+      .filter((collection) => path.startsWith(`${collection}.`))
+      .reduce(
+        (innermost, collection) =>
+          innermost === null || collection.length > innermost.length ? collection : innermost,
+        null
+      );
+  }
+
+  /**
+   * Build the nested tree of paths
+   * Objects on the way to a path expect 'object'; the fields of a collection describe its items.
+   * @param {Array<Object>} placeholders - Manifest placeholders
+   * @returns {Object} Tree nodes by name
+   */
+  buildTree(placeholders) {
+    const tree = {};
+    for (const placeholder of placeholders) {
+      const names = placeholder.path.split('.');
+      if (names.includes('__proto__')) {
+        continue;
+      }
+      let fields = tree;
+      names.forEach((name, index) => {
+        if (!Object.prototype.hasOwnProperty.call(fields, name)) {
+          fields[name] = { expects: 'object' };
+        }
+        const node = fields[name];
+        if (index === names.length - 1) {
+          // Collections stay arrays when their items are also used as values
+          if (node.expects !== 'array') {
+            node.expects = placeholder.expects;
+          }
+        } else {
+          node.fields = node.fields || {};
+          fields = node.fields;
+        }
+      });
+    }
+    return tree;
+  }
+}
+
+module.exports = PlaceholderManifest;
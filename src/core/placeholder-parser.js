@@ -3,6 +3,11 @@
  * Finds and extracts placeholder patterns from XML content
  */
 
+const RunNormalizer = require('./run-normalizer');
+const ConditionalProcessor = require('./conditional-processor');
+const HyperlinkProcessor = require('./hyperlink-processor');
+const { unescapeXml } = require('../utils/xml-escape');
+
 /**
  * PlaceholderParser class for detecting and extracting placeholders from Office documents
  */
@@ -16,12 +21,44 @@ class PlaceholderParser {
       numeric: /\(\(\((\d+)=([^)]+)\)\)\)/g,
       // Delete directive: (((DeletePageIfEmpty=my.placeholder)))
       deleteDirective: /\(\(\((Delete\w+IfEmpty)=([^)]+)\)\)\)/g,
+      // Row repetition directive: (((#items)))
+      repeat: /\(\(\(#([^)\s]+)\)\)\)/g,
+      // Block loop markers: (((#each sections))) ... (((/each)))
+      loop: /\(\(\(#each\s+([^)\s]+)\s*\)\)\)/g,
+      loopEnd: /\(\(\(\/each\)\)\)/g,
+      // Conditional block markers: (((#if customer.vip))) ... (((else))) ... (((/if)))
+      conditional: /\(\(\(#if\s+([^)]+?)\s*\)\)\)/g,
+      conditionalElse: /\(\(\(else\)\)\)/g,
+      conditionalEnd: /\(\(\(\/if\)\)\)/g,
+      // Slide repetition directive: (((RepeatSlide=regions)))
+      slideRepeat: /\(\(\(RepeatSlide=([^)\s]+)\)\)\)/g,
+      // Picture replacement in alt text: (((img:customer.logo)))
+      image: /\(\(\(img:([^)\s]+)\)\)\)/g,
+      // Hyperlink with optional text: (((link:links.portal|"Customer portal")))
+      link: /\(\(\(link:([^)]+)\)\)\)/g,
+      // HTML content replacing its paragraph: (((html:article.body)))
+      html: /\(\(\(html:([^)\s]+)\)\)\)/g,
       // Any placeholder pattern (for detection)
       any: /\(\(\([^)]+\)\)\)/g,
     };
 
+    // Quote pairs accepted around formatter arguments (word processors often curl quotes)
+    this.quotePairs = { '"': '"', "'": "'", '\u201c': '\u201d', '\u2018': '\u2019' };
+
+    // Markers that carry no data path
+    this.markerTypes = new Set(['loopEnd', 'conditionalElse', 'conditionalEnd']);
+
+    // Parses and lists the data paths of conditions
+    this.conditionalProcessor = new ConditionalProcessor();
+
+    // Parses the URL and text of hyperlink placeholders
+    this.hyperlinkProcessor = new HyperlinkProcessor();
+
     // Cache for parsed results
     this.cache = new Map();
+
+    // Heals placeholders split across text runs before they are matched
+    this.runNormalizer = new RunNormalizer();
   }
 
   /**
@@ -31,6 +68,9 @@ class PlaceholderParser {
    * @returns {Object} Parsed placeholder information
    */
   parseDocument(extractedDocument, xmlFiles) {
+    // Heal split runs first so positions (and the cache key) refer to the healed XML
+    const healedCount = this.normalizeXmlFiles(xmlFiles);
+
     const cacheKey = this.generateCacheKey(xmlFiles);
     if (this.cache.has(cacheKey)) {
       return this.cache.get(cacheKey);
@@ -41,6 +81,10 @@ class PlaceholderParser {
       uniquePlaceholders: new Set(),
       numericDirectives: [],
       deleteDirectives: [],
+      repeatDirectives: [],
+      imageDirectives: [],
+      linkDirectives: [],
+      htmlDirectives: [],
       fileMap: new Map(),
       summary: {
         totalPlaceholders: 0,
@@ -48,6 +92,11 @@ class PlaceholderParser {
         filesWithPlaceholders: 0,
         numericDirectiveCount: 0,
         deleteDirectiveCount: 0,
+        repeatDirectiveCount: 0,
+        imageDirectiveCount: 0,
+        linkDirectiveCount: 0,
+        htmlDirectiveCount: 0,
+        healedPlaceholders: healedCount,
       },
     };
 
@@ -59,9 +108,11 @@ class PlaceholderParser {
         result.placeholders.push(...filePlaceholders);
         result.summary.filesWithPlaceholders++;
 
-        // Add to unique set
+        // Add every referenced data path to the unique set
         filePlaceholders.forEach((placeholder) => {
-          result.uniquePlaceholders.add(placeholder.cleanName);
+          this.getReferencedPaths(placeholder).forEach((path) =>
+            result.uniquePlaceholders.add(path)
+          );
         });
       }
     }
@@ -69,12 +120,22 @@ class PlaceholderParser {
     // Process numeric and delete directives
     result.numericDirectives = result.placeholders.filter((p) => p.type === 'numeric');
     result.deleteDirectives = result.placeholders.filter((p) => p.type === 'delete');
+    result.repeatDirectives = result.placeholders.filter(
+      (p) => p.type === 'repeat' || p.type === 'loop' || p.type === 'slideRepeat'
+    );
+    result.imageDirectives = result.placeholders.filter((p) => p.type === 'image');
+    result.linkDirectives = result.placeholders.filter((p) => p.type === 'link');
+    result.htmlDirectives = result.placeholders.filter((p) => p.type === 'html');
 
     // Update summary
     result.summary.totalPlaceholders = result.placeholders.length;
     result.summary.uniqueCount = result.uniquePlaceholders.size;
     result.summary.numericDirectiveCount = result.numericDirectives.length;
     result.summary.deleteDirectiveCount = result.deleteDirectives.length;
+    result.summary.repeatDirectiveCount = result.repeatDirectives.length;
+    result.summary.imageDirectiveCount = result.imageDirectives.length;
+    result.summary.linkDirectiveCount = result.linkDirectives.length;
+    result.summary.htmlDirectiveCount = result.htmlDirectives.length;
 
     // Convert Set to Array for easier consumption
     result.uniquePlaceholderList = Array.from(result.uniquePlaceholders);
@@ -83,6 +144,24 @@ class PlaceholderParser {
     return result;
   }
 
+  /**
+   * Merge placeholders split across text runs, updating each XML file's content in place
+   * The healed content is what PlaceholderSubstitution later reads, so positions stay valid
+   * @param {Array} xmlFiles - XML files array
+   * @returns {number} Number of healed placeholders
+   */
+  normalizeXmlFiles(xmlFiles) {
+    let healedCount = 0;
+    for (const xmlFile of xmlFiles) {
+      const result = this.runNormalizer.normalize(xmlFile.content);
+      if (result.healedCount > 0) {
+        xmlFile.content = result.content;
+        healedCount += result.healedCount;
+      }
+    }
+    return healedCount;
+  }
+
   /**
    * Parse placeholders from a single XML file
    * @param {Object} xmlFile - XML file object
@@ -149,6 +228,75 @@ class PlaceholderParser {
     }
     this.patterns.deleteDirective.lastIndex = 0;
 
+    // Find slide repetition directives
+    while ((match = this.patterns.slideRepeat.exec(content)) !== null) {
+      const range = `${match.index}-${match.index + match[0].length}`;
+      if (!processedRanges.has(range)) {
+        processedRanges.add(range);
+        matches.push({
+          type: 'slideRepeat',
+          fullMatch: match[0],
+          content: match[1],
+          index: match.index,
+          length: match[0].length,
+        });
+      }
+    }
+    this.patterns.slideRepeat.lastIndex = 0;
+
+    // Find row repetition directives
+    while ((match = this.patterns.repeat.exec(content)) !== null) {
+      const range = `${match.index}-${match.index + match[0].length}`;
+      if (!processedRanges.has(range)) {
+        processedRanges.add(range);
+        matches.push({
+          type: 'repeat',
+          fullMatch: match[0],
+          content: match[1],
+          index: match.index,
+          length: match[0].length,
+        });
+      }
+    }
+    this.patterns.repeat.lastIndex = 0;
+
+    // Find picture replacement, hyperlink and HTML placeholders
+    for (const type of ['image', 'link', 'html']) {
+      while ((match = this.patterns[type].exec(content)) !== null) {
+        const range = `${match.index}-${match.index + match[0].length}`;
+        if (!processedRanges.has(range)) {
+          processedRanges.add(range);
+          matches.push({
+            type,
+            fullMatch: match[0],
+            content: match[1],
+            index: match.index,
+            length: match[0].length,
+          });
+        }
+      }
+      this.patterns[type].lastIndex = 0;
+    }
+
+    // Find block loop and conditional block markers
+    const markerContent = { loopEnd: '/each', conditionalElse: 'else', conditionalEnd: '/if' };
+    for (const type of ['loop', 'loopEnd', 'conditional', 'conditionalElse', 'conditionalEnd']) {
+      while ((match = this.patterns[type].exec(content)) !== null) {
+        const range = `${match.index}-${match.index + match[0].length}`;
+        if (!processedRanges.has(range)) {
+          processedRanges.add(range);
+          matches.push({
+            type,
+            fullMatch: match[0],
+            content: markerContent[type] || match[1],
+            index: match.index,
+            length: match[0].length,
+          });
+        }
+      }
+      this.patterns[type].lastIndex = 0;
+    }
+
     // Find standard placeholders (least specific, catch remaining)
     while ((match = this.patterns.standard.exec(content)) !== null) {
       const range = `${match.index}-${match.index + match[0].length}`;
@@ -197,11 +345,118 @@ class PlaceholderParser {
     } else if (match.type === 'delete') {
       placeholder.directive = match.directive;
       placeholder.deleteType = this.getDeleteType(match.directive);
+    } else if (match.type === 'repeat') {
+      placeholder.repeatScope = 'row';
+    } else if (match.type === 'loop') {
+      placeholder.repeatScope = 'block';
+    } else if (match.type === 'conditional') {
+      placeholder.condition = this.conditionalProcessor.parseCondition(match.content);
+    } else if (match.type === 'link') {
+      placeholder.link = this.hyperlinkProcessor.parseLink(match.content);
+      placeholder.cleanName = placeholder.link.url.path || placeholder.link.url.value;
+    } else if (match.type === 'slideRepeat') {
+      placeholder.directive = 'RepeatSlide';
+      placeholder.repeatScope = 'slide';
+    } else if (match.type === 'standard') {
+      // Fallback chains and formatter pipes: (((nickname || firstName || "Customer" | upper)))
+      const expression = this.parseExpression(match.content);
+      placeholder.cleanName = expression.path;
+      if (expression.fallbacks.length > 0) {
+        placeholder.fallbacks = expression.fallbacks;
+      }
+      if (expression.formatters.length > 0) {
+        placeholder.formatters = expression.formatters;
+      }
     }
 
     return placeholder;
   }
 
+  /**
+   * Split a placeholder expression into its data path, fallbacks and formatter pipes
+   * e.g. 'nickname || firstName || "Customer" | upper' -> path 'nickname', fallbacks
+   * [{ path: 'firstName' }, { value: 'Customer' }] and one formatter
+   * @param {string} content - Placeholder content between the parentheses (XML-escaped)
+   * @returns {Object} Data path, fallbacks as { path } or { value }, and formatters as { name, args }
+   */
+  parseExpression(content) {
+    const text = unescapeXml(content);
+    if (!/\|/.test(text)) {
+      return { path: content, fallbacks: [], formatters: [] };
+    }
+
+    const [chain, ...pipes] = this.splitOutsideQuotes(text, '|');
+    const [path, ...fallbacks] = this.splitOutsideQuotes(chain, '||').map((part) => part.trim());
+
+    return {
+      path,
+      fallbacks: fallbacks.map((fallback) => this.parseFallback(fallback)),
+      formatters: pipes.map((pipe) => {
+        const [name, ...args] = this.splitOutsideQuotes(pipe, ':');
+        return { name: name.trim(), args: args.map((arg) => this.unquote(arg.trim())) };
+      }),
+    };
+  }
+
+  /**
+   * Parse one fallback of a chain: a quoted string or number literal, or a data path
+   * @param {string} fallback - Trimmed fallback text
+   * @returns {Object} { value } for literals, { path } for data paths
+   */
+  parseFallback(fallback) {
+    if (this.quotePairs[fallback[0]]) {
+      return { value: this.unquote(fallback) };
+    }
+    if (/^-?\d+(?:\.\d+)?$/.test(fallback)) {
+      return { value: Number(fallback) };
+    }
+    return { path: fallback };
+  }
+
+  /**
+   * Split text on a separator, ignoring separators inside quotes
+   * A doubled single-character separator ("||" when splitting on "|") is not a split point.
+   * @param {string} text - Text to split
+   * @param {string} separator - Separator
+   * @returns {Array} Parts
+   */
+  splitOutsideQuotes(text, separator) {
+    const parts = [];
+    let current = '';
+    let closingQuote = null;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (closingQuote) {
+        closingQuote = char === closingQuote ? null : closingQuote;
+      } else if (this.quotePairs[char]) {
+        closingQuote = this.quotePairs[char];
+      } else if (separator.length === 1 && char === separator && text[i + 1] === separator) {
+        current += char + char;
+        i++;
+        continue;
+      } else if (text.startsWith(separator, i)) {
+        parts.push(current);
+        current = '';
+        i += separator.length - 1;
+        continue;
+      }
+      current += char;
+    }
+    parts.push(current);
+    return parts;
+  }
+
+  /**
+   * Remove matching quotes around a formatter argument
+   * @param {string} arg - Argument text
+   * @returns {string} Unquoted argument
+   */
+  unquote(arg) {
+    const closingQuote = this.quotePairs[arg[0]];
+    return closingQuote && arg.length > 1 && arg.endsWith(closingQuote) ? arg.slice(1, -1) : arg;
+  }
+
   /**
    * Extract context around placeholder for debugging
    * @param {string} content - Full XML content
@@ -268,6 +523,29 @@ class PlaceholderParser {
     return hash;
   }
 
+  /**
+   * List the data paths a placeholder reads (fallback and condition paths included)
+   * @param {Object} placeholder - Placeholder object
+   * @returns {Array} Data paths
+   */
+  getReferencedPaths(placeholder) {
+    if (this.markerTypes.has(placeholder.type)) {
+      return [];
+    }
+    if (placeholder.type === 'conditional') {
+      return this.conditionalProcessor.getConditionPaths(placeholder.condition);
+    }
+    if (placeholder.type === 'link') {
+      return this.hyperlinkProcessor.getLinkPaths(placeholder.link);
+    }
+    return [
+      placeholder.cleanName,
+      ...(placeholder.fallbacks || [])
+        .filter((fallback) => 'path' in fallback)
+        .map((fallback) => fallback.path),
+    ];
+  }
+
   /**
    * Get unique placeholders for data request
    * @param {Object} parseResult - Result from parseDocument
@@ -4,6 +4,17 @@
  */
 
 const ContentDeletion = require('./content-deletion');
+const ExcelCellTyper = require('./excel-cell-typer');
+const ExcelRowExpander = require('./excel-row-expander');
+const FormatterRegistry = require('./formatter-registry');
+const LineBreakRenderer = require('./line-break-renderer');
+const RichTextRenderer = require('./rich-text-renderer');
+const RepeatProcessor = require('./repeat-processor');
+const ConditionalProcessor = require('./conditional-processor');
+const PlaceholderParser = require('./placeholder-parser');
+const { encodeXmlValue, escapeXmlText, isRawXml } = require('../utils/xml-escape');
+const { isRichText } = require('../utils/rich-text');
+const { DEFAULT_LINK_SCHEMES, isAllowedLinkTarget } = require('../utils/url-safety');
 
 /**
  * PlaceholderSubstitution class for replacing placeholders with data
@@ -16,6 +27,11 @@ class PlaceholderSubstitution {
       successfulSubstitutions: 0,
       failedSubstitutions: 0,
       deletedElements: 0,
+      repeatedRows: 0,
+      repeatedBlocks: 0,
+      conditionalBlocks: 0,
+      typedCells: 0,
+      wrappedCells: 0,
     };
 
     // Configuration options
@@ -24,10 +40,39 @@ class PlaceholderSubstitution {
       preserveUnmatched: true, // If true, keeps unmatched placeholders
       logMissingData: true, // If true, logs missing data warnings
       deleteEmptyElements: true, // If true, processes delete directives
+      allowedLinkSchemes: DEFAULT_LINK_SCHEMES, // URL schemes allowed for hyperlink targets
+      lineBreaks: 'break', // 'break' or 'paragraph': how newlines in values are rendered
     };
 
     // Initialize content deletion handler
     this.contentDeletion = new ContentDeletion();
+
+    // Repeat directives are expanded before substitution, then the file is re-parsed
+    this.expansionTypes = new Set([
+      'repeat',
+      'loop',
+      'loopEnd',
+      'conditional',
+      'conditionalElse',
+      'conditionalEnd',
+    ]);
+    this.repeatProcessor = new RepeatProcessor();
+
+    // Pictures, hyperlinks and HTML need new package parts and relationships, added after
+    // substitution
+    this.packageTypes = new Set(['image', 'link', 'html']);
+    this.conditionalProcessor = new ConditionalProcessor();
+    this.excelRowExpander = new ExcelRowExpander();
+    this.excelCellTyper = new ExcelCellTyper();
+
+    // Formatters applied through placeholder pipes: (((total | currency:EUR)))
+    this.formatters = new FormatterRegistry();
+    this.placeholderParser = new PlaceholderParser();
+
+    // Newlines and tabs in values become breaks, paragraphs and tabs in text runs
+    this.lineBreakRenderer = new LineBreakRenderer();
+    this.richTextRenderer = new RichTextRenderer();
+    this.richTextContext = this.richTextRenderer.createContext([]);
   }
 
   /**
@@ -50,20 +95,48 @@ class PlaceholderSubstitution {
       return {
         modifiedFiles,
         stats: { ...this.stats },
+        richTextLinks: [],
         deletionCandidates: [],
         success: true,
       };
     }
 
+    // Expand repeat directives first; expanded files are re-parsed so positions stay valid
+    const expansion = this.expandRepeatDirectives(parseResult, data, xmlFiles);
+
+    // Spreadsheet cells holding a single placeholder get a number, boolean or date value
+    const typing = this.excelCellTyper.apply(expansion.xmlFiles, data, (values, path) =>
+      this.getDataValue(values, path)
+    );
+    this.stats.totalSubstitutions += typing.typedCells;
+    this.stats.successfulSubstitutions += typing.typedCells;
+    this.stats.typedCells += typing.typedCells;
+    const workingFiles = this.replaceWorkingFiles(
+      expansion.xmlFiles,
+      typing.changedFiles,
+      expansion.fileMap
+    );
+
+    // Rich text values share list numbering and collect links for the hyperlink step
+    this.richTextContext = this.richTextRenderer.createContext(workingFiles);
+
     // Process numeric directives FIRST - find and replace numbers in ALL XML files
     // This must happen before regular placeholders to catch the numeric values before markers are removed
     if (parseResult.numericDirectives && parseResult.numericDirectives.length > 0) {
-      this.processNumericDirectivesGlobal(parseResult.numericDirectives, data, xmlFiles, modifiedFiles);
+      this.processNumericDirectivesGlobal(
+        parseResult.numericDirectives,
+        data,
+        workingFiles,
+        modifiedFiles
+      );
     }
 
+    // Delete directives re-based onto the substituted content
+    const deleteDirectives = [];
+
     // Process each file that contains placeholders
-    for (const [filePath, placeholders] of parseResult.fileMap) {
-      const originalFile = xmlFiles.find((f) => f.path === filePath);
+    for (const [filePath, placeholders] of expansion.fileMap) {
+      const originalFile = workingFiles.find((f) => f.path === filePath);
       if (!originalFile) {
         continue;
       }
@@ -75,15 +148,21 @@ class PlaceholderSubstitution {
       const filePlaceholders = [...placeholders].sort(
         (a, b) => b.position.index - a.position.index
       );
+      const lengthChanges = new Map();
 
       // Process placeholders in reverse order to maintain string positions
       // Skip numeric directives - they're handled globally above
+      // Picture and hyperlink placeholders stay in place for package-level processing
       for (const placeholder of filePlaceholders) {
-        if (placeholder.type === 'numeric') {
-          continue; // Already processed globally
+        if (placeholder.type === 'numeric' || this.expansionTypes.has(placeholder.type)) {
+          continue; // Already processed globally / expanded above
+        }
+        if (this.packageTypes.has(placeholder.type)) {
+          continue;
         }
 
         const result = this.substitutePlaceholder(placeholder, data, modifiedContent);
+        lengthChanges.set(placeholder, result.content.length - modifiedContent.length);
         modifiedContent = result.content;
 
         if (result.shouldDelete) {
@@ -91,31 +170,142 @@ class PlaceholderSubstitution {
         }
       }
 
+      deleteDirectives.push(
+        ...this.rebaseDirectives(
+          placeholders.filter((p) => p.type === 'delete'),
+          lengthChanges
+        )
+      );
+
       modifiedFiles.set(filePath, {
         ...originalFile,
         content: modifiedContent,
-        modified: modifiedContent !== originalFile.content,
+        modified: modifiedContent !== originalFile.content || Boolean(originalFile.expanded),
       });
     }
 
     // Handle delete directives
     if (this.options.deleteEmptyElements) {
-      this.processDeleteDirectives(
-        parseResult.deleteDirectives,
-        data,
-        modifiedFiles,
-        deletionCandidates
-      );
+      this.processDeleteDirectives(deleteDirectives, data, modifiedFiles, deletionCandidates);
     }
 
+    // Spreadsheet cells that received multi-line text wrap it, so the line breaks show
+    this.stats.wrappedCells += this.excelCellTyper.wrapMultilineCells(workingFiles, modifiedFiles);
+
+    // Numbered lists from rich text values start their own numbering instances
+    this.richTextRenderer.writeNumbering(this.richTextContext, workingFiles, modifiedFiles);
+
     return {
       modifiedFiles,
       stats: { ...this.stats },
+      richTextLinks: this.richTextContext.links,
       deletionCandidates: Array.from(deletionCandidates),
       success: this.stats.failedSubstitutions === 0 || !this.options.strictMode,
     };
   }
 
+  /**
+   * Expand repeat directives (spreadsheet rows, table rows, block loops) and re-parse the files
+   * they live in
+   * @param {Object} parseResult - Result from PlaceholderParser
+   * @param {Object} data - Data object
+   * @param {Array} xmlFiles - Original XML files
+   * @returns {Object} File map and XML files reflecting the expanded content
+   */
+  expandRepeatDirectives(parseResult, data, xmlFiles) {
+    const fileMap = new Map(parseResult.fileMap);
+    let workingFiles = xmlFiles;
+
+    // Spreadsheet rows go first: inserting or removing a row touches every sheet of its workbook
+    const excelResult = this.excelRowExpander.expand(xmlFiles, data, {
+      deleteEmptyRows: this.options.deleteEmptyElements,
+    });
+    this.stats.repeatedRows += excelResult.repeatedRows;
+    this.stats.deletedElements += excelResult.removedRows;
+    workingFiles = this.replaceWorkingFiles(workingFiles, excelResult.changedFiles, fileMap);
+
+    for (const [filePath, placeholders] of fileMap) {
+      if (!placeholders.some((p) => this.expansionTypes.has(p.type))) {
+        continue;
+      }
+
+      const originalFile = workingFiles.find((f) => f.path === filePath);
+      if (!originalFile) {
+        continue;
+      }
+
+      const result = this.repeatProcessor.expand(originalFile.content, data, originalFile.type);
+      this.stats.repeatedRows += result.repeatedRows;
+      this.stats.repeatedBlocks += result.repeatedBlocks;
+      this.stats.deletedElements += result.removedRows;
+
+      // Conditions run after loops so item paths inside repeated blocks are already scoped
+      const conditional = this.conditionalProcessor.process(
+        result.content,
+        data,
+        originalFile.type
+      );
+      this.stats.conditionalBlocks += conditional.conditionalBlocks;
+      for (const condition of conditional.invalidConditions) {
+        this.stats.failedSubstitutions++;
+        if (this.options.logMissingData) {
+          // eslint-disable-next-line no-console
+          console.warn(`Unknown operator in condition: ${condition}`);
+        }
+      }
+
+      const expandedFile = { ...originalFile, content: conditional.content, expanded: true };
+      workingFiles = workingFiles.map((f) => (f === originalFile ? expandedFile : f));
+      fileMap.set(filePath, this.placeholderParser.parseXmlFile(expandedFile));
+    }
+
+    return { fileMap, xmlFiles: workingFiles };
+  }
+
+  /**
+   * Swap in new content for files changed before substitution and re-parse them
+   * Changed parts without placeholders are added to the file map too, so they are written back.
+   * @param {Array} workingFiles - Current XML files
+   * @param {Map} changedFiles - New content by file path
+   * @param {Map} fileMap - File map to update in place
+   * @returns {Array} XML files with the new content
+   */
+  replaceWorkingFiles(workingFiles, changedFiles, fileMap) {
+    return workingFiles.map((file) => {
+      if (!changedFiles.has(file.path)) {
+        return file;
+      }
+      const expandedFile = { ...file, content: changedFiles.get(file.path), expanded: true };
+      fileMap.set(file.path, this.placeholderParser.parseXmlFile(expandedFile));
+      return expandedFile;
+    });
+  }
+
+  /**
+   * Shift directive positions by the length changes of substitutions made before them
+   * @param {Array} directives - Directives from one file, positioned against the original content
+   * @param {Map} lengthChanges - Map of placeholder to length change caused by its substitution
+   * @returns {Array} Directives positioned against the substituted content
+   */
+  rebaseDirectives(directives, lengthChanges) {
+    return directives.map((directive) => {
+      let shift = 0;
+      for (const [placeholder, change] of lengthChanges) {
+        if (placeholder.position.index < directive.position.index) {
+          shift += change;
+        }
+      }
+      return {
+        ...directive,
+        position: {
+          ...directive.position,
+          index: directive.position.index + shift,
+          length: directive.position.length + (lengthChanges.get(directive) || 0),
+        },
+      };
+    });
+  }
+
   /**
    * Process numeric directives globally - replace numeric values across ALL files
    * @param {Array} numericDirectives - Array of numeric directive placeholders
@@ -128,9 +318,9 @@ class PlaceholderSubstitution {
       this.stats.totalSubstitutions++;
 
       const numericValue = directive.numericValue; // e.g., 111111
-      const replacementValue = this.getDataValue(data, directive.cleanName); // e.g., 17.2
+      const dataValue = this.getDataValue(data, directive.cleanName); // e.g., 17.2
 
-      if (replacementValue === null || replacementValue === undefined) {
+      if (dataValue === null || dataValue === undefined) {
         if (this.options.logMissingData) {
           // eslint-disable-next-line no-console
           console.warn(`Missing data for numeric directive: ${directive.cleanName}`);
@@ -139,6 +329,8 @@ class PlaceholderSubstitution {
         continue; // Skip if no data available
       }
 
+      const replacementValue = escapeXmlText(dataValue);
+
       // Search through ALL XML files for this numeric value
       // Need to look in both c:v tags (charts) and v tags (Excel)
       let foundAny = false;
@@ -213,7 +405,8 @@ class PlaceholderSubstitution {
 
       // Handle numeric directives - remove the marker from document
       // The actual numeric replacement happens globally via processNumericDirectivesGlobal
-      if (placeholder.type === 'numeric') {
+      // Slide repetition happens at package level, so any marker left here is only removed
+      if (placeholder.type === 'numeric' || placeholder.type === 'slideRepeat') {
         const newContent = this.replaceInContent(
           content,
           placeholder.position.index,
@@ -233,18 +426,68 @@ class PlaceholderSubstitution {
         replacement = result.replacement;
         shouldDelete = result.shouldDelete;
       } else {
-        replacement = this.getDataValue(data, placeholder.cleanName);
+        replacement = this.resolveValue(placeholder, data);
+        if (placeholder.formatters) {
+          replacement = this.formatters.apply(replacement, placeholder.formatters, {
+            locale: this.options.locale,
+            timeZone: this.options.timeZone,
+          });
+        }
       }
 
       if (replacement === null || replacement === undefined) {
         return this.handleMissingData(placeholder, content);
       }
 
+      // Rich text becomes formatted runs; outside text runs it is inserted as plain text
+      if (isRichText(replacement)) {
+        const rendered = this.richTextRenderer.render(
+          replacement,
+          content,
+          placeholder.position,
+          this.richTextContext
+        );
+        if (rendered) {
+          this.stats.successfulSubstitutions++;
+          return {
+            content:
+              content.slice(0, rendered.start) + rendered.markup + content.slice(rendered.end),
+            shouldDelete,
+            success: true,
+          };
+        }
+        replacement = replacement.toPlainText();
+      }
+
+      // Dates without a date formatter render as ISO 8601 rather than Date#toString()
+      if (replacement instanceof Date) {
+        replacement = this.formatDateValue(replacement);
+      }
+
+      // A value that starts an external relationship target decides the link's scheme
+      if (
+        this.isExternalTargetStart(content, placeholder.position.index) &&
+        !isAllowedLinkTarget(replacement, this.options.allowedLinkSchemes)
+      ) {
+        return this.handleUnsafeLink(placeholder, content);
+      }
+
+      // Escape for the context the value lands in (text node or attribute value)
+      let value = encodeXmlValue(replacement, content, placeholder.position.index);
+      if (!isRawXml(replacement)) {
+        value = this.lineBreakRenderer.render(
+          value,
+          content,
+          placeholder.position.index,
+          placeholder.position.fileType,
+          this.options.lineBreaks
+        );
+      }
       const newContent = this.replaceInContent(
         content,
         placeholder.position.index,
         placeholder.position.length,
-        String(replacement)
+        value
       );
 
       this.stats.successfulSubstitutions++;
@@ -267,6 +510,24 @@ class PlaceholderSubstitution {
     }
   }
 
+  /**
+   * Resolve a placeholder's value, trying its fallbacks in order while the value is empty
+   * Like JavaScript's ||, a chain that never finds a value yields its last entry.
+   * @param {Object} placeholder - Placeholder with optional fallbacks
+   * @param {Object} data - Data object
+   * @returns {*} Resolved value
+   */
+  resolveValue(placeholder, data) {
+    let value = this.getDataValue(data, placeholder.cleanName);
+    for (const fallback of placeholder.fallbacks || []) {
+      if (!this.isEmptyValue(value)) {
+        break;
+      }
+      value = 'path' in fallback ? this.getDataValue(data, fallback.path) : fallback.value;
+    }
+    return value;
+  }
+
   /**
    * Process a delete directive placeholder
    * @param {Object} placeholder - Delete directive placeholder
@@ -291,6 +552,19 @@ class PlaceholderSubstitution {
     };
   }
 
+  /**
+   * Render a Date as an ISO 8601 date (yyyy-MM-dd), with the UTC time when it is not midnight
+   * @param {Date} date - Date value
+   * @returns {string} Date text
+   */
+  formatDateValue(date) {
+    if (isNaN(date.getTime())) {
+      return String(date);
+    }
+    const text = date.toISOString();
+    return text.endsWith('T00:00:00.000Z') ? text.slice(0, 10) : text;
+  }
+
   /**
    * Process numeric directive for charts
    * @param {Object} placeholder - Numeric directive placeholder
@@ -351,6 +625,61 @@ class PlaceholderSubstitution {
     };
   }
 
+  /**
+   * Check if a position is the start of the Target of an external relationship
+   * e.g. <Relationship Target="(((links.portal)))" TargetMode="External"/>
+   * @param {string} content - XML content
+   * @param {number} index - Placeholder position
+   * @returns {boolean} True if a value inserted here becomes the start of a link target
+   */
+  isExternalTargetStart(content, index) {
+    const tagStart = content.lastIndexOf('<', index);
+    const tagEnd = content.indexOf('>', index);
+    if (tagStart === -1 || tagEnd === -1 || content.lastIndexOf('>', index) > tagStart) {
+      return false;
+    }
+
+    const tag = content.slice(tagStart, tagEnd + 1);
+    return (
+      /^<Relationship\b/.test(tag) &&
+      /\bTargetMode="External"/.test(tag) &&
+      /\sTarget="$/.test(content.slice(tagStart, index))
+    );
+  }
+
+  /**
+   * Handle a link target whose URL scheme is not allowed
+   * @param {Object} placeholder - Placeholder object
+   * @param {string} content - Current content
+   * @returns {Object} Handling result (the unsafe value is never inserted)
+   */
+  handleUnsafeLink(placeholder, content) {
+    const message = `Unsafe link target for placeholder: ${placeholder.cleanName}`;
+    this.stats.failedSubstitutions++;
+
+    if (this.options.logMissingData) {
+      // eslint-disable-next-line no-console
+      console.warn(message);
+    }
+
+    if (this.options.strictMode) {
+      throw new Error(message);
+    }
+
+    return {
+      content: this.options.preserveUnmatched
+        ? content
+        : this.replaceInContent(
+            content,
+            placeholder.position.index,
+            placeholder.position.length,
+            ''
+          ),
+      shouldDelete: false,
+      success: false,
+    };
+  }
+
   /**
    * Process all delete directives for conditional content removal
    * @param {Array} deleteDirectives - Array of delete directive placeholders
@@ -446,7 +775,7 @@ class PlaceholderSubstitution {
     if (Array.isArray(value) && value.length === 0) {
       return true;
     }
-    if (typeof value === 'object' && Object.keys(value).length === 0) {
+    if (typeof value === 'object' && !(value instanceof Date) && Object.keys(value).length === 0) {
       return true;
     }
     return false;
@@ -473,6 +802,11 @@ class PlaceholderSubstitution {
       successfulSubstitutions: 0,
       failedSubstitutions: 0,
       deletedElements: 0,
+      repeatedRows: 0,
+      repeatedBlocks: 0,
+      conditionalBlocks: 0,
+      typedCells: 0,
+      wrappedCells: 0,
     };
   }
 
@@ -509,10 +843,20 @@ class PlaceholderSubstitution {
     const available = [];
     const typeErrors = [];
 
+    const repeatPaths = (parseResult.repeatDirectives || []).map((d) => d.cleanName);
+    const optionalPaths = this.getOptionalPaths(parseResult, data);
+
     for (const placeholderName of parseResult.uniquePlaceholderList) {
+      // Item-relative paths (items.sku) are resolved per element of the repeated array
+      const collectionPath = repeatPaths.find((path) => placeholderName.startsWith(`${path}.`));
+      if (collectionPath && Array.isArray(this.getDataValue(data, collectionPath))) {
+        available.push(placeholderName);
+        continue;
+      }
+
       const value = this.getDataValue(data, placeholderName);
 
-      if (value === null || value === undefined) {
+      if ((value === null || value === undefined) && !optionalPaths.has(placeholderName)) {
         missing.push(placeholderName);
       } else {
         available.push(placeholderName);
@@ -542,6 +886,31 @@ class PlaceholderSubstitution {
           : 100,
     };
   }
+
+  /**
+   * Find paths that are only referenced through conditions or fallback chains that resolve
+   * A missing path is not reported when its chain falls back to other data or a literal.
+   * @param {Object} parseResult - Parse result from PlaceholderParser
+   * @param {Object} data - Data object
+   * @returns {Set} Paths that may be missing
+   */
+  getOptionalPaths(parseResult, data) {
+    const optional = new Set();
+    const required = new Set();
+
+    for (const placeholder of parseResult.placeholders || []) {
+      // Conditions test whether data is there, so their paths may be missing
+      const target =
+        placeholder.type === 'conditional' ||
+        (placeholder.fallbacks && !this.isEmptyValue(this.resolveValue(placeholder, data)))
+          ? optional
+          : required;
+      this.placeholderParser.getReferencedPaths(placeholder).forEach((path) => target.add(path));
+    }
+
+    required.forEach((path) => optional.delete(path));
+    return optional;
+  }
 }
 
 module.exports = PlaceholderSubstitution;
@@ -0,0 +1,355 @@
+/**
+ * Repeat Processor
+ * Expands repeat directives by cloning template markup once per array item
+ */
+
+const ContentDeletion = require('./content-deletion');
+
+/**
+ * RepeatProcessor class for row directives like (((#items))) and block loops like
+ * (((#each sections)))...(((/each)))
+ */
+class RepeatProcessor {
+  constructor() {
+    // Row repetition marker: (((#items)))
+    this.rowMarkerPattern = /\(\(\(#([^)\s]+)\)\)\)/g;
+
+    // Block loop markers: (((#each sections))) ... (((/each)))
+    this.blockMarkerPattern = /\(\(\((?:#each\s+([^)\s]+)\s*|\/each)\)\)\)/g;
+
+    // Table row element for each document type
+    this.rowElements = {
+      word: 'w:tr',
+      powerpoint: 'a:tr',
+    };
+
+    // Paragraph element for each document type
+    this.paragraphElements = {
+      word: 'w:p',
+      powerpoint: 'a:p',
+    };
+
+    // Quoted text inside placeholders: "x", 'x', &quot;x&quot;, curly quotes
+    this.quotedLiteralPattern =
+      '"[^"]*"|\'[^\']*\'|&quot;.*?&quot;|\u201c[^\u201d]*\u201d|\u2018[^\u2019]*\u2019';
+
+    // Reuse container lookup from content deletion
+    this.contentDeletion = new ContentDeletion();
+  }
+
+  /**
+   * Expand all row and block repeat directives in XML content, outermost first
+   * @param {string} content - XML content
+   * @param {Object} data - Data object
+   * @param {string} fileType - File type (word, powerpoint)
+   * @returns {Object} Expansion result with new content and statistics
+   */
+  expand(content, data, fileType) {
+    const elements = {
+      row: this.rowElements[fileType] || this.rowElements.word,
+      paragraph: this.paragraphElements[fileType] || this.paragraphElements.word,
+    };
+    const result = {
+      content,
+      repeatedRows: 0,
+      removedRows: 0,
+      repeatedBlocks: 0,
+    };
+
+    let directive;
+    while ((directive = this.findOutermostDirective(result.content, elements)) !== null) {
+      let expanded = '';
+
+      if (directive.kind !== 'strip') {
+        const items = this.getDataValue(data, directive.path);
+        const count = this.isEmptyValue(items) ? 0 : Array.isArray(items) ? items.length : 1;
+        expanded = this.renderTemplate(directive.template, directive.path, items);
+
+        if (directive.kind === 'row') {
+          // Same semantics as DeleteRowIfEmpty: nothing to repeat removes the row
+          result.repeatedRows += count;
+          result.removedRows += count === 0 ? 1 : 0;
+        } else {
+          result.repeatedBlocks += count;
+        }
+      }
+
+      result.content =
+        result.content.slice(0, directive.start) +
+        directive.prefix +
+        expanded +
+        directive.suffix +
+        result.content.slice(directive.end);
+    }
+
+    return result;
+  }
+
+  /**
+   * Render a template once per array item (nothing for empty values, once for objects)
+   * @param {string} template - Template markup
+   * @param {string} collectionPath - Path of the repeated value
+   * @param {*} items - Repeated value
+   * @returns {string} Rendered markup
+   */
+  renderTemplate(template, collectionPath, items) {
+    if (this.isEmptyValue(items)) {
+      return '';
+    }
+    if (Array.isArray(items)) {
+      return items
+        .map((_item, index) => this.scopePlaceholders(template, collectionPath, index))
+        .join('');
+    }
+    // A single object renders once, resolving paths against it directly
+    return template;
+  }
+
+  /**
+   * Find the directive whose range is not nested inside another directive
+   * @param {string} content - XML content
+   * @param {Object} elements - Row and paragraph element names
+   * @returns {Object|null} Directive with replacement range or null if none left
+   */
+  findOutermostDirective(content, elements) {
+    const candidates = [
+      ...this.findRowDirectives(content, elements.row),
+      ...this.findBlockDirectives(content, elements.paragraph),
+    ];
+
+    // Markers that cannot be expanded are removed first so they are not left in the output
+    const strip = candidates.find((candidate) => candidate.kind === 'strip');
+    if (strip) {
+      return strip;
+    }
+
+    let outermost = null;
+    for (const candidate of candidates) {
+      if (
+        !outermost ||
+        candidate.start < outermost.start ||
+        (candidate.start === outermost.start && candidate.end > outermost.end)
+      ) {
+        outermost = candidate;
+      }
+    }
+    return outermost;
+  }
+
+  /**
+   * Find row repetition directives and the table rows they repeat
+   * @param {string} content - XML content
+   * @param {string} rowElement - Row element name
+   * @returns {Array} Row directive candidates
+   */
+  findRowDirectives(content, rowElement) {
+    const directives = [];
+    let match;
+
+    while ((match = this.rowMarkerPattern.exec(content)) !== null) {
+      const row = this.contentDeletion.findContainingElement(content, match.index, rowElement);
+      if (!row) {
+        directives.push(this.createStripDirective(match.index, match[0].length));
+        continue;
+      }
+
+      directives.push({
+        kind: 'row',
+        path: match[1],
+        start: row.start,
+        end: row.end,
+        template: this.removeMarker(
+          content.slice(row.start, row.end),
+          match.index - row.start,
+          match[0]
+        ),
+        prefix: '',
+        suffix: '',
+      });
+    }
+    this.rowMarkerPattern.lastIndex = 0;
+
+    return directives;
+  }
+
+  /**
+   * Find top-level block loops and the paragraphs between their markers
+   * @param {string} content - XML content
+   * @param {string} paragraphElement - Paragraph element name
+   * @returns {Array} Block directive candidates
+   */
+  findBlockDirectives(content, paragraphElement) {
+    const directives = [];
+    const openStack = [];
+    let match;
+
+    while ((match = this.blockMarkerPattern.exec(content)) !== null) {
+      const marker = { path: match[1], index: match.index, text: match[0] };
+
+      if (marker.path) {
+        openStack.push(marker);
+      } else if (openStack.length === 0) {
+        // Closing marker without an opening one
+        directives.push(this.createStripDirective(marker.index, marker.text.length));
+      } else {
+        const open = openStack.pop();
+        if (openStack.length === 0) {
+          directives.push(this.createBlockDirective(content, open, marker, paragraphElement));
+        }
+      }
+    }
+    this.blockMarkerPattern.lastIndex = 0;
+
+    // Opening markers that were never closed
+    for (const open of openStack) {
+      directives.push(this.createStripDirective(open.index, open.text.length));
+    }
+
+    return directives;
+  }
+
+  /**
+   * Build a block directive from a matched pair of markers
+   * @param {string} content - XML content
+   * @param {Object} open - Opening marker
+   * @param {Object} close - Closing marker
+   * @param {string} paragraphElement - Paragraph element name
+   * @returns {Object} Block directive
+   */
+  createBlockDirective(content, open, close, paragraphElement) {
+    const openEnd = open.index + open.text.length;
+    const closeEnd = close.index + close.text.length;
+    const openParagraph = this.contentDeletion.findContainingElement(
+      content,
+      open.index,
+      paragraphElement
+    );
+    const closeParagraph = this.contentDeletion.findContainingElement(
+      content,
+      close.index,
+      paragraphElement
+    );
+
+    // Both markers in one paragraph (or outside paragraphs): repeat the markup between them
+    if (!openParagraph || !closeParagraph || openParagraph.start === closeParagraph.start) {
+      return {
+        kind: 'block',
+        path: open.path,
+        start: open.index,
+        end: closeEnd,
+        template: content.slice(openEnd, close.index),
+        prefix: '',
+        suffix: '',
+      };
+    }
+
+    // Markers in different paragraphs: repeat the whole paragraphs between them
+    return {
+      kind: 'block',
+      path: open.path,
+      start: openParagraph.start,
+      end: closeParagraph.end,
+      template: content.slice(openParagraph.end, closeParagraph.start),
+      prefix: this.removeMarkerParagraph(content, openParagraph, open),
+      suffix: this.removeMarkerParagraph(content, closeParagraph, close),
+    };
+  }
+
+  /**
+   * Remove a marker from its paragraph, dropping the paragraph if the marker was all it held
+   * @param {string} content - XML content
+   * @param {Object} paragraph - Paragraph boundaries
+   * @param {Object} marker - Marker with index and text
+   * @returns {string} Remaining paragraph markup (empty if removed)
+   */
+  removeMarkerParagraph(content, paragraph, marker) {
+    const paragraphXml = content.slice(paragraph.start, paragraph.end);
+    const remaining = this.removeMarker(paragraphXml, marker.index - paragraph.start, marker.text);
+    return remaining.replace(/<[^>]+>/g, '').trim() === '' ? '' : remaining;
+  }
+
+  /**
+   * Remove marker text at an offset
+   * @param {string} xml - Markup
+   * @param {number} offset - Marker offset
+   * @param {string} markerText - Marker text
+   * @returns {string} Markup without the marker
+   */
+  removeMarker(xml, offset, markerText) {
+    return this.replaceRange(xml, offset, markerText.length, '');
+  }
+
+  /**
+   * Create a directive that only removes an unusable marker
+   * @param {number} index - Marker position
+   * @param {number} length - Marker length
+   * @returns {Object} Strip directive
+   */
+  createStripDirective(index, length) {
+    return {
+      kind: 'strip',
+      start: index,
+      end: index + length,
+      template: '',
+      prefix: '',
+      suffix: '',
+    };
+  }
+
+  /**
+   * Rewrite item-relative placeholder paths to point at a specific array element
+   * e.g. (((items.sku))) -> (((items.2.sku))) for index 2
+   * @param {string} xml - Template markup
+   * @param {string} collectionPath - Path of the repeated array
+   * @param {number} index - Array index
+   * @returns {string} Markup with scoped placeholders
+   */
+  scopePlaceholders(xml, collectionPath, index) {
+    const escapedPath = collectionPath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // Quoted literals (fallback values, formatter arguments) are matched first and kept as-is
+    const pathRegex = new RegExp(
+      `(${this.quotedLiteralPattern})|(?<![\\w."'])${escapedPath}(?![\\w])`,
+      'g'
+    );
+
+    return xml.replace(/\(\(\(([^)]+)\)\)\)/g, (_placeholder, inner) => {
+      const scoped = inner.replace(pathRegex, (match, literal) =>
+        literal ? literal : `${collectionPath}.${index}`
+      );
+      return `(((${scoped})))`;
+    });
+  }
+
+  /**
+   * Replace a range of a string
+   * @param {string} content - Original content
+   * @param {number} index - Start index
+   * @param {number} length - Length to replace
+   * @param {string} replacement - Replacement string
+   * @returns {string} Modified content
+   */
+  replaceRange(content, index, length, replacement) {
+    return content.slice(0, index) + replacement + content.slice(index + length);
+  }
+
+  /**
+   * Get data value from nested object using dot notation
+   * @param {Object} data - Data object
+   * @param {string} path - Dot notation path
+   * @returns {*} Data value or null
+   */
+  getDataValue(data, path) {
+    return this.contentDeletion.getDataValue(data, path);
+  }
+
+  /**
+   * Check if a value should be considered empty
+   * @param {*} value - Value to check
+   * @returns {boolean} True if value is empty
+   */
+  isEmptyValue(value) {
+    return this.contentDeletion.isEmptyValue(value);
+  }
+}
+
+module.exports = RepeatProcessor;
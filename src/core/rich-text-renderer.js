@@ -0,0 +1,698 @@
+/**
+ * Rich Text Renderer
+ * Writes rich text values as formatted Word and PowerPoint runs, paragraphs and lists
+ */
+
+const ContentDeletion = require('./content-deletion');
+const HyperlinkProcessor = require('./hyperlink-processor');
+const LineBreakRenderer = require('./line-break-renderer');
+const { escapeXmlText } = require('../utils/xml-escape');
+
+/**
+ * RichTextRenderer class replacing a placeholder with runs that layer the value's formatting
+ * over the placeholder run's properties
+ */
+class RichTextRenderer {
+  constructor() {
+    // Links get a temporary relationship id; HyperlinkProcessor adds the relationship later
+    this.linkIdPrefix = 'richTextLink:';
+
+    // Order of the run property elements in w:rPr
+    this.wordRunPropertyOrder = [
+      'w:rStyle',
+      'w:rFonts',
+      'w:b',
+      'w:bCs',
+      'w:i',
+      'w:iCs',
+      'w:caps',
+      'w:smallCaps',
+      'w:strike',
+      'w:dstrike',
+      'w:outline',
+      'w:shadow',
+      'w:emboss',
+      'w:imprint',
+      'w:noProof',
+      'w:snapToGrid',
+      'w:vanish',
+      'w:webHidden',
+      'w:color',
+      'w:spacing',
+      'w:w',
+      'w:kern',
+      'w:position',
+      'w:sz',
+      'w:szCs',
+      'w:highlight',
+      'w:u',
+      'w:effect',
+      'w:bdr',
+      'w:shd',
+      'w:fitText',
+      'w:vertAlign',
+      'w:rtl',
+      'w:cs',
+      'w:em',
+      'w:lang',
+      'w:eastAsianLayout',
+      'w:specVanish',
+      'w:oMath',
+      'w:rPrChange',
+    ];
+
+    // Elements that come before w:numPr in w:pPr
+    this.numberingPredecessors = [
+      'w:pStyle',
+      'w:keepNext',
+      'w:keepLines',
+      'w:pageBreakBefore',
+      'w:framePr',
+      'w:widowControl',
+    ];
+
+    // Monospace font for `code` runs
+    this.codeFont = 'Courier New';
+
+    // Left margin per PowerPoint list level, in EMU (0.375 inch)
+    this.drawingListIndent = 342900;
+
+    // Reuse container lookup, element stacks and hyperlink run properties
+    this.contentDeletion = new ContentDeletion();
+    this.lineBreakRenderer = new LineBreakRenderer();
+    this.hyperlinkProcessor = new HyperlinkProcessor();
+  }
+
+  /**
+   * Create the state shared by all rich text values of one document
+   * @param {Array} xmlFiles - XML files of the document
+   * @returns {Object} Context with the Word list numbering and the links to create
+   */
+  createContext(xmlFiles) {
+    return {
+      numbering: this.readNumbering(xmlFiles),
+      links: [],
+    };
+  }
+
+  /**
+   * Render a rich text value in place of a placeholder
+   * Single paragraphs become runs inside the placeholder's paragraph; several paragraphs or
+   * list items split it. Markup that would be left empty (the placeholder run or paragraph)
+   * is replaced as a whole.
+   * @param {RichText} value - Rich text value
+   * @param {string} content - XML content
+   * @param {Object} position - Placeholder position (index, length, fileType)
+   * @param {Object} context - Document context from createContext
+   * @returns {Object|null} Range to replace ({ start, end, markup }), or null if the
+   *   placeholder is not in a Word or PowerPoint text run
+   */
+  render(value, content, position, context) {
+    const elements = this.lineBreakRenderer.elements[position.fileType];
+    if (!elements) {
+      return null;
+    }
+    const paragraph = this.contentDeletion.findContainingElement(
+      content,
+      position.index,
+      elements.paragraph
+    );
+    if (!paragraph) {
+      return null;
+    }
+
+    const open = this.lineBreakRenderer.getOpenElements(
+      content,
+      paragraph.start,
+      position.index,
+      elements
+    );
+    const runLevel = open.map((entry) => entry.name).lastIndexOf(elements.run);
+    if (runLevel < 1 || open[open.length - 1].name !== elements.text) {
+      return null;
+    }
+
+    const state = {
+      elements,
+      fileType: position.fileType,
+      context,
+      open,
+      runLevel,
+      baseRunProperties: open[runLevel].properties,
+      // Word hyperlinks cannot be nested
+      allowLinks: !open.some((entry) => entry.name === 'w:hyperlink'),
+    };
+    const paragraphs = value.paragraphs;
+
+    if (paragraphs.length <= 1 && !(paragraphs[0] && paragraphs[0].list)) {
+      return this.replaceInRun(
+        content,
+        position,
+        state,
+        this.runsXml(paragraphs[0] ? paragraphs[0].runs : [], state)
+      );
+    }
+    return this.replaceParagraph(content, position, paragraph, paragraphs, value, state);
+  }
+
+  /**
+   * Put runs in place of a placeholder inside its paragraph
+   * @param {string} content - XML content
+   * @param {Object} position - Placeholder position
+   * @param {Object} state - Render state
+   * @param {string} runs - Runs markup
+   * @returns {Object} Range to replace
+   */
+  replaceInRun(content, position, state, runs) {
+    const { open, runLevel } = state;
+    const inner = open.slice(runLevel);
+    const end = position.index + position.length;
+    const range = { start: position.index, end, markup: runs };
+
+    if (content.slice(open[runLevel].start, position.index) === this.opening(inner)) {
+      range.start = open[runLevel].start;
+    } else {
+      range.markup = this.closing(inner) + range.markup;
+    }
+    if (content.startsWith(this.closing(inner), end)) {
+      range.end = end + this.closing(inner).length;
+    } else {
+      range.markup += this.reopening(inner, state.elements);
+    }
+    return range;
+  }
+
+  /**
+   * Split the placeholder's paragraph and put new paragraphs in between
+   * Text before and after the placeholder stays in its paragraph; the first and last rich
+   * text paragraphs join that text unless they are list items.
+   * @param {string} content - XML content
+   * @param {Object} position - Placeholder position
+   * @param {Object} paragraph - Boundaries of the placeholder's paragraph
+   * @param {Array} paragraphs - Rich text paragraphs
+   * @param {RichText} value - Rich text value
+   * @param {Object} state - Render state
+   * @returns {Object} Range to replace
+   */
+  replaceParagraph(content, position, paragraph, paragraphs, value, state) {
+    const { open, runLevel, elements } = state;
+    const outer = open.slice(0, runLevel);
+    const inner = open.slice(runLevel);
+    const end = position.index + position.length;
+
+    const leadingEmpty = content.slice(paragraph.start, position.index) === this.opening(open);
+    const trailing = this.matchParagraphEnd(content, end, open, elements);
+    const markers = value.getListMarkers();
+    let first = 0;
+    let last = paragraphs.length;
+
+    const range = { start: position.index, end, markup: '' };
+    let tail = '';
+    if (leadingEmpty) {
+      range.start = paragraph.start;
+    } else {
+      range.markup = this.closing(inner);
+      if (!paragraphs[0].list) {
+        range.markup += this.runsXml(paragraphs[0].runs, state);
+        first = 1;
+      }
+      range.markup += this.closing(outer);
+    }
+    if (trailing !== null) {
+      range.end = trailing;
+    } else {
+      tail = outer.map((entry) => this.lineBreakRenderer.reopen(entry, elements)).join('');
+      if (last > first && !paragraphs[last - 1].list) {
+        last--;
+        tail += this.runsXml(paragraphs[last].runs, state);
+      }
+      tail += this.reopening(inner, elements);
+    }
+
+    // Section properties stay on the last paragraph when the whole paragraph is replaced
+    const keepSection = leadingEmpty && trailing !== null;
+    const numbering = [];
+    for (let i = first; i < last; i++) {
+      range.markup += this.paragraphXml(paragraphs[i], markers[i], numbering, state, {
+        keepSection: keepSection && i === last - 1,
+      });
+    }
+    range.markup += tail;
+    return range;
+  }
+
+  /**
+   * Check whether only closing tags follow the placeholder up to the end of its paragraph
+   * (a PowerPoint a:endParaRPr may sit before the paragraph end)
+   * @param {string} content - XML content
+   * @param {number} position - Position after the placeholder
+   * @param {Array} open - Open elements
+   * @param {Object} elements - Element names for the document type
+   * @returns {number|null} End of the paragraph, or null if other markup follows
+   */
+  matchParagraphEnd(content, position, open, elements) {
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    const endProperties =
+      elements.paragraph === 'a:p'
+        ? '(?:<a:endParaRPr\\b[^>]*?(?:/>|>[\\s\\S]*?</a:endParaRPr>))?'
+        : '';
+    const pattern = new RegExp(
+      escape(this.closing(open.slice(1))) + endProperties + escape(`</${elements.paragraph}>`),
+      'y'
+    );
+    pattern.lastIndex = position;
+    const match = pattern.exec(content);
+    return match ? position + match[0].length : null;
+  }
+
+  /**
+   * Build one new paragraph
+   * @param {Object} paragraph - Rich text paragraph
+   * @param {string} marker - List marker text, used when no numbering definition exists
+   * @param {Array} numbering - Numbering instance of the numbered list open on each level
+   * @param {Object} state - Render state
+   * @param {Object} options - keepSection: keep w:sectPr in the paragraph properties
+   * @returns {string} Paragraph markup
+   */
+  paragraphXml(paragraph, marker, numbering, state, options) {
+    const { elements, open } = state;
+    let properties = open[0].properties;
+    if (!options.keepSection) {
+      properties = properties.replace(/<w:sectPr\b[^>]*?(?:\/>|>[\s\S]*?<\/w:sectPr>)/, '');
+    }
+
+    let runs = paragraph.runs;
+    if (paragraph.list) {
+      if (state.fileType === 'powerpoint') {
+        properties = this.drawingListProperties(properties, paragraph);
+      } else {
+        const numId = this.getListNumId(paragraph, marker, numbering, state.context);
+        if (numId !== null) {
+          properties = this.wordListProperties(properties, paragraph.level, numId);
+        } else {
+          runs = [{ text: `${'\t'.repeat(paragraph.level)}${marker}\t` }, ...runs];
+        }
+      }
+    }
+
+    const tag = open[0].tag.replace(this.lineBreakRenderer.uniqueParagraphAttributes, '');
+    return `${tag}${properties}${this.runsXml(runs, state)}</${elements.paragraph}>`;
+  }
+
+  /**
+   * Build the runs of a paragraph, grouping link runs
+   * @param {Array} runs - Rich text runs
+   * @param {Object} state - Render state
+   * @returns {string} Runs markup
+   */
+  runsXml(runs, state) {
+    const isWord = state.fileType === 'word';
+    const linkElements = this.hyperlinkProcessor.runElements[state.fileType];
+    let markup = '';
+
+    for (let i = 0; i < runs.length; ) {
+      const link = state.allowLinks ? runs[i].link : null;
+      let j = i + 1;
+      while (j < runs.length && link && runs[j].link === link) {
+        j++;
+      }
+
+      const group = runs.slice(i, j);
+      if (!link) {
+        markup += group
+          .map((run) => this.runXml(run, this.runProperties(run, state), state))
+          .join('');
+      } else {
+        const id = `${this.linkIdPrefix}${state.context.links.push(link) - 1}`;
+        const linked = group
+          .map((run) =>
+            this.runXml(
+              run,
+              this.hyperlinkProcessor.linkRunProperties(
+                this.runProperties(run, state),
+                id,
+                linkElements
+              ),
+              state
+            )
+          )
+          .join('');
+        markup += isWord
+          ? `<w:hyperlink r:id="${id}" w:history="1">${linked}</w:hyperlink>`
+          : linked;
+      }
+      i = j;
+    }
+    return markup;
+  }
+
+  /**
+   * Build the markup of one run; newlines become breaks and tabs become w:tab in Word
+   * @param {Object} run - Rich text run
+   * @param {string} properties - Run properties markup
+   * @param {Object} state - Render state
+   * @returns {string} Run markup
+   */
+  runXml(run, properties, state) {
+    const lines = run.text.split(/\r\n|\r|\n/);
+    if (state.fileType === 'word') {
+      const content = lines
+        .map((line) =>
+          line
+            .split('\t')
+            .map((text) => (text ? `<w:t xml:space="preserve">${escapeXmlText(text)}</w:t>` : ''))
+            .join('<w:tab/>')
+        )
+        .join('<w:br/>');
+      return `<w:r>${properties}${content}</w:r>`;
+    }
+
+    // DrawingML line breaks sit between runs
+    const lineBreak = properties ? `<a:br>${properties}</a:br>` : '<a:br/>';
+    return lines
+      .map((line) => (line ? `<a:r>${properties}<a:t>${escapeXmlText(line)}</a:t></a:r>` : ''))
+      .join(lineBreak);
+  }
+
+  /**
+   * Layer a run's formatting over the placeholder run's properties
+   * @param {Object} run - Rich text run
+   * @param {Object} state - Render state
+   * @returns {string} Run properties markup
+   */
+  runProperties(run, state) {
+    const base = state.baseRunProperties;
+    const color = /^#?[0-9a-fA-F]{6}$/.test(run.color || '') ? run.color.replace('#', '') : null;
+    if (!run.bold && !run.italic && !run.underline && !run.strike && !run.code && !color) {
+      return base;
+    }
+    return state.fileType === 'word'
+      ? this.wordRunProperties(base, run, color)
+      : this.drawingRunProperties(base, run, color);
+  }
+
+  /**
+   * Build w:rPr with bold, italic, underline, strikethrough, code font and color
+   * @param {string} base - Base run properties
+   * @param {Object} run - Rich text run
+   * @param {string|null} color - RGB color
+   * @returns {string} Run properties markup
+   */
+  wordRunProperties(base, run, color) {
+    const overrides = [
+      [
+        run.code,
+        'w:rFonts',
+        `<w:rFonts w:ascii="${this.codeFont}" w:hAnsi="${this.codeFont}" w:cs="${this.codeFont}"/>`,
+      ],
+      [run.bold, 'w:b', '<w:b/>'],
+      [run.italic, 'w:i', '<w:i/>'],
+      [run.strike, 'w:strike', '<w:strike/>'],
+      [color, 'w:color', `<w:color w:val="${color}"/>`],
+      [run.underline, 'w:u', '<w:u w:val="single"/>'],
+    ];
+
+    let children = this.getChildElements(base);
+    for (const [enabled, name, xml] of overrides) {
+      if (enabled) {
+        children = children.filter((child) => this.elementName(child) !== name).concat(xml);
+      }
+    }
+    const rank = (child) => {
+      const index = this.wordRunPropertyOrder.indexOf(this.elementName(child));
+      return index === -1 ? this.wordRunPropertyOrder.length - 1.5 : index;
+    };
+    children.sort((a, b) => rank(a) - rank(b));
+
+    const open = base ? base.match(/^<w:rPr\b[^>]*?(?=\/?>)/)[0] : '<w:rPr';
+    return `${open}>${children.join('')}</w:rPr>`;
+  }
+
+  /**
+   * Build a:rPr with bold, italic, underline, strikethrough, code font and color
+   * @param {string} base - Base run properties
+   * @param {Object} run - Rich text run
+   * @param {string|null} color - RGB color
+   * @returns {string} Run properties markup
+   */
+  drawingRunProperties(base, run, color) {
+    let open = base ? base.match(/^<a:rPr\b[^>]*?(?=\/?>)/)[0] : '<a:rPr';
+    const attributes = [
+      [run.bold, 'b', '1'],
+      [run.italic, 'i', '1'],
+      [run.underline, 'u', 'sng'],
+      [run.strike, 'strike', 'sngStrike'],
+    ];
+    for (const [enabled, name, value] of attributes) {
+      if (enabled) {
+        open = this.setAttribute(open, name, value);
+      }
+    }
+
+    let children = this.getChildElements(base);
+    if (color) {
+      // The fill follows a:ln and replaces any other fill
+      children = children.filter(
+        (child) =>
+          !/^a:(?:noFill|solidFill|gradFill|blipFill|pattFill|grpFill)$/.test(
+            this.elementName(child)
+          )
+      );
+      const at = children.findIndex((child) => this.elementName(child) === 'a:ln') + 1;
+      children.splice(at, 0, `<a:solidFill><a:srgbClr val="${color}"/></a:solidFill>`);
+    }
+    if (run.code) {
+      children = children.filter((child) => this.elementName(child) !== 'a:latin');
+      let at = children.findIndex((child) =>
+        /^a:(?:ea|cs|sym|hlinkClick|hlinkMouseOver|rtl|extLst)$/.test(this.elementName(child))
+      );
+      at = at === -1 ? children.length : at;
+      children.splice(at, 0, `<a:latin typeface="${this.codeFont}"/>`);
+    }
+
+    return children.length > 0 ? `${open}>${children.join('')}</a:rPr>` : `${open}/>`;
+  }
+
+  /**
+   * Add list numbering to Word paragraph properties
+   * @param {string} properties - Paragraph properties markup
+   * @param {number} level - List level
+   * @param {string} numId - Numbering instance id
+   * @returns {string} Paragraph properties markup
+   */
+  wordListProperties(properties, level, numId) {
+    const numPr = `<w:numPr><w:ilvl w:val="${level}"/><w:numId w:val="${numId}"/></w:numPr>`;
+    const children = this.getChildElements(properties).filter(
+      (child) => this.elementName(child) !== 'w:numPr'
+    );
+    const at = children.filter((child) =>
+      this.numberingPredecessors.includes(this.elementName(child))
+    ).length;
+    children.splice(at, 0, numPr);
+
+    const open = properties ? properties.match(/^<w:pPr\b[^>]*?(?=\/?>)/)[0] : '<w:pPr';
+    return `${open}>${children.join('')}</w:pPr>`;
+  }
+
+  /**
+   * Add a bullet or automatic number to PowerPoint paragraph properties
+   * @param {string} properties - Paragraph properties markup
+   * @param {Object} paragraph - Rich text paragraph
+   * @returns {string} Paragraph properties markup
+   */
+  drawingListProperties(properties, paragraph) {
+    let open = properties ? properties.match(/^<a:pPr\b[^>]*?(?=\/?>)/)[0] : '<a:pPr';
+    open = this.setAttribute(open, 'marL', String(this.drawingListIndent * (paragraph.level + 1)));
+    open = this.setAttribute(open, 'indent', String(-this.drawingListIndent));
+    if (paragraph.level > 0) {
+      open = this.setAttribute(open, 'lvl', String(paragraph.level));
+    }
+
+    const bullet =
+      paragraph.list === 'number'
+        ? '<a:buAutoNum type="arabicPeriod"/>'
+        : '<a:buFont typeface="Arial"/><a:buChar char="•"/>';
+    const children = this.getChildElements(properties).filter(
+      (child) => !/^a:bu(?:None|AutoNum|Char|Blip|Font|FontTx)$/.test(this.elementName(child))
+    );
+    let at = children.findIndex((child) =>
+      /^a:(?:tabLst|defRPr|extLst)$/.test(this.elementName(child))
+    );
+    at = at === -1 ? children.length : at;
+    children.splice(at, 0, bullet);
+
+    return `${open}>${children.join('')}</a:pPr>`;
+  }
+
+  /**
+   * Get the numbering instance for a Word list paragraph
+   * Bullets share the document's bullet numbering. Each numbered list (a marker of "1.")
+   * gets a new instance of the document's numbered definition that restarts its level.
+   * @param {Object} paragraph - Rich text paragraph
+   * @param {string} marker - List marker of the paragraph
+   * @param {Array} numbering - Numbering instance of the numbered list open on each level
+   * @param {Object} context - Document context
+   * @returns {string|null} numId, or null if the document has no suitable definition
+   */
+  getListNumId(paragraph, marker, numbering, context) {
+    const definitions = context.numbering;
+    if (!definitions) {
+      return null;
+    }
+    if (paragraph.list === 'bullet') {
+      return definitions.bullet;
+    }
+    if (definitions.numberAbstract === null) {
+      return null;
+    }
+
+    if (marker === '1.' || !numbering[paragraph.level]) {
+      const numId = String(definitions.nextNumId++);
+      definitions.added.push(
+        `<w:num w:numId="${numId}"><w:abstractNumId w:val="${definitions.numberAbstract}"/>` +
+          `<w:lvlOverride w:ilvl="${paragraph.level}"><w:startOverride w:val="1"/></w:lvlOverride></w:num>`
+      );
+      numbering[paragraph.level] = numId;
+    }
+    return numbering[paragraph.level];
+  }
+
+  /**
+   * Find the document's bullet and numbered list definitions in word/numbering.xml
+   * @param {Array} xmlFiles - XML files of the document
+   * @returns {Object|null} Bullet numId, numbered abstractNumId, next free numId and the
+   *   numbering instances added while rendering; null without a numbering part
+   */
+  readNumbering(xmlFiles) {
+    const file = xmlFiles.find((f) => f.path === 'word/numbering.xml');
+    if (!file) {
+      return null;
+    }
+
+    const formats = new Map();
+    for (const match of file.content.matchAll(
+      /<w:abstractNum\b[^>]*?w:abstractNumId="(\d+)"[^>]*>([\s\S]*?)<\/w:abstractNum>/g
+    )) {
+      const level = match[2].match(
+        /<w:lvl\b[^>]*?w:ilvl="0"[^>]*>[\s\S]*?<w:numFmt w:val="([^"]+)"/
+      );
+      formats.set(match[1], level ? level[1] : null);
+    }
+
+    const definitions = { bullet: null, numberAbstract: null, nextNumId: 1, added: [] };
+    for (const match of file.content.matchAll(
+      /<w:num\b[^>]*?w:numId="(\d+)"[^>]*>([\s\S]*?)<\/w:num>/g
+    )) {
+      const abstract = (match[2].match(/<w:abstractNumId w:val="(\d+)"/) || [])[1];
+      const format = formats.get(abstract);
+      if (format === 'bullet' && definitions.bullet === null) {
+        definitions.bullet = match[1];
+      }
+      if (format === 'decimal' && definitions.numberAbstract === null) {
+        definitions.numberAbstract = abstract;
+      }
+      definitions.nextNumId = Math.max(definitions.nextNumId, parseInt(match[1], 10) + 1);
+    }
+    return definitions;
+  }
+
+  /**
+   * Write the numbering instances added for numbered lists into word/numbering.xml
+   * @param {Object} context - Document context
+   * @param {Array} xmlFiles - XML files of the document
+   * @param {Map} modifiedFiles - Substituted files by path; updated in place
+   */
+  writeNumbering(context, xmlFiles, modifiedFiles) {
+    const definitions = context.numbering;
+    if (!definitions || definitions.added.length === 0) {
+      return;
+    }
+
+    const path = 'word/numbering.xml';
+    const file = modifiedFiles.get(path) || xmlFiles.find((f) => f.path === path);
+    const content = this.insertNumbering(file.content, definitions);
+    modifiedFiles.set(path, { ...file, content, modified: true });
+  }
+
+  /**
+   * Insert the numbering instances added while rendering into numbering XML
+   * @param {string} numberingXml - Content of word/numbering.xml
+   * @param {Object} definitions - Numbering definitions from readNumbering (added is emptied)
+   * @returns {string} Updated numbering XML
+   */
+  insertNumbering(numberingXml, definitions) {
+    const added = definitions.added.join('');
+    definitions.added = [];
+    // w:num elements follow the abstract definitions and precede w:numIdMacAtCleanup
+    return /<w:numIdMacAtCleanup\b/.test(numberingXml)
+      ? numberingXml.replace(/<w:numIdMacAtCleanup\b/, `${added}$&`)
+      : numberingXml.replace(/<\/w:numbering>/, `${added}$&`);
+  }
+
+  /**
+   * Opening markup of elements as found in the content (start tags and properties)
+   * @param {Array} entries - Open elements
+   * @returns {string} Markup
+   */
+  opening(entries) {
+    return entries.map((entry) => entry.tag + entry.properties).join('');
+  }
+
+  /**
+   * Closing tags for elements, innermost first
+   * @param {Array} entries - Open elements, outermost first
+   * @returns {string} Markup
+   */
+  closing(entries) {
+    return entries
+      .slice()
+      .reverse()
+      .map((entry) => `</${entry.name}>`)
+      .join('');
+  }
+
+  /**
+   * Markup reopening elements after inserted content
+   * @param {Array} entries - Open elements, outermost first
+   * @param {Object} elements - Element names for the document type
+   * @returns {string} Markup
+   */
+  reopening(entries, elements) {
+    return entries.map((entry) => this.lineBreakRenderer.reopen(entry, elements)).join('');
+  }
+
+  /**
+   * List the child elements of a properties element
+   * @param {string} properties - Properties markup (may be empty or self-closing)
+   * @returns {Array<string>} Child element markup
+   */
+  getChildElements(properties) {
+    const inner = (properties || '').match(/^<[^>]*[^/]>([\s\S]*)<\/[^>]+>$/);
+    return inner ? inner[1].match(/<([\w:]+)\b[^>]*?(?:\/>|>[\s\S]*?<\/\1>)/g) || [] : [];
+  }
+
+  /**
+   * Get the name of an element
+   * @param {string} xml - Element markup
+   * @returns {string} Qualified element name
+   */
+  elementName(xml) {
+    return xml.match(/^<([\w:]+)/)[1];
+  }
+
+  /**
+   * Set an attribute on a start tag (without its closing bracket)
+   * @param {string} tag - Start tag text
+   * @param {string} name - Attribute name
+   * @param {string} value - Attribute value
+   * @returns {string} Updated start tag text
+   */
+  setAttribute(tag, name, value) {
+    const pattern = new RegExp(`\\s${name}="[^"]*"`);
+    return pattern.test(tag)
+      ? tag.replace(pattern, ` ${name}="${value}"`)
+      : `${tag} ${name}="${value}"`;
+  }
+}
+
+module.exports = RichTextRenderer;
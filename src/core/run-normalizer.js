@@ -0,0 +1,312 @@
+/**
+ * Run Normalizer
+ * Heals placeholders that Word/PowerPoint/Excel split across multiple text runs
+ */
+
+/**
+ * RunNormalizer class for merging split placeholder text back into a single run
+ */
+class RunNormalizer {
+  constructor() {
+    // Paragraph/run/text element names for each markup flavour
+    this.markups = [
+      // WordprocessingML: <w:p><w:r><w:t>
+      { paragraph: 'w:p', run: 'w:r', text: 'w:t' },
+      // DrawingML (PowerPoint slides, charts, shapes): <a:p><a:r><a:t>
+      { paragraph: 'a:p', run: 'a:r', text: 'a:t' },
+      // SpreadsheetML rich text shared strings: <si><r><t>
+      { paragraph: 'si', run: 'r', text: 't' },
+    ];
+
+    // Elements that only carry editing metadata and can be dropped inside a healed placeholder
+    this.disposableElements = ['w:proofErr', 'w:lastRenderedPageBreak'];
+
+    // Placeholder pattern in joined paragraph text
+    this.placeholderPattern = /\(\(\([^)]+\)\)\)/g;
+  }
+
+  /**
+   * Normalize XML content so every placeholder sits in a single text run
+   * @param {string} content - XML content
+   * @returns {Object} Normalization result with healed content and heal count
+   */
+  normalize(content) {
+    if (!content || !content.includes('(')) {
+      return { content, healedCount: 0 };
+    }
+
+    let healedContent = content;
+    let healedCount = 0;
+
+    for (const markup of this.markups) {
+      if (!healedContent.includes(`<${markup.text}`)) {
+        continue;
+      }
+
+      const result = this.normalizeParagraphs(healedContent, markup);
+      healedContent = result.content;
+      healedCount += result.healedCount;
+    }
+
+    return { content: healedContent, healedCount };
+  }
+
+  /**
+   * Normalize every paragraph of one markup flavour
+   * Paragraphs are matched by depth, since text boxes nest whole paragraphs inside a run of
+   * their anchor paragraph. Nested paragraphs are healed on their own and hidden from the
+   * paragraph around them, so runs are never merged across paragraph boundaries.
+   * @param {string} content - XML content
+   * @param {Object} markup - Element names for this markup flavour
+   * @returns {Object} Normalization result with healed content and heal count
+   */
+  normalizeParagraphs(content, markup) {
+    const tagRegex = new RegExp(`<(/?)${markup.paragraph}(?:\\s[^>]*?)?(/?)>`, 'g');
+    const root = { children: [] };
+    const stack = [root];
+    let match;
+    while ((match = tagRegex.exec(content)) !== null) {
+      const [tag, closing, selfClosing] = match;
+      if (selfClosing) {
+        continue;
+      }
+      if (!closing) {
+        const node = { start: match.index, end: null, children: [] };
+        stack[stack.length - 1].children.push(node);
+        stack.push(node);
+      } else if (stack.length > 1) {
+        stack.pop().end = match.index + tag.length;
+      }
+    }
+
+    // Unclosed paragraphs (malformed XML) are left as they are
+    const closed = (node) => node.children.filter((child) => child.end !== null);
+    let healedCount = 0;
+    const render = (node) => {
+      const nested = [];
+      let paragraph = '';
+      let position = node.start;
+      for (const child of closed(node)) {
+        paragraph += `${content.slice(position, child.start)}\u0000${nested.length}\u0000`;
+        nested.push(render(child));
+        position = child.end;
+      }
+      paragraph += content.slice(position, node.end);
+
+      const result = this.normalizeParagraph(paragraph, markup);
+      healedCount += result.healedCount;
+      // eslint-disable-next-line no-control-regex
+      return result.content.replace(/\u0000(\d+)\u0000/g, (token, index) => nested[index]);
+    };
+
+    let healedContent = '';
+    let position = 0;
+    for (const node of closed(root)) {
+      healedContent += content.slice(position, node.start) + render(node);
+      position = node.end;
+    }
+    healedContent += content.slice(position);
+
+    return { content: healedContent, healedCount };
+  }
+
+  /**
+   * Normalize a single paragraph
+   * @param {string} paragraph - Paragraph XML
+   * @param {Object} markup - Element names for this markup flavour
+   * @returns {Object} Normalization result for the paragraph
+   */
+  normalizeParagraph(paragraph, markup) {
+    const segments = this.findTextSegments(paragraph, markup.text);
+    if (segments.length < 2) {
+      return { content: paragraph, healedCount: 0 };
+    }
+
+    // Map every character of the joined text to the segment that owns it
+    const joinedText = segments.map((segment) => segment.text).join('');
+    if (!joinedText.includes('(((')) {
+      return { content: paragraph, healedCount: 0 };
+    }
+
+    const owners = [];
+    segments.forEach((segment, segmentIndex) => {
+      for (let i = 0; i < segment.text.length; i++) {
+        owners.push(segmentIndex);
+      }
+    });
+
+    // Reassign characters of split placeholders to the segment holding the opening marker
+    const spans = [];
+    let match;
+    while ((match = this.placeholderPattern.exec(joinedText)) !== null) {
+      const start = match.index;
+      const end = match.index + match[0].length;
+      const firstSegment = owners[start];
+      const lastSegment = owners[end - 1];
+
+      if (firstSegment !== lastSegment) {
+        for (let i = start; i < end; i++) {
+          owners[i] = firstSegment;
+        }
+        spans.push({ firstSegment, lastSegment });
+      }
+    }
+    this.placeholderPattern.lastIndex = 0;
+
+    if (spans.length === 0) {
+      return { content: paragraph, healedCount: 0 };
+    }
+
+    const newTexts = segments.map(() => '');
+    for (let i = 0; i < joinedText.length; i++) {
+      newTexts[owners[i]] += joinedText[i];
+    }
+
+    // Collect edits, then apply them from the end so earlier offsets stay valid
+    const edits = [];
+    const removedRuns = new Set();
+
+    segments.forEach((segment, segmentIndex) => {
+      if (newTexts[segmentIndex] === segment.text) {
+        return;
+      }
+
+      const consumed = newTexts[segmentIndex] === '' && segment.text !== '';
+      const run = consumed ? this.findRemovableRun(paragraph, segment, markup.run) : null;
+
+      if (run) {
+        removedRuns.add(run.start);
+        edits.push({ start: run.start, end: run.end, replacement: '' });
+      } else {
+        edits.push({
+          start: segment.start,
+          end: segment.end,
+          replacement: this.buildTextElement(segment, newTexts[segmentIndex], markup.text),
+        });
+      }
+    });
+
+    // Drop editing metadata that sat between the pieces of a healed placeholder
+    for (const span of spans) {
+      const from = segments[span.firstSegment].end;
+      const to = segments[span.lastSegment].start;
+      for (const element of this.disposableElements) {
+        const elementRegex = new RegExp(`<${element}(?:\\s[^>]*)?/>`, 'g');
+        elementRegex.lastIndex = from;
+        let elementMatch;
+        while ((elementMatch = elementRegex.exec(paragraph)) !== null) {
+          if (elementMatch.index >= to) {
+            break;
+          }
+          const insideRemovedRun = edits.some(
+            (edit) =>
+              removedRuns.has(edit.start) &&
+              elementMatch.index >= edit.start &&
+              elementMatch.index < edit.end
+          );
+          if (!insideRemovedRun) {
+            edits.push({
+              start: elementMatch.index,
+              end: elementMatch.index + elementMatch[0].length,
+              replacement: '',
+            });
+          }
+        }
+      }
+    }
+
+    edits.sort((a, b) => b.start - a.start);
+    let content = paragraph;
+    for (const edit of edits) {
+      content = content.slice(0, edit.start) + edit.replacement + content.slice(edit.end);
+    }
+
+    return { content, healedCount: spans.length };
+  }
+
+  /**
+   * Find all text elements within a paragraph
+   * @param {string} paragraph - Paragraph XML
+   * @param {string} textElement - Text element name (e.g. "w:t")
+   * @returns {Array} Array of text segments with element boundaries
+   */
+  findTextSegments(paragraph, textElement) {
+    const segments = [];
+    const textRegex = new RegExp(`<${textElement}(\\s[^>]*)?>([^<]*)</${textElement}>`, 'g');
+
+    let match;
+    while ((match = textRegex.exec(paragraph)) !== null) {
+      segments.push({
+        start: match.index,
+        end: match.index + match[0].length,
+        attributes: match[1] || '',
+        text: match[2],
+      });
+    }
+
+    return segments;
+  }
+
+  /**
+   * Find the run around a text segment if it holds nothing but formatting and that text
+   * @param {string} paragraph - Paragraph XML
+   * @param {Object} segment - Text segment
+   * @param {string} runElement - Run element name (e.g. "w:r")
+   * @returns {Object|null} Run boundaries or null if the run must be kept
+   */
+  findRemovableRun(paragraph, segment, runElement) {
+    const openingRegex = new RegExp(`<${runElement}(?:\\s[^>]*)?(?<!/)>`, 'g');
+    let opening = null;
+    let match;
+    while ((match = openingRegex.exec(paragraph)) !== null) {
+      if (match.index > segment.start) {
+        break;
+      }
+      opening = match;
+    }
+
+    if (!opening) {
+      return null;
+    }
+
+    const closingTag = `</${runElement}>`;
+    const closingIndex = paragraph.indexOf(closingTag, segment.end);
+    if (closingIndex === -1) {
+      return null;
+    }
+
+    // Anything besides run properties and this text element means the run carries other content
+    const inner =
+      paragraph.slice(opening.index + opening[0].length, segment.start) +
+      paragraph.slice(segment.end, closingIndex);
+    const propertiesRegex = new RegExp(
+      `<${runElement}Pr(?:\\s[^>]*)?/>|<${runElement}Pr(?:\\s[^>]*)?>[\\s\\S]*?</${runElement}Pr>`
+    );
+    if (inner.replace(propertiesRegex, '').trim() !== '') {
+      return null;
+    }
+
+    return {
+      start: opening.index,
+      end: closingIndex + closingTag.length,
+    };
+  }
+
+  /**
+   * Build a text element with new text, preserving whitespace when needed
+   * @param {Object} segment - Original text segment
+   * @param {string} text - New text
+   * @param {string} textElement - Text element name
+   * @returns {string} Text element XML
+   */
+  buildTextElement(segment, text, textElement) {
+    let attributes = segment.attributes;
+    const needsPreserve = /^\s|\s$/.test(text);
+    if (needsPreserve && textElement !== 'a:t' && !attributes.includes('xml:space')) {
+      attributes += ' xml:space="preserve"';
+    }
+    return `<${textElement}${attributes}>${text}</${textElement}>`;
+  }
+}
+
+module.exports = RunNormalizer;
@@ -0,0 +1,658 @@
+/**
+ * Slide Manager
+ * Clones and removes PowerPoint slides together with the parts and registrations they own
+ */
+
+const PackageEditor = require('./package-editor');
+const RepeatProcessor = require('./repeat-processor');
+
+/**
+ * SlideManager class for slide-level directives like (((RepeatSlide=regions)))
+ */
+class SlideManager {
+  constructor() {
+    this.presentationPath = 'ppt/presentation.xml';
+    this.slidePathPattern = /^ppt\/slides\/slide\d+\.xml$/;
+
+    // Slide repetition marker: (((RepeatSlide=regions)))
+    this.repeatMarkerPattern = /\(\(\(RepeatSlide=([^)\s]+)\)\)\)/;
+
+    // Relationship kinds whose targets belong to a single slide and are cloned with it
+    // (layouts, masters and media stay shared between the copies)
+    this.ownedPartKinds = new Set([
+      'notesSlide',
+      'chart',
+      'chartUserShapes',
+      'package',
+      'chartStyle',
+      'chartColorStyle',
+      'themeOverride',
+    ]);
+
+    // Relationship kinds that always stay in the package when a slide is removed
+    this.sharedPartKinds = new Set([
+      'slideLayout',
+      'slideMaster',
+      'notesMaster',
+      'handoutMaster',
+      'theme',
+    ]);
+
+    // Lists of presentation.xml in schema order (a missing list is inserted before the next one)
+    this.presentationLists = [
+      'p:sldMasterIdLst',
+      'p:notesMasterIdLst',
+      'p:handoutMasterIdLst',
+      'p:sldIdLst',
+      'p:sldSz',
+    ];
+
+    // Reuse placeholder scoping and data lookup from row/block repetition
+    this.repeatProcessor = new RepeatProcessor();
+  }
+
+  /**
+   * Expand every slide carrying a RepeatSlide marker into one slide per array item
+   * The original slide becomes the first item; copies are inserted right after it
+   * @param {Object} extractedFiles - Extracted document (files and embeddedFiles are edited in place)
+   * @param {Object} data - Data object
+   * @returns {Object} Repetition result with slide counts and created part paths
+   */
+  repeatSlides(extractedFiles, data) {
+    const editor = new PackageEditor(extractedFiles.files || extractedFiles);
+    const embeddedFiles = extractedFiles.embeddedFiles || {};
+    const result = {
+      repeatedSlides: 0,
+      removedSlides: 0,
+      createdParts: [],
+    };
+
+    for (const slidePath of this.getSlideOrder(editor)) {
+      const content = editor.getPartText(slidePath);
+      const match = content ? content.match(this.repeatMarkerPattern) : null;
+      if (!match) {
+        continue;
+      }
+
+      const collectionPath = match[1];
+      const items = this.repeatProcessor.getDataValue(data, collectionPath);
+
+      // Nothing to repeat removes the slide
+      if (this.repeatProcessor.isEmptyValue(items)) {
+        this.removeSlide(editor, slidePath, embeddedFiles);
+        result.removedSlides++;
+        continue;
+      }
+
+      editor.setPartText(slidePath, content.split(match[0]).join(''));
+
+      // A single object renders once, resolving paths against it directly
+      if (!Array.isArray(items)) {
+        result.repeatedSlides++;
+        continue;
+      }
+
+      // Copies are made from the unscoped slide before the original is scoped to item 0
+      let previousPath = slidePath;
+      for (let index = 1; index < items.length; index++) {
+        const transform = this.createScopeTransform(collectionPath, index);
+        const created = this.cloneSlide(editor, embeddedFiles, slidePath, previousPath, transform);
+        result.createdParts.push(...created);
+        previousPath = created[0];
+      }
+
+      this.transformPartTree(
+        editor,
+        embeddedFiles,
+        slidePath,
+        this.createScopeTransform(collectionPath, 0),
+        new Set()
+      );
+      result.repeatedSlides += items.length;
+    }
+
+    return result;
+  }
+
+  /**
+   * Create a transform that scopes item-relative placeholders to one array element
+   * @param {string} collectionPath - Path of the repeated array
+   * @param {number} index - Array index
+   * @returns {Function} XML transform
+   */
+  createScopeTransform(collectionPath, index) {
+    return (xml) => this.repeatProcessor.scopePlaceholders(xml, collectionPath, index);
+  }
+
+  /**
+   * Clone a slide with the parts it owns and register the copy in the presentation
+   * @param {PackageEditor} editor - Package editor
+   * @param {Object} embeddedFiles - Extracted embedded Office files
+   * @param {string} slidePath - Slide to clone
+   * @param {string} insertAfterPath - Slide the copy is placed after
+   * @param {Function} transform - Transform applied to the XML of every cloned part
+   * @returns {Array<string>} Created part paths, the new slide first
+   */
+  cloneSlide(editor, embeddedFiles, slidePath, insertAfterPath, transform) {
+    const clonePath = editor.getNextPartName(slidePath);
+    const clones = new Map([[slidePath, clonePath]]);
+
+    this.clonePartTree(editor, embeddedFiles, slidePath, clonePath, transform, clones);
+    this.registerSlide(editor, clonePath, insertAfterPath);
+
+    return Array.from(clones.values());
+  }
+
+  /**
+   * Copy a part, its relationships and the parts it owns
+   * @param {PackageEditor} editor - Package editor
+   * @param {Object} embeddedFiles - Extracted embedded Office files
+   * @param {string} sourcePath - Part to copy
+   * @param {string} targetPath - Path of the copy
+   * @param {Function} transform - Transform applied to XML content
+   * @param {Map} clones - Map of original part path to its copy (shared across the tree)
+   */
+  clonePartTree(editor, embeddedFiles, sourcePath, targetPath, transform, clones) {
+    editor.copyPart(sourcePath, targetPath, transform);
+
+    const contentType = editor.getContentTypeOverride(sourcePath);
+    if (contentType) {
+      editor.addContentTypeOverride(targetPath, contentType);
+    }
+
+    if (embeddedFiles[sourcePath]) {
+      embeddedFiles[targetPath] = this.cloneEmbeddedFile(
+        embeddedFiles[sourcePath],
+        targetPath,
+        transform
+      );
+    }
+
+    const relationships = editor.getRelationships(sourcePath);
+    if (relationships.length === 0) {
+      return;
+    }
+
+    // Copies live next to their originals, so relative targets stay valid unless retargeted
+    editor.copyPart(editor.getRelsPath(sourcePath), editor.getRelsPath(targetPath));
+
+    for (const relationship of relationships) {
+      if (!relationship.partPath) {
+        continue;
+      }
+
+      if (clones.has(relationship.partPath)) {
+        // Back-references (e.g. notes slide -> slide) point at the copy
+        editor.retargetRelationship(targetPath, relationship.id, clones.get(relationship.partPath));
+      } else if (
+        this.ownedPartKinds.has(relationship.kind) &&
+        editor.hasPart(relationship.partPath)
+      ) {
+        const ownedClonePath = editor.getNextPartName(relationship.partPath);
+        clones.set(relationship.partPath, ownedClonePath);
+        this.clonePartTree(
+          editor,
+          embeddedFiles,
+          relationship.partPath,
+          ownedClonePath,
+          transform,
+          clones
+        );
+        editor.retargetRelationship(targetPath, relationship.id, ownedClonePath);
+      }
+    }
+  }
+
+  /**
+   * Apply a transform in place to a part and the parts it owns
+   * @param {PackageEditor} editor - Package editor
+   * @param {Object} embeddedFiles - Extracted embedded Office files
+   * @param {string} partPath - Part to transform
+   * @param {Function} transform - XML transform
+   * @param {Set} visited - Parts already transformed
+   */
+  transformPartTree(editor, embeddedFiles, partPath, transform, visited) {
+    visited.add(partPath);
+
+    if (editor.isXmlPart(partPath)) {
+      editor.setPartText(partPath, transform(editor.getPartText(partPath)));
+    }
+    if (embeddedFiles[partPath]) {
+      for (const file of Object.values(embeddedFiles[partPath].files)) {
+        if (typeof file.content === 'string') {
+          file.content = transform(file.content);
+        }
+      }
+    }
+
+    for (const relationship of editor.getRelationships(partPath)) {
+      if (
+        relationship.partPath &&
+        !visited.has(relationship.partPath) &&
+        this.ownedPartKinds.has(relationship.kind) &&
+        editor.hasPart(relationship.partPath)
+      ) {
+        this.transformPartTree(editor, embeddedFiles, relationship.partPath, transform, visited);
+      }
+    }
+  }
+
+  /**
+   * Copy an extracted embedded Office file, transforming its XML parts
+   * @param {Object} embeddedFile - Extracted embedded file
+   * @param {string} targetPath - Path of the copy
+   * @param {Function} transform - XML transform
+   * @returns {Object} Extracted embedded file for the copy
+   */
+  cloneEmbeddedFile(embeddedFile, targetPath, transform) {
+    const files = {};
+    for (const [innerPath, file] of Object.entries(embeddedFile.files)) {
+      files[innerPath] =
+        typeof file.content === 'string' ? { ...file, content: transform(file.content) } : file;
+    }
+    return { ...embeddedFile, path: targetPath, files };
+  }
+
+  /**
+   * Register a slide in presentation.xml and its relationships, after another slide
+   * @param {PackageEditor} editor - Package editor
+   * @param {string} slidePath - Slide to register
+   * @param {string} insertAfterPath - Slide the new entry follows
+   */
+  registerSlide(editor, slidePath, insertAfterPath) {
+    const relationshipId = editor.addRelationship(
+      this.presentationPath,
+      editor.relationshipType('slide'),
+      slidePath
+    );
+
+    const presentation = editor.getPartText(this.presentationPath);
+    if (!presentation) {
+      return;
+    }
+
+    // Slide ids start at 256 and must be unique within the presentation
+    let maxSlideId = 255;
+    const slideIds = this.findSlideIdEntries(editor, presentation);
+    slideIds.forEach((entry) => {
+      maxSlideId = Math.max(maxSlideId, parseInt(entry.attributes.id, 10) || 0);
+    });
+    const newEntry = `<p:sldId id="${maxSlideId + 1}" r:id="${relationshipId}"/>`;
+
+    const afterId = this.findPresentationRelationshipId(editor, insertAfterPath);
+    const afterEntry = slideIds.find((entry) => entry.attributes['r:id'] === afterId);
+
+    let updated;
+    if (afterEntry) {
+      updated =
+        presentation.slice(0, afterEntry.end) + newEntry + presentation.slice(afterEntry.end);
+
+      // Keep the copy in the same section as the slide it follows
+      updated = updated.replace(
+        new RegExp(`<p14:sldId id="${afterEntry.attributes.id}"\\s*/>`),
+        (sectionEntry) => `${sectionEntry}<p14:sldId id="${maxSlideId + 1}"/>`
+      );
+    } else if (presentation.includes('</p:sldIdLst>')) {
+      updated = presentation.replace('</p:sldIdLst>', `${newEntry}</p:sldIdLst>`);
+    } else {
+      updated = editor.insertBeforeClosingTag(presentation, 'p:sldIdLst', newEntry);
+    }
+    editor.setPartText(this.presentationPath, updated);
+  }
+
+  /**
+   * Append the slides of another presentation, in their order, after the last slide
+   * Slides bring their notes, charts with their workbooks, and media. Layouts and masters are
+   * reused when the target holds them unchanged and copied and registered otherwise; notes
+   * follow the target's notes master when it has one.
+   * @param {Object} extractedFiles - Target presentation (files are edited in place)
+   * @param {Object} sourceFiles - Presentation whose slides are appended (left unchanged)
+   * @returns {Object} Numbers of appended slides and copied slide masters
+   */
+  appendSlides(extractedFiles, sourceFiles) {
+    const editor = new PackageEditor(extractedFiles.files || extractedFiles);
+    const source = new PackageEditor(sourceFiles.files || sourceFiles);
+    if (!editor.hasPart(this.presentationPath) || !source.hasPart(this.presentationPath)) {
+      throw new Error(
+        `Combining presentations needs PowerPoint files (${this.presentationPath} not found)`
+      );
+    }
+
+    // Slides linked from other slides are copied too, and themes go with copied masters
+    const context = {
+      copies: new Map(),
+      ownedKinds: new Set([...this.ownedPartKinds, 'slide', 'theme']),
+    };
+
+    // A presentation has a single notes master
+    const notesMasterPath = this.findPresentationPart(editor, 'notesMaster');
+    const sourceNotesMasterPath = this.findPresentationPart(source, 'notesMaster');
+    if (notesMasterPath && sourceNotesMasterPath) {
+      context.copies.set(sourceNotesMasterPath, notesMasterPath);
+    }
+
+    this.ensurePresentationList(editor, 'p:sldIdLst');
+    const slides = this.getSlideOrder(editor);
+    let previousPath = slides[slides.length - 1] || null;
+    let appendedSlides = 0;
+    for (const slidePath of this.getSlideOrder(source)) {
+      const copyPath = editor.importPart(source, slidePath, context, true);
+      this.registerSlide(editor, copyPath, previousPath);
+      previousPath = copyPath;
+      appendedSlides++;
+    }
+
+    // Masters copied along with the slides' layouts are not in the presentation yet
+    const registered = new Set(
+      editor.getRelationships(this.presentationPath).map((relationship) => relationship.partPath)
+    );
+    let copiedMasters = 0;
+    for (const relationship of source.getRelationships(this.presentationPath)) {
+      const copyPath = context.copies.get(relationship.partPath);
+      if (!copyPath || registered.has(copyPath)) {
+        continue;
+      }
+
+      if (relationship.kind === 'slideMaster') {
+        this.registerSlideMaster(editor, copyPath);
+        copiedMasters++;
+      } else if (relationship.kind === 'notesMaster') {
+        this.registerNotesMaster(editor, copyPath);
+      }
+    }
+
+    return { slides: appendedSlides, masters: copiedMasters };
+  }
+
+  /**
+   * Register a slide master in presentation.xml, renumbering its layout ids
+   * @param {PackageEditor} editor - Package editor
+   * @param {string} masterPath - Slide master part path
+   */
+  registerSlideMaster(editor, masterPath) {
+    const relationshipId = editor.addRelationship(
+      this.presentationPath,
+      editor.relationshipType('slideMaster'),
+      masterPath
+    );
+    this.ensurePresentationList(editor, 'p:sldMasterIdLst');
+
+    // Master and layout ids share one range starting at 2147483648
+    const idPattern = /<p:(?:sldMasterId|sldLayoutId)\b[^>]*?\sid="(\d+)"/g;
+    const registeredXml = editor
+      .getRelationships(this.presentationPath)
+      .filter(
+        (relationship) =>
+          relationship.kind === 'slideMaster' && relationship.partPath !== masterPath
+      )
+      .map((relationship) => editor.getPartText(relationship.partPath) || '');
+    let maxId = 2147483647;
+    for (const xml of [editor.getPartText(this.presentationPath), ...registeredXml]) {
+      for (const match of xml.matchAll(idPattern)) {
+        maxId = Math.max(maxId, parseInt(match[1], 10));
+      }
+    }
+
+    const masterId = ++maxId;
+    editor.setPartText(
+      masterPath,
+      editor
+        .getPartText(masterPath)
+        .replace(/(<p:sldLayoutId\b[^>]*?\sid=")\d+"/g, (_match, prefix) => `${prefix}${++maxId}"`)
+    );
+    editor.setPartText(
+      this.presentationPath,
+      editor
+        .getPartText(this.presentationPath)
+        .replace(
+          '</p:sldMasterIdLst>',
+          `<p:sldMasterId id="${masterId}" r:id="${relationshipId}"/></p:sldMasterIdLst>`
+        )
+    );
+  }
+
+  /**
+   * Register the notes master of a presentation that had none
+   * @param {PackageEditor} editor - Package editor
+   * @param {string} notesMasterPath - Notes master part path
+   */
+  registerNotesMaster(editor, notesMasterPath) {
+    const relationshipId = editor.addRelationship(
+      this.presentationPath,
+      editor.relationshipType('notesMaster'),
+      notesMasterPath
+    );
+    this.ensurePresentationList(editor, 'p:notesMasterIdLst');
+    editor.setPartText(
+      this.presentationPath,
+      editor
+        .getPartText(this.presentationPath)
+        .replace(
+          '</p:notesMasterIdLst>',
+          `<p:notesMasterId r:id="${relationshipId}"/></p:notesMasterIdLst>`
+        )
+    );
+  }
+
+  /**
+   * Make sure presentation.xml has a list element with a closing tag, adding it in schema order
+   * @param {PackageEditor} editor - Package editor
+   * @param {string} listElement - List element name (e.g. "p:sldIdLst")
+   */
+  ensurePresentationList(editor, listElement) {
+    const presentation = editor.getPartText(this.presentationPath);
+    if (presentation.includes(`</${listElement}>`)) {
+      return;
+    }
+
+    const emptyList = `<${listElement}></${listElement}>`;
+    const selfClosing = new RegExp(`<${listElement}\\s*/>`);
+    if (selfClosing.test(presentation)) {
+      editor.setPartText(this.presentationPath, presentation.replace(selfClosing, emptyList));
+      return;
+    }
+
+    const following = this.presentationLists.slice(this.presentationLists.indexOf(listElement) + 1);
+    for (const element of following) {
+      const index = presentation.search(new RegExp(`<${element}[\\s/>]`));
+      if (index !== -1) {
+        editor.setPartText(
+          this.presentationPath,
+          presentation.slice(0, index) + emptyList + presentation.slice(index)
+        );
+        return;
+      }
+    }
+    editor.setPartText(
+      this.presentationPath,
+      editor.insertBeforeClosingTag(presentation, 'p:presentation', emptyList)
+    );
+  }
+
+  /**
+   * Find the part a presentation relationship of a kind points at
+   * @param {PackageEditor} editor - Package editor
+   * @param {string} kind - Relationship kind (e.g. "notesMaster")
+   * @returns {string|null} Part path
+   */
+  findPresentationPart(editor, kind) {
+    const relationship = editor
+      .getRelationships(this.presentationPath)
+      .find((candidate) => candidate.kind === kind && editor.hasPart(candidate.partPath));
+    return relationship ? relationship.partPath : null;
+  }
+
+  /**
+   * Remove slides from an extracted document (e.g. slides emptied by DeleteSlideIfEmpty)
+   * @param {Object} extractedFiles - Extracted document (files and embeddedFiles are edited in place)
+   * @param {Array<string>} slidePaths - Slides to remove
+   * @returns {Array<string>} Removed part paths
+   */
+  removeSlides(extractedFiles, slidePaths) {
+    const editor = new PackageEditor(extractedFiles.files || extractedFiles);
+    const embeddedFiles = extractedFiles.embeddedFiles || {};
+    const removedParts = [];
+
+    for (const slidePath of slidePaths) {
+      removedParts.push(...this.removeSlide(editor, slidePath, embeddedFiles));
+    }
+    return removedParts;
+  }
+
+  /**
+   * Remove a slide with its registration in the presentation and every part only it used
+   * (its relationships, notes slide, charts with their workbooks, and media)
+   * @param {PackageEditor} editor - Package editor
+   * @param {string} slidePath - Slide to remove
+   * @param {Object} [embeddedFiles] - Extracted embedded Office files
+   * @returns {Array<string>} Removed part paths
+   */
+  removeSlide(editor, slidePath, embeddedFiles = {}) {
+    for (const relationship of editor.getRelationships(this.presentationPath)) {
+      if (relationship.partPath !== slidePath) {
+        continue;
+      }
+
+      editor.removeRelationship(this.presentationPath, relationship.id);
+      this.unregisterSlide(editor, relationship.id);
+    }
+
+    const removedParts = [];
+    this.removePartTree(editor, slidePath, embeddedFiles, removedParts);
+    return removedParts;
+  }
+
+  /**
+   * Remove a slide's entries from presentation.xml: sldIdLst, sections and custom shows
+   * @param {PackageEditor} editor - Package editor
+   * @param {string} relationshipId - Presentation relationship id of the slide
+   */
+  unregisterSlide(editor, relationshipId) {
+    let presentation = editor.getPartText(this.presentationPath);
+    if (!presentation) {
+      return;
+    }
+
+    const entry = this.findSlideIdEntries(editor, presentation).find(
+      (slideId) => slideId.attributes['r:id'] === relationshipId
+    );
+    if (entry) {
+      presentation = presentation.slice(0, entry.start) + presentation.slice(entry.end);
+
+      // Sections (PowerPoint 2010+) list slides by slide id
+      const sectionEntry = new RegExp(`<p14:sldId id="${entry.attributes.id}"\\s*/>`, 'g');
+      presentation = presentation.replace(sectionEntry, '');
+    }
+
+    // Custom shows list slides by relationship id
+    const customShowEntry = new RegExp(`<p:sld r:id="${relationshipId}"\\s*/>`, 'g');
+    editor.setPartText(this.presentationPath, presentation.replace(customShowEntry, ''));
+  }
+
+  /**
+   * Remove a part with its relationships and content type, then the parts nothing else references
+   * @param {PackageEditor} editor - Package editor
+   * @param {string} partPath - Part to remove
+   * @param {Object} embeddedFiles - Extracted embedded Office files
+   * @param {Array<string>} removedParts - Collects removed part paths
+   */
+  removePartTree(editor, partPath, embeddedFiles, removedParts) {
+    const relationships = editor.getRelationships(partPath);
+
+    editor.removeContentTypeOverride(partPath);
+    for (const removablePath of [partPath, editor.getRelsPath(partPath)]) {
+      if (editor.removePart(removablePath)) {
+        removedParts.push(removablePath);
+      }
+    }
+    delete embeddedFiles[partPath];
+
+    for (const relationship of relationships) {
+      if (
+        !relationship.partPath ||
+        this.sharedPartKinds.has(relationship.kind) ||
+        !editor.hasPart(relationship.partPath)
+      ) {
+        continue;
+      }
+
+      if (editor.findReferencingParts(relationship.partPath).length === 0) {
+        this.removePartTree(editor, relationship.partPath, embeddedFiles, removedParts);
+      }
+    }
+  }
+
+  /**
+   * Get slide part paths in presentation order
+   * @param {PackageEditor} editor - Package editor
+   * @returns {Array<string>} Slide part paths
+   */
+  getSlideOrder(editor) {
+    const presentation = editor.getPartText(this.presentationPath);
+    const slidesById = new Map(
+      editor
+        .getRelationships(this.presentationPath)
+        .filter((relationship) => relationship.kind === 'slide')
+        .map((relationship) => [relationship.id, relationship.partPath])
+    );
+
+    const ordered = presentation
+      ? this.findSlideIdEntries(editor, presentation)
+          .map((entry) => slidesById.get(entry.attributes['r:id']))
+          .filter((slidePath) => slidePath && editor.hasPart(slidePath))
+      : [];
+
+    // Slides missing from sldIdLst follow in part-name order
+    const remaining = editor
+      .listParts()
+      .filter((partPath) => this.slidePathPattern.test(partPath) && !ordered.includes(partPath))
+      .sort((a, b) => this.getSlideNumber(a) - this.getSlideNumber(b));
+
+    return [...ordered, ...remaining];
+  }
+
+  /**
+   * Find p:sldId entries with their positions
+   * @param {PackageEditor} editor - Package editor
+   * @param {string} presentation - presentation.xml content
+   * @returns {Array} Entries with start, end and attributes
+   */
+  findSlideIdEntries(editor, presentation) {
+    const entries = [];
+    const slideIdRegex = /<p:sldId\b[^>]*?(?:\/>|>[\s\S]*?<\/p:sldId>)/g;
+    let match;
+    while ((match = slideIdRegex.exec(presentation)) !== null) {
+      entries.push({
+        start: match.index,
+        end: match.index + match[0].length,
+        attributes: editor.parseAttributes(match[0].match(/<p:sldId\b[^>]*>/)[0]),
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Find the presentation relationship id pointing at a slide
+   * @param {PackageEditor} editor - Package editor
+   * @param {string} slidePath - Slide part path
+   * @returns {string|null} Relationship id
+   */
+  findPresentationRelationshipId(editor, slidePath) {
+    const relationship = editor
+      .getRelationships(this.presentationPath)
+      .find((candidate) => candidate.partPath === slidePath);
+    return relationship ? relationship.id : null;
+  }
+
+  /**
+   * Get the number of a slide part (slide12.xml -> 12)
+   * @param {string} slidePath - Slide part path
+   * @returns {number} Slide number
+   */
+  getSlideNumber(slidePath) {
+    const match = slidePath.match(/(\d+)\.xml$/);
+    return match ? parseInt(match[1], 10) : 0;
+  }
+}
+
+module.exports = SlideManager;
@@ -138,6 +138,8 @@ class TemplateCache {
    * @param {string} key - Cache key
    * @param {*} value - Value to cache
    * @param {Object} options - Cache options
+   * @param {boolean} [options.clone=true] - Store a deep copy; false stores the value itself
+   *   (for objects holding buffers or instances that must not be serialized)
    */
   set(type, key, value, options = {}) {
     if (!this.isValidType(type)) {
@@ -153,7 +155,7 @@ class TemplateCache {
     }
 
     const entry = {
-      value: this.cloneValue(value),
+      value: options.clone === false ? value : this.cloneValue(value),
       timestamp: Date.now(),
       ttl: options.ttl || this.options.ttl,
       metadata: options.metadata || {},
@@ -324,13 +326,19 @@ class TemplateCache {
   estimateMemoryUsage() {
     let totalSize = 0;
 
-    // Rough estimation based on JSON serialization
+    // Rough estimation based on JSON serialization; values that know their size (compiled
+    // templates, whose part buffers JSON leaves out) report it themselves
     try {
-      const templateSize = JSON.stringify([...this.templateCache.values()]).length * 2;
-      const documentSize = JSON.stringify([...this.documentCache.values()]).length * 2;
-      const dataSize = JSON.stringify([...this.dataCache.values()]).length * 2;
-
-      totalSize = templateSize + documentSize + dataSize;
+      const entrySize = (entry) =>
+        entry.value && typeof entry.value.estimateSize === 'function'
+          ? entry.value.estimateSize()
+          : JSON.stringify(entry).length * 2;
+
+      for (const cache of [this.templateCache, this.documentCache, this.dataCache]) {
+        for (const entry of cache.values()) {
+          totalSize += entrySize(entry);
+        }
+      }
     } catch {
       // Fallback estimation
       totalSize = (this.templateCache.size + this.documentCache.size + this.dataCache.size) * 1024;
@@ -388,6 +396,11 @@ class TemplateCache {
     this.cleanupTimer = setInterval(() => {
       this.cleanup();
     }, interval);
+
+    // The timer alone should not keep a Node.js process running
+    if (typeof this.cleanupTimer.unref === 'function') {
+      this.cleanupTimer.unref();
+    }
   }
 
   /**
@@ -21,13 +21,34 @@ if (isNode) {
 // Core library components
 const PlaceholderParser = require('./core/placeholder-parser');
 const PlaceholderSubstitution = require('./core/placeholder-substitution');
+const SlideManager = require('./core/slide-manager');
+const PackageEditor = require('./core/package-editor');
+const ImageReplacer = require('./core/image-replacer');
+const HyperlinkProcessor = require('./core/hyperlink-processor');
+const HtmlProcessor = require('./core/html-processor');
+const CompiledTemplate = require('./core/compiled-template');
+const BatchJob = require('./core/batch-job');
+const DocumentMerger = require('./core/document-merger');
+const DataSourceReader = require('./core/data-source-reader');
+const ApiAdapter = require('./core/api-adapter');
+const PlaceholderManifest = require('./core/placeholder-manifest');
+const TemplateCache = require('./core/template-cache');
 const xmlParser = require('./utils/xml-parser');
 const {
   fetchTemplate,
+  fetchJson,
+  getTemplateVersion,
   detectMimeType,
   detectDocumentType,
   extractFilename,
 } = require('./utils/fetch-handler');
+const fetchErrors = require('./utils/fetch-errors');
+const { rawXml } = require('./utils/xml-escape');
+const { richText } = require('./utils/rich-text');
+
+// Methods that can be sent twice without side effects, so failed requests are retried
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
 // const TemplateProcessor = require('./core/template-processor');
 // const DocumentGenerator = require('./core/document-generator');
 
@@ -38,13 +59,44 @@ class OOXMLTemplater {
   constructor(options = {}) {
     this.options = {
       cacheTemplates: true,
+      cacheRemoteTemplates: false,
       ...options,
       environment: isNode ? 'node' : 'browser',
     };
     this.zipHandler = zipHandler;
     this.placeholderParser = new PlaceholderParser();
     this.placeholderSubstitution = new PlaceholderSubstitution();
+    this.slideManager = new SlideManager();
+    this.imageReplacer = new ImageReplacer();
+    this.hyperlinkProcessor = new HyperlinkProcessor();
+    this.htmlProcessor = new HtmlProcessor();
+    this.documentMerger = new DocumentMerger();
+    this.dataSourceReader = new DataSourceReader(zipHandler);
+    this.apiAdapter = new ApiAdapter();
+    this.placeholderManifest = new PlaceholderManifest(this.placeholderParser);
     this.xmlParser = xmlParser;
+
+    // Compiled templates by source, reused until they expire (cacheTemplates: false disables).
+    // Templates from http(s) URLs are fetched on every call unless cacheRemoteTemplates is set.
+    this.cache = this.options.cacheTemplates ? new TemplateCache(this.options.cacheOptions) : null;
+
+    // Formatter registry shared with substitution, seeded with any custom formatters
+    this.formatters = this.placeholderSubstitution.formatters;
+    for (const [name, formatter] of Object.entries(this.options.formatters || {})) {
+      this.formatters.register(name, formatter);
+    }
+  }
+
+  /**
+   * Register a custom formatter for placeholder pipes, e.g. (((total | vat:20)))
+   * @param {string} name - Formatter name used in templates
+   * @param {Function} formatter - (value, args, context) => formatted value; args are strings,
+   *   context holds the locale and timeZone of the substitution
+   * @returns {OOXMLTemplater} This templater, for chaining
+   */
+  registerFormatter(name, formatter) {
+    this.formatters.register(name, formatter);
+    return this;
   }
 
   /**
@@ -55,17 +107,8 @@ class OOXMLTemplater {
    */
   async parseTemplate(templateUrl, _options = {}) {
     try {
-      // Fetch the template
-      const templateBuffer = await fetchTemplate(templateUrl);
-
-      // Extract ZIP contents
-      const extractedFiles = await this.zipHandler.extract(templateBuffer);
-
-      // Discover XML files
-      const xmlFiles = this.xmlParser.discoverXmlFiles(extractedFiles);
-
-      // Parse placeholders from all XML files
-      const parseResult = this.placeholderParser.parseDocument(extractedFiles, xmlFiles);
+      // Fetch, extract and parse the template (or reuse its compiled copy)
+      const { xmlFiles, parseResult } = await this.compile(templateUrl);
 
       // Detect document metadata
       const documentType = detectDocumentType(templateUrl);
@@ -113,58 +156,86 @@ class OOXMLTemplater {
     }
   }
 
+  /**
+   * Describe the data a template needs as a versioned manifest for data APIs
+   * Lists each path with the type of value it needs (array, number, presence or value), how the
+   * template uses it and the collection it belongs to, plus the nested tree of paths.
+   * @param {object} parseResult - Result of parseTemplate() or the parseResult of a compiled
+   *   template
+   * @returns {object} Manifest (see PlaceholderManifest)
+   */
+  createPlaceholderManifest(parseResult) {
+    return this.placeholderManifest.build(parseResult);
+  }
+
   /**
    * Fetch placeholder data from API endpoint
+   * Each attempt times out, and idempotent requests (GET, PUT and the like, or a POST marked
+   * idempotent or sent with an idempotency key) are retried on network errors, timeouts and 5xx
+   * responses. Failures carry their FetchError type and code.
    * @param {string} apiUrl - API endpoint URL
    * @param {Array<string>} placeholders - Array of unique placeholder names
    * @param {object} options - Request options
-   * @returns {Promise<object>} API response with placeholder values
+   * @param {number} [options.timeout=30000] - Milliseconds per attempt (0 disables)
+   * @param {number} [options.retries=2] - Retries of idempotent requests
+   * @param {number} [options.retryDelay=250] - Delay before the first retry, doubled for each next
+   * @param {number} [options.maxRetryDelay=5000] - Longest delay between attempts
+   * @param {boolean} [options.idempotent] - Retry the POST as well (the endpoint only reads data)
+   * @param {string} [options.idempotencyKey] - Sent as Idempotency-Key header; allows retries
+   * @param {AbortSignal} [options.signal] - Cancels the request and pending retries
+   * @param {boolean} [options.throwOnError=false] - Throw the FetchError instead of returning a
+   *   failure result
+   * @param {string|Function} [options.request='json'] - Request builder: 'json', 'query',
+   *   'graphql' or a function (see ApiAdapter)
+   * @param {object|Function} [options.response] - Response mapper: { data, filename, rename }
+   *   JSON paths or a function (see ApiAdapter)
+   * @param {boolean} [options.requireAll=false] - Fail when the response lacks a placeholder
+   * @param {object} [options.manifest] - Placeholder manifest sent with the placeholders (see
+   *   createPlaceholderManifest)
+   * @returns {Promise<object>} API response with placeholder values and the placeholders it lacks
    */
   async fetchData(apiUrl, placeholders, options = {}) {
     try {
-      const requestOptions = {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...options.headers,
-        },
-        body: JSON.stringify({
-          placeholders: placeholders,
-          ...options.additionalData,
-        }),
-        ...options.fetchOptions,
-      };
+      const request = this.apiAdapter.buildRequest(apiUrl, placeholders, options);
+      const requestOptions = { ...request.init, ...options.fetchOptions };
 
-      let response;
-      if (isNode) {
-        // Node.js environment - use node-fetch or native fetch (Node 18+)
-        if (typeof fetch === 'undefined') {
-          // For older Node.js versions, require node-fetch if available
-          try {
-            const nodeFetch = require('node-fetch');
-            response = await nodeFetch(apiUrl, requestOptions);
-          } catch {
-            throw new Error('fetch is not available. Please use Node.js 18+ or install node-fetch');
-          }
-        } else {
-          response = await fetch(apiUrl, requestOptions);
+      let fetchFunction = typeof fetch === 'undefined' ? null : fetch;
+      if (!fetchFunction && isNode) {
+        // For older Node.js versions, require node-fetch if available
+        try {
+          fetchFunction = require('node-fetch');
+        } catch {
+          throw new Error('fetch is not available. Please use Node.js 18+ or install node-fetch');
         }
-      } else {
-        // Browser environment - use native fetch
-        response = await fetch(apiUrl, requestOptions);
       }
 
-      if (!response.ok) {
-        throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-      }
-
-      const data = await response.json();
-
-      // Extract the actual data from various possible response formats
-      const actualData = data.data || data.values || data.placeholders || data;
+      const idempotent =
+        options.idempotent === true ||
+        IDEMPOTENT_METHODS.includes(requestOptions.method.toUpperCase()) ||
+        Object.keys(requestOptions.headers || {}).some(
+          (name) => name.toLowerCase() === 'idempotency-key'
+        );
+      const { response, data: body } = await fetchJson(request.url, requestOptions, {
+        fetch: fetchFunction,
+        timeout: options.timeout,
+        retries: idempotent ? (options.retries ?? 2) : 0,
+        retryDelay: options.retryDelay,
+        maxRetryDelay: options.maxRetryDelay,
+        signal: options.signal || requestOptions.signal,
+        label: 'API request',
+      });
 
-      // Return format based on options
-      const filename = data.filename || options.defaultFilename || null;
+      // Map the response to placeholder data and report the placeholders it lacks
+      const mapped = this.apiAdapter.mapResponse(body, { response, placeholders, apiUrl }, options);
+      const actualData = mapped.data;
+      const filename = mapped.filename || options.defaultFilename || null;
+      const missing = this.apiAdapter.findMissing(actualData, placeholders);
+      if (options.requireAll && missing.length > 0) {
+        throw new fetchErrors.FetchResponseError(
+          `API response is missing placeholders: ${missing.join(', ')}`,
+          { url: apiUrl, missing }
+        );
+      }
 
       // If returnRawData is true, return just the data object
       if (options.returnRawData === true) {
@@ -176,20 +247,31 @@ class OOXMLTemplater {
         success: true,
         data: actualData,
         filename: filename,
+        validation: {
+          complete: missing.length === 0,
+          missing,
+        },
         metadata: {
           fetchedAt: new Date().toISOString(),
           apiUrl: apiUrl,
           placeholderCount: placeholders.length,
         },
-        rawResponse: options.includeRawResponse ? data : undefined,
+        rawResponse: options.includeRawResponse ? body : undefined,
       };
     } catch (error) {
+      if (options.throwOnError) {
+        throw error;
+      }
       return {
         success: false,
         error: {
           message: error.message,
           stack: error.stack,
           type: error.name,
+          code: error.code,
+          status: error.status,
+          attempts: error.attempts,
+          missing: error.missing,
         },
         apiUrl: apiUrl,
         placeholders: placeholders,
@@ -197,6 +279,68 @@ class OOXMLTemplater {
     }
   }
 
+  /**
+   * Compile a template once so it can be rendered many times without re-parsing
+   * Compiled templates are kept in the template cache by source; local files are compiled
+   * again once they change. Templates from http(s) URLs cannot be checked for changes, so they
+   * are only cached when the caller opts in.
+   * @param {string} templateUrl - URL or file path to the template
+   * @param {object} [options] - Compile options
+   * @param {boolean} [options.cache] - Reuse and store the compiled template in the cache
+   *   (default: true for local files; for URLs, when cacheRemoteTemplates is set or a cacheKey
+   *   is given)
+   * @param {string} [options.cacheKey] - Cache key to use instead of the source
+   * @returns {Promise<CompiledTemplate>} Compiled template
+   */
+  async compile(templateUrl, options = {}) {
+    const isRemote = /^https?:/i.test(templateUrl);
+    const cacheByDefault =
+      !isRemote || this.options.cacheRemoteTemplates || Boolean(options.cacheKey);
+    const useCache =
+      this.cache !== null && (options.cache === undefined ? cacheByDefault : options.cache);
+    let cacheKey = null;
+    if (useCache) {
+      const version = options.cacheKey ? null : await getTemplateVersion(templateUrl);
+      cacheKey = options.cacheKey || (version ? `${templateUrl}@${version}` : templateUrl);
+      const cached = this.cache.getTemplate(cacheKey);
+      if (cached) {
+        return cached;
+      }
+    }
+
+    // Step 1: Fetch the template
+    const templateBuffer = await fetchTemplate(templateUrl);
+
+    // Step 2: Extract ZIP contents
+    const extractedFiles = await this.zipHandler.extract(templateBuffer);
+
+    // Step 3: Discover XML files
+    const xmlFiles = this.xmlParser.discoverXmlFiles(extractedFiles);
+
+    // Step 4: Parse placeholders from all XML files
+    const parseResult = this.placeholderParser.parseDocument(extractedFiles, xmlFiles);
+
+    const compiled = new CompiledTemplate(this, {
+      source: templateUrl,
+      extractedFiles,
+      xmlFiles,
+      parseResult,
+    });
+    if (useCache) {
+      // Stored as is: the parts are copied for each render
+      this.cache.setTemplate(cacheKey, compiled, { clone: false });
+    }
+    return compiled;
+  }
+
+  /**
+   * Get the statistics of the template cache (hits, misses, evictions, sizes)
+   * @returns {object|null} Cache statistics, or null if caching is disabled
+   */
+  getCacheStats() {
+    return this.cache ? this.cache.getStats() : null;
+  }
+
   /**
    * Substitute placeholders in template with data
    * @param {string} templateUrl - URL or file path to the template
@@ -206,17 +350,50 @@ class OOXMLTemplater {
    */
   async substituteTemplate(templateUrl, data, options = {}) {
     try {
-      // Step 1: Fetch the template
-      const templateBuffer = await fetchTemplate(templateUrl);
+      // Steps 1-4: Fetch, extract and parse the template (or reuse its compiled copy)
+      const compiled = await this.compile(templateUrl, { cache: options.cache });
+      return await this.renderTemplate(compiled, data, options);
+    } catch (error) {
+      return {
+        success: false,
+        error: {
+          message: error.message,
+          stack: error.stack,
+          type: error.name,
+        },
+        template: {
+          url: templateUrl,
+        },
+      };
+    }
+  }
 
-      // Step 2: Extract ZIP contents
-      const extractedFiles = await this.zipHandler.extract(templateBuffer);
+  /**
+   * Render a document from a compiled template
+   * @param {CompiledTemplate} compiled - Compiled template (left unchanged)
+   * @param {object} data - Data object with values for placeholders
+   * @param {object} options - Substitution options
+   * @returns {Promise<object>} Substitution result with modified document
+   */
+  async renderTemplate(compiled, data, options = {}) {
+    const templateUrl = compiled.source;
+    try {
+      // Work on a copy of the parts so the compiled template can be rendered again
+      const workingCopy = compiled.createWorkingCopy();
+      const extractedFiles = workingCopy.extractedFiles;
+      let xmlFiles = workingCopy.xmlFiles;
+      let parseResult = compiled.parseResult;
 
-      // Step 3: Discover XML files
-      const xmlFiles = this.xmlParser.discoverXmlFiles(extractedFiles);
+      // Step 4b: Clone or remove slides for RepeatSlide directives, then re-parse the new package
+      const slideStats = { repeatedSlides: 0, removedSlides: 0 };
+      if (parseResult.repeatDirectives.some((directive) => directive.repeatScope === 'slide')) {
+        const slideResult = this.slideManager.repeatSlides(extractedFiles, data);
+        slideStats.repeatedSlides = slideResult.repeatedSlides;
+        slideStats.removedSlides = slideResult.removedSlides;
 
-      // Step 4: Parse placeholders from all XML files
-      const parseResult = this.placeholderParser.parseDocument(extractedFiles, xmlFiles);
+        xmlFiles = this.xmlParser.discoverXmlFiles(extractedFiles);
+        parseResult = this.placeholderParser.parseDocument(extractedFiles, xmlFiles);
+      }
 
       // Step 5: Substitute placeholders with data
       const substitutionResult = this.placeholderSubstitution.substituteDocument(
@@ -228,9 +405,104 @@ class OOXMLTemplater {
           preserveUnmatched: options.preserveUnmatched !== false,
           logMissingData: options.logMissingData !== false,
           deleteEmptyElements: options.deleteEmptyElements !== false,
+          locale: options.locale,
+          timeZone: options.timeZone,
+          allowedLinkSchemes: options.allowedLinkSchemes,
+          lineBreaks: options.lineBreaks || 'break',
         }
       );
 
+      // Step 5b: Remove slides deleted by DeleteSlideIfEmpty from the package
+      const deletedSlides = [];
+      for (const [filePath, modifiedFile] of substitutionResult.modifiedFiles) {
+        if (modifiedFile.markedForDeletion && this.slideManager.slidePathPattern.test(filePath)) {
+          deletedSlides.push(filePath);
+        }
+      }
+      if (deletedSlides.length > 0) {
+        // Slide removal edits presentation.xml, its relationships and [Content_Types].xml, so it
+        // starts from the substituted text and the substituted copies are refreshed afterwards
+        const packageFiles = extractedFiles.files || extractedFiles;
+        const substitutedParts = [...substitutionResult.modifiedFiles].filter(
+          ([filePath, modifiedFile]) =>
+            !modifiedFile.markedForDeletion &&
+            packageFiles[filePath] &&
+            typeof packageFiles[filePath].content === 'string'
+        );
+        for (const [filePath, modifiedFile] of substitutedParts) {
+          packageFiles[filePath].content = modifiedFile.content;
+        }
+
+        this.slideManager.removeSlides(extractedFiles, deletedSlides);
+        slideStats.removedSlides += deletedSlides.length;
+
+        for (const [filePath, modifiedFile] of substitutedParts) {
+          if (packageFiles[filePath]) {
+            modifiedFile.content = packageFiles[filePath].content;
+          }
+        }
+      }
+
+      // Step 5c: Swap pictures whose alt text holds an (((img:...))) placeholder
+      const imageStats = { replacedImages: 0, failedImages: 0 };
+      if (parseResult.imageDirectives.length > 0) {
+        const imageResult = this.imageReplacer.replaceImages(
+          extractedFiles.files || extractedFiles,
+          substitutionResult.modifiedFiles,
+          data,
+          {
+            preserveAspectRatio: options.preserveAspectRatio !== false,
+            strictMode: options.strictMode || false,
+            preserveUnmatched: options.preserveUnmatched !== false,
+            logMissingData: options.logMissingData !== false,
+          }
+        );
+        imageStats.replacedImages = imageResult.replacedImages;
+        imageStats.failedImages = imageResult.failedImages;
+      }
+
+      // Step 5d: Turn (((link:...))) placeholders and rich text links into hyperlinks with
+      // their own relationships
+      const linkStats = { createdLinks: 0, failedLinks: 0 };
+      const richTextLinks = substitutionResult.richTextLinks || [];
+      if (parseResult.linkDirectives.length > 0 || richTextLinks.length > 0) {
+        const linkResult = this.hyperlinkProcessor.createLinks(
+          extractedFiles.files || extractedFiles,
+          substitutionResult.modifiedFiles,
+          data,
+          {
+            allowedLinkSchemes: options.allowedLinkSchemes,
+            strictMode: options.strictMode || false,
+            preserveUnmatched: options.preserveUnmatched !== false,
+            logMissingData: options.logMissingData !== false,
+            richTextLinks,
+          }
+        );
+        linkStats.createdLinks = linkResult.createdLinks;
+        linkStats.failedLinks = linkResult.failedLinks;
+      }
+
+      // Step 5e: Replace the paragraphs of (((html:...))) placeholders with converted HTML
+      const htmlStats = { insertedHtml: 0, failedHtml: 0 };
+      if (parseResult.htmlDirectives.length > 0) {
+        const htmlResult = this.htmlProcessor.insertHtml(
+          extractedFiles.files || extractedFiles,
+          substitutionResult.modifiedFiles,
+          data,
+          {
+            mode: options.htmlMode || 'convert',
+            allowedLinkSchemes: options.allowedLinkSchemes,
+            strictMode: options.strictMode || false,
+            preserveUnmatched: options.preserveUnmatched !== false,
+            logMissingData: options.logMissingData !== false,
+          }
+        );
+        htmlStats.insertedHtml = htmlResult.insertedHtml;
+        htmlStats.failedHtml = htmlResult.failedHtml;
+        linkStats.createdLinks += htmlResult.createdLinks;
+        linkStats.failedLinks += htmlResult.failedLinks;
+      }
+
       // Step 6: Rebuild file structure with modified XML files
       const modifiedFileStructure = {};
 
@@ -259,6 +531,11 @@ class OOXMLTemplater {
           continue;
         }
 
+        // Parts removed from the package (deleted slides and what they owned) stay removed
+        if (!Object.prototype.hasOwnProperty.call(originalFiles, filePath)) {
+          continue;
+        }
+
         // Extract content from the modified file object
         if (modifiedFile && modifiedFile.content !== undefined) {
           modifiedFileStructure[filePath] = modifiedFile.content;
@@ -317,7 +594,13 @@ class OOXMLTemplater {
           filename: filename,
         },
         substitution: {
-          stats: substitutionResult.stats,
+          stats: {
+            ...substitutionResult.stats,
+            ...slideStats,
+            ...imageStats,
+            ...linkStats,
+            ...htmlStats,
+          },
           deletionCandidates: substitutionResult.deletionCandidates,
         },
         metadata: {
@@ -340,6 +623,162 @@ class OOXMLTemplater {
     }
   }
 
+  /**
+   * Read a CSV file or Excel sheet as data objects, one per row
+   * Header cells name the placeholder paths; dotted headers such as customer.name build nested
+   * objects. XLSX cells keep their numbers, booleans and dates; CSV fields stay text unless the
+   * columnTypes option declares a type for their column.
+   * @param {string} source - Path or URL of a .csv or .xlsx file
+   * @param {object} [options] - Read options (format, sheet, delimiter, columnTypes; see
+   *   DataSourceReader)
+   * @returns {Promise<Array<object>>} Data objects
+   */
+  async readDataSource(source, options = {}) {
+    return this.dataSourceReader.read(source, options);
+  }
+
+  /**
+   * Generate a document per record from one template, compiled once
+   * Failed records are reported without stopping the batch. The batch starts once the job is
+   * awaited (resolving to its summary report) or iterated with `for await` (yielding each result).
+   * @param {string|CompiledTemplate} template - Template path or URL, or a compiled template
+   * @param {Iterable|AsyncIterable|string} records - Data objects, one per document, or the path
+   *   or URL of a .csv or .xlsx file with one record per row
+   * @param {object} [options] - Batch options (concurrency, outputDir, filename,
+   *   substitutionOptions, dataSourceOptions, signal; see BatchJob)
+   * @returns {BatchJob} Batch job, also emitting 'result', 'progress' and 'done' events
+   */
+  generateBatch(template, records, options = {}) {
+    return new BatchJob(this, template, records, options);
+  }
+
+  /**
+   * Mail merge: render a Word template once per record into a single combined document
+   * Records follow each other on new pages, or in their own sections with their own
+   * headers and footers.
+   * @param {string|CompiledTemplate} template - Template path or URL, or a compiled template
+   * @param {Iterable|AsyncIterable} records - Data objects, one per rendering
+   * @param {object} [options] - Merge options
+   * @param {string} [options.separator='page'] - Record separator: 'page' (page break) or
+   *   'section' (section break)
+   * @param {object} [options.substitutionOptions] - Options for each render (see substituteTemplate)
+   * @returns {Promise<object>} Merge result with the combined document
+   */
+  async mailMerge(template, records, options = {}) {
+    const templateUrl = typeof template === 'string' ? template : template.source;
+    try {
+      const compiled =
+        typeof template === 'string'
+          ? await this.compile(template, { cache: options.cache })
+          : template;
+
+      // Records are rendered one by one and appended to the first
+      let state = null;
+      let recordCount = 0;
+      for await (const record of records) {
+        const rendered = await compiled.render(record, options.substitutionOptions || {});
+        if (!rendered.success) {
+          throw new Error(`Record ${recordCount + 1} failed: ${rendered.error.message}`);
+        }
+
+        const { files } = await this.zipHandler.extract(rendered.document);
+        if (state) {
+          this.documentMerger.append(state, files);
+        } else {
+          state = this.documentMerger.begin(files, { separator: options.separator });
+        }
+        recordCount++;
+      }
+      if (!state) {
+        throw new Error('Mail merge needs at least one record');
+      }
+
+      const outputBuffer = await this.zipHandler.create(this.documentMerger.finish(state));
+
+      return {
+        success: true,
+        document: outputBuffer,
+        template: {
+          url: templateUrl,
+          type: detectDocumentType(templateUrl),
+          mimeType: detectMimeType(templateUrl),
+          filename: extractFilename(templateUrl),
+        },
+        merge: {
+          records: recordCount,
+          separator: state.useSections ? 'section' : 'page',
+        },
+        metadata: {
+          mergedAt: new Date().toISOString(),
+          environment: this.options.environment,
+        },
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: {
+          message: error.message,
+          stack: error.stack,
+          type: error.name,
+        },
+        template: {
+          url: templateUrl,
+        },
+      };
+    }
+  }
+
+  /**
+   * Combine presentations into one deck: the slides of each source are appended to the target
+   * Slides keep their notes, charts (with their embedded workbooks) and media; layouts and
+   * masters the target already holds unchanged are shared, others are copied with the slides.
+   * @param {Buffer|object} target - Presentation to append to (buffer or substitution result)
+   * @param {Array<Buffer|object>} sources - Presentations whose slides are appended, in order
+   * @returns {Promise<object>} Combine result with the combined presentation
+   */
+  async combinePresentations(target, sources = []) {
+    try {
+      const presentations = [target, ...sources].map((presentation, index) => {
+        if (presentation && presentation.success === false) {
+          throw new Error(`Presentation ${index + 1} failed: ${presentation.error.message}`);
+        }
+        return presentation && presentation.document ? presentation.document : presentation;
+      });
+
+      const { files } = await this.zipHandler.extract(presentations[0]);
+      const editor = new PackageEditor(files);
+      let slides = this.slideManager.getSlideOrder(editor).length;
+      for (const presentation of presentations.slice(1)) {
+        const source = await this.zipHandler.extract(presentation);
+        slides += this.slideManager.appendSlides(files, source.files).slides;
+      }
+
+      const outputBuffer = await this.zipHandler.create(editor.toFileStructure());
+
+      return {
+        success: true,
+        document: outputBuffer,
+        combine: {
+          presentations: presentations.length,
+          slides,
+        },
+        metadata: {
+          combinedAt: new Date().toISOString(),
+          environment: this.options.environment,
+        },
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: {
+          message: error.message,
+          stack: error.stack,
+          type: error.name,
+        },
+      };
+    }
+  }
+
   /**
    * Download document in browser (triggers browser download)
    * @param {Buffer} documentBuffer - Document buffer to download
@@ -457,9 +896,16 @@ class OOXMLTemplater {
   /**
    * Complete end-to-end template processing workflow
    * @param {string} templateUrl - URL or path to template
-   * @param {string|object} dataSource - API URL or data object
+   * @param {string|object} dataSource - API URL, data object, or path or URL of a .csv or .xlsx
+   *   file rendering one document per row (with the batch options of generateBatch)
    * @param {object} options - Processing options
-   * @returns {Promise<object>} Processing result with document
+   * @param {object} [options.fetchOptions] - Options of the API request (see fetchData)
+   * @param {AbortSignal} [options.signal] - Cancels the API request, and stops the render between
+   *   its stages (fetching, substitution, output) or a batch between records
+   * @param {boolean} [options.manifest=false] - Send the placeholder manifest of the template with
+   *   the API request
+   * @returns {Promise<object>} Processing result with document, or with the per-row documents
+   *   and the batch report for CSV and Excel data sources
    */
   async processTemplate(templateUrl, dataSource, options = {}) {
     try {
@@ -470,18 +916,46 @@ class OOXMLTemplater {
       if (!parseResult.success) {
         throw new Error(`Template parsing failed: ${parseResult.error.message}`);
       }
+      this.throwIfAborted(options.signal, templateUrl);
+
+      // CSV and Excel data sources render one document per row
+      if (this.dataSourceReader.getFormat(dataSource)) {
+        const documents = [];
+        const job = this.generateBatch(templateUrl, dataSource, options);
+        job.on('result', (result) => documents.push(result));
+        const report = await job;
+
+        return {
+          success: true,
+          documents: documents.sort((a, b) => a.index - b.index),
+          batch: report,
+          template: parseResult.template,
+          parsing: {
+            placeholders: parseResult.placeholders,
+            statistics: parseResult.statistics,
+          },
+          metadata: {
+            processedAt: new Date().toISOString(),
+            environment: this.options.environment,
+          },
+        };
+      }
 
       // Step 2: Get data (either from API or use provided object)
       if (typeof dataSource === 'string') {
         // dataSource is API URL
-        const fetchResult = await this.fetchData(
-          dataSource,
-          parseResult.placeholders.unique,
-          options.fetchOptions || {}
-        );
-
-        if (!fetchResult.success) {
-          throw new Error(`Data fetching failed: ${fetchResult.error.message}`);
+        let fetchResult;
+        try {
+          fetchResult = await this.fetchData(dataSource, parseResult.placeholders.unique, {
+            signal: options.signal,
+            ...(options.manifest ? { manifest: this.createPlaceholderManifest(parseResult) } : {}),
+            ...options.fetchOptions,
+            throwOnError: true,
+          });
+        } catch (error) {
+          // Keep the FetchError type and details
+          error.message = `Data fetching failed: ${error.message}`;
+          throw error;
         }
 
         data = fetchResult.data;
@@ -496,6 +970,7 @@ class OOXMLTemplater {
       }
 
       // Step 3: Substitute placeholders
+      this.throwIfAborted(options.signal, templateUrl);
       const substituteResult = await this.substituteTemplate(
         templateUrl,
         data,
@@ -506,6 +981,7 @@ class OOXMLTemplater {
       }
 
       // Step 4: Output document
+      this.throwIfAborted(options.signal, templateUrl);
       const filename = options.filename || substituteResult.template.filename || 'output.docx';
       const mimeType = options.mimeType || substituteResult.template.mimeType;
 
@@ -547,6 +1023,8 @@ class OOXMLTemplater {
           message: error.message,
           stack: error.stack,
           type: error.name,
+          code: error.code,
+          status: error.status,
         },
         template: {
           url: templateUrl,
@@ -555,6 +1033,17 @@ class OOXMLTemplater {
     }
   }
 
+  /**
+   * Stop processTemplate between stages once its signal is aborted
+   * @param {AbortSignal} [signal] - Signal passed to processTemplate
+   * @param {string} templateUrl - URL or path of the template being rendered
+   */
+  throwIfAborted(signal, templateUrl) {
+    if (signal && signal.aborted) {
+      throw new fetchErrors.FetchAbortError('Rendering was aborted', { url: templateUrl });
+    }
+  }
+
   async generateDocument(_template, _data) {
     // Alias for processTemplate for backward compatibility
     throw new Error('generateDocument not yet implemented - use processTemplate instead');
@@ -565,6 +1054,17 @@ class OOXMLTemplater {
 module.exports = OOXMLTemplater;
 module.exports.OOXMLTemplater = OOXMLTemplater;
 module.exports.default = OOXMLTemplater;
+module.exports.CompiledTemplate = CompiledTemplate;
+module.exports.BatchJob = BatchJob;
+module.exports.FetchError = fetchErrors.FetchError;
+module.exports.FetchTimeoutError = fetchErrors.FetchTimeoutError;
+module.exports.FetchHttpError = fetchErrors.FetchHttpError;
+module.exports.FetchNetworkError = fetchErrors.FetchNetworkError;
+module.exports.FetchParseError = fetchErrors.FetchParseError;
+module.exports.FetchResponseError = fetchErrors.FetchResponseError;
+module.exports.FetchAbortError = fetchErrors.FetchAbortError;
+module.exports.rawXml = rawXml;
+module.exports.richText = richText;
 
 // Browser global export
 if (isBrowser && typeof window !== 'undefined') {
@@ -0,0 +1,105 @@
+/**
+ * Fetch Errors
+ * Error types for data requests: timeouts, HTTP errors, network errors, cancellations,
+ * responses that are not JSON and responses without the expected data
+ */
+
+/**
+ * Base class of data request errors
+ */
+class FetchError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Request details
+   * @param {string} [details.url] - Requested URL
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = 'FETCH_FAILED';
+    this.url = details.url;
+    this.cause = details.cause;
+    this.attempts = 1;
+    this.retryable = false;
+  }
+}
+
+/**
+ * The request took longer than its timeout
+ */
+class FetchTimeoutError extends FetchError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.code = 'TIMEOUT';
+    this.timeout = details.timeout;
+    this.retryable = true;
+  }
+}
+
+/**
+ * The server answered with an error status; 5xx statuses are worth retrying
+ */
+class FetchHttpError extends FetchError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.code = 'HTTP_ERROR';
+    this.status = details.status;
+    this.statusText = details.statusText;
+    this.retryAfter = details.retryAfter;
+    this.retryable = details.status >= 500;
+  }
+}
+
+/**
+ * The request did not reach the server or the connection broke
+ */
+class FetchNetworkError extends FetchError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.code = 'NETWORK_ERROR';
+    this.retryable = true;
+  }
+}
+
+/**
+ * The response body is not valid JSON
+ */
+class FetchParseError extends FetchError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.code = 'PARSE_ERROR';
+  }
+}
+
+/**
+ * The response does not hold the expected data: GraphQL errors, or placeholders missing when
+ * every placeholder is required
+ */
+class FetchResponseError extends FetchError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.code = 'INVALID_RESPONSE';
+    this.missing = details.missing || [];
+  }
+}
+
+/**
+ * The request was cancelled through its AbortSignal
+ */
+class FetchAbortError extends FetchError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.code = 'ABORTED';
+  }
+}
+
+module.exports = {
+  FetchError,
+  FetchTimeoutError,
+  FetchHttpError,
+  FetchNetworkError,
+  FetchParseError,
+  FetchResponseError,
+  FetchAbortError,
+};
@@ -3,6 +3,14 @@
  * Handles fetching templates from URLs or file paths
  */
 
+const {
+  FetchTimeoutError,
+  FetchHttpError,
+  FetchNetworkError,
+  FetchParseError,
+  FetchAbortError,
+} = require('./fetch-errors');
+
 const isNode = typeof window === 'undefined' && typeof global !== 'undefined';
 
 /**
@@ -68,6 +76,204 @@ async function fetchTemplateBrowser(url, options) {
   return await response.arrayBuffer();
 }
 
+/**
+ * Get a version stamp of a local template file, so cached copies are dropped when it changes
+ * @param {string} urlOrPath - URL or file path
+ * @returns {Promise<string|null>} Modification time and size, or null for URLs and in browsers
+ */
+async function getTemplateVersion(urlOrPath) {
+  if (!isNode || /^(?:https?|file|blob):/.test(urlOrPath)) {
+    return null;
+  }
+
+  try {
+    const fs = require('fs').promises;
+    const stats = await fs.stat(urlOrPath);
+    return `${stats.mtimeMs}:${stats.size}`;
+  } catch {
+    // Missing files fail when the template is fetched
+    return null;
+  }
+}
+
+/**
+ * Request JSON with a timeout, retries and cancellation
+ * Each attempt, body included, must finish within the timeout. Network errors, timeouts and
+ * 5xx responses are retried with exponential backoff (or after the server's Retry-After);
+ * 4xx responses, cancellation and invalid JSON fail at once.
+ * @param {string} url - Request URL
+ * @param {object} init - Fetch options (method, headers, body)
+ * @param {object} options - Request options
+ * @param {Function} options.fetch - Fetch implementation
+ * @param {number} [options.timeout=30000] - Milliseconds per attempt (0 disables)
+ * @param {number} [options.retries=0] - Retries after the first attempt
+ * @param {number} [options.retryDelay=250] - Delay before the first retry, doubled for each next
+ * @param {number} [options.maxRetryDelay=5000] - Longest delay between attempts
+ * @param {AbortSignal} [options.signal] - Cancels the request and pending retries
+ * @param {string} [options.label='Request'] - Name of the request in error messages
+ * @returns {Promise<object>} Response and parsed body ({ response, data })
+ */
+async function fetchJson(url, init, options) {
+  const {
+    retries = 0,
+    retryDelay = 250,
+    maxRetryDelay = 5000,
+    signal,
+    label = 'Request',
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fetchJsonAttempt(url, init, options);
+    } catch (error) {
+      error.attempts = attempt;
+      if (!error.retryable || attempt > retries) {
+        throw error;
+      }
+
+      const backoff = retryDelay * 2 ** (attempt - 1);
+      const delay = error.retryAfter !== undefined ? error.retryAfter : backoff;
+      await wait(Math.min(delay, maxRetryDelay), signal);
+      if (signal && signal.aborted) {
+        const aborted = new FetchAbortError(`${label} was aborted`, { url });
+        aborted.attempts = attempt;
+        throw aborted;
+      }
+    }
+  }
+}
+
+/**
+ * Make one attempt of a JSON request
+ * @param {string} url - Request URL
+ * @param {object} init - Fetch options
+ * @param {object} options - Request options (see fetchJson)
+ * @returns {Promise<object>} Response and parsed body
+ */
+async function fetchJsonAttempt(url, init, options) {
+  const { fetch: request, timeout = 30000, signal, label = 'Request' } = options;
+  if (signal && signal.aborted) {
+    throw new FetchAbortError(`${label} was aborted`, { url });
+  }
+
+  // Settles when the timeout fires or the caller aborts, even if the fetch implementation
+  // ignores the signal
+  let stop;
+  const stopped = new Promise((resolve, reject) => {
+    stop = () => reject(new Error('aborted'));
+  });
+  stopped.catch(() => {});
+
+  // One controller per attempt, where available (Node.js 14 has no AbortController)
+  const controller = typeof AbortController === 'undefined' ? null : new AbortController();
+  const abort = () => {
+    stop();
+    if (controller) {
+      controller.abort();
+    }
+  };
+
+  let timedOut = false;
+  const timer =
+    timeout > 0
+      ? setTimeout(() => {
+          timedOut = true;
+          abort();
+        }, timeout)
+      : null;
+  if (signal) {
+    signal.addEventListener('abort', abort, { once: true });
+  }
+
+  const toFailure = (error) => {
+    if (timedOut) {
+      return new FetchTimeoutError(`${label} timed out after ${timeout} ms`, { url, timeout });
+    }
+    if (signal && signal.aborted) {
+      return new FetchAbortError(`${label} was aborted`, { url });
+    }
+    return error;
+  };
+
+  try {
+    let response;
+    try {
+      const requestInit = controller ? { ...init, signal: controller.signal } : init;
+      response = await Promise.race([request(url, requestInit), stopped]);
+    } catch (error) {
+      throw toFailure(new FetchNetworkError(error.message, { url, cause: error }));
+    }
+
+    if (!response.ok) {
+      throw new FetchHttpError(`${label} failed: ${response.status} ${response.statusText}`, {
+        url,
+        status: response.status,
+        statusText: response.statusText,
+        retryAfter: getRetryAfter(response),
+      });
+    }
+
+    try {
+      const data = await Promise.race([response.json(), stopped]);
+      return { response, data };
+    } catch (error) {
+      // Compare names: fetch implementations may throw from another realm. node-fetch reports
+      // invalid JSON as a FetchError of type 'invalid-json'.
+      const failure =
+        error.name === 'SyntaxError' || error.type === 'invalid-json'
+          ? new FetchParseError(`${label} returned invalid JSON: ${error.message}`, {
+              url,
+              cause: error,
+            })
+          : new FetchNetworkError(error.message, { url, cause: error });
+      throw toFailure(failure);
+    }
+  } finally {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener('abort', abort);
+    }
+  }
+}
+
+/**
+ * Read the Retry-After header of a response
+ * @param {object} response - Fetch response
+ * @returns {number|undefined} Milliseconds to wait, if the server asked for a delay
+ */
+function getRetryAfter(response) {
+  const value = response.headers && response.headers.get && response.headers.get('retry-after');
+  if (!value) {
+    return undefined;
+  }
+  const delay = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+  return Number.isNaN(delay) ? undefined : Math.max(0, delay);
+}
+
+/**
+ * Wait between attempts, ending early when the request is cancelled
+ * @param {number} milliseconds - Delay
+ * @param {AbortSignal} [signal] - Ends the wait
+ * @returns {Promise<void>} Resolves after the delay or on cancellation
+ */
+function wait(milliseconds, signal) {
+  return new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, milliseconds);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
 /**
  * Detect MIME type from file extension or content
  * @param {string} urlOrPath - URL or file path
@@ -116,6 +322,8 @@ function extractFilename(urlOrPath) {
 
 module.exports = {
   fetchTemplate,
+  fetchJson,
+  getTemplateVersion,
   detectMimeType,
   detectDocumentType,
   extractFilename,
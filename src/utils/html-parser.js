@@ -0,0 +1,315 @@
+/**
+ * HTML parsing utilities
+ * Lenient HTML fragment parser producing a small node tree for conversion to WordprocessingML
+ */
+
+// Tags, comments, doctypes and CDATA sections
+const TOKEN_PATTERN =
+  /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[([\s\S]*?)\]\]>|<[!?][^>]*>|<\/([A-Za-z][\w:-]*)\s*>|<([A-Za-z][\w:-]*)((?:\s*[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+
+// Attributes of a start tag
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// Elements without content
+const VOID_ELEMENTS = new Set([
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'param',
+  'source',
+  'track',
+  'wbr',
+]);
+
+// Elements whose content is text, not markup
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Elements that end an open paragraph
+const BLOCK_ELEMENTS = new Set([
+  'address',
+  'article',
+  'aside',
+  'blockquote',
+  'div',
+  'dl',
+  'figure',
+  'footer',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'header',
+  'hr',
+  'main',
+  'nav',
+  'ol',
+  'p',
+  'pre',
+  'section',
+  'table',
+  'ul',
+]);
+
+// Elements closed by a sibling start tag, up to the element that contains them
+const IMPLIED_END = {
+  li: { closes: ['li'], scope: ['ul', 'ol'] },
+  dt: { closes: ['dt', 'dd'], scope: ['dl'] },
+  dd: { closes: ['dt', 'dd'], scope: ['dl'] },
+  tr: { closes: ['tr'], scope: ['table', 'thead', 'tbody', 'tfoot'] },
+  td: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+  th: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+  thead: { closes: ['thead', 'tbody', 'tfoot'], scope: ['table'] },
+  tbody: { closes: ['thead', 'tbody', 'tfoot'], scope: ['table'] },
+  tfoot: { closes: ['thead', 'tbody', 'tfoot'], scope: ['table'] },
+};
+
+// Named character references in common use
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  shy: '­',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  lsquo: '‘',
+  rsquo: '’',
+  sbquo: '‚',
+  ldquo: '“',
+  rdquo: '”',
+  bdquo: '„',
+  laquo: '«',
+  raquo: '»',
+  bull: '•',
+  middot: '·',
+  euro: '€',
+  pound: '£',
+  yen: '¥',
+  cent: '¢',
+  sect: '§',
+  para: '¶',
+  deg: '°',
+  plusmn: '±',
+  times: '×',
+  divide: '÷',
+  auml: 'ä',
+  ouml: 'ö',
+  uuml: 'ü',
+  Auml: 'Ä',
+  Ouml: 'Ö',
+  Uuml: 'Ü',
+  szlig: 'ß',
+  eacute: 'é',
+  egrave: 'è',
+  aacute: 'á',
+  agrave: 'à',
+  ccedil: 'ç',
+  ntilde: 'ñ',
+};
+
+/**
+ * Decode HTML character references
+ * Unknown named references are kept as written.
+ * @param {string} text - HTML text
+ * @returns {string} Decoded text
+ */
+function decodeHtmlEntities(text) {
+  return text.replace(
+    /&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([A-Za-z][A-Za-z0-9]*));?/g,
+    (reference, decimal, hex, name) => {
+      if (decimal || hex) {
+        const codePoint = parseInt(decimal || hex, decimal ? 10 : 16);
+        return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '�';
+      }
+      return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, name)
+        ? NAMED_ENTITIES[name]
+        : reference;
+    }
+  );
+}
+
+/**
+ * Parse an HTML fragment (or document) into a node tree
+ * Missing end tags are implied the way browsers do for paragraphs, list items and table parts;
+ * stray end tags are ignored. Comments and doctypes are dropped.
+ * @param {string} html - HTML markup
+ * @returns {Array} Nodes: { type: 'element', name, attributes, children } or { type: 'text', text }
+ */
+function parseHtml(html) {
+  const source = String(html ?? '');
+  const root = { type: 'element', name: '#root', attributes: {}, children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const addText = (text) => {
+    if (text) {
+      current().children.push({ type: 'text', text });
+    }
+  };
+  const closeTo = (index) => {
+    stack.length = Math.max(index, 1);
+  };
+  const findOpen = (names, scope = []) => {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (names.includes(stack[i].name)) {
+        return i;
+      }
+      if (scope.includes(stack[i].name)) {
+        return -1;
+      }
+    }
+    return -1;
+  };
+
+  const pattern = new RegExp(TOKEN_PATTERN.source, 'g');
+  let position = 0;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    addText(decodeHtmlEntities(source.slice(position, match.index)));
+    position = match.index + match[0].length;
+
+    // Comments, doctypes and processing instructions match no group and are dropped
+    const [, cdata, endName, startName, attributeText, selfClosing] = match;
+    if (cdata !== undefined) {
+      addText(cdata);
+    } else if (endName) {
+      const name = endName.toLowerCase();
+      const index = findOpen([name]);
+      if (name === 'br') {
+        // Browsers read </br> as <br>
+        current().children.push({ type: 'element', name: 'br', attributes: {}, children: [] });
+      } else if (index !== -1) {
+        closeTo(index);
+      }
+    } else if (startName) {
+      const name = startName.toLowerCase();
+      const implied = IMPLIED_END[name];
+      if (implied) {
+        const index = findOpen(implied.closes, implied.scope);
+        if (index !== -1) {
+          closeTo(index);
+        }
+      }
+      if (BLOCK_ELEMENTS.has(name)) {
+        const index = findOpen(['p'], ['td', 'th', 'li', 'blockquote', 'div']);
+        if (index !== -1) {
+          closeTo(index);
+        }
+      }
+
+      const element = {
+        type: 'element',
+        name,
+        attributes: parseAttributes(attributeText),
+        children: [],
+      };
+      current().children.push(element);
+
+      if (RAW_TEXT_ELEMENTS.has(name)) {
+        const end = source.slice(position).search(new RegExp(`</${name}\\s*>`, 'i'));
+        const text = end === -1 ? source.slice(position) : source.slice(position, position + end);
+        element.children.push({
+          type: 'text',
+          text: name === 'textarea' ? decodeHtmlEntities(text) : text,
+        });
+        position = end === -1 ? source.length : source.indexOf('>', position + end) + 1;
+        pattern.lastIndex = position;
+      } else if (!VOID_ELEMENTS.has(name) && !selfClosing) {
+        stack.push(element);
+      }
+    }
+  }
+  addText(decodeHtmlEntities(source.slice(position)));
+
+  return root.children;
+}
+
+/**
+ * Parse the attributes of a start tag
+ * @param {string} text - Attribute text of the tag
+ * @returns {Object} Lower-case attribute names to decoded values
+ */
+function parseAttributes(text) {
+  const attributes = {};
+  for (const match of (text || '').matchAll(ATTRIBUTE_PATTERN)) {
+    const name = match[1].toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(attributes, name)) {
+      attributes[name] = decodeHtmlEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Parse an inline style attribute
+ * @param {string} style - CSS declarations, e.g. "color: red; font-weight: bold"
+ * @returns {Object} Lower-case property names to values
+ */
+function parseStyle(style) {
+  const declarations = {};
+  for (const declaration of String(style || '').split(';')) {
+    const colon = declaration.indexOf(':');
+    if (colon > 0) {
+      declarations[declaration.slice(0, colon).trim().toLowerCase()] = declaration
+        .slice(colon + 1)
+        .trim();
+    }
+  }
+  return declarations;
+}
+
+/**
+ * Get the text of HTML, one line per block element
+ * Used where markup cannot go (attributes, slides, spreadsheets).
+ * @param {string} html - HTML markup
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+  const lines = [''];
+  const walk = (nodes) => {
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        lines[lines.length - 1] += node.text.replace(/\s+/g, ' ');
+      } else if (node.name === 'br') {
+        lines.push('');
+      } else if (!RAW_TEXT_ELEMENTS.has(node.name)) {
+        const block = BLOCK_ELEMENTS.has(node.name) || node.name === 'li' || node.name === 'tr';
+        if (block) {
+          lines.push('');
+        }
+        walk(node.children);
+        if (block) {
+          lines.push('');
+        }
+      }
+    }
+  };
+  walk(parseHtml(html));
+
+  return lines
+    .map((line) => line.trim())
+    .filter((line) => line !== '')
+    .join('\n');
+}
+
+module.exports = {
+  parseHtml,
+  parseAttributes,
+  parseStyle,
+  decodeHtmlEntities,
+  htmlToText,
+};
@@ -0,0 +1,74 @@
+/**
+ * JSON Path
+ * Selects values from API responses with a subset of JSONPath: $.result.items[0]['display name'],
+ * with [*] collecting a value from every array item
+ */
+
+// One step: .name, .*, [0], [*], ['name'] or ["name"]
+const STEP_PATTERN =
+  /\.([A-Za-z_$][\w$-]*)|\.\*|\[(\d+)\]|\[\*\]|\[(['"])((?:(?!\3)[^\\]|\\.)*)\3\]/y;
+
+/**
+ * Split a JSON path into its steps
+ * A leading $ is optional: 'result.items[0]' equals '$.result.items[0]'.
+ * @param {string} path - JSON path
+ * @returns {Array<string|number|null>} Keys, array indexes, and null for wildcards
+ */
+function parseJsonPath(path) {
+  const source = path.trim().replace(/^\$/, '');
+  const text = source === '' || /^[.[]/.test(source) ? source : `.${source}`;
+  const steps = [];
+
+  STEP_PATTERN.lastIndex = 0;
+  while (STEP_PATTERN.lastIndex < text.length) {
+    const match = STEP_PATTERN.exec(text);
+    if (!match) {
+      throw new Error(`Invalid JSON path: ${path}`);
+    }
+
+    if (match[1] !== undefined) {
+      steps.push(match[1]);
+    } else if (match[2] !== undefined) {
+      steps.push(Number(match[2]));
+    } else if (match[4] !== undefined) {
+      steps.push(match[4].replace(/\\(.)/g, '$1'));
+    } else {
+      steps.push(null);
+    }
+  }
+  return steps;
+}
+
+/**
+ * Select a value with a JSON path
+ * @param {*} value - Parsed JSON
+ * @param {string} path - JSON path
+ * @returns {*} Selected value; an array of values when the path has wildcards; undefined when
+ *   nothing matches
+ */
+function selectJsonPath(value, path) {
+  const steps = parseJsonPath(path);
+  let nodes = [value];
+
+  for (const step of steps) {
+    const next = [];
+    for (const node of nodes) {
+      if (node === null || typeof node !== 'object') {
+        continue;
+      }
+      if (step === null) {
+        next.push(...Object.values(node));
+      } else if (Object.prototype.hasOwnProperty.call(node, step)) {
+        next.push(node[step]);
+      }
+    }
+    nodes = next;
+  }
+
+  return steps.includes(null) ? nodes : nodes[0];
+}
+
+module.exports = {
+  parseJsonPath,
+  selectJsonPath,
+};
@@ -0,0 +1,271 @@
+/**
+ * Rich text utilities
+ * Turns Markdown or a run model into paragraphs of formatted runs for substitution
+ */
+
+// Inline Markdown: escapes, code, links, bold, strikethrough and italic (earliest match wins)
+const INLINE_PATTERN =
+  /\\([\\`*_~[\]()#+\-.!|])|`([^`]+)`|\[([^\]]+)\]\(\s*([^)\s]*)(?:\s+"[^"]*")?\s*\)|\*\*(.+?)\*\*|__(.+?)__|~~(.+?)~~|\*([^*\s](?:[^*]*[^*\s])?)\*|(?<![\p{L}\p{N}])_([^_\s](?:[^_]*[^_\s])?)_(?![\p{L}\p{N}])/gu;
+
+// List items: "- item", "* item", "+ item", "1. item" or "1) item"
+const LIST_ITEM_PATTERN = /^([ \t]*)(?:([-*+])|\d+[.)])[ \t]+(.*)$/;
+
+// Run formatting keys taken from the run model
+const FORMAT_KEYS = ['bold', 'italic', 'underline', 'strike', 'code', 'color', 'link'];
+
+/**
+ * Wrapper marking a value as rich text (paragraphs of formatted runs)
+ */
+class RichText {
+  /**
+   * @param {Array} paragraphs - Paragraphs as { runs, list, level }; list is null, 'bullet'
+   *   or 'number', and runs are { text, bold, italic, underline, strike, code, color, link }
+   */
+  constructor(paragraphs) {
+    this.paragraphs = paragraphs;
+  }
+
+  /**
+   * Plain text for places that cannot hold formatting (attributes, spreadsheets, charts)
+   * Paragraphs become lines, and list items get their bullet or number.
+   * @returns {string} Plain text
+   */
+  toPlainText() {
+    const markers = this.getListMarkers();
+    return this.paragraphs
+      .map((paragraph, i) => {
+        const text = paragraph.runs.map((run) => run.text).join('');
+        return paragraph.list ? `${'  '.repeat(paragraph.level)}${markers[i]} ${text}` : text;
+      })
+      .join('\n');
+  }
+
+  /**
+   * Get the bullet or number shown before each list paragraph
+   * Numbering restarts when a level starts over or changes list type.
+   * @returns {Array<string>} Marker per paragraph (empty for paragraphs outside lists)
+   */
+  getListMarkers() {
+    const counters = [];
+    return this.paragraphs.map((paragraph) => {
+      if (!paragraph.list) {
+        counters.length = 0;
+        return '';
+      }
+      const counter = counters[paragraph.level];
+      counters.length = paragraph.level + 1;
+      counters[paragraph.level] = {
+        list: paragraph.list,
+        count: counter && counter.list === paragraph.list ? counter.count + 1 : 1,
+      };
+      return paragraph.list === 'number' ? `${counters[paragraph.level].count}.` : '\u2022';
+    });
+  }
+
+  toString() {
+    return this.toPlainText();
+  }
+}
+
+/**
+ * Mark a value as rich text
+ * Strings are read as Markdown; arrays are a run model of runs and paragraphs.
+ * @param {string|Array|RichText} value - Markdown, runs/paragraphs, or rich text
+ * @returns {RichText} Rich text wrapper
+ */
+function richText(value) {
+  if (isRichText(value)) {
+    return value;
+  }
+  return new RichText(Array.isArray(value) ? parseRunModel(value) : parseMarkdown(value));
+}
+
+/**
+ * Check if a value was marked as rich text
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a RichText wrapper
+ */
+function isRichText(value) {
+  return value instanceof RichText;
+}
+
+/**
+ * Parse Markdown into paragraphs
+ * Supported: **bold**, *italic*, ~~strikethrough~~, `code`, [links](url), bullet and numbered
+ * lists (nested by indentation) and blank lines between paragraphs. A single newline inside
+ * a paragraph is kept as a line break.
+ * @param {*} markdown - Markdown text
+ * @returns {Array} Paragraphs as { runs, list, level }
+ */
+function parseMarkdown(markdown) {
+  const paragraphs = [];
+  const indents = [];
+  let current = null;
+
+  for (const line of String(markdown ?? '').split(/\r\n|\r|\n/)) {
+    const item = line.match(LIST_ITEM_PATTERN);
+    if (item) {
+      const indent = item[1].replace(/\t/g, '    ').length;
+      while (indents.length > 0 && indent < indents[indents.length - 1]) {
+        indents.pop();
+      }
+      if (indents.length === 0 || indent > indents[indents.length - 1]) {
+        indents.push(indent);
+      }
+      current = {
+        lines: [item[3]],
+        list: item[2] ? 'bullet' : 'number',
+        level: indents.length - 1,
+      };
+      paragraphs.push(current);
+    } else if (line.trim() === '') {
+      current = null;
+      indents.length = 0;
+    } else if (current) {
+      current.lines.push(current.list ? line.trim() : line);
+    } else {
+      current = { lines: [line], list: null, level: 0 };
+      paragraphs.push(current);
+    }
+  }
+
+  return paragraphs.map(({ lines, list, level }) => ({
+    runs: parseInline(lines.join('\n')),
+    list,
+    level: Math.min(level, 8),
+  }));
+}
+
+/**
+ * Parse inline Markdown formatting into runs
+ * @param {string} text - Paragraph text
+ * @param {Object} [format] - Formatting inherited from enclosing markup
+ * @returns {Array} Runs as { text, ...formatting }
+ */
+function parseInline(text, format = {}) {
+  const runs = [];
+  const pattern = new RegExp(INLINE_PATTERN.source, INLINE_PATTERN.flags);
+  const addText = (value, runFormat = format) => {
+    const last = runs[runs.length - 1];
+    if (last && sameFormat(last, runFormat)) {
+      last.text += value;
+    } else if (value) {
+      runs.push({ text: value, ...runFormat });
+    }
+  };
+
+  let position = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    addText(text.slice(position, match.index));
+    position = match.index + match[0].length;
+
+    const [, escaped, code, label, url, bold, boldUnderscore, strike, italic, italicUnderscore] =
+      match;
+    if (escaped !== undefined) {
+      addText(escaped);
+    } else if (code !== undefined) {
+      addText(code, { ...format, code: true });
+    } else if (label !== undefined) {
+      const linkFormat = url ? { ...format, link: url } : format;
+      parseInline(label, linkFormat).forEach((run) => addText(run.text, formatOf(run)));
+    } else {
+      const inner = bold ?? boldUnderscore ?? strike ?? italic ?? italicUnderscore;
+      let key = 'italic';
+      if (bold !== undefined || boldUnderscore !== undefined) {
+        key = 'bold';
+      } else if (strike !== undefined) {
+        key = 'strike';
+      }
+      parseInline(inner, { ...format, [key]: true }).forEach((run) =>
+        addText(run.text, formatOf(run))
+      );
+    }
+  }
+  addText(text.slice(position));
+
+  return runs;
+}
+
+/**
+ * Normalize a run model into paragraphs
+ * Items with a `runs` array are paragraphs ({ runs, list, level }); other items are runs
+ * ({ text, bold, italic, underline, strike, code, color, link }) or strings, and
+ * consecutive runs form one paragraph.
+ * @param {Array} items - Runs and paragraphs
+ * @returns {Array} Paragraphs as { runs, list, level }
+ */
+function parseRunModel(items) {
+  const paragraphs = [];
+  let loose = null;
+
+  for (const item of items) {
+    if (item && Array.isArray(item.runs)) {
+      loose = null;
+      paragraphs.push({
+        runs: item.runs.map(toRun).filter((run) => run.text !== ''),
+        list: ['bullet', 'number'].includes(item.list) ? item.list : null,
+        level: Math.min(Math.max(parseInt(item.level, 10) || 0, 0), 8),
+      });
+    } else if (item !== null && item !== undefined) {
+      if (!loose) {
+        loose = { runs: [], list: null, level: 0 };
+        paragraphs.push(loose);
+      }
+      const run = toRun(item);
+      if (run.text !== '') {
+        loose.runs.push(run);
+      }
+    }
+  }
+
+  return paragraphs;
+}
+
+/**
+ * Normalize one run of the run model
+ * @param {Object|string} item - Run object or plain string
+ * @returns {Object} Run with text and the formatting keys that are set
+ */
+function toRun(item) {
+  if (typeof item !== 'object') {
+    return { text: String(item) };
+  }
+  const run = { text: item.text === null || item.text === undefined ? '' : String(item.text) };
+  for (const key of FORMAT_KEYS) {
+    if (item[key]) {
+      run[key] = key === 'color' || key === 'link' ? String(item[key]) : true;
+    }
+  }
+  return run;
+}
+
+/**
+ * Get the formatting of a run (everything but its text)
+ * @param {Object} run - Run
+ * @returns {Object} Formatting keys
+ */
+function formatOf(run) {
+  const format = { ...run };
+  delete format.text;
+  return format;
+}
+
+/**
+ * Check whether a run has exactly the given formatting
+ * @param {Object} run - Run
+ * @param {Object} format - Formatting keys
+ * @returns {boolean} True if the formatting matches
+ */
+function sameFormat(run, format) {
+  return FORMAT_KEYS.every((key) => (run[key] || null) === (format[key] || null));
+}
+
+module.exports = {
+  RichText,
+  richText,
+  isRichText,
+  parseMarkdown,
+  parseInline,
+  parseRunModel,
+};
@@ -0,0 +1,43 @@
+/**
+ * URL safety utilities
+ * Checks data-driven hyperlink targets against an allow-list of URL schemes
+ */
+
+// Schemes allowed for hyperlink targets unless the caller configures others
+const DEFAULT_LINK_SCHEMES = ['http', 'https', 'mailto'];
+
+// Leading whitespace and control characters that URL parsers skip before the scheme
+// eslint-disable-next-line no-control-regex
+const LEADING_IGNORED_CHARS = /^[\u0000- ]+/;
+
+/**
+ * Get the scheme of a URL the way Office and browsers read it
+ * (leading whitespace and control characters, and tabs or newlines inside, are ignored)
+ * @param {*} url - URL to inspect
+ * @returns {string|null} Lower-case scheme or null if the URL has none
+ */
+function getUrlScheme(url) {
+  const normalized = String(url)
+    .replace(LEADING_IGNORED_CHARS, '')
+    .replace(/[\t\n\r]/g, '');
+  const match = normalized.match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Check if a URL may be used as a hyperlink target
+ * URLs without a scheme are rejected, since Office resolves them as local file paths.
+ * @param {*} url - URL to check
+ * @param {Array<string>} [allowedSchemes] - Allowed schemes (default: http, https, mailto)
+ * @returns {boolean} True if the URL uses an allowed scheme
+ */
+function isAllowedLinkTarget(url, allowedSchemes = DEFAULT_LINK_SCHEMES) {
+  const scheme = getUrlScheme(url);
+  return scheme !== null && allowedSchemes.some((allowed) => allowed.toLowerCase() === scheme);
+}
+
+module.exports = {
+  DEFAULT_LINK_SCHEMES,
+  getUrlScheme,
+  isAllowedLinkTarget,
+};
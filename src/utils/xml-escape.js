@@ -0,0 +1,136 @@
+/**
+ * XML Escaping utilities
+ * Encodes substituted values for the XML context they are inserted into
+ */
+
+// Characters that are not allowed anywhere in an XML 1.0 document
+// (C0 controls except tab/newline/carriage return, lone surrogates, U+FFFE and U+FFFF)
+const INVALID_XML_CHARS =
+  // eslint-disable-next-line no-control-regex
+  /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+/**
+ * Wrapper marking a value as trusted XML markup that must be inserted verbatim
+ */
+class RawXml {
+  constructor(xml) {
+    this.xml = String(xml);
+  }
+
+  toString() {
+    return this.xml;
+  }
+}
+
+/**
+ * Mark a value as raw XML (escape hatch for trusted callers only)
+ * @param {string} xml - XML markup to insert without escaping
+ * @returns {RawXml} Raw XML wrapper
+ */
+function rawXml(xml) {
+  return new RawXml(xml);
+}
+
+/**
+ * Check if a value was marked as raw XML
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a RawXml wrapper
+ */
+function isRawXml(value) {
+  return value instanceof RawXml;
+}
+
+/**
+ * Remove characters that are illegal in XML 1.0
+ * @param {string} value - Value to clean
+ * @returns {string} Cleaned value
+ */
+function stripInvalidXmlChars(value) {
+  return String(value).replace(INVALID_XML_CHARS, '');
+}
+
+/**
+ * Escape a value for use as element text content (w:t, a:t, v, t)
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXmlText(value) {
+  return stripInvalidXmlChars(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape a value for use inside an attribute value (alt text, relationship targets)
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped attribute value
+ */
+function escapeXmlAttribute(value) {
+  return escapeXmlText(value)
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    .replace(/\t/g, '&#9;')
+    .replace(/\n/g, '&#10;')
+    .replace(/\r/g, '&#13;');
+}
+
+/**
+ * Decode the predefined and numeric character entities of XML text or attribute values
+ * @param {string} value - Escaped value
+ * @returns {string} Unescaped value
+ */
+function unescapeXml(value) {
+  const named = { quot: '"', apos: "'", lt: '<', gt: '>', amp: '&' };
+  return String(value).replace(
+    /&(?:(quot|apos|lt|gt|amp)|#(\d+)|#x([0-9a-fA-F]+));/g,
+    (entity, name, dec, hex) => {
+      if (name) {
+        return named[name];
+      }
+      const codePoint = dec ? parseInt(dec, 10) : parseInt(hex, 16);
+      return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+    }
+  );
+}
+
+/**
+ * Detect whether a position in XML content is inside a tag (attribute value) or in text
+ * @param {string} content - XML content
+ * @param {number} index - Position within content
+ * @returns {string} 'attribute' or 'text'
+ */
+function detectXmlContext(content, index) {
+  const lastOpen = content.lastIndexOf('<', index);
+  const lastClose = content.lastIndexOf('>', index);
+  return lastOpen > lastClose ? 'attribute' : 'text';
+}
+
+/**
+ * Encode a value for insertion at a position in XML content
+ * @param {*} value - Value to encode
+ * @param {string} content - XML content the value is inserted into
+ * @param {number} index - Insertion position
+ * @returns {string} Encoded value
+ */
+function encodeXmlValue(value, content, index) {
+  if (isRawXml(value)) {
+    return value.xml;
+  }
+
+  return detectXmlContext(content, index) === 'attribute'
+    ? escapeXmlAttribute(value)
+    : escapeXmlText(value);
+}
+
+module.exports = {
+  RawXml,
+  rawXml,
+  isRawXml,
+  stripInvalidXmlChars,
+  escapeXmlText,
+  escapeXmlAttribute,
+  unescapeXml,
+  detectXmlContext,
+  encodeXmlValue,
+};
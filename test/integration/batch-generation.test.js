@@ -0,0 +1,80 @@
+/**
+ * Integration tests for batch generation
+ */
+
+const OOXMLTemplater = require('../../src/index');
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+
+describe('Batch Generation Integration Tests', () => {
+  const testTemplatesDir = path.join(__dirname, '../fixtures/batch-templates');
+  const outputDir = path.join(testTemplatesDir, 'output');
+  let docxPath;
+
+  beforeAll(async () => {
+    await fs.mkdir(testTemplatesDir, { recursive: true });
+
+    const zip = new AdmZip();
+    zip.addFile('[Content_Types].xml', Buffer.from('<?xml version="1.0"?><Types></Types>'));
+    zip.addFile(
+      'word/document.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+          '<w:body><w:p><w:r><w:t>Invoice (((number))) for (((customer)))</w:t></w:r></w:p></w:body></w:document>'
+      )
+    );
+    docxPath = path.join(testTemplatesDir, 'invoice.docx');
+    await fs.writeFile(docxPath, zip.toBuffer());
+  });
+
+  afterAll(async () => {
+    await fs.rm(testTemplatesDir, { recursive: true, force: true });
+  });
+
+  test('should save a document per record and report failed records', async () => {
+    const templater = new OOXMLTemplater();
+    const records = [
+      { number: 'INV-1', customer: 'Acme' },
+      { customer: 'No number' },
+      { number: 'INV-2', customer: 'Globex' },
+    ];
+    const progress = [];
+
+    const report = await templater
+      .generateBatch(docxPath, records, {
+        concurrency: 2,
+        outputDir,
+        filename: 'invoice-(((number))).docx',
+        substitutionOptions: { strictMode: true },
+      })
+      .on('progress', ({ completed, total }) => progress.push(`${completed}/${total}`));
+
+    expect(report).toMatchObject({ total: 3, succeeded: 2, failed: 1 });
+    expect(report.failures[0]).toMatchObject({ index: 1, filename: null });
+    expect(progress).toEqual(['1/3', '2/3', '3/3']);
+    expect(report.files.map((file) => path.basename(file)).sort()).toEqual([
+      'invoice-INV-1.docx',
+      'invoice-INV-2.docx',
+    ]);
+    const saved = new AdmZip(path.join(outputDir, 'invoice-INV-2.docx'));
+    expect(saved.readAsText('word/document.xml')).toContain('<w:t>Invoice INV-2 for Globex</w:t>');
+    expect(templater.getCacheStats().misses).toBe(1);
+  });
+
+  test('should stream rendered documents from a compiled template', async () => {
+    const templater = new OOXMLTemplater();
+    const compiled = await templater.compile(docxPath);
+
+    const documents = {};
+    for await (const result of templater.generateBatch(compiled, [
+      { number: 'A', customer: 'Acme' },
+      { number: 'B', customer: 'Bolt', missing: true },
+    ])) {
+      documents[result.filename] = new AdmZip(result.document).readAsText('word/document.xml');
+    }
+
+    expect(Object.keys(documents).sort()).toEqual(['invoice-1.docx', 'invoice-2.docx']);
+    expect(documents['invoice-2.docx']).toContain('Invoice B for Bolt');
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Integration tests for paragraph and block loops in Word documents
+ */
+
+const OOXMLTemplater = require('../../src/index');
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+
+describe('Block Loop Integration Tests', () => {
+  const testTemplatesDir = path.join(__dirname, '../fixtures/block-loop-templates');
+  let templatePath;
+
+  const para = (text, style) =>
+    `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+
+  beforeAll(async () => {
+    await fs.mkdir(testTemplatesDir, { recursive: true });
+
+    const zip = new AdmZip();
+    zip.addFile('[Content_Types].xml', Buffer.from('<?xml version="1.0"?><Types></Types>'));
+    zip.addFile(
+      'word/document.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+          para('Contract for (((client.name)))', 'Title') +
+          para('(((#each sections)))') +
+          para('(((sections.heading)))', 'Heading1') +
+          para('(((#each sections.clauses)))') +
+          para('(((sections.clauses.text))) — (((client.name)))', 'ListBullet') +
+          para('(((/each)))') +
+          para('(((/each)))') +
+          para('Signed') +
+          '</w:body></w:document>'
+      )
+    );
+    templatePath = path.join(testTemplatesDir, 'contract.docx');
+    await fs.writeFile(templatePath, zip.toBuffer());
+  });
+
+  afterAll(async () => {
+    await fs.rm(testTemplatesDir, { recursive: true, force: true });
+  });
+
+  test('should render nested sections and clauses with parent scope access', async () => {
+    const templater = new OOXMLTemplater();
+    const data = {
+      client: { name: 'ACME' },
+      sections: [
+        { heading: 'Scope', clauses: [{ text: 'Design' }, { text: 'Build' }] },
+        { heading: 'Payment', clauses: [{ text: 'Net 30' }] },
+      ],
+    };
+
+    const result = await templater.substituteTemplate(templatePath, data);
+
+    expect(result.success).toBe(true);
+    expect(result.substitution.stats.repeatedBlocks).toBe(5);
+
+    const documentXml = new AdmZip(result.document).readAsText('word/document.xml');
+    const texts = [...documentXml.matchAll(/<w:t[^>]*>([^<]*)<\/w:t>/g)].map((m) => m[1]);
+    expect(texts).toEqual([
+      'Contract for ACME',
+      'Scope',
+      'Design — ACME',
+      'Build — ACME',
+      'Payment',
+      'Net 30 — ACME',
+      'Signed',
+    ]);
+    expect(documentXml.match(/w:val="Heading1"/g)).toHaveLength(2);
+    expect(documentXml.match(/w:val="ListBullet"/g)).toHaveLength(3);
+  });
+
+  test('should drop the block when the collection is empty', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(templatePath, {
+      client: { name: 'ACME' },
+      sections: [],
+    });
+
+    const documentXml = new AdmZip(result.document).readAsText('word/document.xml');
+    expect(documentXml.match(/<w:p>/g)).toHaveLength(2);
+    expect(documentXml).not.toContain('(((');
+  });
+});
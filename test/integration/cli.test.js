@@ -0,0 +1,189 @@
+/**
+ * Integration tests for the command-line interface
+ */
+
+const { run, parseArguments } = require('../../src/cli');
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+
+describe('CLI Integration Tests', () => {
+  const testTemplatesDir = path.join(__dirname, '../fixtures/cli-templates');
+  let docxPath;
+  let dataPath;
+
+  const createIo = () => {
+    const output = { stdout: '', stderr: '' };
+    return {
+      output,
+      io: {
+        stdout: { write: (text) => (output.stdout += text) },
+        stderr: { write: (text) => (output.stderr += text) },
+      },
+    };
+  };
+
+  beforeAll(async () => {
+    await fs.mkdir(testTemplatesDir, { recursive: true });
+
+    const paragraph = (text) => `<w:p><w:r><w:t>${text}</w:t></w:r></w:p>`;
+    const zip = new AdmZip();
+    zip.addFile('[Content_Types].xml', Buffer.from('<?xml version="1.0"?><Types></Types>'));
+    zip.addFile(
+      'word/document.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+          paragraph('Dear (((customer.name))),') +
+          paragraph('Your total is (((1234=invoice.total))).') +
+          paragraph('(((DeletePageIfEmpty=notes)))') +
+          '</w:body></w:document>'
+      )
+    );
+    zip.addFile(
+      'word/header1.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><w:hdr xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+          paragraph('(((customer.name | upper)))') +
+          '</w:hdr>'
+      )
+    );
+    docxPath = path.join(testTemplatesDir, 'invoice.docx');
+    await fs.writeFile(docxPath, zip.toBuffer());
+
+    dataPath = path.join(testTemplatesDir, 'data.json');
+    await fs.writeFile(
+      dataPath,
+      JSON.stringify({ customer: { name: 'Acme' }, invoice: { total: 99 }, notes: 'Thanks' })
+    );
+  });
+
+  afterAll(async () => {
+    await fs.rm(testTemplatesDir, { recursive: true, force: true });
+  });
+
+  test('should list placeholders and directives with their files', async () => {
+    const { io, output } = createIo();
+
+    const exitCode = await run(['inspect', docxPath], io);
+
+    expect(exitCode).toBe(0);
+    const lines = output.stdout.split('\n');
+    expect(lines[0]).toMatch(/^invoice\.docx \(docx\): 3 unique placeholders/);
+    expect(lines).toContain('customer.name  standard  2      word/document.xml, word/header1.xml');
+    expect(output.stdout).toMatch(/invoice\.total\s+1234\s+1\s+word\/document\.xml/);
+    expect(output.stdout).toMatch(/notes\s+page\s+1\s+word\/document\.xml/);
+  });
+
+  test('should print the inspection as JSON', async () => {
+    const { io, output } = createIo();
+
+    await run(['inspect', docxPath, '--json'], io);
+
+    const report = JSON.parse(output.stdout);
+    expect(report.placeholders).toEqual([
+      {
+        name: 'customer.name',
+        type: 'standard',
+        occurrences: 2,
+        files: ['word/document.xml', 'word/header1.xml'],
+      },
+    ]);
+    expect(report.numericDirectives[0]).toMatchObject({ name: 'invoice.total', value: 1234 });
+    expect(report.deleteDirectives[0]).toMatchObject({ name: 'notes', deleteType: 'page' });
+  });
+
+  test('should render a document from a data file', async () => {
+    const { io, output } = createIo();
+    const outputPath = path.join(testTemplatesDir, 'out', 'invoice-acme.docx');
+
+    const exitCode = await run(['render', docxPath, dataPath, '-o', outputPath], io);
+
+    expect(exitCode).toBe(0);
+    expect(output.stdout).toMatch(/^Wrote .*invoice-acme\.docx/);
+    const rendered = new AdmZip(outputPath);
+    expect(rendered.readAsText('word/header1.xml')).toContain('<w:t>ACME</w:t>');
+    expect(rendered.readAsText('word/document.xml')).toContain('<w:t>Dear Acme,</w:t>');
+  });
+
+  test('should fail rendering in strict mode when data is missing', async () => {
+    const { io, output } = createIo();
+    const emptyDataPath = path.join(testTemplatesDir, 'empty.json');
+    await fs.writeFile(emptyDataPath, '{}');
+
+    const exitCode = await run(['render', docxPath, emptyDataPath, '--strict'], io);
+
+    expect(exitCode).toBe(1);
+    expect(output.stderr).toMatch(/^Error: /);
+  });
+
+  test('should report missing data and exit with 1', async () => {
+    const { io, output } = createIo();
+    const partialPath = path.join(testTemplatesDir, 'partial.json');
+    await fs.writeFile(partialPath, JSON.stringify({ invoice: { total: 'many' }, notes: 'x' }));
+
+    const exitCode = await run(['validate', docxPath, partialPath], io);
+
+    expect(exitCode).toBe(1);
+    expect(output.stdout).toContain('Invalid: 2 of 3 placeholders have data (67% coverage)');
+    expect(output.stdout).toContain('  missing: customer.name');
+    expect(output.stdout).toContain('  wrong type: invoice.total (expected number, got string)');
+
+    const valid = createIo();
+    expect(await run(['validate', docxPath, dataPath, '--json'], valid.io)).toBe(0);
+    expect(JSON.parse(valid.output.stdout)).toMatchObject({ valid: true, coverage: 100 });
+  });
+
+  test('should remove placeholders without data with --no-preserve-unmatched', async () => {
+    const partialPath = path.join(testTemplatesDir, 'no-name.json');
+    const keptPath = path.join(testTemplatesDir, 'out', 'kept.docx');
+    const removedPath = path.join(testTemplatesDir, 'out', 'removed.docx');
+    await fs.writeFile(partialPath, JSON.stringify({ invoice: { total: 99 }, notes: 'x' }));
+
+    expect(await run(['render', docxPath, partialPath, '-o', keptPath], createIo().io)).toBe(0);
+    expect(
+      await run(
+        ['render', docxPath, partialPath, '-o', removedPath, '--no-preserve-unmatched'],
+        createIo().io
+      )
+    ).toBe(0);
+
+    expect(new AdmZip(keptPath).readAsText('word/document.xml')).toContain(
+      '<w:t>Dear (((customer.name))),</w:t>'
+    );
+    expect(new AdmZip(removedPath).readAsText('word/document.xml')).toContain('<w:t>Dear ,</w:t>');
+  });
+
+  test('should print the usage for invalid command lines', async () => {
+    const { io, output } = createIo();
+
+    expect(await run(['render', docxPath], io)).toBe(2);
+    expect(output.stderr).toContain('Error: render expects <template> <data>');
+    expect(output.stderr).toContain('Usage: ooxml-templater <command> [options]');
+    expect(await run(['inspect', docxPath, '--bogus'], createIo().io)).toBe(2);
+  });
+
+  test('should map flags onto substitution options', () => {
+    const parsed = parseArguments([
+      'render',
+      'in.docx',
+      'data.json',
+      '--locale=de-DE',
+      '--line-breaks',
+      'paragraph',
+      '--allowed-link-schemes',
+      'https, mailto',
+      '--no-preserve-aspect-ratio',
+    ]);
+
+    expect(parsed.args).toEqual({ template: 'in.docx', data: 'data.json' });
+    expect(parsed.options).toEqual({
+      locale: 'de-DE',
+      lineBreaks: 'paragraph',
+      allowedLinkSchemes: ['https', 'mailto'],
+      preserveAspectRatio: false,
+    });
+    expect(() => parseArguments(['render', 'a', 'b', '--html-mode', 'inline'])).toThrow(
+      '--html-mode must be one of: convert, altChunk'
+    );
+  });
+});
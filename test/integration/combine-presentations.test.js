@@ -0,0 +1,288 @@
+/**
+ * Integration tests for combining rendered presentations into one deck
+ */
+
+const OOXMLTemplater = require('../../src/index');
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+
+describe('Combine Presentations Integration Tests', () => {
+  const testTemplatesDir = path.join(__dirname, '../fixtures/combine-presentations-templates');
+  const PRESENTATIONML = 'application/vnd.openxmlformats-officedocument.presentationml';
+  let deckPath;
+  let widePath;
+
+  const relationshipType = (kind) =>
+    `http://schemas.openxmlformats.org/officeDocument/2006/relationships/${kind}`;
+  const rels = (...relationships) =>
+    '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    relationships
+      .map(
+        ([id, kind, target]) =>
+          `<Relationship Id="${id}" Type="${relationshipType(kind)}" Target="${target}"/>`
+      )
+      .join('') +
+    '</Relationships>';
+  const namespaces =
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+    'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+  const override = (partName, contentType) =>
+    `<Override PartName="${partName}" ContentType="${contentType}"/>`;
+
+  const createDeck = (layoutName, imageBytes) => {
+    const workbook = new AdmZip();
+    workbook.addFile('[Content_Types].xml', Buffer.from('<?xml version="1.0"?><Types></Types>'));
+    workbook.addFile('xl/workbook.xml', Buffer.from('<?xml version="1.0"?><workbook/>'));
+
+    const zip = new AdmZip();
+    zip.addFile(
+      '[Content_Types].xml',
+      Buffer.from(
+        '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+          '<Default Extension="xml" ContentType="application/xml"/>' +
+          '<Default Extension="png" ContentType="image/png"/>' +
+          '<Default Extension="xlsx" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"/>' +
+          override('/ppt/presentation.xml', `${PRESENTATIONML}.presentation.main+xml`) +
+          override('/ppt/slideMasters/slideMaster1.xml', `${PRESENTATIONML}.slideMaster+xml`) +
+          override('/ppt/slideLayouts/slideLayout1.xml', `${PRESENTATIONML}.slideLayout+xml`) +
+          override('/ppt/notesMasters/notesMaster1.xml', `${PRESENTATIONML}.notesMaster+xml`) +
+          override('/ppt/slides/slide1.xml', `${PRESENTATIONML}.slide+xml`) +
+          override('/ppt/notesSlides/notesSlide1.xml', `${PRESENTATIONML}.notesSlide+xml`) +
+          override(
+            '/ppt/theme/theme1.xml',
+            'application/vnd.openxmlformats-officedocument.theme+xml'
+          ) +
+          override(
+            '/ppt/theme/theme2.xml',
+            'application/vnd.openxmlformats-officedocument.theme+xml'
+          ) +
+          override(
+            '/ppt/charts/chart1.xml',
+            'application/vnd.openxmlformats-officedocument.drawingml.chart+xml'
+          ) +
+          '</Types>'
+      )
+    );
+    zip.addFile(
+      'ppt/presentation.xml',
+      Buffer.from(
+        `<?xml version="1.0"?><p:presentation ${namespaces}>` +
+          '<p:sldMasterIdLst><p:sldMasterId id="2147483648" r:id="rId1"/></p:sldMasterIdLst>' +
+          '<p:notesMasterIdLst><p:notesMasterId r:id="rId3"/></p:notesMasterIdLst>' +
+          '<p:sldIdLst><p:sldId id="256" r:id="rId2"/></p:sldIdLst>' +
+          '<p:sldSz cx="9144000" cy="6858000"/></p:presentation>'
+      )
+    );
+    zip.addFile(
+      'ppt/_rels/presentation.xml.rels',
+      Buffer.from(
+        rels(
+          ['rId1', 'slideMaster', 'slideMasters/slideMaster1.xml'],
+          ['rId2', 'slide', 'slides/slide1.xml'],
+          ['rId3', 'notesMaster', 'notesMasters/notesMaster1.xml'],
+          ['rId4', 'theme', 'theme/theme1.xml']
+        )
+      )
+    );
+    zip.addFile(
+      'ppt/slideMasters/slideMaster1.xml',
+      Buffer.from(
+        `<?xml version="1.0"?><p:sldMaster ${namespaces}><p:cSld/>` +
+          '<p:sldLayoutIdLst><p:sldLayoutId id="2147483649" r:id="rId1"/></p:sldLayoutIdLst></p:sldMaster>'
+      )
+    );
+    zip.addFile(
+      'ppt/slideMasters/_rels/slideMaster1.xml.rels',
+      Buffer.from(
+        rels(
+          ['rId1', 'slideLayout', '../slideLayouts/slideLayout1.xml'],
+          ['rId2', 'theme', '../theme/theme1.xml']
+        )
+      )
+    );
+    zip.addFile(
+      'ppt/slideLayouts/slideLayout1.xml',
+      Buffer.from(
+        `<?xml version="1.0"?><p:sldLayout ${namespaces}><p:cSld name="${layoutName}"/></p:sldLayout>`
+      )
+    );
+    zip.addFile(
+      'ppt/slideLayouts/_rels/slideLayout1.xml.rels',
+      Buffer.from(rels(['rId1', 'slideMaster', '../slideMasters/slideMaster1.xml']))
+    );
+    zip.addFile(
+      'ppt/theme/theme1.xml',
+      Buffer.from('<?xml version="1.0"?><a:theme name="Office"/>')
+    );
+    zip.addFile(
+      'ppt/theme/theme2.xml',
+      Buffer.from('<?xml version="1.0"?><a:theme name="Notes"/>')
+    );
+    zip.addFile(
+      'ppt/notesMasters/notesMaster1.xml',
+      Buffer.from(`<?xml version="1.0"?><p:notesMaster ${namespaces}><p:cSld/></p:notesMaster>`)
+    );
+    zip.addFile(
+      'ppt/notesMasters/_rels/notesMaster1.xml.rels',
+      Buffer.from(rels(['rId1', 'theme', '../theme/theme2.xml']))
+    );
+    zip.addFile(
+      'ppt/slides/slide1.xml',
+      Buffer.from(
+        `<?xml version="1.0"?><p:sld ${namespaces}><p:cSld><p:spTree>` +
+          '<p:sp><p:txBody><a:p><a:r><a:t>(((title)))</a:t></a:r></a:p></p:txBody></p:sp>' +
+          '<p:graphicFrame><a:graphic><a:graphicData><c:chart xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" r:id="rId3"/>' +
+          '</a:graphicData></a:graphic></p:graphicFrame>' +
+          '<p:pic><p:blipFill><a:blip r:embed="rId4"/></p:blipFill></p:pic></p:spTree></p:cSld></p:sld>'
+      )
+    );
+    zip.addFile(
+      'ppt/slides/_rels/slide1.xml.rels',
+      Buffer.from(
+        rels(
+          ['rId1', 'slideLayout', '../slideLayouts/slideLayout1.xml'],
+          ['rId2', 'notesSlide', '../notesSlides/notesSlide1.xml'],
+          ['rId3', 'chart', '../charts/chart1.xml'],
+          ['rId4', 'image', '../media/image1.png']
+        )
+      )
+    );
+    zip.addFile(
+      'ppt/notesSlides/notesSlide1.xml',
+      Buffer.from(
+        `<?xml version="1.0"?><p:notes ${namespaces}><a:t>Notes for (((title)))</a:t></p:notes>`
+      )
+    );
+    zip.addFile(
+      'ppt/notesSlides/_rels/notesSlide1.xml.rels',
+      Buffer.from(
+        rels(
+          ['rId1', 'slide', '../slides/slide1.xml'],
+          ['rId2', 'notesMaster', '../notesMasters/notesMaster1.xml']
+        )
+      )
+    );
+    zip.addFile(
+      'ppt/charts/chart1.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><c:chartSpace xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" ' +
+          'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><c:externalData r:id="rId1"/></c:chartSpace>'
+      )
+    );
+    zip.addFile(
+      'ppt/charts/_rels/chart1.xml.rels',
+      Buffer.from(rels(['rId1', 'package', '../embeddings/Microsoft_Excel_Worksheet.xlsx']))
+    );
+    zip.addFile('ppt/embeddings/Microsoft_Excel_Worksheet.xlsx', workbook.toBuffer());
+    zip.addFile('ppt/media/image1.png', Buffer.from(imageBytes));
+    return zip.toBuffer();
+  };
+
+  const targetOf = (zip, relsPath, kind) =>
+    zip.readAsText(relsPath).match(new RegExp(`/${kind}" Target="([^"]+)"`))[1];
+
+  beforeAll(async () => {
+    await fs.mkdir(testTemplatesDir, { recursive: true });
+    deckPath = path.join(testTemplatesDir, 'deck.pptx');
+    widePath = path.join(testTemplatesDir, 'wide.pptx');
+    await fs.writeFile(deckPath, createDeck('Title', [0x89, 0x50]));
+    await fs.writeFile(widePath, createDeck('Wide', [0x89, 0x51]));
+  });
+
+  afterAll(async () => {
+    await fs.rm(testTemplatesDir, { recursive: true, force: true });
+  });
+
+  test('should append the slides of rendered decks with their notes, charts and workbooks', async () => {
+    const templater = new OOXMLTemplater();
+    const north = await templater.substituteTemplate(deckPath, { title: 'North' });
+    const south = await templater.substituteTemplate(deckPath, { title: 'South' });
+
+    const result = await templater.combinePresentations(north, [south]);
+
+    expect(result.success).toBe(true);
+    expect(result.combine).toEqual({ presentations: 2, slides: 2 });
+    const output = new AdmZip(result.document);
+    expect(output.readAsText('ppt/presentation.xml')).toContain(
+      '<p:sldIdLst><p:sldId id="256" r:id="rId2"/><p:sldId id="257" r:id="rId5"/></p:sldIdLst>'
+    );
+    expect(output.readAsText('ppt/_rels/presentation.xml.rels')).toContain(
+      `<Relationship Id="rId5" Type="${relationshipType('slide')}" Target="slides/slide2.xml"/>`
+    );
+    expect(output.readAsText('ppt/slides/slide2.xml')).toContain('<a:t>South</a:t>');
+    expect(output.readAsText('ppt/notesSlides/notesSlide2.xml')).toContain('Notes for South');
+
+    // Layout, master and unchanged media are shared; the chart and its workbook are copied
+    const slideRels = 'ppt/slides/_rels/slide2.xml.rels';
+    expect(targetOf(output, slideRels, 'slideLayout')).toBe('../slideLayouts/slideLayout1.xml');
+    expect(targetOf(output, slideRels, 'image')).toBe('../media/image1.png');
+    expect(targetOf(output, slideRels, 'chart')).toBe('../charts/chart2.xml');
+    expect(targetOf(output, 'ppt/charts/_rels/chart2.xml.rels', 'package')).toBe(
+      '../embeddings/Microsoft_Excel_Worksheet1.xlsx'
+    );
+    expect(output.getEntry('ppt/embeddings/Microsoft_Excel_Worksheet1.xlsx')).not.toBeNull();
+    expect(output.getEntry('ppt/slideMasters/slideMaster2.xml')).toBeNull();
+    expect(output.getEntry('ppt/media/image2.png')).toBeNull();
+
+    const notesRels = 'ppt/notesSlides/_rels/notesSlide2.xml.rels';
+    expect(targetOf(output, notesRels, 'slide')).toBe('../slides/slide2.xml');
+    expect(targetOf(output, notesRels, 'notesMaster')).toBe('../notesMasters/notesMaster1.xml');
+
+    const contentTypes = output.readAsText('[Content_Types].xml');
+    for (const partName of ['slides/slide2', 'notesSlides/notesSlide2', 'charts/chart2']) {
+      expect(contentTypes).toContain(`PartName="/ppt/${partName}.xml"`);
+    }
+  });
+
+  test('should copy and register the master of a deck with other layouts', async () => {
+    const templater = new OOXMLTemplater();
+    const deck = await templater.substituteTemplate(deckPath, { title: 'Agenda' });
+    const wide = await templater.substituteTemplate(widePath, { title: 'Wide' });
+
+    const result = await templater.combinePresentations(deck.document, [wide.document, deck]);
+
+    expect(result.combine).toEqual({ presentations: 3, slides: 3 });
+    const output = new AdmZip(result.document);
+    const presentation = output.readAsText('ppt/presentation.xml');
+    expect(presentation).toContain(
+      '<p:sldMasterIdLst><p:sldMasterId id="2147483648" r:id="rId1"/>' +
+        '<p:sldMasterId id="2147483650" r:id="rId6"/></p:sldMasterIdLst>'
+    );
+    expect(presentation.match(/<p:notesMasterId /g)).toHaveLength(1);
+    expect(output.readAsText('ppt/slideMasters/slideMaster2.xml')).toContain(
+      '<p:sldLayoutId id="2147483651" r:id="rId1"/>'
+    );
+
+    const masterRels = 'ppt/slideMasters/_rels/slideMaster2.xml.rels';
+    expect(targetOf(output, masterRels, 'slideLayout')).toBe('../slideLayouts/slideLayout2.xml');
+    expect(targetOf(output, masterRels, 'theme')).toBe('../theme/theme3.xml');
+    expect(targetOf(output, 'ppt/slideLayouts/_rels/slideLayout2.xml.rels', 'slideMaster')).toBe(
+      '../slideMasters/slideMaster2.xml'
+    );
+    expect(targetOf(output, 'ppt/slides/_rels/slide2.xml.rels', 'image')).toBe(
+      '../media/image2.png'
+    );
+    expect(targetOf(output, 'ppt/slides/_rels/slide3.xml.rels', 'slideLayout')).toBe(
+      '../slideLayouts/slideLayout1.xml'
+    );
+    expect(output.readAsText('[Content_Types].xml')).toContain(
+      'PartName="/ppt/slideMasters/slideMaster2.xml"'
+    );
+  });
+
+  test('should fail when an input is not a rendered presentation', async () => {
+    const templater = new OOXMLTemplater();
+    const deck = await templater.substituteTemplate(deckPath, { title: 'Agenda' });
+    const failed = await templater.substituteTemplate(
+      path.join(testTemplatesDir, 'missing.pptx'),
+      {}
+    );
+
+    const result = await templater.combinePresentations(deck, [failed]);
+
+    expect(result.success).toBe(false);
+    expect(result.error.message).toMatch(/^Presentation 2 failed: /);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Integration tests for compiled templates and the template cache
+ */
+
+const OOXMLTemplater = require('../../src/index');
+const { CompiledTemplate } = require('../../src/index');
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+
+describe('Compiled Templates Integration Tests', () => {
+  const testTemplatesDir = path.join(__dirname, '../fixtures/compiled-templates');
+  let docxPath;
+
+  const writeTemplate = async (text) => {
+    const zip = new AdmZip();
+    zip.addFile('[Content_Types].xml', Buffer.from('<?xml version="1.0"?><Types></Types>'));
+    zip.addFile(
+      'word/document.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+          `<w:body><w:p><w:r><w:t>${text}</w:t></w:r></w:p></w:body></w:document>`
+      )
+    );
+    await fs.writeFile(docxPath, zip.toBuffer());
+  };
+  const documentText = (result) => new AdmZip(result.document).readAsText('word/document.xml');
+
+  beforeAll(async () => {
+    await fs.mkdir(testTemplatesDir, { recursive: true });
+    docxPath = path.join(testTemplatesDir, 'letter.docx');
+  });
+
+  beforeEach(async () => {
+    await writeTemplate('Dear (((name))), (((items | join)))');
+  });
+
+  afterAll(async () => {
+    await fs.rm(testTemplatesDir, { recursive: true, force: true });
+  });
+
+  test('should render a compiled template many times with different data', async () => {
+    const templater = new OOXMLTemplater();
+
+    const compiled = await templater.compile(docxPath);
+    const first = await compiled.render({ name: 'Ada', items: ['a', 'b'] });
+    const second = await compiled.render({ name: 'Grace', items: [] });
+
+    expect(compiled).toBeInstanceOf(CompiledTemplate);
+    expect(compiled.placeholders).toEqual(['name', 'items']);
+    expect(first.success).toBe(true);
+    expect(documentText(first)).toContain('<w:t>Dear Ada, a, b</w:t>');
+    expect(documentText(second)).toContain('<w:t>Dear Grace, </w:t>');
+    expect(first.template.filename).toBe('letter.docx');
+  });
+
+  test('should reuse the compiled template across calls and expose cache metrics', async () => {
+    const templater = new OOXMLTemplater({ cacheOptions: { maxSize: 5 } });
+
+    const compiled = await templater.compile(docxPath);
+    const result = await templater.substituteTemplate(docxPath, { name: 'Ada', items: [] });
+
+    expect(await templater.compile(docxPath)).toBe(compiled);
+    expect(documentText(result)).toContain('Dear Ada');
+    expect(templater.getCacheStats()).toMatchObject({
+      hits: 2,
+      misses: 1,
+      cacheSizes: { templates: 1 },
+    });
+    expect(templater.getCacheStats().memoryEstimate).toBe(compiled.estimateSize());
+    expect(compiled.estimateSize()).toBeGreaterThan(JSON.stringify(compiled).length * 2);
+  });
+
+  test('should compile a local template again after it changed', async () => {
+    const templater = new OOXMLTemplater();
+    const compiled = await templater.compile(docxPath);
+
+    await writeTemplate('Hello (((name))) and welcome');
+    const result = await templater.substituteTemplate(docxPath, { name: 'Ada' });
+
+    expect(await templater.compile(docxPath)).not.toBe(compiled);
+    expect(documentText(result)).toContain('<w:t>Hello Ada and welcome</w:t>');
+  });
+
+  test('should fetch URL templates on every call unless remote caching is enabled', async () => {
+    const nock = require('nock');
+    const templateUrl = 'http://templates.example.com/letter.docx';
+    const template = await fs.readFile(docxPath);
+    const scope = nock('http://templates.example.com')
+      .get('/letter.docx')
+      .times(3)
+      .reply(200, template);
+
+    const templater = new OOXMLTemplater();
+    await templater.substituteTemplate(templateUrl, { name: 'Ada', items: [] });
+    await templater.parseTemplate(templateUrl);
+    expect(templater.getCacheStats().cacheSizes.templates).toBe(0);
+
+    const caching = new OOXMLTemplater({ cacheRemoteTemplates: true });
+    const compiled = await caching.compile(templateUrl);
+    expect(await caching.compile(templateUrl)).toBe(compiled);
+
+    expect(scope.isDone()).toBe(true);
+    nock.cleanAll();
+  });
+
+  test('should compile on every call without the cache', async () => {
+    const templater = new OOXMLTemplater({ cacheTemplates: false });
+
+    const compiled = await templater.compile(docxPath);
+
+    expect(await templater.compile(docxPath)).not.toBe(compiled);
+    expect(templater.getCacheStats()).toBeNull();
+  });
+
+  test('should reject templates that cannot be loaded', async () => {
+    const templater = new OOXMLTemplater();
+
+    await expect(templater.compile(path.join(testTemplatesDir, 'missing.docx'))).rejects.toThrow();
+  });
+});
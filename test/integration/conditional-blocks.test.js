@@ -0,0 +1,147 @@
+/**
+ * Integration tests for (((#if)))…(((else)))…(((/if))) blocks in Word documents
+ */
+
+const OOXMLTemplater = require('../../src/index');
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+
+describe('Conditional Block Integration Tests', () => {
+  const testTemplatesDir = path.join(__dirname, '../fixtures/conditional-templates');
+  let templatePath;
+  let loopTemplatePath;
+
+  const para = (text) => `<w:p><w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+  const row = (text) => `<w:tr><w:tc>${para(text)}</w:tc></w:tr>`;
+
+  beforeAll(async () => {
+    await fs.mkdir(testTemplatesDir, { recursive: true });
+
+    const zip = new AdmZip();
+    zip.addFile('[Content_Types].xml', Buffer.from('<?xml version="1.0"?><Types></Types>'));
+    zip.addFile(
+      'word/document.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+          para('Dear (((customer.name))),') +
+          para(
+            '(((#if customer.vip)))Priority support included(((else)))Standard support(((/if))).'
+          ) +
+          para('(((#if order.total &gt; 1000)))') +
+          para('Your order qualifies for free shipping.') +
+          para('(((/if)))') +
+          '<w:tbl>' +
+          row('Item') +
+          row('(((#if order.region in [&quot;EU&quot;, &quot;UK&quot;])))') +
+          row('VAT: (((order.vat)))') +
+          row('(((/if)))') +
+          '</w:tbl>' +
+          para('Thanks') +
+          '</w:body></w:document>'
+      )
+    );
+    templatePath = path.join(testTemplatesDir, 'letter.docx');
+    await fs.writeFile(templatePath, zip.toBuffer());
+
+    const loopZip = new AdmZip();
+    loopZip.addFile('[Content_Types].xml', Buffer.from('<?xml version="1.0"?><Types></Types>'));
+    loopZip.addFile(
+      'word/document.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+          para('(((#each items)))') +
+          para('(((items.name)))(((#if items.qty &gt; 1))) ×(((items.qty)))(((/if)))') +
+          para('(((/each)))') +
+          '</w:body></w:document>'
+      )
+    );
+    loopTemplatePath = path.join(testTemplatesDir, 'items.docx');
+    await fs.writeFile(loopTemplatePath, loopZip.toBuffer());
+  });
+
+  afterAll(async () => {
+    await fs.rm(testTemplatesDir, { recursive: true, force: true });
+  });
+
+  const texts = (xml) => [...xml.matchAll(/<w:t[^>]*>([^<]*)<\/w:t>/g)].map((m) => m[1]);
+
+  test('should keep the branches whose conditions hold', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(templatePath, {
+      customer: { name: 'Ann', vip: true },
+      order: { total: 1200, region: 'EU', vat: '20%' },
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.substitution.stats.conditionalBlocks).toBe(3);
+
+    const documentXml = new AdmZip(result.document).readAsText('word/document.xml');
+    expect(texts(documentXml)).toEqual([
+      'Dear Ann,',
+      'Priority support included.',
+      'Your order qualifies for free shipping.',
+      'Item',
+      'VAT: 20%',
+      'Thanks',
+    ]);
+  });
+
+  test('should remove the blocks whose conditions fail', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(templatePath, {
+      customer: { name: 'Bob' },
+      order: { total: 80, region: 'US' },
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.substitution.stats.failedSubstitutions).toBe(0);
+
+    const documentXml = new AdmZip(result.document).readAsText('word/document.xml');
+    expect(texts(documentXml)).toEqual(['Dear Bob,', 'Standard support.', 'Item', 'Thanks']);
+    expect(documentXml.match(/<w:tr>/g)).toHaveLength(1);
+    expect(documentXml).not.toContain('(((');
+  });
+
+  test('should report conditions with unknown operators without failing the render', async () => {
+    const zip = new AdmZip(await fs.readFile(templatePath));
+    zip.updateFile(
+      'word/document.xml',
+      Buffer.from(
+        zip.readAsText('word/document.xml').replace('order.total &gt; 1000', 'order.total = 1000')
+      )
+    );
+    const typoPath = path.join(testTemplatesDir, 'typo.docx');
+    await fs.writeFile(typoPath, zip.toBuffer());
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.processTemplate(typoPath, {
+      customer: { name: 'Bob' },
+      order: { total: 80, region: 'US' },
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.substitution.stats.failedSubstitutions).toBe(1);
+    expect(result.substitution.stats.conditionalBlocks).toBe(2);
+
+    const documentXml = new AdmZip(result.document).readAsText('word/document.xml');
+    expect(texts(documentXml)).toContain('Your order qualifies for free shipping.');
+    expect(documentXml).not.toContain('(((');
+  });
+
+  test('should evaluate conditions per item inside loops', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(loopTemplatePath, {
+      items: [
+        { name: 'Widget', qty: 3 },
+        { name: 'Gadget', qty: 1 },
+      ],
+    });
+
+    const documentXml = new AdmZip(result.document).readAsText('word/document.xml');
+    expect(texts(documentXml)).toEqual(['Widget ×3', 'Gadget']);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Integration tests for repeating and deleting Excel rows
+ */
+
+const OOXMLTemplater = require('../../src/index');
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+
+describe('Excel Row Integration Tests', () => {
+  const testTemplatesDir = path.join(__dirname, '../fixtures/excel-row-templates');
+  let templatePath;
+
+  const relationshipType = (kind) =>
+    `http://schemas.openxmlformats.org/officeDocument/2006/relationships/${kind}`;
+  const sharedStrings = [
+    '(((title)))',
+    'Product',
+    '(((#items)))(((items.name)))',
+    '(((items.qty)))',
+    '(((DeleteRowIfEmpty=notes)))',
+    'Footer',
+  ];
+
+  beforeAll(async () => {
+    await fs.mkdir(testTemplatesDir, { recursive: true });
+
+    const zip = new AdmZip();
+    zip.addFile(
+      '[Content_Types].xml',
+      Buffer.from(
+        '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+          '<Default Extension="xml" ContentType="application/xml"/></Types>'
+      )
+    );
+    zip.addFile(
+      'xl/workbook.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+          '<sheets><sheet name="Orders" sheetId="1" r:id="rId1"/><sheet name="Summary" sheetId="2" r:id="rId2"/></sheets>' +
+          '<definedNames><definedName name="Lines">Orders!$A$3:$C$3</definedName>' +
+          '<definedName name="Footer">Orders!$A$6</definedName></definedNames></workbook>'
+      )
+    );
+    zip.addFile(
+      'xl/_rels/workbook.xml.rels',
+      Buffer.from(
+        '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          `<Relationship Id="rId1" Type="${relationshipType('worksheet')}" Target="worksheets/sheet1.xml"/>` +
+          `<Relationship Id="rId2" Type="${relationshipType('worksheet')}" Target="worksheets/sheet2.xml"/>` +
+          `<Relationship Id="rId3" Type="${relationshipType('sharedStrings')}" Target="sharedStrings.xml"/>` +
+          '</Relationships>'
+      )
+    );
+    zip.addFile(
+      'xl/sharedStrings.xml',
+      Buffer.from(
+        `<?xml version="1.0"?><sst count="6" uniqueCount="6">${sharedStrings
+          .map((text) => `<si><t>${text}</t></si>`)
+          .join('')}</sst>`
+      )
+    );
+    zip.addFile(
+      'xl/worksheets/sheet1.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><worksheet><dimension ref="A1:C6"/><sheetData>' +
+          '<row r="1"><c r="A1" t="s"><v>0</v></c></row>' +
+          '<row r="2"><c r="A2" t="s"><v>1</v></c></row>' +
+          '<row r="3"><c r="A3" s="2" t="s"><v>2</v></c><c r="B3" t="s"><v>3</v></c><c r="C3"><f>B3*2</f></c></row>' +
+          '<row r="4"><c r="B4"><f>SUM(B3:B3)</f></c></row>' +
+          '<row r="5"><c r="A5" t="s"><v>4</v></c></row>' +
+          '<row r="6"><c r="A6" t="s"><v>5</v></c></row>' +
+          '</sheetData><mergeCells count="1"><mergeCell ref="A6:C6"/></mergeCells></worksheet>'
+      )
+    );
+    zip.addFile(
+      'xl/worksheets/sheet2.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><worksheet><sheetData><row r="1"><c r="A1"><f>Orders!B4</f></c></row></sheetData></worksheet>'
+      )
+    );
+    zip.addFile(
+      'xl/calcChain.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><calcChain><c r="C3" i="1"/><c r="B4"/><c r="A1" i="2"/></calcChain>'
+      )
+    );
+
+    templatePath = path.join(testTemplatesDir, 'orders.xlsx');
+    await fs.writeFile(templatePath, zip.toBuffer());
+  });
+
+  afterAll(async () => {
+    await fs.rm(testTemplatesDir, { recursive: true, force: true });
+  });
+
+  const data = {
+    title: 'Orders',
+    notes: '',
+    items: [
+      { name: 'Widget', qty: 4 },
+      { name: 'Gadget', qty: 2 },
+      { name: 'Doohickey', qty: 7 },
+    ],
+  };
+
+  test('should repeat the item row and shift everything below it', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(templatePath, data);
+
+    expect(result.success).toBe(true);
+    expect(result.substitution.stats.repeatedRows).toBe(3);
+    expect(result.substitution.stats.deletedElements).toBe(1);
+
+    const zip = new AdmZip(result.document);
+    const sheet = zip.readAsText('xl/worksheets/sheet1.xml');
+    const rowNumbers = [...sheet.matchAll(/<row r="(\d+)"/g)].map((match) => match[1]);
+
+    expect(rowNumbers).toEqual(['1', '2', '3', '4', '5', '6', '7']);
+    expect(sheet).toContain('<c r="A4" s="2" t="inlineStr"><is><t>Gadget</t></is></c>');
+    expect(sheet).toContain('<c r="C5"><f>B5*2</f></c>');
+    expect(sheet).toContain('<row r="6"><c r="B6"><f>SUM(B3:B5)</f></c></row>');
+    expect(sheet).toContain('<row r="7"><c r="A7" t="s"><v>5</v></c></row>');
+    expect(sheet).toContain('<dimension ref="A1:C7"/>');
+    expect(sheet).toContain('<mergeCell ref="A7:C7"/>');
+
+    expect(zip.readAsText('xl/worksheets/sheet2.xml')).toContain('<f>Orders!B6</f>');
+    expect(zip.readAsText('xl/calcChain.xml')).toContain('<c r="B6"/>');
+
+    const workbook = zip.readAsText('xl/workbook.xml');
+    expect(workbook).toContain('Orders!$A$3:$C$5');
+    expect(workbook).toContain('Orders!$A$7');
+
+    // Template strings are blanked rather than removed so other indexes stay valid
+    const strings = zip.readAsText('xl/sharedStrings.xml');
+    expect(strings).not.toContain('(((');
+    expect(strings.match(/<si>/g)).toHaveLength(6);
+  });
+
+  test('should write numeric item values as number cells', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(templatePath, data);
+
+    expect(result.substitution.stats.typedCells).toBe(3);
+
+    const sheet = new AdmZip(result.document).readAsText('xl/worksheets/sheet1.xml');
+    expect(sheet).toContain('<c r="B3"><v>4</v></c>');
+    expect(sheet).toContain('<c r="B5"><v>7</v></c>');
+  });
+
+  test('should keep the DeleteRowIfEmpty row when its value has content', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(templatePath, {
+      ...data,
+      items: [{ name: 'Widget', qty: 4 }],
+      notes: 'Ships Friday',
+    });
+
+    expect(result.success).toBe(true);
+
+    const zip = new AdmZip(result.document);
+    const sheet = zip.readAsText('xl/worksheets/sheet1.xml');
+    expect(sheet).toContain('<row r="5"><c r="A5" t="s"><v>4</v></c></row>');
+    expect(zip.readAsText('xl/sharedStrings.xml')).toContain('<si><t>Ships Friday</t></si>');
+    expect(zip.readAsText('xl/workbook.xml')).toContain('Orders!$A$3:$C$3');
+  });
+});
@@ -9,6 +9,7 @@ describe('fetchData Integration Tests', () => {
   let templater;
   let server;
   let serverUrl;
+  let flakyRequests = 0;
 
   beforeAll((done) => {
     // Create a simple HTTP server to simulate API
@@ -92,6 +93,52 @@ describe('fetchData Integration Tests', () => {
             res.writeHead(401, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ error: 'Unauthorized' }));
           }
+        } else if (req.url === '/api/slow') {
+          const timer = setTimeout(() => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ data: { late: true } }));
+          }, 500);
+          res.on('close', () => clearTimeout(timer));
+        } else if (req.url === '/api/flaky') {
+          // Fails twice, then answers
+          flakyRequests++;
+          if (flakyRequests <= 2) {
+            res.writeHead(503, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Unavailable' }));
+          } else {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ data: { attempt: flakyRequests } }));
+          }
+        } else if (req.url === '/api/not-json') {
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end('<html>Maintenance</html>');
+        } else if (req.url.startsWith('/api/query?')) {
+          const query = new URL(req.url, 'http://localhost').searchParams;
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(
+            JSON.stringify({
+              method: req.method,
+              fields: query.get('placeholders').split(','),
+              locale: query.get('locale'),
+            })
+          );
+        } else if (req.url === '/api/graphql') {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(
+            JSON.stringify(
+              parsedBody.query === 'query { customer { name email } }'
+                ? { data: { customer: { name: 'Acme' } } }
+                : { errors: [{ message: `Unexpected query: ${parsedBody.query}` }] }
+            )
+          );
+        } else if (req.url === '/api/nested') {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(
+            JSON.stringify({
+              result: { records: [{ cust_name: 'Acme', total: 42 }] },
+              meta: { file: 'acme.docx' },
+            })
+          );
         } else if (req.url === '/api/echo') {
           // Echo back what was sent
           res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -116,6 +163,7 @@ describe('fetchData Integration Tests', () => {
 
   beforeEach(() => {
     templater = new OOXMLTemplater();
+    flakyRequests = 0;
   });
 
   describe('Basic Data Fetching', () => {
@@ -270,6 +318,82 @@ describe('fetchData Integration Tests', () => {
     });
   });
 
+  describe('Request and Response Adapters', () => {
+    test('should send placeholders as query parameters of a GET request', async () => {
+      const result = await templater.fetchData(
+        `${serverUrl}/api/query`,
+        ['user.name', 'user.email'],
+        {
+          request: 'query',
+          additionalData: { locale: 'de-DE' },
+          response: { data: '$' },
+        }
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({
+        method: 'GET',
+        fields: ['user.name', 'user.email'],
+        locale: 'de-DE',
+      });
+    });
+
+    test('should query GraphQL APIs and report placeholders they did not return', async () => {
+      const result = await templater.fetchData(
+        `${serverUrl}/api/graphql`,
+        ['customer.name', 'customer.email'],
+        { request: 'graphql' }
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({ customer: { name: 'Acme' } });
+      expect(result.validation).toEqual({ complete: false, missing: ['customer.email'] });
+
+      const failed = await templater.fetchData(`${serverUrl}/api/graphql`, ['other'], {
+        request: 'graphql',
+      });
+      expect(failed.error).toMatchObject({
+        type: 'FetchResponseError',
+        message: 'GraphQL request failed: Unexpected query: query { other }',
+      });
+    });
+
+    test('should map nested responses with JSON paths and renamed fields', async () => {
+      const response = {
+        data: '$.result.records[0]',
+        filename: '$.meta.file',
+        rename: { cust_name: 'customer.name' },
+      };
+
+      const result = await templater.fetchData(
+        `${serverUrl}/api/nested`,
+        ['customer.name', 'total'],
+        {
+          response,
+        }
+      );
+      expect(result.data).toEqual({ customer: { name: 'Acme' }, total: 42 });
+      expect(result.filename).toBe('acme.docx');
+      expect(result.validation.complete).toBe(true);
+
+      const strict = await templater.fetchData(
+        `${serverUrl}/api/nested`,
+        ['customer.name', 'due'],
+        {
+          response,
+          requireAll: true,
+        }
+      );
+      expect(strict.success).toBe(false);
+      expect(strict.error).toMatchObject({
+        type: 'FetchResponseError',
+        code: 'INVALID_RESPONSE',
+        missing: ['due'],
+        message: 'API response is missing placeholders: due',
+      });
+    });
+  });
+
   describe('End-to-End Workflow', () => {
     test('should complete full parse-then-fetch workflow', async () => {
       const path = require('path');
@@ -309,6 +433,59 @@ describe('fetchData Integration Tests', () => {
       await fs.unlink(templatePath).catch(() => {});
     });
 
+    test('should send the placeholder manifest of the template', async () => {
+      const path = require('path');
+      const fs = require('fs').promises;
+      const AdmZip = require('adm-zip');
+
+      const zip = new AdmZip();
+      zip.addFile('[Content_Types].xml', Buffer.from('<?xml version="1.0"?><Types></Types>'));
+      zip.addFile(
+        'word/document.xml',
+        Buffer.from(
+          '<?xml version="1.0"?><document><p>(((customer.name)))</p>' +
+            '<p>(((42=invoice.total)))</p></document>'
+        )
+      );
+      const templatePath = path.join(__dirname, '../fixtures/manifest-test.docx');
+      await fs.mkdir(path.dirname(templatePath), { recursive: true });
+      await fs.writeFile(templatePath, zip.toBuffer());
+
+      const parseResult = await templater.parseTemplate(templatePath);
+      const manifest = templater.createPlaceholderManifest(parseResult);
+      const fetchResult = await templater.fetchData(
+        `${serverUrl}/api/echo`,
+        parseResult.placeholders.unique,
+        { manifest }
+      );
+      expect(fetchResult.data.received.manifest).toEqual(manifest);
+      expect(manifest.template).toEqual({ filename: 'manifest-test.docx', type: 'docx' });
+      expect(manifest.tree).toEqual({
+        customer: { expects: 'object', fields: { name: { expects: 'value' } } },
+        invoice: { expects: 'object', fields: { total: { expects: 'number' } } },
+      });
+
+      let received;
+      const result = await templater.processTemplate(templatePath, `${serverUrl}/api/echo`, {
+        manifest: true,
+        fetchOptions: {
+          response: (body) => {
+            received = body.received;
+            return { data: { customer: { name: 'Acme' }, invoice: { total: 42 } } };
+          },
+        },
+      });
+      expect(result.success).toBe(true);
+      expect(received.placeholders).toEqual(['customer.name', 'invoice.total']);
+      expect(received.manifest.version).toBe(1);
+      expect(received.manifest.placeholders.map((entry) => entry.expects)).toEqual([
+        'value',
+        'number',
+      ]);
+
+      await fs.unlink(templatePath).catch(() => {});
+    });
+
     test('should handle large placeholder lists', async () => {
       const largePlaceholderList = Array.from({ length: 100 }, (_, i) => `placeholder.${i}`);
 
@@ -334,8 +511,74 @@ describe('fetchData Integration Tests', () => {
     });
 
     test('should timeout on slow responses', async () => {
-      // This test would require a slow endpoint, skipping for now
-      // But the implementation should support timeout options
+      const result = await templater.fetchData(`${serverUrl}/api/slow`, ['late'], {
+        timeout: 50,
+        retries: 0,
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatchObject({
+        type: 'FetchTimeoutError',
+        code: 'TIMEOUT',
+        message: 'API request timed out after 50 ms',
+      });
     }, 10000);
+
+    test('should retry idempotent requests on 5xx responses only', async () => {
+      const retried = await templater.fetchData(`${serverUrl}/api/flaky`, ['attempt'], {
+        idempotent: true,
+        retryDelay: 1,
+      });
+      expect(retried.success).toBe(true);
+      expect(retried.data).toEqual({ attempt: 3 });
+
+      // A plain POST may have side effects, so it is not sent again
+      flakyRequests = 0;
+      const single = await templater.fetchData(`${serverUrl}/api/flaky`, ['attempt']);
+      expect(single.error).toMatchObject({ type: 'FetchHttpError', status: 503, attempts: 1 });
+
+      const unauthorized = await templater.fetchData(`${serverUrl}/api/auth-required`, ['x'], {
+        idempotencyKey: 'request-1',
+        retryDelay: 1,
+      });
+      expect(unauthorized.error).toMatchObject({ status: 401, attempts: 1 });
+    });
+
+    test('should report responses that are not JSON', async () => {
+      await expect(
+        templater.fetchData(`${serverUrl}/api/not-json`, ['x'], { throwOnError: true })
+      ).rejects.toThrow(OOXMLTemplater.FetchParseError);
+    });
+
+    test('should cancel the request of processTemplate through its signal', async () => {
+      const path = require('path');
+      const fs = require('fs').promises;
+      const AdmZip = require('adm-zip');
+
+      const zip = new AdmZip();
+      zip.addFile('[Content_Types].xml', Buffer.from('<?xml version="1.0"?><Types></Types>'));
+      zip.addFile(
+        'word/document.xml',
+        Buffer.from('<?xml version="1.0"?><document><p>(((late)))</p></document>')
+      );
+      const templatePath = path.join(__dirname, '../fixtures/abort-test.docx');
+      await fs.mkdir(path.dirname(templatePath), { recursive: true });
+      await fs.writeFile(templatePath, zip.toBuffer());
+
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 50);
+      const result = await templater.processTemplate(templatePath, `${serverUrl}/api/slow`, {
+        signal: controller.signal,
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatchObject({
+        type: 'FetchAbortError',
+        code: 'ABORTED',
+        message: 'Data fetching failed: API request was aborted',
+      });
+
+      await fs.unlink(templatePath).catch(() => {});
+    });
   });
 });
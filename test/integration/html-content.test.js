@@ -0,0 +1,150 @@
+/**
+ * Integration tests for HTML placeholders
+ */
+
+const OOXMLTemplater = require('../../src/index');
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+
+describe('HTML Content Integration Tests', () => {
+  const testTemplatesDir = path.join(__dirname, '../fixtures/html-templates');
+  const article = {
+    title: 'Release notes',
+    body:
+      '<h1>What is new</h1><p>Faster <b>exports</b> and <a href="https://example.com/docs">docs</a>.</p>' +
+      '<ul><li>Tables</li><li>Lists</li></ul>' +
+      '<table><tr><th>Plan</th><th>Price</th></tr><tr><td>Pro</td><td>10 &euro;</td></tr></table>',
+  };
+  let docxPath;
+
+  beforeAll(async () => {
+    await fs.mkdir(testTemplatesDir, { recursive: true });
+
+    const zip = new AdmZip();
+    zip.addFile(
+      '[Content_Types].xml',
+      Buffer.from(
+        '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+          '<Default Extension="xml" ContentType="application/xml"/></Types>'
+      )
+    );
+    zip.addFile(
+      'word/document.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+          '<w:body><w:p><w:r><w:t>(((article.title)))</w:t></w:r></w:p>' +
+          '<w:p><w:pPr><w:spacing w:after="120"/></w:pPr><w:r><w:t>(((html:article.body)))</w:t></w:r></w:p>' +
+          '<w:sectPr/></w:body></w:document>'
+      )
+    );
+    zip.addFile(
+      'word/_rels/document.xml.rels',
+      Buffer.from(
+        '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>'
+      )
+    );
+    zip.addFile(
+      'word/styles.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><w:styles><w:style w:type="paragraph" w:styleId="Heading1">' +
+          '<w:name w:val="heading 1"/></w:style></w:styles>'
+      )
+    );
+    zip.addFile(
+      'word/numbering.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><w:numbering>' +
+          '<w:abstractNum w:abstractNumId="0"><w:lvl w:ilvl="0"><w:numFmt w:val="bullet"/></w:lvl></w:abstractNum>' +
+          '<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num></w:numbering>'
+      )
+    );
+    docxPath = path.join(testTemplatesDir, 'article.docx');
+    await fs.writeFile(docxPath, zip.toBuffer());
+  });
+
+  afterAll(async () => {
+    await fs.rm(testTemplatesDir, { recursive: true, force: true });
+  });
+
+  test('should replace the placeholder paragraph with converted Word content', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(docxPath, { article });
+
+    expect(result.success).toBe(true);
+    expect(result.substitution.stats.insertedHtml).toBe(1);
+    expect(result.substitution.stats.createdLinks).toBe(1);
+    const output = new AdmZip(result.document);
+    const documentXml = output.readAsText('word/document.xml');
+    expect(documentXml).toContain('<w:t>Release notes</w:t>');
+    expect(documentXml).not.toContain('(((html:');
+    expect(documentXml).toContain(
+      '<w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t xml:space="preserve">What is new</w:t></w:r></w:p>'
+    );
+    expect(documentXml).toContain(
+      '<w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">exports</w:t></w:r>'
+    );
+    expect(documentXml).toContain(
+      '<w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr><w:spacing w:after="120"/></w:pPr>'
+    );
+    expect(documentXml).toContain('<w:t xml:space="preserve">10 €</w:t>');
+    expect(documentXml).toContain('</w:tbl><w:p/><w:sectPr/></w:body>');
+    expect(documentXml).toContain(
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"'
+    );
+    expect(output.readAsText('word/_rels/document.xml.rels')).toContain(
+      'Target="https://example.com/docs" TargetMode="External"'
+    );
+  });
+
+  test('should embed the HTML as an altChunk part in altChunk mode', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(
+      docxPath,
+      { article },
+      { htmlMode: 'altChunk' }
+    );
+
+    const output = new AdmZip(result.document);
+    expect(output.readAsText('word/document.xml')).toMatch(
+      /<w:altChunk r:id="rId\d+"\/><w:p\/><w:sectPr\/>/
+    );
+    expect(output.readAsText('word/htmlChunk1.html')).toContain(article.body);
+    expect(output.readAsText('word/_rels/document.xml.rels')).toContain('Target="htmlChunk1.html"');
+    expect(output.readAsText('[Content_Types].xml')).toContain(
+      '<Default Extension="html" ContentType="text/html"/>'
+    );
+  });
+
+  test('should declare the drawing namespaces of pictures on the document root', async () => {
+    const templater = new OOXMLTemplater();
+    const png = Buffer.alloc(33);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(png, 0);
+    png.write('IHDR', 12, 'ascii');
+    png.writeUInt32BE(40, 16);
+    png.writeUInt32BE(20, 20);
+
+    // The template has no drawings, so only the w prefix is declared
+    const result = await templater.substituteTemplate(docxPath, {
+      article: {
+        title: 'Logo',
+        body: `<p><img src="data:image/png;base64,${png.toString('base64')}" alt="Logo"></p>`,
+      },
+    });
+
+    const documentXml = new AdmZip(result.document).readAsText('word/document.xml');
+    const rootTag = documentXml.match(/<w:document\b[^>]*>/)[0];
+    const prefixes = new Set(
+      Array.from(documentXml.matchAll(/<\/?([A-Za-z]+):|\s([A-Za-z]+):[A-Za-z]+="/g))
+        .map((match) => match[1] || match[2])
+        .filter((prefix) => prefix !== 'xml' && prefix !== 'xmlns')
+    );
+    expect(documentXml).toContain('<a:blip r:embed="rId');
+    expect([...prefixes].sort()).toEqual(['a', 'pic', 'r', 'w', 'wp']);
+    for (const prefix of prefixes) {
+      expect(rootTag).toContain(`xmlns:${prefix}="`);
+    }
+  });
+});
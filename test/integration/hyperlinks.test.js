@@ -0,0 +1,108 @@
+/**
+ * Integration tests for data-driven hyperlinks in Word documents
+ */
+
+const OOXMLTemplater = require('../../src/index');
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+
+describe('Hyperlink Integration Tests', () => {
+  const testTemplatesDir = path.join(__dirname, '../fixtures/hyperlink-templates');
+  const hyperlinkType =
+    'http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink';
+  let templatePath;
+
+  const para = (inner) => `<w:p>${inner}</w:p>`;
+  const run = (text) => `<w:r><w:t xml:space="preserve">${text}</w:t></w:r>`;
+
+  beforeAll(async () => {
+    await fs.mkdir(testTemplatesDir, { recursive: true });
+
+    const zip = new AdmZip();
+    zip.addFile('[Content_Types].xml', Buffer.from('<?xml version="1.0"?><Types></Types>'));
+    zip.addFile(
+      'word/document.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+          'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><w:body>' +
+          para(run('Sign in at (((link:links.portal|"the portal"))).')) +
+          para(`<w:hyperlink r:id="rId2">${run('Support')}</w:hyperlink>`) +
+          '</w:body></w:document>'
+      )
+    );
+    zip.addFile(
+      'word/_rels/document.xml.rels',
+      Buffer.from(
+        '<?xml version="1.0"?><Relationships>' +
+          '<Relationship Id="rId1" Type="styles" Target="styles.xml"/>' +
+          `<Relationship Id="rId2" Type="${hyperlinkType}" Target="(((links.support)))" TargetMode="External"/>` +
+          '</Relationships>'
+      )
+    );
+    zip.addFile('word/styles.xml', Buffer.from('<?xml version="1.0"?><w:styles></w:styles>'));
+    templatePath = path.join(testTemplatesDir, 'welcome.docx');
+    await fs.writeFile(templatePath, zip.toBuffer());
+  });
+
+  afterAll(async () => {
+    await fs.rm(testTemplatesDir, { recursive: true, force: true });
+  });
+
+  test('should create new hyperlinks and fill existing link targets', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(templatePath, {
+      links: { portal: 'https://portal.example.com', support: 'mailto:help@example.com' },
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.substitution.stats.createdLinks).toBe(1);
+
+    const output = new AdmZip(result.document);
+    const documentXml = output.readAsText('word/document.xml');
+    const relsXml = output.readAsText('word/_rels/document.xml.rels');
+    expect(documentXml).toContain(
+      '<w:hyperlink r:id="rId3" w:history="1"><w:r><w:rPr><w:rStyle w:val="Hyperlink"/></w:rPr>' +
+        '<w:t xml:space="preserve">the portal</w:t></w:r></w:hyperlink>'
+    );
+    expect(relsXml).toContain('Target="mailto:help@example.com" TargetMode="External"');
+    expect(relsXml).toContain(
+      `<Relationship Id="rId3" Type="${hyperlinkType}" Target="https://portal.example.com" TargetMode="External"/>`
+    );
+    expect(output.readAsText('word/styles.xml')).toContain('w:styleId="Hyperlink"');
+  });
+
+  test('should not write URLs with disallowed schemes', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(
+      templatePath,
+      { links: { portal: 'javascript:alert(1)', support: 'file:///C:/secret.txt' } },
+      { logMissingData: false }
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.substitution.stats.failedLinks).toBe(1);
+
+    const output = new AdmZip(result.document);
+    const documentXml = output.readAsText('word/document.xml');
+    const relsXml = output.readAsText('word/_rels/document.xml.rels');
+    expect(documentXml).toContain('Sign in at the portal.');
+    expect(relsXml).not.toContain('javascript:');
+    expect(relsXml).not.toContain('file:');
+  });
+
+  test('should accept a custom scheme allow-list', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(
+      templatePath,
+      { links: { portal: 'https://portal.example.com', support: 'tel:+4912345' } },
+      { allowedLinkSchemes: ['https', 'tel'] }
+    );
+
+    const relsXml = new AdmZip(result.document).readAsText('word/_rels/document.xml.rels');
+    expect(relsXml).toContain('Target="tel:+4912345"');
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Integration tests for (((img:...))) picture replacement in Word documents
+ */
+
+const OOXMLTemplater = require('../../src/index');
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+
+describe('Image Replacement Integration Tests', () => {
+  const testTemplatesDir = path.join(__dirname, '../fixtures/image-templates');
+  const imageType = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image';
+  let templatePath;
+
+  const png = (width, height) => {
+    const bytes = Buffer.alloc(33);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(bytes, 0);
+    bytes.writeUInt32BE(13, 8);
+    bytes.write('IHDR', 12, 'ascii');
+    bytes.writeUInt32BE(width, 16);
+    bytes.writeUInt32BE(height, 20);
+    return bytes;
+  };
+
+  const picture = (descr) =>
+    '<w:p><w:r><w:drawing><wp:inline><wp:extent cx="1905000" cy="952500"/>' +
+    `<wp:docPr id="1" name="Picture 1" descr="${descr}"/>` +
+    '<a:graphic><a:graphicData><pic:pic><pic:blipFill><a:blip r:embed="rId1"/></pic:blipFill>' +
+    '<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="1905000" cy="952500"/></a:xfrm></pic:spPr>' +
+    '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r></w:p>';
+
+  beforeAll(async () => {
+    await fs.mkdir(testTemplatesDir, { recursive: true });
+
+    const zip = new AdmZip();
+    zip.addFile(
+      '[Content_Types].xml',
+      Buffer.from(
+        '<?xml version="1.0"?><Types><Default Extension="xml" ContentType="application/xml"/></Types>'
+      )
+    );
+    zip.addFile(
+      'word/document.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+          '<w:p><w:r><w:t>(((customer.name)))</w:t></w:r></w:p>' +
+          picture('(((img:customer.logo)))') +
+          '</w:body></w:document>'
+      )
+    );
+    zip.addFile(
+      'word/_rels/document.xml.rels',
+      Buffer.from(
+        `<?xml version="1.0"?><Relationships><Relationship Id="rId1" Type="${imageType}" Target="media/image1.png"/></Relationships>`
+      )
+    );
+    zip.addFile('word/media/image1.png', png(1, 1));
+    templatePath = path.join(testTemplatesDir, 'brochure.docx');
+    await fs.writeFile(templatePath, zip.toBuffer());
+  });
+
+  afterAll(async () => {
+    await fs.rm(testTemplatesDir, { recursive: true, force: true });
+  });
+
+  test('should replace the picture with the image from the data', async () => {
+    const templater = new OOXMLTemplater();
+    const logo = png(100, 100);
+
+    const result = await templater.substituteTemplate(templatePath, {
+      customer: { name: 'Acme', logo: `data:image/png;base64,${logo.toString('base64')}` },
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.substitution.stats.replacedImages).toBe(1);
+
+    const output = new AdmZip(result.document);
+    const documentXml = output.readAsText('word/document.xml');
+    expect(documentXml).toContain('<w:t>Acme</w:t>');
+    expect(documentXml).toContain('<a:blip r:embed="rId2"/>');
+    expect(documentXml).toContain('<wp:extent cx="952500" cy="952500"/>');
+    expect(output.readFile('word/media/image2.png').equals(logo)).toBe(true);
+    expect(output.getEntry('word/media/image1.png')).toBeNull();
+    expect(output.readAsText('word/_rels/document.xml.rels')).toContain(
+      'Target="media/image2.png"'
+    );
+    expect(output.readAsText('[Content_Types].xml')).toContain(
+      '<Default Extension="png" ContentType="image/png"/>'
+    );
+  });
+
+  test('should keep the frame size when preserveAspectRatio is false', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(
+      templatePath,
+      { customer: { name: 'Acme', logo: png(100, 100) } },
+      { preserveAspectRatio: false }
+    );
+
+    const documentXml = new AdmZip(result.document).readAsText('word/document.xml');
+    expect(documentXml).toContain('<wp:extent cx="1905000" cy="952500"/>');
+  });
+
+  test('should keep the template picture and report missing images', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(
+      templatePath,
+      { customer: { name: 'Acme' } },
+      { logMissingData: false }
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.substitution.stats.failedImages).toBe(1);
+    const output = new AdmZip(result.document);
+    expect(output.readAsText('word/document.xml')).toContain('<a:blip r:embed="rId1"/>');
+    expect(output.getEntry('word/media/image1.png')).not.toBeNull();
+  });
+
+  test('should fail in strict mode when the image is missing', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(
+      templatePath,
+      { customer: { name: 'Acme' } },
+      { strictMode: true, logMissingData: false }
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.error.message).toContain('customer.logo');
+  });
+});
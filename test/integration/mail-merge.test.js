@@ -0,0 +1,140 @@
+/**
+ * Integration tests for mail merge into one Word document
+ */
+
+const OOXMLTemplater = require('../../src/index');
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+
+describe('Mail Merge Integration Tests', () => {
+  const testTemplatesDir = path.join(__dirname, '../fixtures/mail-merge-templates');
+  const RELATIONSHIPS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  const letters = [
+    { name: 'Ada', city: 'London', site: 'https://ada.example.com' },
+    { name: 'Grace', city: 'New York', site: 'https://grace.example.com' },
+    { name: 'Linus', city: 'Helsinki', site: 'https://linus.example.com' },
+  ];
+  let docxPath;
+
+  beforeAll(async () => {
+    await fs.mkdir(testTemplatesDir, { recursive: true });
+
+    const zip = new AdmZip();
+    zip.addFile(
+      '[Content_Types].xml',
+      Buffer.from(
+        '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+          '<Default Extension="xml" ContentType="application/xml"/>' +
+          '<Default Extension="png" ContentType="image/png"/>' +
+          '<Override PartName="/word/header1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml"/>' +
+          '</Types>'
+      )
+    );
+    zip.addFile(
+      'word/document.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+          `xmlns:r="${RELATIONSHIPS}" xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing">` +
+          '<w:body><w:p><w:bookmarkStart w:id="0" w:name="Greeting"/><w:r><w:t>Dear (((name))),</w:t></w:r>' +
+          '<w:bookmarkEnd w:id="0"/></w:p>' +
+          '<w:p><w:r><w:t>(((link:site|"Your site")))</w:t></w:r></w:p>' +
+          '<w:p><w:r><w:drawing><wp:inline><wp:docPr id="1" name="Logo"/>' +
+          '<a:graphic xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"><a:blip r:embed="rId2"/></a:graphic>' +
+          '</wp:inline></w:drawing></w:r></w:p>' +
+          '<w:sectPr><w:headerReference w:type="default" r:id="rId1"/></w:sectPr></w:body></w:document>'
+      )
+    );
+    zip.addFile(
+      'word/_rels/document.xml.rels',
+      Buffer.from(
+        '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          `<Relationship Id="rId1" Type="${RELATIONSHIPS}/header" Target="header1.xml"/>` +
+          `<Relationship Id="rId2" Type="${RELATIONSHIPS}/image" Target="media/image1.png"/>` +
+          '</Relationships>'
+      )
+    );
+    zip.addFile(
+      'word/header1.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><w:hdr xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+          '<w:p><w:r><w:t>Letter to (((city)))</w:t></w:r></w:p></w:hdr>'
+      )
+    );
+    zip.addFile('word/media/image1.png', Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    docxPath = path.join(testTemplatesDir, 'letter.docx');
+    await fs.writeFile(docxPath, zip.toBuffer());
+  });
+
+  afterAll(async () => {
+    await fs.rm(testTemplatesDir, { recursive: true, force: true });
+  });
+
+  test('should merge the letters into one document separated by page breaks', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.mailMerge(docxPath, letters);
+
+    expect(result.success).toBe(true);
+    expect(result.merge).toEqual({ records: 3, separator: 'page' });
+    const output = new AdmZip(result.document);
+    const documentXml = output.readAsText('word/document.xml');
+    expect(documentXml.match(/Dear \w+,/g)).toEqual(['Dear Ada,', 'Dear Grace,', 'Dear Linus,']);
+    expect(documentXml.match(/<w:br w:type="page"\/>/g)).toHaveLength(2);
+    expect(documentXml.match(/<wp:docPr id="\d+"/g)).toEqual([
+      '<wp:docPr id="1"',
+      '<wp:docPr id="2"',
+      '<wp:docPr id="3"',
+    ]);
+    expect(documentXml.match(/w:name="Greeting[^"]*"/g)).toEqual([
+      'w:name="Greeting"',
+      'w:name="Greeting_2"',
+      'w:name="Greeting_3"',
+    ]);
+    expect(documentXml.match(/r:embed="rId\d+"/g)).toEqual([
+      'r:embed="rId2"',
+      'r:embed="rId2"',
+      'r:embed="rId2"',
+    ]);
+
+    const rels = output.readAsText('word/_rels/document.xml.rels');
+    for (const letter of letters) {
+      expect(rels).toContain(`Target="${letter.site}" TargetMode="External"`);
+    }
+    expect(
+      output.getEntries().filter((entry) => entry.entryName.startsWith('word/media/'))
+    ).toHaveLength(1);
+    expect(output.getEntry('word/header2.xml')).toBeNull();
+  });
+
+  test('should give every letter its own section and header in section mode', async () => {
+    const templater = new OOXMLTemplater();
+    const compiled = await templater.compile(docxPath);
+
+    const result = await templater.mailMerge(compiled, letters, { separator: 'section' });
+
+    const output = new AdmZip(result.document);
+    const documentXml = output.readAsText('word/document.xml');
+    const headerIds = Array.from(
+      documentXml.matchAll(/<w:headerReference w:type="default" r:id="(rId\d+)"\/>/g),
+      (match) => match[1]
+    );
+    expect(headerIds).toHaveLength(3);
+    expect(new Set(headerIds).size).toBe(3);
+    expect(output.readAsText('word/header1.xml')).toContain('Letter to London');
+    expect(output.readAsText('word/header2.xml')).toContain('Letter to New York');
+    expect(output.readAsText('word/header3.xml')).toContain('Letter to Helsinki');
+    expect(output.readAsText('[Content_Types].xml')).toContain('PartName="/word/header3.xml"');
+  });
+
+  test('should fail the merge when a record cannot be rendered', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.mailMerge(docxPath, [letters[0], { city: 'Paris' }], {
+      substitutionOptions: { strictMode: true },
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error.message).toMatch(/^Record 2 failed: /);
+  });
+});
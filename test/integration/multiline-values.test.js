@@ -0,0 +1,131 @@
+/**
+ * Integration tests for values with newlines and tabs
+ */
+
+const OOXMLTemplater = require('../../src/index');
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+
+describe('Multi-line Value Integration Tests', () => {
+  const testTemplatesDir = path.join(__dirname, '../fixtures/multiline-templates');
+  const address = 'Acme Corp\nMain St 1\n12345 Springfield';
+  let docxPath;
+  let pptxPath;
+  let xlsxPath;
+
+  const relationshipType = (kind) =>
+    `http://schemas.openxmlformats.org/officeDocument/2006/relationships/${kind}`;
+  const writeTemplate = async (name, parts) => {
+    const zip = new AdmZip();
+    zip.addFile('[Content_Types].xml', Buffer.from('<?xml version="1.0"?><Types></Types>'));
+    for (const [partName, content] of Object.entries(parts)) {
+      zip.addFile(partName, Buffer.from(content));
+    }
+    const templatePath = path.join(testTemplatesDir, name);
+    await fs.writeFile(templatePath, zip.toBuffer());
+    return templatePath;
+  };
+
+  beforeAll(async () => {
+    await fs.mkdir(testTemplatesDir, { recursive: true });
+
+    docxPath = await writeTemplate('letter.docx', {
+      'word/document.xml':
+        '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+        '<w:p><w:pPr><w:pStyle w:val="Address"/></w:pPr><w:r><w:rPr><w:b/></w:rPr><w:t>(((address)))</w:t></w:r></w:p>' +
+        '<w:p><w:r><w:t>Item:(((line)))</w:t></w:r></w:p>' +
+        '</w:body></w:document>',
+    });
+    pptxPath = await writeTemplate('card.pptx', {
+      'ppt/slides/slide1.xml':
+        '<?xml version="1.0"?><p:sld xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+        'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"><p:cSld><p:spTree><p:sp><p:txBody>' +
+        '<a:p><a:r><a:rPr lang="en-US" sz="1400"/><a:t>(((address)))</a:t></a:r></a:p>' +
+        '</p:txBody></p:sp></p:spTree></p:cSld></p:sld>',
+    });
+    xlsxPath = await writeTemplate('contacts.xlsx', {
+      'xl/workbook.xml':
+        '<?xml version="1.0"?><workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        '<sheets><sheet name="Contacts" sheetId="1" r:id="rId1"/></sheets></workbook>',
+      'xl/_rels/workbook.xml.rels':
+        '<?xml version="1.0"?><Relationships>' +
+        `<Relationship Id="rId1" Type="${relationshipType('worksheet')}" Target="worksheets/sheet1.xml"/>` +
+        `<Relationship Id="rId2" Type="${relationshipType('sharedStrings')}" Target="sharedStrings.xml"/>` +
+        '</Relationships>',
+      'xl/sharedStrings.xml':
+        '<?xml version="1.0"?><sst count="2" uniqueCount="2"><si><t>(((address)))</t></si><si><t>(((name)))</t></si></sst>',
+      'xl/styles.xml':
+        '<?xml version="1.0"?><styleSheet><cellXfs count="1"><xf numFmtId="0" fontId="0"/></cellXfs></styleSheet>',
+      'xl/worksheets/sheet1.xml':
+        '<?xml version="1.0"?><worksheet><sheetData><row r="1">' +
+        '<c r="A1" t="s"><v>1</v></c><c r="B1" t="s"><v>0</v></c>' +
+        '</row></sheetData></worksheet>',
+    });
+  });
+
+  afterAll(async () => {
+    await fs.rm(testTemplatesDir, { recursive: true, force: true });
+  });
+
+  test('should write line breaks and tabs into Word runs', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(docxPath, { address, line: '\tWidget' });
+
+    expect(result.success).toBe(true);
+    const documentXml = new AdmZip(result.document).readAsText('word/document.xml');
+    expect(documentXml).toContain(
+      '<w:t>Acme Corp</w:t><w:br/><w:t xml:space="preserve">Main St 1</w:t><w:br/>' +
+        '<w:t xml:space="preserve">12345 Springfield</w:t>'
+    );
+    expect(documentXml).toContain('<w:t>Item:</w:t><w:tab/><w:t xml:space="preserve">Widget</w:t>');
+  });
+
+  test('should split Word paragraphs with lineBreaks: paragraph', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(
+      docxPath,
+      { address, line: 'Widget' },
+      { lineBreaks: 'paragraph' }
+    );
+
+    const documentXml = new AdmZip(result.document).readAsText('word/document.xml');
+    const paragraphs = documentXml.match(/<w:p>[\s\S]*?<\/w:p>/g);
+    expect(paragraphs).toHaveLength(4);
+    expect(paragraphs[2]).toBe(
+      '<w:p><w:pPr><w:pStyle w:val="Address"/></w:pPr><w:r><w:rPr><w:b/></w:rPr>' +
+        '<w:t xml:space="preserve">12345 Springfield</w:t></w:r></w:p>'
+    );
+  });
+
+  test('should write a:br between PowerPoint runs', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(pptxPath, { address });
+
+    const slideXml = new AdmZip(result.document).readAsText('ppt/slides/slide1.xml');
+    expect(slideXml).toContain(
+      '<a:t>Acme Corp</a:t></a:r><a:br><a:rPr lang="en-US" sz="1400"/></a:br>' +
+        '<a:r><a:rPr lang="en-US" sz="1400"/><a:t>Main St 1</a:t></a:r>'
+    );
+  });
+
+  test('should wrap text in Excel cells with multi-line values', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(xlsxPath, { address, name: 'Acme' });
+
+    expect(result.substitution.stats.wrappedCells).toBe(1);
+    const output = new AdmZip(result.document);
+    expect(output.readAsText('xl/sharedStrings.xml')).toContain(`<t>${address}</t>`);
+    expect(output.readAsText('xl/worksheets/sheet1.xml')).toContain(
+      '<c r="A1" t="s"><v>1</v></c><c r="B1" t="s" s="1"><v>0</v></c>'
+    );
+    expect(output.readAsText('xl/styles.xml')).toContain(
+      '<cellXfs count="2"><xf numFmtId="0" fontId="0"/>' +
+        '<xf applyAlignment="1" numFmtId="0" fontId="0"><alignment wrapText="1"/></xf></cellXfs>'
+    );
+  });
+});
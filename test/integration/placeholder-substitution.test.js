@@ -266,6 +266,39 @@ describe('Placeholder Substitution Integration', () => {
     });
   });
 
+  describe('Split Runs', () => {
+    test('should substitute placeholders that Word split across runs', () => {
+      const xmlFiles = [
+        {
+          path: 'word/document.xml',
+          type: 'word',
+          category: 'content',
+          content:
+            '<w:document><w:body><w:p>' +
+            '<w:r w:rsidR="00A1"><w:rPr><w:b/></w:rPr><w:t>Invoice for (((cust</w:t></w:r>' +
+            '<w:proofErr w:type="spellStart"/>' +
+            '<w:r w:rsidR="00B2"><w:t>omer.na</w:t></w:r>' +
+            '<w:proofErr w:type="spellEnd"/>' +
+            '<w:r w:rsidR="00C3"><w:t>me)))</w:t></w:r>' +
+            '</w:p></w:body></w:document>',
+        },
+      ];
+
+      const parseResult = parser.parseDocument({}, xmlFiles);
+      const result = substitution.substituteDocument(
+        parseResult,
+        { customer: { name: 'Jane Roe' } },
+        xmlFiles
+      );
+
+      const content = result.modifiedFiles.get('word/document.xml').content;
+      expect(result.stats.successfulSubstitutions).toBe(1);
+      expect(content).toContain('<w:rPr><w:b/></w:rPr><w:t>Invoice for Jane Roe</w:t>');
+      expect(content).not.toContain('(((');
+      expect(content).not.toContain('w:proofErr');
+    });
+  });
+
   describe('Performance and Scalability', () => {
     test('should handle large documents efficiently', () => {
       // Create a large document with many placeholders
@@ -0,0 +1,122 @@
+/**
+ * Integration tests for rich text values
+ */
+
+const OOXMLTemplater = require('../../src/index');
+const { richText } = require('../../src/index');
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+
+describe('Rich Text Integration Tests', () => {
+  const testTemplatesDir = path.join(__dirname, '../fixtures/rich-text-templates');
+  const notes =
+    'Please **confirm** by Friday.\n\n- Read the [terms](https://example.com/terms)\n- Sign';
+  let docxPath;
+  let pptxPath;
+
+  const writeTemplate = async (name, parts) => {
+    const zip = new AdmZip();
+    zip.addFile('[Content_Types].xml', Buffer.from('<?xml version="1.0"?><Types></Types>'));
+    for (const [partName, content] of Object.entries(parts)) {
+      zip.addFile(partName, Buffer.from(content));
+    }
+    const templatePath = path.join(testTemplatesDir, name);
+    await fs.writeFile(templatePath, zip.toBuffer());
+    return templatePath;
+  };
+
+  beforeAll(async () => {
+    await fs.mkdir(testTemplatesDir, { recursive: true });
+
+    docxPath = await writeTemplate('letter.docx', {
+      'word/document.xml':
+        '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><w:body>' +
+        '<w:p><w:r><w:rPr><w:sz w:val="22"/></w:rPr><w:t>(((notes | markdown)))</w:t></w:r></w:p>' +
+        '<w:p><w:r><w:t>Status: (((status)))</w:t></w:r></w:p>' +
+        '</w:body></w:document>',
+      'word/_rels/document.xml.rels':
+        '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>',
+      'word/styles.xml': '<?xml version="1.0"?><w:styles></w:styles>',
+      'word/numbering.xml':
+        '<?xml version="1.0"?><w:numbering>' +
+        '<w:abstractNum w:abstractNumId="0"><w:lvl w:ilvl="0"><w:numFmt w:val="bullet"/></w:lvl></w:abstractNum>' +
+        '<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num></w:numbering>',
+    });
+    pptxPath = await writeTemplate('deck.pptx', {
+      'ppt/slides/slide1.xml':
+        '<?xml version="1.0"?><p:sld xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+        'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><p:cSld><p:spTree><p:sp><p:txBody>' +
+        '<a:p><a:r><a:rPr lang="en-US"/><a:t>(((notes | markdown)))</a:t></a:r></a:p>' +
+        '</p:txBody></p:sp></p:spTree></p:cSld></p:sld>',
+    });
+  });
+
+  afterAll(async () => {
+    await fs.rm(testTemplatesDir, { recursive: true, force: true });
+  });
+
+  test('should write Markdown as formatted Word paragraphs, links and bullets', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(docxPath, {
+      notes,
+      status: richText([{ text: 'Open', bold: true, color: 'C00000' }]),
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.substitution.stats.createdLinks).toBe(1);
+    const output = new AdmZip(result.document);
+    const documentXml = output.readAsText('word/document.xml');
+    expect(documentXml).toContain(
+      '<w:r><w:rPr><w:b/><w:sz w:val="22"/></w:rPr><w:t xml:space="preserve">confirm</w:t></w:r>'
+    );
+    expect(documentXml).toContain(
+      '<w:p><w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr></w:pPr>'
+    );
+    expect(documentXml).toContain(
+      '<w:hyperlink r:id="rId1" w:history="1"><w:r><w:rPr><w:rStyle w:val="Hyperlink"/>'
+    );
+    expect(documentXml).toContain(
+      '<w:t>Status: </w:t></w:r><w:r><w:rPr><w:b/><w:color w:val="C00000"/></w:rPr>' +
+        '<w:t xml:space="preserve">Open</w:t></w:r></w:p>'
+    );
+    expect(output.readAsText('word/_rels/document.xml.rels')).toContain(
+      'Target="https://example.com/terms" TargetMode="External"'
+    );
+    expect(output.readAsText('word/styles.xml')).toContain('w:styleId="Hyperlink"');
+  });
+
+  test('should write Markdown as PowerPoint paragraphs with bullets', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(pptxPath, { notes });
+
+    const output = new AdmZip(result.document);
+    const slideXml = output.readAsText('ppt/slides/slide1.xml');
+    expect(slideXml.match(/<a:p>/g)).toHaveLength(3);
+    expect(slideXml).toContain('<a:r><a:rPr lang="en-US" b="1"/><a:t>confirm</a:t></a:r>');
+    expect(slideXml).toContain('<a:buChar char="•"/>');
+    expect(slideXml).toMatch(/<a:hlinkClick r:id="rId\d+"\/>/);
+    expect(output.readAsText('ppt/slides/_rels/slide1.xml.rels')).toContain(
+      'Target="https://example.com/terms"'
+    );
+  });
+
+  test('should drop links with disallowed schemes and keep their text', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(
+      docxPath,
+      { notes: '[Click](javascript:alert(1))', status: 'ok' },
+      { logMissingData: false }
+    );
+
+    expect(result.substitution.stats.failedLinks).toBe(1);
+    const documentXml = new AdmZip(result.document).readAsText('word/document.xml');
+    expect(documentXml).not.toContain('w:hyperlink');
+    expect(documentXml).toContain('Click');
+  });
+});
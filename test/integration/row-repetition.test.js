@@ -0,0 +1,98 @@
+/**
+ * Integration tests for table row repetition directives
+ */
+
+const OOXMLTemplater = require('../../src/index');
+const PlaceholderParser = require('../../src/core/placeholder-parser');
+const PlaceholderSubstitution = require('../../src/core/placeholder-substitution');
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+
+describe('Row Repetition Integration Tests', () => {
+  const testTemplatesDir = path.join(__dirname, '../fixtures/row-repetition-templates');
+
+  const invoiceXml = `<?xml version="1.0"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:body>
+    <w:p><w:r><w:t>Invoice (((number)))</w:t></w:r></w:p>
+    <w:tbl>
+      <w:tr><w:tc><w:p><w:r><w:t>SKU</w:t></w:r></w:p></w:tc><w:tc><w:p><w:r><w:t>Price</w:t></w:r></w:p></w:tc></w:tr>
+      <w:tr><w:tc><w:p><w:r><w:t>(((#items)))(((items.sku)))</w:t></w:r></w:p></w:tc><w:tc><w:p><w:r><w:t>(((items.price)))</w:t></w:r></w:p></w:tc></w:tr>
+      <w:tr><w:tc><w:p><w:r><w:t>Total</w:t></w:r></w:p></w:tc><w:tc><w:p><w:r><w:t>(((total)))</w:t></w:r></w:p></w:tc></w:tr>
+    </w:tbl>
+  </w:body>
+</w:document>`;
+
+  let templatePath;
+
+  beforeAll(async () => {
+    await fs.mkdir(testTemplatesDir, { recursive: true });
+
+    const zip = new AdmZip();
+    zip.addFile('[Content_Types].xml', Buffer.from('<?xml version="1.0"?><Types></Types>'));
+    zip.addFile('word/document.xml', Buffer.from(invoiceXml));
+    templatePath = path.join(testTemplatesDir, 'invoice.docx');
+    await fs.writeFile(templatePath, zip.toBuffer());
+  });
+
+  afterAll(async () => {
+    await fs.rm(testTemplatesDir, { recursive: true, force: true });
+  });
+
+  test('should render one table row per item', async () => {
+    const templater = new OOXMLTemplater();
+    const data = {
+      number: 'INV-7',
+      items: [
+        { sku: 'A-1', price: '10.00' },
+        { sku: 'B-2', price: '20.00' },
+      ],
+      total: '30.00',
+    };
+
+    const result = await templater.substituteTemplate(templatePath, data);
+
+    expect(result.success).toBe(true);
+    expect(result.substitution.stats.repeatedRows).toBe(2);
+
+    const documentXml = new AdmZip(result.document).readAsText('word/document.xml');
+    expect(documentXml.match(/<w:tr>/g)).toHaveLength(4);
+    expect(documentXml.indexOf('A-1')).toBeLessThan(documentXml.indexOf('B-2'));
+    expect(documentXml.indexOf('B-2')).toBeLessThan(documentXml.indexOf('30.00'));
+    expect(documentXml).toContain('<w:t>20.00</w:t>');
+    expect(documentXml).not.toContain('(((');
+  });
+
+  test('should remove the row entirely for an empty array', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(templatePath, {
+      number: 'INV-8',
+      items: [],
+      total: '0.00',
+    });
+
+    const documentXml = new AdmZip(result.document).readAsText('word/document.xml');
+    expect(documentXml.match(/<w:tr>/g)).toHaveLength(2);
+    expect(documentXml).not.toContain('items');
+    expect(result.substitution.stats.deletedElements).toBe(1);
+  });
+
+  test('should treat item-relative paths as satisfied in validateData', () => {
+    const parser = new PlaceholderParser();
+    const substitution = new PlaceholderSubstitution();
+    const xmlFiles = [{ path: 'word/document.xml', type: 'word', content: invoiceXml }];
+
+    const parseResult = parser.parseDocument({}, xmlFiles);
+    const validation = substitution.validateData(parseResult, {
+      number: '1',
+      items: [{ sku: 'A', price: '1' }],
+      total: '1',
+    });
+
+    expect(parseResult.repeatDirectives).toHaveLength(1);
+    expect(validation.valid).toBe(true);
+    expect(validation.missing).toEqual([]);
+  });
+});
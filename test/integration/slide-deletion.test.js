@@ -0,0 +1,184 @@
+/**
+ * Integration tests for removing PowerPoint slides with DeleteSlideIfEmpty
+ */
+
+const OOXMLTemplater = require('../../src/index');
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+
+describe('Slide Deletion Integration Tests', () => {
+  const testTemplatesDir = path.join(__dirname, '../fixtures/slide-deletion-templates');
+  let templatePath;
+
+  const relationshipType = (kind) =>
+    `http://schemas.openxmlformats.org/officeDocument/2006/relationships/${kind}`;
+  const relationships = (entries) =>
+    '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    entries
+      .map(
+        ([id, kind, target]) =>
+          `<Relationship Id="${id}" Type="${relationshipType(kind)}" Target="${target}"/>`
+      )
+      .join('') +
+    '</Relationships>';
+  const override = (part, type) =>
+    `<Override PartName="/${part}" ContentType="application/vnd.openxmlformats-officedocument.${type}"/>`;
+
+  beforeAll(async () => {
+    await fs.mkdir(testTemplatesDir, { recursive: true });
+
+    const zip = new AdmZip();
+    zip.addFile(
+      '[Content_Types].xml',
+      Buffer.from(
+        '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+          '<Default Extension="png" ContentType="image/png"/>' +
+          override('ppt/presentation.xml', 'presentationml.presentation.main+xml') +
+          override('ppt/slides/slide1.xml', 'presentationml.slide+xml') +
+          override('ppt/slides/slide2.xml', 'presentationml.slide+xml') +
+          override('ppt/notesSlides/notesSlide1.xml', 'presentationml.notesSlide+xml') +
+          override('ppt/charts/chart1.xml', 'drawingml.chart+xml') +
+          '</Types>'
+      )
+    );
+    zip.addFile(
+      'ppt/presentation.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><p:presentation xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" ' +
+          'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+          '<p:sldIdLst><p:sldId id="256" r:id="rId1"/><p:sldId id="257" r:id="rId2"/></p:sldIdLst>' +
+          '</p:presentation>'
+      )
+    );
+    zip.addFile(
+      'ppt/_rels/presentation.xml.rels',
+      Buffer.from(
+        relationships([
+          ['rId1', 'slide', 'slides/slide1.xml'],
+          ['rId2', 'slide', 'slides/slide2.xml'],
+        ])
+      )
+    );
+    zip.addFile('ppt/slides/slide1.xml', Buffer.from('<p:sld><a:t>(((title)))</a:t></p:sld>'));
+    zip.addFile(
+      'ppt/slides/slide2.xml',
+      Buffer.from(
+        '<p:sld><a:t>(((DeleteSlideIfEmpty=appendix)))</a:t><a:t>(((appendix.text)))</a:t></p:sld>'
+      )
+    );
+    zip.addFile(
+      'ppt/slides/_rels/slide2.xml.rels',
+      Buffer.from(
+        relationships([
+          ['rId1', 'notesSlide', '../notesSlides/notesSlide1.xml'],
+          ['rId2', 'chart', '../charts/chart1.xml'],
+          ['rId3', 'image', '../media/image1.png'],
+        ])
+      )
+    );
+    zip.addFile(
+      'ppt/notesSlides/notesSlide1.xml',
+      Buffer.from('<p:notes><a:t>(((appendix.notes)))</a:t></p:notes>')
+    );
+    zip.addFile(
+      'ppt/notesSlides/_rels/notesSlide1.xml.rels',
+      Buffer.from(relationships([['rId1', 'slide', '../slides/slide2.xml']]))
+    );
+    zip.addFile('ppt/charts/chart1.xml', Buffer.from('<c:chartSpace/>'));
+    zip.addFile('ppt/media/image1.png', Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+
+    templatePath = path.join(testTemplatesDir, 'appendix.pptx');
+    await fs.writeFile(templatePath, zip.toBuffer());
+  });
+
+  afterAll(async () => {
+    await fs.rm(testTemplatesDir, { recursive: true, force: true });
+  });
+
+  test('should remove the slide and everything only it used from the package', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(
+      templatePath,
+      { title: 'Report', appendix: null },
+      { logMissingData: false }
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.substitution.stats.removedSlides).toBe(1);
+
+    const zip = new AdmZip(result.document);
+    const entries = zip
+      .getEntries()
+      .map((entry) => entry.entryName)
+      .sort();
+    expect(entries).toEqual([
+      '[Content_Types].xml',
+      'ppt/_rels/presentation.xml.rels',
+      'ppt/presentation.xml',
+      'ppt/slides/slide1.xml',
+    ]);
+
+    expect(zip.readAsText('ppt/presentation.xml')).toContain(
+      '<p:sldIdLst><p:sldId id="256" r:id="rId1"/></p:sldIdLst>'
+    );
+    expect(zip.readAsText('ppt/_rels/presentation.xml.rels')).not.toContain('slide2.xml');
+
+    const contentTypes = zip.readAsText('[Content_Types].xml');
+    expect(contentTypes).not.toMatch(/slide2\.xml|notesSlide1\.xml|chart1\.xml/);
+    expect(contentTypes).toContain('/ppt/slides/slide1.xml');
+  });
+
+  test('should keep the slide and its parts when the value has content', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(templatePath, {
+      title: 'Report',
+      appendix: { text: 'Details', notes: 'Say more' },
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.substitution.stats.removedSlides).toBe(0);
+
+    const zip = new AdmZip(result.document);
+    expect(zip.readAsText('ppt/slides/slide2.xml')).toContain('Details');
+    expect(zip.readAsText('ppt/notesSlides/notesSlide1.xml')).toContain('Say more');
+    expect(zip.getEntry('ppt/media/image1.png')).not.toBeNull();
+  });
+
+  test('should keep substituted presentation parts in step with removed slides', async () => {
+    const zip = new AdmZip(await fs.readFile(templatePath));
+    zip.updateFile(
+      'ppt/presentation.xml',
+      Buffer.from(
+        zip
+          .readAsText('ppt/presentation.xml')
+          .replace(
+            '</p:presentation>',
+            '<p:custShowLst><p:custShow name="(((title)))" id="0">' +
+              '<p:sldLst><p:sld r:id="rId1"/><p:sld r:id="rId2"/></p:sldLst>' +
+              '</p:custShow></p:custShowLst></p:presentation>'
+          )
+      )
+    );
+    const showPath = path.join(testTemplatesDir, 'show.pptx');
+    await fs.writeFile(showPath, zip.toBuffer());
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(
+      showPath,
+      { title: 'Report', appendix: null },
+      { logMissingData: false }
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.substitution.stats.removedSlides).toBe(1);
+
+    const presentation = new AdmZip(result.document).readAsText('ppt/presentation.xml');
+    expect(presentation).toContain('<p:sldIdLst><p:sldId id="256" r:id="rId1"/></p:sldIdLst>');
+    expect(presentation).toContain(
+      '<p:custShow name="Report" id="0"><p:sldLst><p:sld r:id="rId1"/></p:sldLst>'
+    );
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Integration tests for RepeatSlide directives in PowerPoint decks
+ */
+
+const OOXMLTemplater = require('../../src/index');
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+
+describe('Slide Repetition Integration Tests', () => {
+  const testTemplatesDir = path.join(__dirname, '../fixtures/slide-repetition-templates');
+  let templatePath;
+
+  const relationshipType = (kind) =>
+    `http://schemas.openxmlformats.org/officeDocument/2006/relationships/${kind}`;
+  const slide = (body) =>
+    '<?xml version="1.0"?><p:sld xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+    'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"><p:cSld><p:spTree>' +
+    body +
+    '</p:spTree></p:cSld></p:sld>';
+  const shape = (text) =>
+    `<p:sp><p:txBody><a:p><a:r><a:t>${text}</a:t></a:r></a:p></p:txBody></p:sp>`;
+
+  beforeAll(async () => {
+    await fs.mkdir(testTemplatesDir, { recursive: true });
+
+    const zip = new AdmZip();
+    zip.addFile(
+      '[Content_Types].xml',
+      Buffer.from(
+        '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+          '<Default Extension="xml" ContentType="application/xml"/>' +
+          '<Override PartName="/ppt/presentation.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.presentation.main+xml"/>' +
+          '<Override PartName="/ppt/slides/slide1.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.slide+xml"/>' +
+          '<Override PartName="/ppt/slides/slide2.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.slide+xml"/>' +
+          '<Override PartName="/ppt/notesSlides/notesSlide1.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.notesSlide+xml"/>' +
+          '</Types>'
+      )
+    );
+    zip.addFile(
+      'ppt/presentation.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><p:presentation xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" ' +
+          'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+          '<p:sldIdLst><p:sldId id="256" r:id="rId1"/><p:sldId id="257" r:id="rId2"/></p:sldIdLst>' +
+          '</p:presentation>'
+      )
+    );
+    zip.addFile(
+      'ppt/_rels/presentation.xml.rels',
+      Buffer.from(
+        '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          `<Relationship Id="rId1" Type="${relationshipType('slide')}" Target="slides/slide1.xml"/>` +
+          `<Relationship Id="rId2" Type="${relationshipType('slide')}" Target="slides/slide2.xml"/>` +
+          '</Relationships>'
+      )
+    );
+    zip.addFile('ppt/slides/slide1.xml', Buffer.from(slide(shape('(((title)))'))));
+    zip.addFile(
+      'ppt/slides/slide2.xml',
+      Buffer.from(
+        slide(
+          shape('(((RepeatSlide=regions)))') +
+            shape('Region: (((regions.name)))') +
+            shape('Revenue: (((regions.revenue))) for (((title)))')
+        )
+      )
+    );
+    zip.addFile(
+      'ppt/slides/_rels/slide2.xml.rels',
+      Buffer.from(
+        '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          `<Relationship Id="rId1" Type="${relationshipType('notesSlide')}" Target="../notesSlides/notesSlide1.xml"/>` +
+          '</Relationships>'
+      )
+    );
+    zip.addFile(
+      'ppt/notesSlides/notesSlide1.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><p:notes xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+          'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"><a:t>Talk about (((regions.name)))</a:t></p:notes>'
+      )
+    );
+    zip.addFile(
+      'ppt/notesSlides/_rels/notesSlide1.xml.rels',
+      Buffer.from(
+        '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          `<Relationship Id="rId1" Type="${relationshipType('slide')}" Target="../slides/slide2.xml"/>` +
+          '</Relationships>'
+      )
+    );
+
+    templatePath = path.join(testTemplatesDir, 'regions.pptx');
+    await fs.writeFile(templatePath, zip.toBuffer());
+  });
+
+  afterAll(async () => {
+    await fs.rm(testTemplatesDir, { recursive: true, force: true });
+  });
+
+  const slideTexts = (zip, slidePath) =>
+    [...zip.readAsText(slidePath).matchAll(/<a:t>([^<]*)<\/a:t>/g)]
+      .map((m) => m[1])
+      .filter((text) => text !== '');
+
+  test('should produce one slide per region in presentation order', async () => {
+    const templater = new OOXMLTemplater();
+    const data = {
+      title: 'Q3 Review',
+      regions: [
+        { name: 'North', revenue: '1.2M' },
+        { name: 'South', revenue: '0.8M' },
+        { name: 'East', revenue: '2.1M' },
+      ],
+    };
+
+    const result = await templater.substituteTemplate(templatePath, data);
+
+    expect(result.success).toBe(true);
+    expect(result.substitution.stats.repeatedSlides).toBe(3);
+
+    const zip = new AdmZip(result.document);
+    const presentation = zip.readAsText('ppt/presentation.xml');
+    const relationships = zip.readAsText('ppt/_rels/presentation.xml.rels');
+    const slideOrder = [...presentation.matchAll(/r:id="(rId\d+)"/g)].map((m) => {
+      const target = relationships.match(new RegExp(`Id="${m[1]}"[^>]*Target="([^"]+)"`));
+      return target[1];
+    });
+
+    expect(slideOrder).toEqual([
+      'slides/slide1.xml',
+      'slides/slide2.xml',
+      'slides/slide3.xml',
+      'slides/slide4.xml',
+    ]);
+    expect(slideTexts(zip, 'ppt/slides/slide2.xml')).toEqual([
+      'Region: North',
+      'Revenue: 1.2M for Q3 Review',
+    ]);
+    expect(slideTexts(zip, 'ppt/slides/slide4.xml')).toEqual([
+      'Region: East',
+      'Revenue: 2.1M for Q3 Review',
+    ]);
+
+    // Each copy has its own notes slide pointing back at it
+    expect(zip.readAsText('ppt/notesSlides/notesSlide3.xml')).toContain('Talk about East');
+    expect(zip.readAsText('ppt/notesSlides/_rels/notesSlide3.xml.rels')).toContain(
+      'Target="../slides/slide4.xml"'
+    );
+
+    const contentTypes = zip.readAsText('[Content_Types].xml');
+    expect(contentTypes).toContain('PartName="/ppt/slides/slide4.xml"');
+    expect(contentTypes).toContain('PartName="/ppt/notesSlides/notesSlide3.xml"');
+  });
+
+  test('should remove the slide when the collection is empty', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.substituteTemplate(templatePath, {
+      title: 'Q3 Review',
+      regions: [],
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.substitution.stats.removedSlides).toBe(1);
+
+    const zip = new AdmZip(result.document);
+    expect(zip.getEntry('ppt/slides/slide2.xml')).toBeNull();
+    expect(zip.readAsText('ppt/presentation.xml')).not.toContain('rId2');
+    expect(zip.readAsText('[Content_Types].xml')).not.toContain('slide2.xml');
+  });
+
+  test('should list the collection and item paths as placeholders', async () => {
+    const templater = new OOXMLTemplater();
+    const parseResult = await templater.parseTemplate(templatePath);
+
+    expect(parseResult.placeholders.unique).toContain('regions');
+    expect(parseResult.placeholders.unique).toContain('regions.name');
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Integration tests for CSV and Excel data sources
+ */
+
+const OOXMLTemplater = require('../../src/index');
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+
+describe('Spreadsheet Data Source Integration Tests', () => {
+  const testTemplatesDir = path.join(__dirname, '../fixtures/spreadsheet-data-templates');
+  const outputDir = path.join(testTemplatesDir, 'output');
+  let docxPath;
+  let plainDocxPath;
+  let csvPath;
+  let xlsxPath;
+
+  beforeAll(async () => {
+    await fs.mkdir(testTemplatesDir, { recursive: true });
+
+    const zip = new AdmZip();
+    zip.addFile('[Content_Types].xml', Buffer.from('<?xml version="1.0"?><Types></Types>'));
+    zip.addFile(
+      'word/document.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+          '<w:body><w:p><w:r><w:t>Invoice (((number))) for (((customer.name))) due ' +
+          '(((due | date:"dd.MM.yyyy"))): (((total | number:2)))</w:t></w:r></w:p></w:body></w:document>'
+      )
+    );
+    docxPath = path.join(testTemplatesDir, 'invoice.docx');
+    await fs.writeFile(docxPath, zip.toBuffer());
+
+    zip.updateFile(
+      'word/document.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+          '<w:body><w:p><w:r><w:t>Due (((due))): (((total)))</w:t></w:r></w:p></w:body></w:document>'
+      )
+    );
+    plainDocxPath = path.join(testTemplatesDir, 'plain.docx');
+    await fs.writeFile(plainDocxPath, zip.toBuffer());
+
+    csvPath = path.join(testTemplatesDir, 'invoices.csv');
+    await fs.writeFile(
+      csvPath,
+      'number,customer.name,due,total\r\n' +
+        '007,"Smith, Jones & Co",2024-03-05,1234.5\r\n' +
+        '008,Globex,2024-04-01,12.50\r\n'
+    );
+
+    const worksheetType =
+      'http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet';
+    const workbook = new AdmZip();
+    workbook.addFile(
+      'xl/workbook.xml',
+      Buffer.from(
+        '<workbook><sheets><sheet name="Invoices" sheetId="1" r:id="rId1"/></sheets></workbook>'
+      )
+    );
+    workbook.addFile(
+      'xl/_rels/workbook.xml.rels',
+      Buffer.from(
+        `<Relationships><Relationship Id="rId1" Type="${worksheetType}" Target="worksheets/sheet1.xml"/></Relationships>`
+      )
+    );
+    workbook.addFile(
+      'xl/worksheets/sheet1.xml',
+      Buffer.from(
+        '<worksheet><sheetData>' +
+          '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c>' +
+          '<c r="C1" t="s"><v>2</v></c><c r="D1" t="s"><v>3</v></c></row>' +
+          '<row r="2"><c r="A2" t="s"><v>4</v></c><c r="B2" t="s"><v>5</v></c>' +
+          '<c r="C2" s="1"><v>45356</v></c><c r="D2"><v>1234.5</v></c></row>' +
+          '</sheetData></worksheet>'
+      )
+    );
+    workbook.addFile(
+      'xl/sharedStrings.xml',
+      Buffer.from(
+        '<sst>' +
+          ['number', 'customer.name', 'due', 'total', 'INV-1', 'Acme']
+            .map((text) => `<si><t>${text}</t></si>`)
+            .join('') +
+          '</sst>'
+      )
+    );
+    workbook.addFile(
+      'xl/styles.xml',
+      Buffer.from(
+        '<styleSheet><cellXfs count="2"><xf numFmtId="0"/><xf numFmtId="14"/></cellXfs></styleSheet>'
+      )
+    );
+    xlsxPath = path.join(testTemplatesDir, 'invoices.xlsx');
+    await fs.writeFile(xlsxPath, workbook.toBuffer());
+  });
+
+  afterAll(async () => {
+    await fs.rm(testTemplatesDir, { recursive: true, force: true });
+  });
+
+  test('should render a document per CSV row with nested and typed values', async () => {
+    const templater = new OOXMLTemplater();
+
+    const result = await templater.processTemplate(docxPath, csvPath);
+
+    expect(result.success).toBe(true);
+    expect(result.batch).toMatchObject({ total: 2, succeeded: 2, failed: 0 });
+    expect(result.documents.map((document) => document.filename)).toEqual([
+      'invoice-1.docx',
+      'invoice-2.docx',
+    ]);
+    const first = new AdmZip(result.documents[0].document).readAsText('word/document.xml');
+    expect(first).toContain('Invoice 007 for Smith, Jones &amp; Co due 05.03.2024: 1,234.50');
+  });
+
+  test('should save a document per Excel row from a batch', async () => {
+    const templater = new OOXMLTemplater();
+
+    const report = await templater.generateBatch(docxPath, xlsxPath, {
+      outputDir,
+      filename: '(((number))).docx',
+      dataSourceOptions: { sheet: 'Invoices' },
+    });
+
+    expect(report).toMatchObject({ total: 1, succeeded: 1, failed: 0 });
+    const saved = new AdmZip(path.join(outputDir, 'INV-1.docx'));
+    expect(saved.readAsText('word/document.xml')).toContain(
+      'Invoice INV-1 for Acme due 05.03.2024: 1,234.50'
+    );
+  });
+
+  test('should render values without formatter pipes as written', async () => {
+    const templater = new OOXMLTemplater();
+
+    const csv = await templater.processTemplate(plainDocxPath, csvPath);
+    const xlsx = await templater.processTemplate(plainDocxPath, xlsxPath);
+
+    const text = (result) => new AdmZip(result.document).readAsText('word/document.xml');
+    expect(text(csv.documents[1])).toContain('Due 2024-04-01: 12.50');
+    expect(text(xlsx.documents[0])).toContain('Due 2024-03-05: 1234.5');
+  });
+
+  test('should fail when the data source cannot be read', async () => {
+    const templater = new OOXMLTemplater();
+
+    const missing = await templater.processTemplate(
+      docxPath,
+      path.join(testTemplatesDir, 'missing.csv')
+    );
+    const wrongSheet = await templater.processTemplate(docxPath, xlsxPath, {
+      dataSourceOptions: { sheet: 'Orders' },
+    });
+
+    expect(missing.success).toBe(false);
+    expect(wrongSheet.success).toBe(false);
+    expect(wrongSheet.error.message).toBe('Sheet not found in data source: Orders');
+  });
+});
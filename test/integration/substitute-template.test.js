@@ -88,6 +88,19 @@ describe('substituteTemplate Integration Tests', () => {
       expect(documentXml).not.toContain('(((order.id)))');
     });
 
+    test('should escape markup characters in substituted values', async () => {
+      const data = {
+        customer: { name: 'Smith & Sons <Ltd>', email: 'a@b.c' },
+        order: { id: '1', total: '1' },
+      };
+
+      const result = await templater.substituteTemplate(docxTemplatePath, data);
+
+      const documentXml = new AdmZip(result.document).readAsText('word/document.xml');
+      expect(documentXml).toContain('Invoice for Smith &amp; Sons &lt;Ltd&gt;');
+      expect(documentXml).not.toContain('<Ltd>');
+    });
+
     test('should provide accurate statistics', async () => {
       const data = {
         customer: { name: 'Jane Smith', email: 'jane@example.com' },
@@ -403,6 +416,125 @@ describe('substituteTemplate Integration Tests', () => {
     });
   });
 
+  describe('Formatter Pipes', () => {
+    let formatterTemplatePath;
+
+    beforeAll(async () => {
+      const zip = new AdmZip();
+      zip.addFile('[Content_Types].xml', Buffer.from('<?xml version="1.0"?><Types></Types>'));
+      zip.addFile(
+        'word/document.xml',
+        Buffer.from(`<?xml version="1.0"?>
+<document>
+  <p>Customer: (((customer.name | upper)))</p>
+  <p>Total: (((invoice.total | currency:EUR)))</p>
+  <p>Due: (((dueDate | date:&quot;d MMM yyyy&quot;)))</p>
+  <p>Reference: (((invoice.ref | default:&quot;pending&quot; | vat)))</p>
+</document>`)
+      );
+
+      formatterTemplatePath = path.join(testTemplatesDir, 'formatters.docx');
+      await fs.writeFile(formatterTemplatePath, zip.toBuffer());
+    });
+
+    const data = {
+      customer: { name: 'Acme & Sons' },
+      invoice: { total: 1234.5 },
+      dueDate: '2024-03-05',
+    };
+
+    test('should format values with built-in and custom formatters', async () => {
+      templater.registerFormatter('vat', (value) => `VAT-${value}`);
+
+      const result = await templater.substituteTemplate(formatterTemplatePath, data);
+
+      expect(result.success).toBe(true);
+      expect(result.substitution.stats.failedSubstitutions).toBe(0);
+
+      const documentXml = new AdmZip(result.document).readAsText('word/document.xml');
+      expect(documentXml).toContain('Customer: ACME &amp; SONS');
+      expect(documentXml).toContain('Total: €1,234.50');
+      expect(documentXml).toContain('Due: 5 Mar 2024');
+      expect(documentXml).toContain('Reference: VAT-pending');
+    });
+
+    test('should use the locale option and constructor formatters', async () => {
+      const localTemplater = new OOXMLTemplater({
+        formatters: { vat: (value) => `MwSt-${value}` },
+      });
+
+      const result = await localTemplater.substituteTemplate(formatterTemplatePath, data, {
+        locale: 'de-DE',
+      });
+
+      const documentXml = new AdmZip(result.document).readAsText('word/document.xml');
+      expect(documentXml).toContain('Total: 1.234,50\u00a0€');
+      expect(documentXml).toContain('Reference: MwSt-pending');
+    });
+
+    test('should report unknown formatters as failed substitutions', async () => {
+      const result = await templater.substituteTemplate(formatterTemplatePath, data, {
+        logMissingData: false,
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.substitution.stats.failedSubstitutions).toBe(1);
+    });
+  });
+
+  describe('Fallback Chains', () => {
+    let fallbackTemplatePath;
+
+    beforeAll(async () => {
+      const zip = new AdmZip();
+      zip.addFile('[Content_Types].xml', Buffer.from('<?xml version="1.0"?><Types></Types>'));
+      zip.addFile(
+        'word/document.xml',
+        Buffer.from(`<?xml version="1.0"?>
+<document>
+  <p>Dear (((customer.nickname || customer.firstName || &quot;Customer&quot;))),</p>
+  <p>Region: (((customer.region || &quot;n/a&quot; | upper)))</p>
+</document>`)
+      );
+
+      fallbackTemplatePath = path.join(testTemplatesDir, 'fallbacks.docx');
+      await fs.writeFile(fallbackTemplatePath, zip.toBuffer());
+    });
+
+    test('should list every path of the chain', async () => {
+      const parseResult = await templater.parseTemplate(fallbackTemplatePath);
+
+      expect(parseResult.placeholders.unique).toEqual([
+        'customer.nickname',
+        'customer.firstName',
+        'customer.region',
+      ]);
+    });
+
+    test('should use the first value that is present', async () => {
+      const result = await templater.substituteTemplate(fallbackTemplatePath, {
+        customer: { nickname: '', firstName: 'Robert', region: 'emea' },
+      });
+
+      const documentXml = new AdmZip(result.document).readAsText('word/document.xml');
+      expect(documentXml).toContain('Dear Robert,');
+      expect(documentXml).toContain('Region: EMEA');
+      expect(result.substitution.stats.failedSubstitutions).toBe(0);
+    });
+
+    test('should fall back to literals without reporting missing data', async () => {
+      const result = await templater.substituteTemplate(
+        fallbackTemplatePath,
+        {},
+        { strictMode: true }
+      );
+
+      const documentXml = new AdmZip(result.document).readAsText('word/document.xml');
+      expect(documentXml).toContain('Dear Customer,');
+      expect(documentXml).toContain('Region: N/A');
+    });
+  });
+
   describe('End-to-End Workflow', () => {
     test('should complete full parse-substitute workflow', async () => {
       // Create template
@@ -0,0 +1,184 @@
+/**
+ * API Adapter tests
+ */
+
+const ApiAdapter = require('../../../src/core/api-adapter');
+const { FetchResponseError } = require('../../../src/utils/fetch-errors');
+
+describe('ApiAdapter', () => {
+  const apiUrl = 'https://api.example.com/data';
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new ApiAdapter();
+  });
+
+  describe('buildRequest', () => {
+    test('should POST the placeholders as JSON by default', () => {
+      const { url, init } = adapter.buildRequest(apiUrl, ['user.name'], {
+        additionalData: { locale: 'de' },
+        headers: { Authorization: 'Bearer token' },
+      });
+
+      expect(url).toBe(apiUrl);
+      expect(init).toEqual({
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer token' },
+        body: JSON.stringify({ placeholders: ['user.name'], locale: 'de' }),
+      });
+    });
+
+    test('should send the placeholder manifest along with the placeholders', () => {
+      const manifest = { schema: 'ooxml-templater/placeholder-manifest', version: 1 };
+      const builder = jest.fn(() => ({ body: {} }));
+
+      const { init } = adapter.buildRequest(apiUrl, ['user.name'], { manifest });
+      adapter.buildRequest(apiUrl, ['user.name'], { manifest, request: builder });
+
+      expect(JSON.parse(init.body)).toEqual({ placeholders: ['user.name'], manifest });
+      expect(builder).toHaveBeenCalledWith({
+        apiUrl,
+        placeholders: ['user.name'],
+        additionalData: {},
+        manifest,
+      });
+    });
+
+    test('should GET with the placeholders and additional data as query parameters', () => {
+      const { url, init } = adapter.buildRequest(`${apiUrl}?v=2#top`, ['user.name', 'order.id'], {
+        request: 'query',
+        additionalData: { filter: { active: true }, empty: null },
+      });
+
+      expect(url).toBe(
+        `${apiUrl}?v=2&placeholders=user.name%2Corder.id&filter=%7B%22active%22%3Atrue%7D#top`
+      );
+      expect(init).toEqual({ method: 'GET', headers: {} });
+    });
+
+    test('should build a GraphQL query from the placeholder paths', () => {
+      const { init } = adapter.buildRequest(
+        apiUrl,
+        ['customer.name', 'customer.address.city', 'items.0.sku', 'total', 'bad-name.x'],
+        { request: 'graphql' }
+      );
+
+      expect(JSON.parse(init.body)).toEqual({
+        query: 'query { customer { name address { city } } items { sku } total }',
+      });
+    });
+
+    test('should send additional data as GraphQL variables', () => {
+      const { init } = adapter.buildRequest(apiUrl, ['customer.name'], {
+        request: 'graphql',
+        additionalData: { customerId: 42 },
+      });
+
+      expect(JSON.parse(init.body)).toEqual({
+        query: 'query { customer { name } }',
+        variables: { customerId: 42 },
+      });
+    });
+
+    test('should use custom request builders', () => {
+      const builder = jest.fn(({ placeholders }) => ({
+        url: 'https://api.example.com/v2/fields',
+        query: { token: 'abc' },
+        headers: { Accept: 'application/json' },
+        body: { fields: placeholders },
+      }));
+
+      const { url, init } = adapter.buildRequest(apiUrl, ['a'], {
+        request: builder,
+        idempotencyKey: 'key-1',
+      });
+
+      expect(builder).toHaveBeenCalledWith({ apiUrl, placeholders: ['a'], additionalData: {} });
+      expect(url).toBe('https://api.example.com/v2/fields?token=abc');
+      expect(init).toEqual({
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': 'key-1',
+          Accept: 'application/json',
+        },
+        body: '{"fields":["a"]}',
+      });
+      expect(() => adapter.buildRequest(apiUrl, [], { request: 'soap' })).toThrow(
+        'Unknown request type: soap'
+      );
+    });
+  });
+
+  describe('mapResponse', () => {
+    const context = { placeholders: [], apiUrl };
+
+    test('should guess the payload and filename by default', () => {
+      expect(adapter.mapResponse({ values: { a: 1 }, filename: 'x.docx' }, context)).toEqual({
+        data: { a: 1 },
+        filename: 'x.docx',
+      });
+      expect(adapter.mapResponse({ a: 1 }, context)).toEqual({ data: { a: 1 }, filename: null });
+    });
+
+    test('should select data and filename with JSON paths and rename fields', () => {
+      const body = {
+        result: { records: [{ cust_name: 'Acme', total: 5, address: { zip: '10115' } }] },
+        meta: { file: 'acme.docx' },
+      };
+
+      const mapped = adapter.mapResponse(body, context, {
+        response: {
+          data: '$.result.records[0]',
+          filename: '$.meta.file',
+          rename: { cust_name: 'customer.name', 'address.zip': 'customer.zip' },
+        },
+      });
+
+      expect(mapped).toEqual({
+        data: { total: 5, address: { zip: '10115' }, customer: { name: 'Acme', zip: '10115' } },
+        filename: 'acme.docx',
+      });
+    });
+
+    test('should use custom response mappers', () => {
+      const mapper = jest.fn((body) => ({ data: body.payload }));
+
+      expect(adapter.mapResponse({ payload: { a: 1 } }, context, { response: mapper })).toEqual({
+        data: { a: 1 },
+        filename: null,
+      });
+      expect(mapper).toHaveBeenCalledWith({ payload: { a: 1 } }, context);
+    });
+
+    test('should fail on GraphQL errors without data', () => {
+      expect(() =>
+        adapter.mapResponse({ errors: [{ message: 'Cannot query field "x"' }] }, context, {
+          request: 'graphql',
+        })
+      ).toThrow(new FetchResponseError('GraphQL request failed: Cannot query field "x"'));
+    });
+  });
+
+  describe('findMissing', () => {
+    test('should report placeholders without values, by path or flat key', () => {
+      const data = {
+        customer: { name: 'Acme', email: null },
+        'order.number': 'A-1',
+        items: [{ sku: 'W-1' }],
+      };
+
+      expect(
+        adapter.findMissing(data, [
+          'customer.name',
+          'customer.email',
+          'customer.phone',
+          'order.number',
+          'items.sku',
+          'total',
+        ])
+      ).toEqual(['customer.email', 'customer.phone', 'total']);
+      expect(adapter.findMissing(null, ['a'])).toEqual(['a']);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Batch Job tests
+ */
+
+const BatchJob = require('../../../src/core/batch-job');
+const PlaceholderParser = require('../../../src/core/placeholder-parser');
+const PlaceholderSubstitution = require('../../../src/core/placeholder-substitution');
+
+describe('BatchJob', () => {
+  let templater;
+  let compiled;
+
+  beforeEach(() => {
+    compiled = {
+      source: './templates/invoice.docx',
+      render: jest.fn(async (record) =>
+        record.fail
+          ? { success: false, error: { message: 'Render failed' } }
+          : {
+              success: true,
+              document: Buffer.from(String(record.number)),
+              substitution: { stats: {} },
+            }
+      ),
+    };
+    templater = {
+      placeholderParser: new PlaceholderParser(),
+      placeholderSubstitution: new PlaceholderSubstitution(),
+      compile: jest.fn().mockResolvedValue(compiled),
+      saveDocument: jest.fn(async (document, outputPath) => ({
+        success: true,
+        path: outputPath,
+        size: document.length,
+      })),
+    };
+  });
+
+  test('should compile the template once and report every record', async () => {
+    const records = [{ number: '1' }, { number: '2', fail: true }, { number: '3' }];
+    const progress = [];
+
+    const job = new BatchJob(templater, './templates/invoice.docx', records, { concurrency: 2 });
+    job.on('progress', (event) => progress.push(event));
+    const report = await job;
+
+    expect(templater.compile).toHaveBeenCalledTimes(1);
+    expect(compiled.render).toHaveBeenCalledTimes(3);
+    expect(report).toMatchObject({ total: 3, succeeded: 2, failed: 1, files: [] });
+    expect(report.failures).toEqual([
+      { index: 1, filename: 'invoice-2.docx', error: { message: 'Render failed' } },
+    ]);
+    expect(progress.map((event) => event.completed)).toEqual([1, 2, 3]);
+    expect(progress[2]).toMatchObject({ succeeded: 2, failed: 1, total: 3 });
+    await expect(job.run()).resolves.toBe(report);
+  });
+
+  test('should stop taking records once the signal is aborted', async () => {
+    const controller = new AbortController();
+    const records = [{ number: '1' }, { number: '2' }, { number: '3' }];
+
+    const job = new BatchJob(templater, './templates/invoice.docx', records, {
+      concurrency: 1,
+      signal: controller.signal,
+    });
+    job.on('result', () => controller.abort());
+
+    await expect(job).rejects.toMatchObject({ name: 'FetchAbortError', code: 'ABORTED' });
+    expect(compiled.render).toHaveBeenCalledTimes(1);
+  });
+
+  test('should stream results from async record sources', async () => {
+    async function* records() {
+      yield { number: 'A-1' };
+      yield { number: 'A-2' };
+    }
+
+    const results = [];
+    for await (const result of new BatchJob(templater, compiled, records(), {
+      filename: 'invoice-(((number))).docx',
+    })) {
+      results.push(result);
+    }
+
+    expect(templater.compile).not.toHaveBeenCalled();
+    expect(results.map((result) => result.filename)).toEqual([
+      'invoice-A-1.docx',
+      'invoice-A-2.docx',
+    ]);
+    expect(results[0].document.toString()).toBe('A-1');
+  });
+
+  test('should stop taking records when the loop is left early', async () => {
+    const records = Array.from({ length: 10 }, (_, index) => ({ number: String(index) }));
+    const job = new BatchJob(templater, compiled, records, { concurrency: 1 });
+
+    for await (const result of job) {
+      expect(result.index).toBe(0);
+      break;
+    }
+    const report = await job;
+
+    expect(report.total).toBeLessThan(10);
+  });
+
+  test('should save documents under filenames filled from each record', async () => {
+    const records = [
+      { number: 7, customer: { name: 'Acme/West' } },
+      { number: 7, customer: { name: 'Acme/West' } },
+      { number: 8 },
+    ];
+
+    const report = await new BatchJob(templater, compiled, records, {
+      outputDir: 'out',
+      filename: '(((customer.name || "unknown" | lower)))-(((number))).docx',
+    }).run();
+
+    expect(report.files.map((file) => file.replace(/\\/g, '/'))).toEqual([
+      'out/acme-west-7.docx',
+      'out/acme-west-7-2.docx',
+      'out/unknown-8.docx',
+    ]);
+  });
+
+  test('should keep saved documents inside the output directory', async () => {
+    const records = [{ dir: '..' }, { dir: '.' }, { dir: '../..' }];
+
+    const report = await new BatchJob(templater, compiled, records, {
+      outputDir: 'out',
+      filename: '(((dir)))',
+    }).run();
+
+    expect(report.files.map((file) => file.replace(/\\/g, '/'))).toEqual([
+      'out/-',
+      'out/--2',
+      'out/..-..',
+    ]);
+
+    const escaping = await new BatchJob(templater, compiled, [{ number: 1 }], {
+      outputDir: 'out',
+      filename: '../invoice-(((number))).docx',
+    }).run();
+
+    expect(escaping.failures[0].error.message).toBe(
+      'Filename is outside the output directory: ../invoice-1.docx'
+    );
+    expect(templater.saveDocument).toHaveBeenCalledTimes(3);
+  });
+
+  test('should fail records without the data their filename needs', async () => {
+    const report = await new BatchJob(templater, compiled, [{ name: 'x' }], {
+      filename: '(((number))).docx',
+    });
+
+    expect(compiled.render).not.toHaveBeenCalled();
+    expect(report.failures[0].error.message).toBe('Missing data for filename placeholder: number');
+  });
+
+  test('should reject when the template cannot be compiled', async () => {
+    templater.compile.mockRejectedValue(new Error('Template not found'));
+
+    await expect(new BatchJob(templater, 'missing.docx', [{}])).rejects.toThrow(
+      'Template not found'
+    );
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Compiled Template tests
+ */
+
+const CompiledTemplate = require('../../../src/core/compiled-template');
+
+describe('CompiledTemplate', () => {
+  const entry = (name, content) => ({ name, content, buffer: Buffer.from(content) });
+
+  let templater;
+  let compiled;
+
+  beforeEach(() => {
+    templater = { renderTemplate: jest.fn().mockResolvedValue({ success: true }) };
+    const files = {
+      'word/document.xml': entry('word/document.xml', '<w:t>(((name)))</w:t>'),
+      'word/media/image1.png': {
+        name: 'word/media/image1.png',
+        content: null,
+        buffer: Buffer.alloc(4),
+      },
+    };
+    compiled = new CompiledTemplate(templater, {
+      source: 'letter.docx',
+      extractedFiles: {
+        files,
+        embeddedFiles: {
+          'ppt/embeddings/sheet.xlsx': {
+            path: 'ppt/embeddings/sheet.xlsx',
+            files: { 'xl/workbook.xml': entry('xl/workbook.xml', '<workbook/>') },
+          },
+        },
+        getFile: (path) => files[path],
+        getAllFiles: () => Object.values(files),
+      },
+      xmlFiles: [{ path: 'word/document.xml', content: '<w:t>(((name)))</w:t>' }],
+      parseResult: { uniquePlaceholderList: ['name'] },
+    });
+  });
+
+  test('should render through its templater', async () => {
+    const options = { strictMode: true };
+
+    await expect(compiled.render({ name: 'Ada' }, options)).resolves.toEqual({ success: true });
+    expect(templater.renderTemplate).toHaveBeenCalledWith(compiled, { name: 'Ada' }, options);
+  });
+
+  test('should copy the parts a render may change', () => {
+    const { extractedFiles, xmlFiles } = compiled.createWorkingCopy();
+
+    extractedFiles.files['word/document.xml'].content = 'changed';
+    extractedFiles.files['word/new.xml'] = entry('word/new.xml', '<new/>');
+    extractedFiles.embeddedFiles['ppt/embeddings/sheet.xlsx'].files['xl/workbook.xml'].content = '';
+    xmlFiles[0].content = 'changed';
+
+    expect(compiled.extractedFiles.files['word/document.xml'].content).toBe(
+      '<w:t>(((name)))</w:t>'
+    );
+    expect(compiled.extractedFiles.files['word/new.xml']).toBeUndefined();
+    expect(
+      compiled.extractedFiles.embeddedFiles['ppt/embeddings/sheet.xlsx'].files['xl/workbook.xml']
+        .content
+    ).toBe('<workbook/>');
+    expect(compiled.xmlFiles[0].content).toBe('<w:t>(((name)))</w:t>');
+    expect(extractedFiles.getAllFiles()).toHaveLength(3);
+    expect(extractedFiles.getFile('word/media/image1.png').buffer).toBe(
+      compiled.extractedFiles.files['word/media/image1.png'].buffer
+    );
+  });
+
+  test('should estimate its size from part buffers and XML text', () => {
+    const documentXml = '<w:t>(((name)))</w:t>';
+
+    expect(compiled.estimateSize()).toBe(
+      documentXml.length * 3 + // document.xml text and buffer
+        4 + // image buffer
+        '<workbook/>'.length * 3 + // embedded workbook.xml text and buffer
+        documentXml.length * 2 // discovered XML file
+    );
+  });
+
+  test('should describe itself without its parts', () => {
+    expect(compiled.placeholders).toEqual(['name']);
+    expect(JSON.parse(JSON.stringify(compiled))).toEqual({
+      source: 'letter.docx',
+      compiledAt: compiled.compiledAt,
+      placeholders: ['name'],
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Conditional Processor tests
+ */
+
+const ConditionalProcessor = require('../../../src/core/conditional-processor');
+
+describe('ConditionalProcessor', () => {
+  let processor;
+
+  const para = (text, style) =>
+    `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}<w:r><w:t>${text}</w:t></w:r></w:p>`;
+  const row = (text) => `<w:tr><w:tc><w:tcPr/>${para(text)}</w:tc><w:tc>${para('')}</w:tc></w:tr>`;
+  const texts = (xml) => [...xml.matchAll(/<w:t[^>]*>([^<]*)<\/w:t>/g)].map((m) => m[1]);
+
+  beforeEach(() => {
+    processor = new ConditionalProcessor();
+  });
+
+  describe('process', () => {
+    test('should keep the matching branch of an inline block', () => {
+      const content =
+        '<w:t>Support: (((#if customer.vip)))Priority(((else)))Standard(((/if)))</w:t>';
+
+      expect(processor.process(content, { customer: { vip: true } }, 'word')).toEqual({
+        content: '<w:t>Support: Priority</w:t>',
+        conditionalBlocks: 1,
+        invalidConditions: [],
+      });
+      expect(processor.process(content, { customer: {} }, 'word').content).toBe(
+        '<w:t>Support: Standard</w:t>'
+      );
+    });
+
+    test('should remove runs between markers without breaking the paragraph', () => {
+      const content =
+        '<w:p><w:r><w:t>A (((#if flag)))</w:t></w:r><w:r><w:rPr><w:b/></w:rPr><w:t>bold</w:t></w:r>' +
+        '<w:r><w:t>(((/if))) B</w:t></w:r></w:p>';
+
+      expect(processor.process(content, { flag: false }, 'word').content).toBe(
+        '<w:p><w:r><w:t>A </w:t></w:r><w:r><w:t> B</w:t></w:r></w:p>'
+      );
+      expect(processor.process(content, { flag: true }, 'word').content).toBe(
+        '<w:p><w:r><w:t>A </w:t></w:r><w:r><w:rPr><w:b/></w:rPr><w:t>bold</w:t></w:r>' +
+          '<w:r><w:t> B</w:t></w:r></w:p>'
+      );
+    });
+
+    test('should drop marker paragraphs of blocks spanning several paragraphs', () => {
+      const content =
+        para('(((#if vip)))') +
+        para('VIP', 'Strong') +
+        para('(((else)))') +
+        para('Standard') +
+        para('(((/if)))') +
+        para('End');
+
+      expect(processor.process(content, { vip: 1 }, 'word').content).toBe(
+        para('VIP', 'Strong') + para('End')
+      );
+      expect(processor.process(content, { vip: 0 }, 'word').content).toBe(
+        para('Standard') + para('End')
+      );
+    });
+
+    test('should keep the paragraphs around markers that share them with text', () => {
+      const content =
+        para('Intro (((#if total &gt; 100)))discount', 'First') +
+        para('details') +
+        para('applies(((/if))) thanks', 'Last');
+
+      const result = processor.process(content, { total: 50 }, 'word').content;
+
+      expect(result).toBe(
+        '<w:p><w:pPr><w:pStyle w:val="First"/></w:pPr><w:r><w:t>Intro </w:t></w:r></w:p>' +
+          '<w:p><w:pPr><w:pStyle w:val="Last"/></w:pPr><w:r><w:t> thanks</w:t></w:r></w:p>'
+      );
+    });
+
+    test('should remove whole table rows', () => {
+      const content = `<w:tbl>${row('Head')}${row('(((#if show)))')}${row('Body')}${row('(((/if)))')}</w:tbl>`;
+
+      expect(processor.process(content, { show: false }, 'word').content).toBe(
+        `<w:tbl>${row('Head')}</w:tbl>`
+      );
+      expect(processor.process(content, { show: true }, 'word').content).toBe(
+        `<w:tbl>${row('Head')}${row('Body')}</w:tbl>`
+      );
+    });
+
+    test('should leave a paragraph in table cells emptied by a block', () => {
+      const content = `<w:tc>${para('(((#if note)))')}${para('Note')}${para('(((/if)))')}</w:tc>`;
+
+      expect(processor.process(content, {}, 'word').content).toBe('<w:tc><w:p/></w:tc>');
+      expect(
+        processor.process(
+          `<p:txBody><a:bodyPr/><a:p><a:r><a:t>(((#if x)))y(((/if)))</a:t></a:r></a:p></p:txBody>`,
+          {},
+          'powerpoint'
+        ).content
+      ).toBe('<p:txBody><a:bodyPr/><a:p><a:r><a:t></a:t></a:r></a:p></p:txBody>');
+    });
+
+    test('should resolve nested blocks', () => {
+      const content =
+        '<w:t>(((#if a)))A(((#if b)))B(((else)))notB(((/if)))(((else)))notA(((/if)))</w:t>';
+
+      expect(texts(processor.process(content, { a: true, b: true }, 'word').content)).toEqual([
+        'AB',
+      ]);
+      expect(texts(processor.process(content, { a: true }, 'word').content)).toEqual(['AnotB']);
+      expect(processor.process(content, {}, 'word')).toEqual({
+        content: '<w:t>notA</w:t>',
+        conditionalBlocks: 1,
+        invalidConditions: [],
+      });
+    });
+
+    test('should strip markers without a partner', () => {
+      expect(
+        processor.process('<w:t>(((else)))a(((/if)))(((#if b)))c</w:t>', {}, 'word').content
+      ).toBe('<w:t>ac</w:t>');
+    });
+
+    test('should drop the markers of blocks with unknown operators', () => {
+      const content =
+        '<w:t>(((#if a)))A(((#if b = 1)))B(((else)))notB(((/if)))(((/if)))(((#if c)))C(((/if)))</w:t>';
+      const result = processor.process(content, { a: true, b: 1 }, 'word');
+
+      expect(result.content).toBe('<w:t>ABnotB</w:t>');
+      expect(result.conditionalBlocks).toBe(2);
+      expect(result.invalidConditions).toEqual(['b = 1']);
+    });
+  });
+
+  describe('parseCondition', () => {
+    test('should parse truthiness, negation and comparisons', () => {
+      expect(processor.parseCondition('customer.vip')).toEqual({
+        negate: false,
+        left: { path: 'customer.vip' },
+        operator: null,
+        right: null,
+      });
+      expect(processor.parseCondition('!items.count &gt;= 3')).toEqual({
+        negate: true,
+        left: { path: 'items.count' },
+        operator: '>=',
+        right: { value: 3 },
+      });
+      expect(processor.parseCondition("status not in [“open”, 'late', 7]").right).toEqual({
+        list: [{ value: 'open' }, { value: 'late' }, { value: 7 }],
+      });
+    });
+
+    test('should list condition paths', () => {
+      expect(
+        processor.getConditionPaths(processor.parseCondition('region in [home, "EU"]'))
+      ).toEqual(['region', 'home']);
+      expect(processor.getConditionPaths(processor.parseCondition('a == b'))).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('evaluate', () => {
+    const check = (condition, data) =>
+      processor.evaluate(processor.parseCondition(condition), data);
+
+    test('should test truthiness', () => {
+      expect(check('x', { x: 'yes' })).toBe(true);
+      expect(check('x', { x: [] })).toBe(false);
+      expect(check('x', { x: 0 })).toBe(false);
+      expect(check('x', { x: new Date() })).toBe(true);
+      expect(check('not x', {})).toBe(true);
+    });
+
+    test('should compare values', () => {
+      const data = { total: '150', tier: 'gold', tags: ['new', 'eu'], vip: true };
+
+      expect(check('total > 100', data)).toBe(true);
+      expect(check('total <= 99.5', data)).toBe(false);
+      expect(check('tier == "gold"', data)).toBe(true);
+      expect(check('tier != gold', { tier: 'gold', gold: 'gold' })).toBe(false);
+      expect(check('vip == true', data)).toBe(true);
+      expect(check('missing == null', data)).toBe(true);
+      expect(check('missing > 1', data)).toBe(false);
+      expect(check('"eu" in tags', data)).toBe(true);
+      expect(check('tier in ["silver", "gold"]', data)).toBe(true);
+      expect(check('"ol" in tier', data)).toBe(true);
+      expect(check('tier not in ["gold"]', data)).toBe(false);
+    });
+
+    test('should reject unknown operators', () => {
+      expect(() => check('a => b', {})).toThrow('Unknown condition operator');
+    });
+  });
+
+  describe('skeleton', () => {
+    test('should keep unmatched tags and the properties of reopened elements', () => {
+      expect(
+        processor.skeleton(
+          'x</w:t></w:r></w:p><w:p><w:r><w:t>y</w:t></w:r></w:p>' +
+            '<w:p><w:pPr><w:jc w:val="center"/></w:pPr><w:r><w:rPr><w:i/></w:rPr><w:t>z'
+        )
+      ).toBe(
+        '</w:t></w:r></w:p><w:p><w:pPr><w:jc w:val="center"/></w:pPr><w:r><w:rPr><w:i/></w:rPr><w:t>'
+      );
+    });
+  });
+});
@@ -315,6 +315,32 @@ describe('ContentDeletion', () => {
       expect(result.modifiedFile.content).toContain('Row 3');
       expect(result.deletedRows).toHaveLength(1);
     });
+
+    test('should renumber the rows and references below deleted rows', () => {
+      const content =
+        '<worksheet><dimension ref="A1:B4"/><sheetData>' +
+        '<row r="1"><c r="A1"><v>1</v></c></row>' +
+        '<row r="2"><c r="A2"><is><t>(((first)))</t></is></c></row>' +
+        '<row r="3"><c r="A3"><is><t>(((second)))</t></is></c></row>' +
+        '<row r="4"><c r="B4"><f>SUM(A1:A3)</f></c></row>' +
+        '</sheetData><mergeCells count="1"><mergeCell ref="A4:B4"/></mergeCells></worksheet>';
+      const file = { path: 'xl/worksheets/sheet1.xml', content };
+      const directives = ['first', 'second'].map((name) => ({
+        cleanName: name,
+        deleteType: 'row',
+        position: { index: content.indexOf(`(((${name})))`) },
+      }));
+
+      const result = contentDeletion.deleteExcelRow(file, directives);
+
+      expect(result.deletedRows.map((row) => row.row)).toEqual([3, 2]);
+      expect(result.modifiedFile.content).toBe(
+        '<worksheet><dimension ref="A1:B2"/><sheetData>' +
+          '<row r="1"><c r="A1"><v>1</v></c></row>' +
+          '<row r="2"><c r="B2"><f>SUM(A1:A1)</f></c></row>' +
+          '</sheetData><mergeCells count="1"><mergeCell ref="A2:B2"/></mergeCells></worksheet>'
+      );
+    });
   });
 
   describe('processDeleteDirectives', () => {
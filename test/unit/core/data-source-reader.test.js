@@ -0,0 +1,177 @@
+/**
+ * Data Source Reader tests
+ */
+
+const AdmZip = require('adm-zip');
+const DataSourceReader = require('../../../src/core/data-source-reader');
+const zipHandler = require('../../../src/utils/node-zip');
+
+describe('DataSourceReader', () => {
+  const worksheetType =
+    'http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet';
+  let reader;
+
+  const createWorkbook = (rows, { sharedStrings = [], styles = '', workbookPr = '' } = {}) => {
+    const zip = new AdmZip();
+    zip.addFile(
+      'xl/workbook.xml',
+      Buffer.from(
+        `<workbook>${workbookPr}<sheets><sheet name="Summary" sheetId="1" r:id="rId1"/>` +
+          '<sheet name="Orders" sheetId="2" r:id="rId2"/></sheets></workbook>'
+      )
+    );
+    zip.addFile(
+      'xl/_rels/workbook.xml.rels',
+      Buffer.from(
+        `<Relationships><Relationship Id="rId1" Type="${worksheetType}" Target="worksheets/sheet1.xml"/>` +
+          `<Relationship Id="rId2" Type="${worksheetType}" Target="worksheets/sheet2.xml"/></Relationships>`
+      )
+    );
+    zip.addFile(
+      'xl/worksheets/sheet1.xml',
+      Buffer.from(
+        '<worksheet><sheetData><row r="1"><c r="A1"><v>1</v></c></row></sheetData></worksheet>'
+      )
+    );
+    zip.addFile(
+      'xl/worksheets/sheet2.xml',
+      Buffer.from(`<worksheet><sheetData>${rows.join('')}</sheetData></worksheet>`)
+    );
+    zip.addFile(
+      'xl/sharedStrings.xml',
+      Buffer.from(`<sst>${sharedStrings.map((text) => `<si><t>${text}</t></si>`).join('')}</sst>`)
+    );
+    if (styles) {
+      zip.addFile('xl/styles.xml', Buffer.from(styles));
+    }
+    return zip.toBuffer();
+  };
+
+  beforeEach(() => {
+    reader = new DataSourceReader(zipHandler);
+  });
+
+  describe('getFormat', () => {
+    test('should recognize CSV and Excel files by extension', () => {
+      expect(reader.getFormat('data/customers.csv')).toBe('csv');
+      expect(reader.getFormat('https://example.com/export.XLSX?token=1#top')).toBe('xlsx');
+      expect(reader.getFormat('https://api.example.com/data')).toBeNull();
+      expect(reader.getFormat({ name: 'Acme' })).toBeNull();
+    });
+  });
+
+  describe('CSV', () => {
+    test('should parse quoted fields, doubled quotes and line breaks', () => {
+      const rows = reader.parseCsv('name,notes\r\n"Acme, Inc.","Said ""hi""\nthen left"\r\n', ',');
+
+      expect(rows).toEqual([
+        ['name', 'notes'],
+        ['Acme, Inc.', 'Said "hi"\nthen left'],
+      ]);
+    });
+
+    test('should detect the delimiter from the header line', () => {
+      expect(reader.detectDelimiter('name;total\nAcme;1,5')).toBe(';');
+      expect(reader.detectDelimiter('name\ttotal\n')).toBe('\t');
+      expect(reader.detectDelimiter('name\n')).toBe(',');
+    });
+
+    test('should keep fields as written', () => {
+      const [, row] = reader.readCsv(
+        'id,total,paid,due,zip,name\n7,-12.50,TRUE,2024-03-05,01234,Acme\n'
+      );
+
+      expect(row).toEqual(['7', '-12.50', 'TRUE', '2024-03-05', '01234', 'Acme']);
+    });
+
+    test('should convert declared column types from the text', () => {
+      const columnTypes = { code: 'string', amount: 'number', paid: 'boolean', due: 'date' };
+      const rows = reader.readCsv('\uFEFFcode,amount,paid,due\n0042,1e3,yes,2024-03-05\n');
+
+      expect(reader.toRecords(rows, columnTypes)).toEqual([
+        { code: '0042', amount: 1000, paid: true, due: new Date(Date.UTC(2024, 2, 5)) },
+      ]);
+    });
+  });
+
+  describe('toRecords', () => {
+    test('should build nested objects from dotted headers and skip empty cells and rows', () => {
+      const records = reader.toRecords(
+        [
+          [],
+          ['customer.name', 'customer.address.city', '', 'total'],
+          ['Acme', 'Berlin', 'ignored', 10],
+          ['', '', '', ''],
+          ['Globex', '', undefined, 20],
+        ],
+        {}
+      );
+
+      expect(records).toEqual([
+        { customer: { name: 'Acme', address: { city: 'Berlin' } }, total: 10 },
+        { customer: { name: 'Globex' }, total: 20 },
+      ]);
+    });
+
+    test('should ignore headers that would reach object prototypes', () => {
+      const records = reader.toRecords(
+        [
+          ['__proto__.polluted', 'name'],
+          ['yes', 'Acme'],
+        ],
+        {}
+      );
+
+      expect(records).toEqual([{ name: 'Acme' }]);
+      expect({}.polluted).toBeUndefined();
+    });
+  });
+
+  describe('Excel', () => {
+    const styles =
+      '<styleSheet><numFmts count="1"><numFmt numFmtId="164" formatCode="dd/mm/yyyy"/></numFmts>' +
+      '<cellXfs count="3"><xf numFmtId="0"/><xf numFmtId="164"/><xf numFmtId="4"/></cellXfs></styleSheet>';
+
+    test('should read a named sheet with shared strings, numbers, booleans and date styles', async () => {
+      const bytes = createWorkbook(
+        [
+          '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c>' +
+            '<c r="C1" t="inlineStr"><is><t>paid</t></is></c><c r="D1" t="s"><v>2</v></c></row>',
+          '<row r="2"><c r="A2" t="s"><v>3</v></c><c r="B2" s="1"><v>45356</v></c>' +
+            '<c r="C2" t="b"><v>1</v></c><c r="D2" s="2"><v>1234.5</v></c></row>',
+          '<row r="4"><c r="B4" s="1"><v>45357.5</v></c><c r="D4" t="e"><v>#DIV/0!</v></c></row>',
+        ],
+        { sharedStrings: ['customer.name', 'due', 'total', 'Smith &amp; Co'], styles }
+      );
+
+      const rows = await reader.readWorkbook(bytes, { sheet: 'Orders' });
+
+      expect(reader.toRecords(rows, {})).toEqual([
+        {
+          customer: { name: 'Smith & Co' },
+          due: new Date(Date.UTC(2024, 2, 5)),
+          paid: true,
+          total: 1234.5,
+        },
+        { due: new Date(Date.UTC(2024, 2, 6, 12)) },
+      ]);
+    });
+
+    test('should use the 1904 date system and pick sheets by position', async () => {
+      const bytes = createWorkbook(
+        [
+          '<row r="1"><c r="A1" t="str"><v>due</v></c></row>',
+          '<row r="2"><c r="A2" s="1"><v>0</v></c></row>',
+        ],
+        { styles, workbookPr: '<workbookPr date1904="1"/>' }
+      );
+
+      const rows = await reader.readWorkbook(bytes, { sheet: 2 });
+
+      expect(reader.toRecords(rows, {})).toEqual([{ due: new Date(Date.UTC(1904, 0, 1)) }]);
+      await expect(reader.readWorkbook(bytes, { sheet: 'Missing' })).rejects.toThrow(
+        'Sheet not found in data source: Missing'
+      );
+    });
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Document Merger tests
+ */
+
+const DocumentMerger = require('../../../src/core/document-merger');
+
+describe('DocumentMerger', () => {
+  const RELATIONSHIPS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  const entry = (name, content) => ({ name, content, buffer: Buffer.from(content) });
+  const binary = (name, bytes) => ({ name, content: null, buffer: Buffer.from(bytes) });
+  const relationship = (id, kind, target, external) =>
+    `<Relationship Id="${id}" Type="${RELATIONSHIPS}/${kind}" Target="${target}"` +
+    `${external ? ' TargetMode="External"' : ''}/>`;
+  const sectPr = '<w:sectPr><w:headerReference w:type="default" r:id="rId1"/></w:sectPr>';
+
+  const createPackage = ({ body, header = 'Header', rels = [], parts = {}, root = '' }) => {
+    const files = {
+      '[Content_Types].xml': entry(
+        '[Content_Types].xml',
+        '<Types><Default Extension="xml" ContentType="application/xml"/>' +
+          '<Override PartName="/word/header1.xml" ContentType="header+xml"/></Types>'
+      ),
+      'word/document.xml': entry(
+        'word/document.xml',
+        `<w:document xmlns:w="urn:w" xmlns:r="urn:r"${root}><w:body>${body}${sectPr}</w:body></w:document>`
+      ),
+      'word/_rels/document.xml.rels': entry(
+        'word/_rels/document.xml.rels',
+        `<Relationships>${relationship('rId1', 'header', 'header1.xml')}${rels.join('')}</Relationships>`
+      ),
+      'word/header1.xml': entry(
+        'word/header1.xml',
+        `<w:hdr><w:p><w:r><w:t>${header}</w:t></w:r></w:p></w:hdr>`
+      ),
+    };
+    for (const [name, part] of Object.entries(parts)) {
+      files[name] = typeof part === 'string' ? entry(name, part) : part;
+    }
+    return files;
+  };
+  const paragraph = (text) => `<w:p><w:r><w:t>${text}</w:t></w:r></w:p>`;
+  const documentXml = (structure) => structure['word/document.xml'];
+
+  let merger;
+
+  beforeEach(() => {
+    merger = new DocumentMerger();
+  });
+
+  test('should join the records with page breaks under the first section', () => {
+    const state = merger.begin(createPackage({ body: paragraph('Dear Ada') }));
+    merger.append(state, createPackage({ body: paragraph('Dear Grace'), header: 'Other' }));
+
+    const structure = merger.finish(state);
+
+    expect(documentXml(structure)).toBe(
+      '<w:document xmlns:w="urn:w" xmlns:r="urn:r"><w:body>' +
+        `${paragraph('Dear Ada')}<w:p><w:r><w:br w:type="page"/></w:r></w:p>${paragraph('Dear Grace')}` +
+        `${sectPr}</w:body></w:document>`
+    );
+    expect(structure['word/header1.xml']).toContain('Header');
+    expect(structure['word/header2.xml']).toBeUndefined();
+    expect(Buffer.isBuffer(structure['word/header1.xml'])).toBe(false);
+  });
+
+  test('should give each record its section with its own headers', () => {
+    const state = merger.begin(createPackage({ body: paragraph('A') }), { separator: 'section' });
+    merger.append(state, createPackage({ body: paragraph('B'), header: 'Header' }));
+    merger.append(state, createPackage({ body: paragraph('C'), header: 'Header of C' }));
+
+    const structure = merger.finish(state);
+
+    expect(documentXml(structure)).toContain(
+      `${paragraph('A')}<w:p><w:pPr>${sectPr}</w:pPr></w:p>${paragraph('B')}` +
+        `<w:p><w:pPr>${sectPr}</w:pPr></w:p>${paragraph('C')}` +
+        '<w:sectPr><w:headerReference w:type="default" r:id="rId2"/></w:sectPr></w:body>'
+    );
+    expect(structure['word/header2.xml']).toContain('Header of C');
+    expect(structure['word/_rels/document.xml.rels']).toContain(
+      `<Relationship Id="rId2" Type="${RELATIONSHIPS}/header" Target="header2.xml"/>`
+    );
+    expect(structure['[Content_Types].xml']).toContain(
+      '<Override PartName="/word/header2.xml" ContentType="header+xml"/>'
+    );
+  });
+
+  test('should copy pictures and links and renumber drawings and bookmarks', () => {
+    const body = (image, bookmark) =>
+      `<w:bookmarkStart w:id="0" w:name="${bookmark}"/><w:bookmarkEnd w:id="0"/>` +
+      `<w:p><w:hyperlink w:anchor="${bookmark}"/><w:hyperlink r:id="rId3"/>` +
+      '<w:r><w:instrText> PAGEREF Total \\h </w:instrText></w:r>' +
+      `<w:drawing><wp:docPr id="1" name="${image}"/><a:blip r:embed="rId2"/></w:drawing></w:p>`;
+    const rels = [
+      relationship('rId2', 'image', 'media/image1.png'),
+      relationship('rId3', 'hyperlink', 'https://example.com', true),
+    ];
+    const state = merger.begin(
+      createPackage({
+        body: body('Logo', 'Total'),
+        rels,
+        parts: { 'word/media/image1.png': binary('word/media/image1.png', [1, 2]) },
+      })
+    );
+
+    merger.append(
+      state,
+      createPackage({
+        body: body('Logo', 'Total'),
+        rels,
+        parts: { 'word/media/image1.png': binary('word/media/image1.png', [1, 2]) },
+      })
+    );
+    merger.append(
+      state,
+      createPackage({
+        body: body('Photo', 'Other'),
+        rels,
+        parts: { 'word/media/image1.png': binary('word/media/image1.png', [3]) },
+      })
+    );
+    const xml = documentXml(merger.finish(state));
+
+    expect(xml.match(/<wp:docPr id="\d+"/g)).toEqual([
+      '<wp:docPr id="1"',
+      '<wp:docPr id="2"',
+      '<wp:docPr id="3"',
+    ]);
+    expect(xml.match(/<w:bookmarkStart[^>]*>/g)).toEqual([
+      '<w:bookmarkStart w:id="0" w:name="Total"/>',
+      '<w:bookmarkStart w:id="1" w:name="Total_2"/>',
+      '<w:bookmarkStart w:id="2" w:name="Other"/>',
+    ]);
+    expect(xml).toContain(
+      '<w:hyperlink w:anchor="Total_2"/><w:hyperlink r:id="rId3"/><w:r><w:instrText> PAGEREF Total_2 \\h </w:instrText>'
+    );
+    expect(xml.match(/r:embed="rId\d+"/g)).toEqual([
+      'r:embed="rId2"',
+      'r:embed="rId2"',
+      'r:embed="rId4"',
+    ]);
+    expect(state.editor.getRelationships('word/document.xml')[3]).toMatchObject({
+      id: 'rId4',
+      partPath: 'word/media/image2.png',
+    });
+    expect(state.editor.files['word/media/image2.png'].buffer).toEqual(Buffer.from([3]));
+  });
+
+  test('should renumber footnotes and comments and copy them', () => {
+    const notes = (text) => ({
+      'word/footnotes.xml':
+        '<w:footnotes><w:footnote w:type="separator" w:id="-1"/><w:footnote w:id="0"/>' +
+        `<w:footnote w:id="1"><w:p><w:r><w:t>${text}</w:t></w:r></w:p></w:footnote></w:footnotes>`,
+      'word/comments.xml': `<w:comments><w:comment w:id="0" w:author="A">${paragraph(text)}</w:comment></w:comments>`,
+    });
+    const body =
+      '<w:p><w:commentRangeStart w:id="0"/><w:r><w:footnoteReference w:id="1"/></w:r>' +
+      '<w:commentRangeEnd w:id="0"/><w:r><w:commentReference w:id="0"/></w:r></w:p>';
+    const rels = [
+      relationship('rId2', 'footnotes', 'footnotes.xml'),
+      relationship('rId3', 'comments', 'comments.xml'),
+    ];
+    const state = merger.begin(createPackage({ body, rels, parts: notes('First') }));
+
+    merger.append(state, createPackage({ body, rels, parts: notes('Second') }));
+    const structure = merger.finish(state);
+
+    expect(documentXml(structure)).toContain(
+      '<w:p><w:commentRangeStart w:id="1"/><w:r><w:footnoteReference w:id="2"/></w:r>' +
+        '<w:commentRangeEnd w:id="1"/><w:r><w:commentReference w:id="1"/></w:r></w:p>'
+    );
+    expect(structure['word/footnotes.xml']).toContain(
+      '<w:footnote w:id="2"><w:p><w:r><w:t>Second</w:t></w:r></w:p></w:footnote></w:footnotes>'
+    );
+    expect(structure['word/comments.xml']).toContain(
+      `<w:comment w:id="1" w:author="A">${paragraph('Second')}</w:comment></w:comments>`
+    );
+  });
+
+  test('should restart numbered lists and add styles and namespaces of later records', () => {
+    const numbering =
+      '<w:numbering><w:abstractNum w:abstractNumId="0"><w:lvl w:ilvl="0"><w:start w:val="1"/>' +
+      '<w:numFmt w:val="decimal"/></w:lvl></w:abstractNum>' +
+      '<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num></w:numbering>';
+    const listItem =
+      '<w:p><w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr></w:pPr></w:p>';
+    const state = merger.begin(
+      createPackage({
+        body: listItem,
+        parts: {
+          'word/numbering.xml': numbering,
+          'word/styles.xml': '<w:styles><w:style w:styleId="Normal"/></w:styles>',
+        },
+      })
+    );
+
+    merger.append(
+      state,
+      createPackage({
+        body: listItem,
+        root: ' xmlns:wp="urn:wp"',
+        parts: {
+          'word/numbering.xml': numbering,
+          'word/styles.xml':
+            '<w:styles><w:style w:styleId="Normal"/><w:style w:styleId="Hyperlink"></w:style></w:styles>',
+        },
+      })
+    );
+    const structure = merger.finish(state);
+
+    expect(documentXml(structure)).toMatch(
+      /^<w:document xmlns:w="urn:w" xmlns:r="urn:r" xmlns:wp="urn:wp">/
+    );
+    expect(documentXml(structure).match(/<w:numId w:val="\d+"\/>/g)).toEqual([
+      '<w:numId w:val="1"/>',
+      '<w:numId w:val="2"/>',
+    ]);
+    expect(structure['word/numbering.xml']).toContain(
+      '<w:num w:numId="2"><w:abstractNumId w:val="0"/><w:lvlOverride w:ilvl="0">' +
+        '<w:startOverride w:val="1"/></w:lvlOverride></w:num></w:numbering>'
+    );
+    expect(structure['word/styles.xml']).toBe(
+      '<w:styles><w:style w:styleId="Normal"/><w:style w:styleId="Hyperlink"></w:style></w:styles>'
+    );
+  });
+
+  test('should reject packages without a Word document', () => {
+    expect(() =>
+      merger.begin({ 'xl/workbook.xml': entry('xl/workbook.xml', '<workbook/>') })
+    ).toThrow('Mail merge needs a Word document');
+  });
+});
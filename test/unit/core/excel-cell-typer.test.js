@@ -0,0 +1,208 @@
+/**
+ * Excel Cell Typer tests
+ */
+
+const ExcelCellTyper = require('../../../src/core/excel-cell-typer');
+
+describe('ExcelCellTyper', () => {
+  const worksheetType =
+    'http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet';
+  let typer;
+
+  const getDataValue = (data, path) =>
+    path.split('.').reduce((value, part) => (value == null ? null : value[part]), data) ?? null;
+
+  const workbookFiles = (cells, sharedStrings) => [
+    {
+      path: 'xl/workbook.xml',
+      content: `<workbook><sheets><sheet name="Sheet1" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    },
+    {
+      path: 'xl/_rels/workbook.xml.rels',
+      content: `<Relationships><Relationship Id="rId1" Type="${worksheetType}" Target="worksheets/sheet1.xml"/></Relationships>`,
+    },
+    {
+      path: 'xl/worksheets/sheet1.xml',
+      content: `<worksheet><sheetData><row r="1">${cells}</row></sheetData></worksheet>`,
+    },
+    {
+      path: 'xl/sharedStrings.xml',
+      content: `<sst>${sharedStrings.map((text) => `<si><t>${text}</t></si>`).join('')}</sst>`,
+    },
+    {
+      path: 'xl/styles.xml',
+      content:
+        '<styleSheet><numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy\\-mm\\-dd"/></numFmts>' +
+        '<cellXfs count="3"><xf numFmtId="0" fontId="0"/><xf numFmtId="4" fontId="1" applyNumberFormat="1"/>' +
+        '<xf numFmtId="164" fontId="0"/></cellXfs></styleSheet>',
+    },
+  ];
+
+  beforeEach(() => {
+    typer = new ExcelCellTyper();
+  });
+
+  describe('apply', () => {
+    test('should write numbers and booleans from whole shared-string placeholders', () => {
+      const files = workbookFiles(
+        '<c r="A1" s="1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c>',
+        ['(((total)))', '(((paid)))', 'Total: (((total)))']
+      );
+
+      const result = typer.apply(files, { total: 1234.5, paid: false }, getDataValue);
+      const sheet = result.changedFiles.get('xl/worksheets/sheet1.xml');
+
+      expect(result.typedCells).toBe(2);
+      expect(sheet).toContain('<c r="A1" s="1"><v>1234.5</v></c>');
+      expect(sheet).toContain('<c r="B1" t="b"><v>0</v></c>');
+      expect(sheet).toContain('<c r="C1" t="s"><v>2</v></c>');
+      expect(result.changedFiles.get('xl/sharedStrings.xml')).toBe(
+        '<sst><si><t/></si><si><t/></si><si><t>Total: (((total)))</t></si></sst>'
+      );
+    });
+
+    test('should type inline string cells from expanded rows', () => {
+      const files = workbookFiles(
+        '<c r="A1" t="inlineStr"><is><t>(((items.0.qty)))</t></is></c>',
+        []
+      );
+
+      const result = typer.apply(files, { items: [{ qty: 3 }] }, getDataValue);
+
+      expect(result.changedFiles.get('xl/worksheets/sheet1.xml')).toContain(
+        '<c r="A1"><v>3</v></c>'
+      );
+    });
+
+    test('should leave text, numeric strings, missing and formatted values as strings', () => {
+      const files = workbookFiles(
+        '<c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c>' +
+          '<c r="D1" t="s"><v>3</v></c>',
+        ['(((name)))', '(((code)))', '(((missing)))', '(((total | number:2)))']
+      );
+
+      const result = typer.apply(files, { name: 'Acme', code: '007', total: 5 }, getDataValue);
+
+      expect(result.typedCells).toBe(0);
+      expect(result.changedFiles.size).toBe(0);
+    });
+
+    test('should write dates as serials with a date style derived from the cell style', () => {
+      const files = workbookFiles(
+        '<c r="A1" s="1" t="s"><v>0</v></c><c r="B1" s="1" t="s"><v>1</v></c>' +
+          '<c r="C1" s="2" t="s"><v>0</v></c><c r="D1" t="s"><v>0</v></c>',
+        ['(((due)))', '(((sent)))']
+      );
+
+      const result = typer.apply(
+        files,
+        { due: '2024-03-01', sent: new Date(Date.UTC(2024, 2, 1, 12)) },
+        getDataValue
+      );
+      const sheet = result.changedFiles.get('xl/worksheets/sheet1.xml');
+      const styles = result.changedFiles.get('xl/styles.xml');
+
+      expect(sheet).toContain('<c r="A1" s="3"><v>45352</v></c>');
+      expect(sheet).toContain('<c r="B1" s="4"><v>45352.5</v></c>');
+      // Cells already formatted as dates keep their style
+      expect(sheet).toContain('<c r="C1" s="2"><v>45352</v></c>');
+      expect(sheet).toContain('<c r="D1" s="5"><v>45352</v></c>');
+      expect(styles).toContain('<cellXfs count="6">');
+      expect(styles).toContain(
+        '<xf numFmtId="14" fontId="1" applyNumberFormat="1"/><xf numFmtId="22" fontId="1" applyNumberFormat="1"/>' +
+          '<xf applyNumberFormat="1" numFmtId="14" fontId="0"/></cellXfs>'
+      );
+    });
+  });
+
+  describe('wrapMultilineCells', () => {
+    const substitute = (files, changes) =>
+      new Map(
+        Object.entries(changes).map(([path, content]) => [
+          path,
+          { ...files.find((file) => file.path === path), content },
+        ])
+      );
+
+    test('should give cells with multi-line values a style that wraps text', () => {
+      const files = workbookFiles(
+        '<c r="A1" s="1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c>' +
+          '<c r="C1" t="s"><v>2</v></c><c r="D1" t="inlineStr"><is><t>(((note)))</t></is></c>',
+        ['(((address)))', '(((address)))', 'Plain\ntext']
+      );
+      const modifiedFiles = substitute(files, {
+        'xl/sharedStrings.xml':
+          '<sst><si><t>Main St 1\nSpringfield</t></si><si><t>Main St 1\nSpringfield</t></si>' +
+          '<si><t>Plain\ntext</t></si></sst>',
+        'xl/worksheets/sheet1.xml': files[2].content.replace('(((note)))', 'One line'),
+      });
+
+      expect(typer.wrapMultilineCells(files, modifiedFiles)).toBe(2);
+      const sheet = modifiedFiles.get('xl/worksheets/sheet1.xml').content;
+      expect(sheet).toContain('<c r="A1" s="3" t="s"><v>0</v></c>');
+      expect(sheet).toContain('<c r="B1" t="s" s="4"><v>1</v></c>');
+      // Template text and single-line values keep their style
+      expect(sheet).toContain('<c r="C1" t="s"><v>2</v></c>');
+      expect(sheet).toContain('<c r="D1" t="inlineStr">');
+      expect(modifiedFiles.get('xl/styles.xml').content).toContain(
+        '<cellXfs count="5">' +
+          '<xf numFmtId="0" fontId="0"/><xf numFmtId="4" fontId="1" applyNumberFormat="1"/>' +
+          '<xf numFmtId="164" fontId="0"/>' +
+          '<xf applyAlignment="1" numFmtId="4" fontId="1" applyNumberFormat="1"><alignment wrapText="1"/></xf>' +
+          '<xf applyAlignment="1" numFmtId="0" fontId="0"><alignment wrapText="1"/></xf></cellXfs>'
+      );
+    });
+
+    test('should reuse styles that wrap and extend existing alignment', () => {
+      const context = {
+        styles:
+          '<cellXfs count="2"><xf applyAlignment="1"><alignment horizontal="left" wrapText="0"/></xf>' +
+          '<xf><alignment wrapText="1"/></xf></cellXfs>',
+        wrapStyles: new Map(),
+      };
+
+      expect(typer.getWrapStyle(context, 1)).toBe(1);
+      expect(typer.getWrapStyle(context, 0)).toBe(2);
+      expect(typer.getWrapStyle(context, 0)).toBe(2);
+      expect(context.styles).toContain(
+        '<xf applyAlignment="1"><alignment horizontal="left" wrapText="1"/></xf></cellXfs>'
+      );
+    });
+  });
+
+  describe('toCellValue', () => {
+    test('should convert dates in both date systems', () => {
+      expect(typer.toCellValue('1900-03-01', false)).toEqual({
+        type: 'n',
+        value: '61',
+        dateFormat: 'date',
+      });
+      expect(typer.toCellValue('1904-01-02', true).value).toBe('1');
+      expect(typer.toCellValue('2024-03-01T18:00:00+06:00', false)).toEqual({
+        type: 'n',
+        value: '45352.5',
+        dateFormat: 'dateTime',
+      });
+    });
+
+    test('should not convert invalid dates or non-finite numbers', () => {
+      expect(typer.toCellValue('2024-02-30', false)).toBeNull();
+      expect(typer.toCellValue('March 1', false)).toBeNull();
+      expect(typer.toCellValue(Infinity, false)).toBeNull();
+      expect(typer.toCellValue(new Date('nope'), false)).toBeNull();
+    });
+  });
+
+  describe('isDateFormat', () => {
+    test('should recognise built-in and custom date formats', () => {
+      const styles =
+        '<numFmts><numFmt numFmtId="164" formatCode="dd/mm/yy"/>' +
+        '<numFmt numFmtId="165" formatCode="[Red]#,##0.00&quot;d&quot;"/></numFmts>';
+
+      expect(typer.isDateFormat(styles, 14)).toBe(true);
+      expect(typer.isDateFormat(styles, 4)).toBe(false);
+      expect(typer.isDateFormat(styles, 164)).toBe(true);
+      expect(typer.isDateFormat(styles, 165)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Excel Row Expander tests
+ */
+
+const ExcelRowExpander = require('../../../src/core/excel-row-expander');
+
+describe('ExcelRowExpander', () => {
+  const worksheetType =
+    'http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet';
+  let expander;
+
+  const workbookFiles = (sheetXml, sharedStrings, prefix = '') => [
+    {
+      path: `${prefix}xl/workbook.xml`,
+      content:
+        '<workbook><sheets><sheet name="Lines" sheetId="1" r:id="rId1"/></sheets>' +
+        '<definedNames><definedName name="Total">Lines!$B$4</definedName></definedNames></workbook>',
+    },
+    {
+      path: `${prefix}xl/_rels/workbook.xml.rels`,
+      content: `<Relationships><Relationship Id="rId1" Type="${worksheetType}" Target="worksheets/sheet1.xml"/></Relationships>`,
+    },
+    { path: `${prefix}xl/worksheets/sheet1.xml`, content: sheetXml },
+    {
+      path: `${prefix}xl/sharedStrings.xml`,
+      content: `<sst>${sharedStrings.map((text) => `<si><t>${text}</t></si>`).join('')}</sst>`,
+    },
+  ];
+
+  const sheet = (rows) =>
+    `<worksheet><dimension ref="A1:B4"/><sheetData>${rows}</sheetData></worksheet>`;
+
+  beforeEach(() => {
+    expander = new ExcelRowExpander();
+  });
+
+  describe('expand', () => {
+    test('should repeat a shared-string template row once per item', () => {
+      const files = workbookFiles(
+        sheet(
+          '<row r="2"><c r="A2" s="1" t="s"><v>0</v></c><c r="B2" t="s"><v>1</v></c></row>' +
+            '<row r="3"><c r="B3"><f>SUM(B2:B2)</f></c></row>' +
+            '<row r="4"><c r="B4"><f>B3</f></c></row>'
+        ),
+        ['(((#items)))(((items.name)))', '(((items.qty)))']
+      );
+
+      const result = expander.expand(files, { items: [{ name: 'a' }, { name: 'b' }] });
+      const sheetXml = result.changedFiles.get('xl/worksheets/sheet1.xml');
+
+      expect(result.repeatedRows).toBe(2);
+      expect(sheetXml).toContain(
+        '<row r="2"><c r="A2" s="1" t="inlineStr"><is><t>(((items.0.name)))</t></is></c>' +
+          '<c r="B2" t="inlineStr"><is><t>(((items.0.qty)))</t></is></c></row>' +
+          '<row r="3"><c r="A3" s="1" t="inlineStr"><is><t>(((items.1.name)))</t></is></c>'
+      );
+      expect(sheetXml).toContain('<row r="4"><c r="B4"><f>SUM(B2:B3)</f></c></row>');
+      expect(sheetXml).toContain('<row r="5"><c r="B5"><f>B4</f></c></row>');
+      expect(sheetXml).toContain('<dimension ref="A1:B5"/>');
+      expect(result.changedFiles.get('xl/workbook.xml')).toContain('Lines!$B$5');
+      expect(result.changedFiles.get('xl/sharedStrings.xml')).toBe(
+        '<sst><si><t/></si><si><t/></si></sst>'
+      );
+    });
+
+    test('should keep the marker cell and its style when the marker was its only text', () => {
+      const files = workbookFiles(
+        sheet('<row r="2"><c r="A2" s="3" t="s"><v>0</v></c><c r="B2" t="s"><v>1</v></c></row>'),
+        ['(((#items)))', '(((items.name)))']
+      );
+
+      const result = expander.expand(files, { items: [{ name: 'a' }] });
+
+      expect(result.changedFiles.get('xl/worksheets/sheet1.xml')).toContain(
+        '<row r="2"><c r="A2" s="3"/><c r="B2" t="inlineStr"><is><t>(((items.0.name)))</t></is></c></row>'
+      );
+    });
+
+    test('should repeat single-row merges with their row', () => {
+      const files = workbookFiles(
+        '<worksheet><sheetData><row r="2"><c r="A2"><is><t>(((#items)))</t></is></c></row>' +
+          '<row r="3"/></sheetData>' +
+          '<mergeCells count="2"><mergeCell ref="A2:B2"/><mergeCell ref="A3:B3"/></mergeCells></worksheet>',
+        []
+      );
+
+      const result = expander.expand(files, { items: [1, 2] });
+
+      expect(result.changedFiles.get('xl/worksheets/sheet1.xml')).toContain(
+        '<mergeCells count="3"><mergeCell ref="A2:B2"/><mergeCell ref="A3:B3"/>' +
+          '<mergeCell ref="A4:B4"/></mergeCells>'
+      );
+    });
+
+    test('should remove the template row for an empty collection', () => {
+      const files = workbookFiles(
+        sheet(
+          '<row r="2"><c r="A2" t="s"><v>0</v></c></row><row r="3"><c r="A3"><f>A4</f></c></row>'
+        ),
+        ['(((#items)))(((items.name)))']
+      );
+
+      const result = expander.expand(files, { items: [] });
+
+      expect(result.removedRows).toBe(1);
+      expect(result.changedFiles.get('xl/worksheets/sheet1.xml')).toContain(
+        '<sheetData><row r="2"><c r="A2"><f>A3</f></c></row></sheetData>'
+      );
+      expect(result.changedFiles.get('xl/workbook.xml')).toContain('Lines!$B$3');
+    });
+
+    test('should delete rows whose DeleteRowIfEmpty value is empty', () => {
+      const files = workbookFiles(
+        sheet('<row r="2"><c r="A2" t="s"><v>0</v></c></row><row r="3"><c r="A3"/></row>'),
+        ['(((DeleteRowIfEmpty=notes)))(((notes)))']
+      );
+
+      const result = expander.expand(files, { notes: '' });
+
+      expect(result.removedRows).toBe(1);
+      expect(result.changedFiles.get('xl/worksheets/sheet1.xml')).toContain(
+        '<sheetData><row r="2"><c r="A2"/></row></sheetData>'
+      );
+    });
+
+    test('should leave rows alone when deletion is disabled or the value has content', () => {
+      const files = workbookFiles(sheet('<row r="2"><c r="A2" t="s"><v>0</v></c></row>'), [
+        '(((DeleteRowIfEmpty=notes)))',
+      ]);
+
+      expect(expander.expand(files, { notes: 'x' }).changedFiles.size).toBe(0);
+      expect(
+        expander.expand(files, { notes: '' }, { deleteEmptyRows: false }).changedFiles.size
+      ).toBe(0);
+    });
+
+    test('should expand rows of embedded workbooks', () => {
+      const prefix = 'ppt/embeddings/Book1.xlsx/';
+      const files = workbookFiles(
+        sheet('<row r="2"><c r="A2" t="s"><v>0</v></c></row>'),
+        ['(((#items)))(((items.name)))'],
+        prefix
+      );
+
+      const result = expander.expand(files, { items: [{ name: 'a' }, { name: 'b' }] });
+
+      expect(result.changedFiles.get(`${prefix}xl/worksheets/sheet1.xml`)).toContain(
+        '<row r="3"><c r="A3" t="inlineStr"><is><t>(((items.1.name)))</t></is></c></row>'
+      );
+    });
+  });
+
+  describe('helpers', () => {
+    test('should read cell text from shared and inline strings', () => {
+      expect(
+        expander.getCellText('<c t="s"><v>1</v></c>', ['a', '<r><t>b</t></r><r><t>c</t></r>'])
+      ).toBe('bc');
+      expect(expander.getCellText('<c t="inlineStr"><is><t>x</t></is></c>', [])).toBe('x');
+      expect(expander.getCellText('<c><v>5</v></c>', [])).toBe('');
+    });
+
+    test('should find workbooks and sheets in workbook order', () => {
+      const files = workbookFiles(sheet(''), []);
+      const contents = new Map(files.map((file) => [file.path, file.content]));
+
+      expect(expander.findWorkbooks(contents)).toEqual([
+        {
+          workbookPath: 'xl/workbook.xml',
+          sharedStringsPath: 'xl/sharedStrings.xml',
+          calcChainPath: 'xl/calcChain.xml',
+          sheets: [{ name: 'Lines', sheetId: '1', path: 'xl/worksheets/sheet1.xml' }],
+        },
+      ]);
+    });
+  });
+});
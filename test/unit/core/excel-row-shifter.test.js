@@ -0,0 +1,123 @@
+/**
+ * Excel Row Shifter tests
+ */
+
+const ExcelRowShifter = require('../../../src/core/excel-row-shifter');
+
+describe('ExcelRowShifter', () => {
+  let shifter;
+  let insert;
+  let remove;
+
+  beforeEach(() => {
+    shifter = new ExcelRowShifter();
+    // Two rows inserted after row 5, row 6 deleted
+    insert = shifter.insertRowsAfter(5, 2);
+    remove = shifter.deleteRows(6, 1);
+  });
+
+  describe('shiftReference', () => {
+    test('should move cells below an insert and grow ranges ending on the anchor row', () => {
+      expect(shifter.shiftReference('A5', insert)).toBe('A5');
+      expect(shifter.shiftReference('A6', insert)).toBe('A8');
+      expect(shifter.shiftReference('$B$9', insert)).toBe('$B$11');
+      expect(shifter.shiftReference('B2:B5', insert)).toBe('B2:B7');
+      expect(shifter.shiftReference('5:6', insert)).toBe('5:8');
+    });
+
+    test('should shrink ranges and drop references to deleted rows', () => {
+      expect(shifter.shiftReference('A6', remove)).toBeNull();
+      expect(shifter.shiftReference('A7', remove)).toBe('A6');
+      expect(shifter.shiftReference('A2:C8', remove)).toBe('A2:C7');
+      expect(shifter.shiftReference('A6:C6', remove)).toBeNull();
+    });
+
+    test('should shift space-separated reference lists', () => {
+      expect(shifter.shiftSqref('A1:A6 C6 D9', remove)).toBe('A1:A5 D8');
+      expect(shifter.shiftSqref('C6', remove)).toBeNull();
+    });
+  });
+
+  describe('formulas', () => {
+    test('should shift local and qualified references but not text or other sheets', () => {
+      expect(
+        shifter.shiftFormula('SUM(B5:B5)+Data!A6+Other!A6+"A6"+LOG10(2)', insert, 'Data', true)
+      ).toBe('SUM(B5:B7)+Data!A8+Other!A6+"A6"+LOG10(2)');
+      expect(shifter.shiftFormula("'My Data'!C9*C9", insert, 'My Data', false)).toBe(
+        "'My Data'!C11*C9"
+      );
+    });
+
+    test('should turn references to deleted rows into #REF!', () => {
+      expect(shifter.shiftFormula('A6+Data!B6', remove, 'Data', true)).toBe('#REF!+Data!#REF!');
+    });
+
+    test('should offset relative rows of copied formulas', () => {
+      expect(shifter.offsetFormula('B5*C$5+$D$5+SUM(E5:E6)', 3)).toBe('B8*C$5+$D$5+SUM(E8:E9)');
+      expect(shifter.offsetFormula('B5', 0)).toBe('B5');
+    });
+  });
+
+  describe('shiftSheet', () => {
+    const sheet =
+      '<worksheet><dimension ref="A1:C7"/><sheetData>' +
+      '<row r="5"><c r="A5"><f>B5*2</f></c></row>' +
+      '<row r="6"><c r="A6"><v>1</v></c></row>' +
+      '<row r="7" spans="1:3"><c r="A7"><f>SUM(A5:A6)</f></c></row>' +
+      '</sheetData>' +
+      '<mergeCells count="2"><mergeCell ref="A6:B6"/><mergeCell ref="A7:C7"/></mergeCells>' +
+      '<conditionalFormatting sqref="A5:A7"><cfRule><formula>A7&gt;1</formula></cfRule></conditionalFormatting>' +
+      '<dataValidations count="1"><dataValidation sqref="C6"/></dataValidations>' +
+      '<hyperlinks><hyperlink ref="A7" r:id="rId1"/></hyperlinks>' +
+      '</worksheet>';
+
+    test('should renumber rows, cells and every range after an insert', () => {
+      const shifted = shifter.shiftSheet(sheet, insert, 'Data');
+
+      expect(shifted).toContain('<dimension ref="A1:C9"/>');
+      expect(shifted).toContain('<row r="5"><c r="A5"><f>B5*2</f></c></row>');
+      expect(shifted).toContain('<row r="9" spans="1:3"><c r="A9"><f>SUM(A5:A8)</f></c></row>');
+      expect(shifted).toContain('<mergeCell ref="A8:B8"/><mergeCell ref="A9:C9"/>');
+      expect(shifted).toContain('sqref="A5:A9"><cfRule><formula>A9&gt;1</formula>');
+      expect(shifted).toContain('<dataValidation sqref="C8"/>');
+      expect(shifted).toContain('<hyperlink ref="A9" r:id="rId1"/>');
+    });
+
+    test('should remove deleted rows and the ranges only they covered', () => {
+      const shifted = shifter.shiftSheet(sheet, remove, 'Data');
+
+      expect(shifted).not.toContain('<row r="7"');
+      expect(shifted).toContain('<row r="6" spans="1:3"><c r="A6"><f>SUM(A5:A5)</f></c></row>');
+      expect(shifted).toContain('<mergeCells count="1"><mergeCell ref="A6:C6"/></mergeCells>');
+      expect(shifted).not.toContain('dataValidation');
+      expect(shifted).toContain('<hyperlink ref="A6" r:id="rId1"/>');
+    });
+  });
+
+  describe('workbook parts', () => {
+    test('should shift defined names qualified with the sheet', () => {
+      const workbook =
+        '<definedNames><definedName name="Lines">Data!$A$5:$C$5</definedName>' +
+        '<definedName name="Other">Summary!$A$9</definedName></definedNames>';
+
+      expect(shifter.shiftDefinedNames(workbook, insert, 'Data')).toBe(
+        '<definedNames><definedName name="Lines">Data!$A$5:$C$7</definedName>' +
+          '<definedName name="Other">Summary!$A$9</definedName></definedNames>'
+      );
+    });
+
+    test('should shift formulas of other sheets that point at the sheet', () => {
+      expect(shifter.shiftExternalFormulas('<c><f>Data!B9+B9</f></c>', insert, 'Data')).toBe(
+        '<c><f>Data!B11+B9</f></c>'
+      );
+    });
+
+    test('should shift calculation chain entries and keep inherited sheet ids', () => {
+      const calcChain = '<calcChain><c r="A6" i="1"/><c r="A7"/><c r="A7" i="2"/></calcChain>';
+
+      expect(shifter.shiftCalcChain(calcChain, remove, '1')).toBe(
+        '<calcChain><c i="1" r="A6"/><c r="A7" i="2"/></calcChain>'
+      );
+    });
+  });
+});
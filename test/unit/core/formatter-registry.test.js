@@ -0,0 +1,146 @@
+/**
+ * Formatter Registry tests
+ */
+
+const FormatterRegistry = require('../../../src/core/formatter-registry');
+
+describe('FormatterRegistry', () => {
+  let registry;
+
+  const format = (value, name, ...args) => registry.apply(value, [{ name, args }]);
+
+  beforeEach(() => {
+    registry = new FormatterRegistry();
+  });
+
+  describe('register', () => {
+    test('should register custom formatters and chain', () => {
+      const result = registry.register('double', (value) => value * 2);
+
+      expect(result).toBe(registry);
+      expect(registry.has('double')).toBe(true);
+      expect(format(21, 'double')).toBe(42);
+    });
+
+    test('should reject invalid names and non-function formatters', () => {
+      expect(() => registry.register('bad name', () => '')).toThrow('Invalid formatter name');
+      expect(() => registry.register('fine', 'nope')).toThrow('must be a function');
+    });
+
+    test('should list the built-in formatters', () => {
+      expect(registry.list()).toEqual(
+        expect.arrayContaining([
+          'number',
+          'currency',
+          'percent',
+          'date',
+          'upper',
+          'lower',
+          'title',
+          'truncate',
+          'default',
+          'join',
+        ])
+      );
+    });
+  });
+
+  describe('apply', () => {
+    test('should apply formatters left to right', () => {
+      const pipes = [
+        { name: 'default', args: ['n/a'] },
+        { name: 'upper', args: [] },
+      ];
+
+      expect(registry.apply(null, pipes)).toBe('N/A');
+      expect(registry.apply('ok', pipes)).toBe('OK');
+    });
+
+    test('should throw on unknown formatters', () => {
+      expect(() => format('x', 'missing')).toThrow('Unknown formatter: missing');
+    });
+
+    test('should pass the locale and time zone to formatters', () => {
+      const formatter = jest.fn(() => 'x');
+      registry.register('probe', formatter);
+
+      registry.apply('v', [{ name: 'probe', args: ['a'] }], { locale: 'de-DE' });
+
+      expect(formatter).toHaveBeenCalledWith('v', ['a'], { locale: 'de-DE', timeZone: 'UTC' });
+    });
+  });
+
+  describe('built-in formatters', () => {
+    test('should format numbers, currencies and percentages', () => {
+      expect(format(1234.5, 'number')).toBe('1,234.5');
+      expect(format('1234.5', 'number', '2')).toBe('1,234.50');
+      expect(format(1234.5, 'currency', 'eur')).toBe('€1,234.50');
+      expect(format(1234.5, 'currency')).toBe('$1,234.50');
+      expect(format(0.256, 'percent', '1')).toBe('25.6%');
+      expect(format('abc', 'number')).toBe('abc');
+    });
+
+    test('should use the locale for numbers', () => {
+      expect(
+        registry.apply(1234.5, [{ name: 'currency', args: ['EUR'] }], { locale: 'de-DE' })
+      ).toBe('1.234,50\u00a0€');
+    });
+
+    test('should format dates with patterns', () => {
+      const due = '2024-03-05T14:07:09Z';
+
+      expect(format(due, 'date', 'd MMM yyyy')).toBe('5 Mar 2024');
+      expect(format(due, 'date', 'yyyy-MM-dd HH:mm:ss')).toBe('2024-03-05 14:07:09');
+      expect(format(due, 'date', "EEEE, MMMM d 'at' h:mm a")).toBe('Tuesday, March 5 at 2:07 PM');
+      expect(format(new Date(Date.UTC(2024, 0, 9)), 'date', 'dd/MM/yy')).toBe('09/01/24');
+      expect(format(due, 'date')).toBe('Mar 5, 2024');
+      expect(format('not a date', 'date', 'yyyy')).toBe('not a date');
+    });
+
+    test('should format dates in the time zone', () => {
+      expect(
+        registry.apply('2024-03-05T23:30:00Z', [{ name: 'date', args: ['yyyy-MM-dd HH:mm'] }], {
+          timeZone: 'Asia/Tokyo',
+        })
+      ).toBe('2024-03-06 08:30');
+    });
+
+    test('should change text case', () => {
+      expect(format('acme corp', 'upper')).toBe('ACME CORP');
+      expect(format('ACME', 'lower')).toBe('acme');
+      expect(format('jean-luc o’neil SMITH', 'title')).toBe('Jean-Luc O’neil Smith');
+    });
+
+    test('should truncate long text', () => {
+      expect(format('Hello world', 'truncate', '8')).toBe('Hello w…');
+      expect(format('Hello world', 'truncate', '8', '...')).toBe('Hello...');
+      expect(format('Short', 'truncate', '8')).toBe('Short');
+    });
+
+    test('should fall back for empty values with default', () => {
+      expect(format('', 'default', 'TBD')).toBe('TBD');
+      expect(format(undefined, 'default', 'TBD')).toBe('TBD');
+      expect(format(0, 'default', 'TBD')).toBe(0);
+    });
+
+    test('should join arrays', () => {
+      expect(format(['a', 'b', 'c'], 'join')).toBe('a, b, c');
+      expect(format(['a', 'b'], 'join', ' / ')).toBe('a / b');
+      expect(format('a', 'join')).toBe('a');
+    });
+
+    test('should mark Markdown as rich text', () => {
+      const { isRichText } = require('../../../src/utils/rich-text');
+      const value = format('**Due** today', 'markdown');
+
+      expect(isRichText(value)).toBe(true);
+      expect(value.paragraphs[0].runs).toEqual([{ text: 'Due', bold: true }, { text: ' today' }]);
+      expect(format(null, 'markdown')).toBeNull();
+    });
+
+    test('should pass missing values through other formatters', () => {
+      expect(format(null, 'upper')).toBeNull();
+      expect(format(undefined, 'currency', 'EUR')).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * HTML Converter tests
+ */
+
+const HtmlConverter = require('../../../src/core/html-converter');
+
+describe('HtmlConverter', () => {
+  let converter;
+  let context;
+
+  const text = (value, properties = '') =>
+    `<w:r>${properties}<w:t xml:space="preserve">${value}</w:t></w:r>`;
+
+  beforeEach(() => {
+    converter = new HtmlConverter();
+    let drawingId = 0;
+    context = {
+      paragraphProperties: '<w:pPr><w:jc w:val="both"/></w:pPr>',
+      runProperties: '',
+      headingStyles: { 1: 'Heading1' },
+      numbering: { bullet: '1', numberAbstract: '0', nextNumId: 4, added: [] },
+      links: [],
+      addImage: (src) => (src.startsWith('data:') ? { id: 'rId7', width: 200, height: 100 } : null),
+      nextDrawingId: () => ++drawingId,
+    };
+  });
+
+  describe('convert', () => {
+    test('should write paragraphs with the template properties and formatted runs', () => {
+      expect(
+        converter.convert('<p>Hello <strong>big</strong>\n  <em>world</em> </p>', context)
+      ).toBe(
+        '<w:p><w:pPr><w:jc w:val="both"/></w:pPr>' +
+          text('Hello ') +
+          text('big', '<w:rPr><w:b/></w:rPr>') +
+          text(' ') +
+          text('world', '<w:rPr><w:i/></w:rPr>') +
+          '</w:p>'
+      );
+    });
+
+    test('should map headings to heading styles and make unstyled headings bold', () => {
+      expect(converter.convert('<h1>Title</h1><h3>Part</h3>', context)).toBe(
+        '<w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr>' +
+          text('Title') +
+          '</w:p>' +
+          '<w:p><w:pPr><w:jc w:val="both"/></w:pPr>' +
+          text('Part', '<w:rPr><w:b/></w:rPr>') +
+          '</w:p>'
+      );
+    });
+
+    test('should number nested lists with the document numbering', () => {
+      const result = converter.convert(
+        '<ul><li>A<ul><li>A1</li></ul></li></ul><ol><li>One</li><li>Two</li></ol>',
+        context
+      );
+      const numbers = [...result.matchAll(/<w:ilvl w:val="(\d)"\/><w:numId w:val="(\d+)"\/>/g)];
+
+      expect(numbers.map((match) => [match[1], match[2]])).toEqual([
+        ['0', '1'],
+        ['1', '1'],
+        ['0', '4'],
+        ['0', '4'],
+      ]);
+      expect(context.numbering.added).toHaveLength(1);
+    });
+
+    test('should write list markers without numbering definitions', () => {
+      context.numbering = null;
+
+      expect(converter.convert('<ol><li>One</li></ol>', context)).toBe(
+        '<w:p><w:pPr><w:jc w:val="both"/></w:pPr>' +
+          '<w:r><w:t xml:space="preserve">1.</w:t><w:tab/></w:r>' +
+          text('One') +
+          '</w:p>'
+      );
+    });
+
+    test('should give links a pending relationship id and keep line breaks', () => {
+      const result = converter.convert(
+        '<p><a href="https://example.com">Site</a><br>next <a href="#top">top</a></p>',
+        context
+      );
+
+      expect(result).toContain(
+        '<w:hyperlink r:id="richTextLink:0" w:history="1"><w:r><w:rPr><w:rStyle w:val="Hyperlink"/>' +
+          '</w:rPr><w:t xml:space="preserve">Site</w:t></w:r></w:hyperlink><w:r><w:br/></w:r>'
+      );
+      expect(result).toContain(text('next ') + text('top'));
+      expect(context.links).toEqual(['https://example.com']);
+    });
+
+    test('should indent quotes, keep preformatted text and draw rules', () => {
+      const result = converter.convert(
+        '<blockquote>Quote</blockquote><pre>\nif (a)\n  b();\n</pre><hr>',
+        context
+      );
+
+      expect(result).toContain('<w:pPr><w:ind w:left="720"/><w:jc w:val="both"/></w:pPr>');
+      expect(result).toContain(
+        '<w:t xml:space="preserve">if (a)</w:t><w:br/><w:t xml:space="preserve">  b();</w:t>'
+      );
+      expect(result).toContain(
+        '<w:p><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="auto"/>' +
+          '</w:pBdr><w:jc w:val="both"/></w:pPr></w:p>'
+      );
+    });
+
+    test('should read colors and font styles from inline styles', () => {
+      expect(
+        converter.convert(
+          '<span style="color: rgb(192, 0, 0); font-weight: 700">A</span><font color="#0a0">B</font>',
+          context
+        )
+      ).toContain(
+        text('A', '<w:rPr><w:b/><w:color w:val="C00000"/></w:rPr>') +
+          text('B', '<w:rPr><w:color w:val="00AA00"/></w:rPr>')
+      );
+    });
+
+    test('should write tables with header rows, spans and bold header cells', () => {
+      const result = converter.convert(
+        '<table><thead><tr><th>Name</th><th>Qty</th></tr></thead>' +
+          '<tbody><tr><td colspan="2"></td></tr></tbody></table>',
+        context
+      );
+
+      expect(result).toMatch(/^<w:tbl><w:tblPr>.*<\/w:tblPr><w:tblGrid><w:gridCol\/><w:gridCol\/>/);
+      expect(result).toContain(
+        '<w:tr><w:trPr><w:tblHeader/></w:trPr><w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/></w:tcPr>' +
+          `<w:p>${text('Name', '<w:rPr><w:b/></w:rPr>')}</w:p></w:tc>`
+      );
+      expect(result).toContain(
+        '<w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/><w:gridSpan w:val="2"/></w:tcPr><w:p/></w:tc>'
+      );
+    });
+
+    test('should draw embedded images within the page width and fall back to alt text', () => {
+      const result = converter.convert(
+        '<p><img src="data:image/png;base64,AA" width="1000" alt="Chart"> ' +
+          '<img src="https://example.com/a.png" alt="Remote"></p>',
+        context
+      );
+
+      expect(result).toContain('<wp:extent cx="5486400" cy="2743200"/>');
+      expect(result).toContain('<wp:docPr id="1" name="Picture 1" descr="Chart"/>');
+      expect(result).toContain('<a:blip r:embed="rId7"/>');
+      expect(result).toContain(text(' ') + text('Remote'));
+    });
+
+    test('should skip scripts and empty paragraphs', () => {
+      expect(
+        converter.convert('<p> </p><script>alert(1)</script><div><p>A</p></div>', context)
+      ).toBe(`<w:p><w:pPr><w:jc w:val="both"/></w:pPr>${text('A')}</w:p>`);
+    });
+  });
+
+  describe('parseColor', () => {
+    test('should read hex and rgb colors', () => {
+      expect(converter.parseColor('#abc')).toBe('AABBCC');
+      expect(converter.parseColor('rgba(255, 128, 0, 0.5)')).toBe('FF8000');
+      expect(converter.parseColor('red')).toBeNull();
+    });
+  });
+});
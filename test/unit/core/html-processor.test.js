@@ -0,0 +1,182 @@
+/**
+ * HTML Processor tests
+ */
+
+const HtmlProcessor = require('../../../src/core/html-processor');
+
+describe('HtmlProcessor', () => {
+  const entry = (name, content) => ({ name, content, buffer: null });
+  const paragraph = (text) =>
+    '<w:p><w:pPr><w:pStyle w:val="Body"/></w:pPr>' +
+    `<w:r><w:rPr><w:sz w:val="20"/></w:rPr><w:t>${text}</w:t></w:r></w:p>`;
+
+  let processor;
+  let files;
+  let modifiedFiles;
+
+  const setPart = (path, content) => {
+    files[path] = entry(path, content);
+    modifiedFiles.set(path, { path, content });
+  };
+  const documentXml = () => modifiedFiles.get('word/document.xml').content;
+
+  beforeEach(() => {
+    processor = new HtmlProcessor();
+    files = {
+      '[Content_Types].xml': entry(
+        '[Content_Types].xml',
+        '<Types><Default Extension="xml" ContentType="application/xml"/></Types>'
+      ),
+      'word/_rels/document.xml.rels': entry('word/_rels/document.xml.rels', '<Relationships/>'),
+      'word/styles.xml': entry(
+        'word/styles.xml',
+        '<w:styles><w:style w:type="paragraph" w:styleId="berschrift2">' +
+          '<w:name w:val="heading 2"/></w:style></w:styles>'
+      ),
+      'word/numbering.xml': entry(
+        'word/numbering.xml',
+        '<w:numbering><w:abstractNum w:abstractNumId="0"><w:lvl w:ilvl="0"><w:numFmt w:val="decimal"/>' +
+          '</w:lvl></w:abstractNum><w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num></w:numbering>'
+      ),
+    };
+    modifiedFiles = new Map();
+  });
+
+  describe('insertHtml', () => {
+    test('should replace the paragraph with converted content in its style', () => {
+      setPart(
+        'word/document.xml',
+        `<w:document><w:body>${paragraph('(((html:article)))')}${paragraph('End')}</w:body></w:document>`
+      );
+
+      const result = processor.insertHtml(files, modifiedFiles, {
+        article:
+          '<h2>News</h2><p>Read <a href="https://example.com">more</a></p><ol><li>One</li></ol>',
+      });
+
+      expect(result).toEqual({ insertedHtml: 1, failedHtml: 0, createdLinks: 1, failedLinks: 0 });
+      expect(documentXml()).toContain(
+        '<w:body><w:p><w:pPr><w:pStyle w:val="berschrift2"/></w:pPr>' +
+          '<w:r><w:t xml:space="preserve">News</w:t></w:r></w:p>' +
+          '<w:p><w:pPr><w:pStyle w:val="Body"/></w:pPr>' +
+          '<w:r><w:rPr><w:sz w:val="20"/></w:rPr><w:t xml:space="preserve">Read </w:t></w:r>' +
+          '<w:hyperlink r:id="rId1" w:history="1">'
+      );
+      expect(documentXml()).toContain('<w:numId w:val="2"/>');
+      expect(documentXml()).toMatch(/^<w:document xmlns:r="[^"]+">/);
+      expect(files['word/_rels/document.xml.rels'].content).toContain(
+        'Target="https://example.com" TargetMode="External"'
+      );
+      expect(files['word/numbering.xml'].content).toContain(
+        '<w:num w:numId="2"><w:abstractNumId w:val="0"/>'
+      );
+      expect(files['word/styles.xml'].content).toContain('w:styleId="Hyperlink"');
+    });
+
+    test('should add embedded images as media parts', () => {
+      const png = Buffer.alloc(33);
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(png, 0);
+      png.write('IHDR', 12, 'ascii');
+      png.writeUInt32BE(120, 16);
+      png.writeUInt32BE(60, 20);
+      setPart(
+        'word/document.xml',
+        `<w:document><w:body>${paragraph('(((html:body)))')}</w:body></w:document>`
+      );
+
+      processor.insertHtml(files, modifiedFiles, {
+        body: `<img src="data:image/png;base64,${png.toString('base64')}" alt="Logo">`,
+      });
+
+      expect(files['word/media/image1.png'].buffer.equals(png)).toBe(true);
+      expect(documentXml()).toContain('<wp:extent cx="1143000" cy="571500"/>');
+      expect(documentXml()).toContain('<a:blip r:embed="rId1"/>');
+      expect(documentXml()).toMatch(
+        /^<w:document xmlns:wp="[^"]+" xmlns:a="[^"]+" xmlns:pic="[^"]+" xmlns:r="[^"]+">/
+      );
+      expect(files['[Content_Types].xml'].content).toContain(
+        '<Default Extension="png" ContentType="image/png"/>'
+      );
+    });
+
+    test('should keep section properties and end table cells with a paragraph', () => {
+      const sectioned =
+        '<w:p><w:pPr><w:sectPr><w:pgSz w:w="11906"/></w:sectPr></w:pPr>' +
+        '<w:r><w:t>(((html:a)))</w:t></w:r></w:p>';
+      setPart(
+        'word/document.xml',
+        `<w:body><w:tbl><w:tr><w:tc>${paragraph('(((html:b)))')}</w:tc></w:tr></w:tbl>${sectioned}</w:body>`
+      );
+
+      processor.insertHtml(files, modifiedFiles, {
+        a: '<p>A</p>',
+        b: '<table><tr><td>B</td></tr></table>',
+      });
+
+      expect(documentXml()).toContain('</w:tbl><w:p/></w:tc>');
+      expect(documentXml()).toContain(
+        '<w:r><w:t xml:space="preserve">A</w:t></w:r></w:p>' +
+          '<w:p><w:pPr><w:sectPr><w:pgSz w:w="11906"/></w:sectPr></w:pPr></w:p></w:body>'
+      );
+    });
+
+    test('should embed the HTML as an altChunk part', () => {
+      setPart(
+        'word/document.xml',
+        `<w:document xmlns:r="urn:r"><w:body>${paragraph('(((html:body)))')}</w:body></w:document>`
+      );
+
+      processor.insertHtml(files, modifiedFiles, { body: '<p>Hi</p>' }, { mode: 'altChunk' });
+
+      expect(documentXml()).toBe(
+        '<w:document xmlns:r="urn:r"><w:body><w:altChunk r:id="rId1"/><w:p/></w:body></w:document>'
+      );
+      expect(files['word/htmlChunk1.html'].buffer.toString()).toBe(
+        '<!DOCTYPE html><html><head><meta charset="utf-8"></head><body><p>Hi</p></body></html>'
+      );
+      expect(files['word/_rels/document.xml.rels'].content).toContain(
+        'relationships/aFChunk" Target="htmlChunk1.html"'
+      );
+      expect(files['[Content_Types].xml'].content).toContain(
+        '<Default Extension="html" ContentType="text/html"/>'
+      );
+    });
+
+    test('should insert the text of the HTML outside Word paragraphs', () => {
+      setPart('ppt/slides/slide1.xml', '<a:p><a:r><a:t>(((html:body)))</a:t></a:r></a:p>');
+
+      processor.insertHtml(files, modifiedFiles, { body: '<p>A &amp; B</p><p>C</p>' });
+
+      expect(modifiedFiles.get('ppt/slides/slide1.xml').content).toBe(
+        '<a:p><a:r><a:t>A &amp; B\nC</a:t></a:r></a:p>'
+      );
+    });
+
+    test('should keep placeholders with missing data and drop unsafe links', () => {
+      setPart(
+        'word/document.xml',
+        `<w:body>${paragraph('(((html:missing)))')}${paragraph('(((html:body)))')}</w:body>`
+      );
+
+      const result = processor.insertHtml(
+        files,
+        modifiedFiles,
+        { body: '<a href="javascript:alert(1)">Click</a>' },
+        { logMissingData: false }
+      );
+
+      expect(result).toEqual({ insertedHtml: 1, failedHtml: 1, createdLinks: 0, failedLinks: 1 });
+      expect(documentXml()).toContain('(((html:missing)))');
+      expect(documentXml()).toContain('<w:t xml:space="preserve">Click</w:t>');
+      expect(documentXml()).not.toContain('w:hyperlink');
+    });
+
+    test('should throw for missing data in strict mode', () => {
+      setPart('word/document.xml', `<w:body>${paragraph('(((html:missing)))')}</w:body>`);
+
+      expect(() =>
+        processor.insertHtml(files, modifiedFiles, {}, { strictMode: true, logMissingData: false })
+      ).toThrow('Missing data for HTML placeholder: missing');
+    });
+  });
+});
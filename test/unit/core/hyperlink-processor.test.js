@@ -0,0 +1,250 @@
+/**
+ * Hyperlink Processor tests
+ */
+
+const HyperlinkProcessor = require('../../../src/core/hyperlink-processor');
+
+describe('HyperlinkProcessor', () => {
+  const hyperlinkType =
+    'http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink';
+  const entry = (name, content) => ({ name, content, buffer: null });
+
+  let processor;
+  let files;
+  let modifiedFiles;
+
+  const setPart = (path, content) => {
+    files[path] = entry(path, content);
+    modifiedFiles.set(path, { path, content });
+  };
+  const partXml = (path) => modifiedFiles.get(path).content;
+  const data = {
+    links: { portal: 'https://portal.example.com/?a=1&b=2', bad: 'javascript:alert(1)' },
+    labels: { portal: 'Customer portal' },
+  };
+
+  beforeEach(() => {
+    processor = new HyperlinkProcessor();
+    files = {
+      'word/_rels/document.xml.rels': entry(
+        'word/_rels/document.xml.rels',
+        '<Relationships><Relationship Id="rId1" Type="styles" Target="styles.xml"/></Relationships>'
+      ),
+      'word/styles.xml': entry(
+        'word/styles.xml',
+        '<w:styles><w:style w:styleId="Normal"/></w:styles>'
+      ),
+    };
+    modifiedFiles = new Map();
+  });
+
+  describe('parseLink', () => {
+    test('should parse the URL and text as paths or quoted literals', () => {
+      expect(processor.parseLink('links.portal|labels.portal')).toEqual({
+        url: { path: 'links.portal' },
+        text: { path: 'labels.portal' },
+      });
+      expect(processor.parseLink('"https://a.test/?x=1|2" | “Our site”')).toEqual({
+        url: { value: 'https://a.test/?x=1|2' },
+        text: { value: 'Our site' },
+      });
+      expect(processor.parseLink('links.portal')).toEqual({
+        url: { path: 'links.portal' },
+        text: null,
+      });
+    });
+
+    test('should unescape XML entities and list data paths', () => {
+      const link = processor.parseLink('links.portal|&quot;Portal &amp; help&quot;');
+
+      expect(link.text).toEqual({ value: 'Portal & help' });
+      expect(processor.getLinkPaths(link)).toEqual(['links.portal']);
+    });
+  });
+
+  describe('createLinks in Word documents', () => {
+    test('should split the run and add a hyperlink with a new relationship', () => {
+      setPart(
+        'word/document.xml',
+        '<w:p><w:r><w:rPr><w:b/></w:rPr><w:t>Visit (((link:links.portal|labels.portal))) today</w:t></w:r></w:p>'
+      );
+
+      const result = processor.createLinks(files, modifiedFiles, data);
+
+      expect(result).toEqual({ createdLinks: 1, failedLinks: 0 });
+      expect(partXml('word/document.xml')).toBe(
+        '<w:p><w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">Visit </w:t></w:r>' +
+          '<w:hyperlink r:id="rId2" w:history="1"><w:r><w:rPr><w:rStyle w:val="Hyperlink"/><w:b/></w:rPr>' +
+          '<w:t xml:space="preserve">Customer portal</w:t></w:r></w:hyperlink>' +
+          '<w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve"> today</w:t></w:r></w:p>'
+      );
+      expect(files['word/_rels/document.xml.rels'].content).toContain(
+        `<Relationship Id="rId2" Type="${hyperlinkType}" ` +
+          'Target="https://portal.example.com/?a=1&amp;b=2" TargetMode="External"/>'
+      );
+    });
+
+    test('should use the URL as text and drop empty run pieces', () => {
+      setPart(
+        'word/document.xml',
+        '<w:p><w:r><w:t>(((link:"mailto:ann@example.com")))</w:t></w:r></w:p>'
+      );
+
+      processor.createLinks(files, modifiedFiles, data);
+
+      expect(partXml('word/document.xml')).toBe(
+        '<w:p><w:hyperlink r:id="rId2" w:history="1"><w:r><w:rPr><w:rStyle w:val="Hyperlink"/></w:rPr>' +
+          '<w:t xml:space="preserve">mailto:ann@example.com</w:t></w:r></w:hyperlink></w:p>'
+      );
+    });
+
+    test('should link several placeholders in one run', () => {
+      setPart(
+        'word/document.xml',
+        '<w:p><w:r><w:t>(((link:links.portal|"A"))) and (((link:links.portal|"B")))</w:t></w:r></w:p>'
+      );
+
+      const result = processor.createLinks(files, modifiedFiles, data);
+
+      expect(result.createdLinks).toBe(2);
+      const texts = [...partXml('word/document.xml').matchAll(/<w:t[^>]*>([^<]*)<\/w:t>/g)];
+      expect(texts.map((match) => match[1])).toEqual(['A', ' and ', 'B']);
+      expect(partXml('word/document.xml')).toContain('r:id="rId3"');
+    });
+
+    test('should add the Hyperlink style when styles.xml lacks it', () => {
+      setPart('word/document.xml', '<w:p><w:r><w:t>(((link:links.portal)))</w:t></w:r></w:p>');
+
+      processor.createLinks(files, modifiedFiles, data);
+      processor.createLinks(files, modifiedFiles, data);
+
+      expect(files['word/styles.xml'].content.match(/w:styleId="Hyperlink"/g)).toHaveLength(1);
+    });
+
+    test('should keep the text without a link for unsafe or missing URLs', () => {
+      setPart(
+        'word/document.xml',
+        '<w:p><w:r><w:t>(((link:links.bad|"Click"))) (((link:links.none)))</w:t></w:r></w:p>'
+      );
+
+      const result = processor.createLinks(files, modifiedFiles, data, { logMissingData: false });
+
+      expect(result).toEqual({ createdLinks: 0, failedLinks: 2 });
+      expect(partXml('word/document.xml')).toBe(
+        '<w:p><w:r><w:t>Click (((link:links.none)))</w:t></w:r></w:p>'
+      );
+      expect(files['word/_rels/document.xml.rels'].content).not.toContain('javascript');
+    });
+
+    test('should honor a custom scheme allow-list', () => {
+      setPart('word/document.xml', '<w:p><w:r><w:t>(((link:"tel:+4912345")))</w:t></w:r></w:p>');
+
+      const result = processor.createLinks(files, modifiedFiles, data, {
+        allowedLinkSchemes: ['tel'],
+      });
+
+      expect(result.createdLinks).toBe(1);
+    });
+
+    test('should throw in strict mode', () => {
+      setPart('word/document.xml', '<w:p><w:r><w:t>(((link:links.bad)))</w:t></w:r></w:p>');
+
+      expect(() =>
+        processor.createLinks(files, modifiedFiles, data, {
+          strictMode: true,
+          logMissingData: false,
+        })
+      ).toThrow('Unsafe link target for placeholder: links.bad');
+    });
+
+    test('should insert plain text where no text run holds the placeholder', () => {
+      setPart(
+        'word/document.xml',
+        '<wp:docPr descr="(((link:links.portal|&quot;A&amp;B&quot;)))"/>'
+      );
+
+      const result = processor.createLinks(files, modifiedFiles, data);
+
+      expect(result.createdLinks).toBe(0);
+      expect(partXml('word/document.xml')).toBe('<wp:docPr descr="A&amp;B"/>');
+      expect(files['word/_rels/document.xml.rels'].content).not.toContain('rId2');
+    });
+  });
+
+  describe('createLinks in PowerPoint slides', () => {
+    test('should add a:hlinkClick to the run properties', () => {
+      setPart(
+        'ppt/slides/slide1.xml',
+        '<p:sld><a:p><a:r><a:rPr lang="en-US" dirty="0"/><a:t>See (((link:links.portal|"portal")))</a:t></a:r></a:p></p:sld>'
+      );
+
+      processor.createLinks(files, modifiedFiles, data);
+
+      expect(partXml('ppt/slides/slide1.xml')).toBe(
+        '<p:sld><a:p><a:r><a:rPr lang="en-US" dirty="0"/><a:t>See </a:t></a:r>' +
+          '<a:r><a:rPr lang="en-US" dirty="0"><a:hlinkClick r:id="rId1"/></a:rPr><a:t>portal</a:t></a:r></a:p></p:sld>'
+      );
+      expect(files['ppt/slides/_rels/slide1.xml.rels'].content).toContain(
+        'Target="https://portal.example.com/?a=1&amp;b=2" TargetMode="External"'
+      );
+      expect(files['word/styles.xml'].content).not.toContain('Hyperlink');
+    });
+
+    test('should place a:hlinkClick before extension lists', () => {
+      expect(
+        processor.linkRunProperties(
+          '<a:rPr lang="en-US"><a:latin typeface="Arial"/><a:hlinkClick r:id="rId9"/><a:extLst/></a:rPr>',
+          'rId3',
+          processor.runElements.powerpoint
+        )
+      ).toBe(
+        '<a:rPr lang="en-US"><a:latin typeface="Arial"/><a:hlinkClick r:id="rId3"/><a:extLst/></a:rPr>'
+      );
+    });
+  });
+
+  describe('createLinks for rich text values', () => {
+    const richTextLinks = ['https://example.com', 'javascript:alert(1)'];
+
+    test('should give each rich text URL one relationship per part', () => {
+      const link = (n) =>
+        `<w:hyperlink r:id="richTextLink:${n}" w:history="1"><w:r><w:rPr><w:rStyle w:val="Hyperlink"/></w:rPr>` +
+        `<w:t xml:space="preserve">${n}</w:t></w:r></w:hyperlink>`;
+      setPart('word/document.xml', `<w:p>${link(0)}${link(0)}</w:p>`);
+
+      const result = processor.createLinks(files, modifiedFiles, data, { richTextLinks });
+
+      expect(result).toEqual({ createdLinks: 2, failedLinks: 0 });
+      expect(partXml('word/document.xml').match(/r:id="rId2"/g)).toHaveLength(2);
+      expect(files['word/_rels/document.xml.rels'].content).toContain(
+        'Target="https://example.com" TargetMode="External"'
+      );
+      expect(files['word/styles.xml'].content).toContain('w:styleId="Hyperlink"');
+    });
+
+    test('should keep the text of rich text links with unsafe URLs', () => {
+      setPart(
+        'word/document.xml',
+        '<w:p><w:hyperlink r:id="richTextLink:1" w:history="1"><w:r><w:rPr><w:rStyle w:val="Hyperlink"/></w:rPr>' +
+          '<w:t xml:space="preserve">Click</w:t></w:r></w:hyperlink></w:p>'
+      );
+      setPart(
+        'ppt/slides/slide1.xml',
+        '<a:p><a:r><a:rPr lang="en-US"><a:hlinkClick r:id="richTextLink:1"/></a:rPr><a:t>Click</a:t></a:r></a:p>'
+      );
+
+      const result = processor.createLinks(files, modifiedFiles, data, {
+        richTextLinks,
+        logMissingData: false,
+      });
+
+      expect(result).toEqual({ createdLinks: 0, failedLinks: 2 });
+      expect(partXml('word/document.xml')).toBe(
+        '<w:p><w:r><w:t xml:space="preserve">Click</w:t></w:r></w:p>'
+      );
+      expect(partXml('ppt/slides/slide1.xml')).toBe(
+        '<a:p><a:r><a:rPr lang="en-US"></a:rPr><a:t>Click</a:t></a:r></a:p>'
+      );
+    });
+  });
+});
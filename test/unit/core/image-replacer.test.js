@@ -0,0 +1,292 @@
+/**
+ * Image Replacer tests
+ */
+
+const ImageReplacer = require('../../../src/core/image-replacer');
+
+describe('ImageReplacer', () => {
+  const imageType = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image';
+  const rel = (id, target) => `<Relationship Id="${id}" Type="${imageType}" Target="${target}"/>`;
+  const entry = (name, content) => ({ name, content, buffer: null });
+
+  // Minimal image headers carrying a pixel size
+  const png = (width, height) => {
+    const bytes = Buffer.alloc(33);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(bytes, 0);
+    bytes.writeUInt32BE(13, 8);
+    bytes.write('IHDR', 12, 'ascii');
+    bytes.writeUInt32BE(width, 16);
+    bytes.writeUInt32BE(height, 20);
+    return bytes;
+  };
+  const jpeg = (width, height) => {
+    const bytes = Buffer.from([
+      0xff, 0xd8, 0xff, 0xe0, 0x00, 0x04, 0x00, 0x00, 0xff, 0xc0, 0x00, 0x11, 0x08, 0, 0, 0, 0,
+      0x03,
+    ]);
+    bytes.writeUInt16BE(height, 13);
+    bytes.writeUInt16BE(width, 15);
+    return bytes;
+  };
+  const gif = (width, height) => {
+    const bytes = Buffer.alloc(10);
+    bytes.write('GIF89a', 0, 'ascii');
+    bytes.writeUInt16LE(width, 6);
+    bytes.writeUInt16LE(height, 8);
+    return bytes;
+  };
+
+  const drawing = (descr, embed = 'rId5') =>
+    '<w:drawing><wp:inline><wp:extent cx="2000000" cy="1000000"/>' +
+    `<wp:docPr id="1" name="Picture 1" descr="${descr}"/>` +
+    '<a:graphic><a:graphicData><pic:pic><pic:blipFill>' +
+    `<a:blip r:embed="${embed}"/></pic:blipFill>` +
+    '<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="2000000" cy="1000000"/></a:xfrm></pic:spPr>' +
+    '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing>';
+
+  let replacer;
+  let files;
+  let modifiedFiles;
+
+  const setDocument = (content) => {
+    files['word/document.xml'] = entry('word/document.xml', content);
+    modifiedFiles.set('word/document.xml', { path: 'word/document.xml', content });
+  };
+  const documentXml = () => modifiedFiles.get('word/document.xml').content;
+  const relsXml = () => files['word/_rels/document.xml.rels'].content;
+
+  beforeEach(() => {
+    replacer = new ImageReplacer();
+    files = {
+      '[Content_Types].xml': entry(
+        '[Content_Types].xml',
+        '<Types><Default Extension="xml" ContentType="application/xml"/></Types>'
+      ),
+      'word/_rels/document.xml.rels': entry(
+        'word/_rels/document.xml.rels',
+        `<Relationships>${rel('rId5', 'media/image1.png')}</Relationships>`
+      ),
+      'word/media/image1.png': { name: 'word/media/image1.png', content: null, buffer: png(1, 1) },
+    };
+    modifiedFiles = new Map();
+  });
+
+  describe('replaceImages', () => {
+    test('should write a media part and repoint the picture', () => {
+      setDocument(`<w:body>${drawing('(((img:customer.logo)))')}</w:body>`);
+      const logo = png(400, 100);
+
+      const result = replacer.replaceImages(files, modifiedFiles, { customer: { logo } });
+
+      expect(result).toEqual({ replacedImages: 1, failedImages: 0 });
+      expect(files['word/media/image2.png'].buffer).toBe(logo);
+      expect(relsXml()).toContain(rel('rId6', 'media/image2.png'));
+      expect(documentXml()).toContain('<a:blip r:embed="rId6"/>');
+      expect(documentXml()).toContain('descr=""');
+      expect(files['[Content_Types].xml'].content).toContain(
+        '<Default Extension="png" ContentType="image/png"/>'
+      );
+    });
+
+    test('should drop the template image once nothing references it', () => {
+      setDocument(`<w:body>${drawing('(((img:logo)))')}</w:body>`);
+
+      replacer.replaceImages(files, modifiedFiles, { logo: png(2, 1) });
+
+      expect(relsXml()).not.toContain('rId5');
+      expect(files['word/media/image1.png']).toBeUndefined();
+    });
+
+    test('should keep the template image while other pictures use it', () => {
+      setDocument(`<w:body>${drawing('(((img:logo)))')}${drawing('Static')}</w:body>`);
+
+      replacer.replaceImages(files, modifiedFiles, { logo: png(2, 1) });
+
+      expect(relsXml()).toContain('rId5');
+      expect(files['word/media/image1.png']).toBeDefined();
+    });
+
+    test('should share one media part between pictures with the same data', () => {
+      setDocument(`<w:body>${drawing('(((img:logo)))')}${drawing('(((img:logo)))')}</w:body>`);
+      const logo = png(2, 1).toString('base64');
+
+      const result = replacer.replaceImages(files, modifiedFiles, { logo });
+
+      expect(result.replacedImages).toBe(2);
+      expect(Object.keys(files).filter((path) => path.startsWith('word/media/'))).toEqual([
+        'word/media/image2.png',
+      ]);
+    });
+
+    test('should keep descriptive alt text around the placeholder', () => {
+      setDocument(drawing('Company logo (((img:logo)))'));
+
+      replacer.replaceImages(files, modifiedFiles, { logo: png(2, 1) });
+
+      expect(documentXml()).toContain('descr="Company logo"');
+    });
+
+    test('should fit the image inside the frame keeping its aspect ratio', () => {
+      setDocument(drawing('(((img:photo)))'));
+
+      replacer.replaceImages(files, modifiedFiles, { photo: jpeg(300, 300) });
+
+      expect(documentXml()).toContain('<wp:extent cx="1000000" cy="1000000"/>');
+      expect(documentXml()).toContain('<a:ext cx="1000000" cy="1000000"/>');
+      expect(files['word/media/image2.jpeg']).toBeDefined();
+    });
+
+    test('should keep the frame size when aspect ratio is not preserved', () => {
+      setDocument(drawing('(((img:photo)))'));
+
+      replacer.replaceImages(
+        files,
+        modifiedFiles,
+        { photo: gif(300, 300) },
+        { preserveAspectRatio: false }
+      );
+
+      expect(documentXml()).toContain('<wp:extent cx="2000000" cy="1000000"/>');
+    });
+
+    test('should center PowerPoint pictures in their frame', () => {
+      const slide =
+        '<p:sld><p:pic><p:nvPicPr><p:cNvPr id="4" name="Picture 3" descr="(((img:photo)))"/></p:nvPicPr>' +
+        '<p:blipFill><a:blip r:embed="rId2"/></p:blipFill>' +
+        '<p:spPr><a:xfrm><a:off x="100" y="200"/><a:ext cx="2000" cy="1000"/></a:xfrm></p:spPr>' +
+        '</p:pic></p:sld>';
+      files['ppt/slides/slide1.xml'] = entry('ppt/slides/slide1.xml', slide);
+      modifiedFiles.set('ppt/slides/slide1.xml', { content: slide });
+
+      replacer.replaceImages(files, modifiedFiles, { photo: png(10, 10) });
+
+      const content = modifiedFiles.get('ppt/slides/slide1.xml').content;
+      expect(content).toContain('<a:off x="600" y="200"/><a:ext cx="1000" cy="1000"/>');
+      expect(content).toContain('<a:blip r:embed="rId1"/>');
+      expect(files['ppt/media/image1.png']).toBeDefined();
+      expect(files['ppt/slides/_rels/slide1.xml.rels'].content).toContain(
+        'Target="../media/image1.png"'
+      );
+    });
+
+    test('should drop SVG variants of the replaced picture', () => {
+      setDocument(
+        drawing('(((img:logo)))').replace(
+          '<a:blip r:embed="rId5"/>',
+          '<a:blip r:embed="rId5"><a:extLst><a:ext uri="{96DAC541}"><asvg:svgBlip r:embed="rId7"/></a:ext></a:extLst></a:blip>'
+        )
+      );
+
+      replacer.replaceImages(files, modifiedFiles, { logo: png(2, 1) });
+
+      expect(documentXml()).toContain('<a:blip r:embed="rId6"></a:blip>');
+    });
+
+    test('should keep the template picture when data is missing or unusable', () => {
+      setDocument(`${drawing('(((img:missing)))')}${drawing('(((img:text)))')}`);
+
+      const result = replacer.replaceImages(
+        files,
+        modifiedFiles,
+        { text: 'not an image' },
+        { logMissingData: false }
+      );
+
+      expect(result).toEqual({ replacedImages: 0, failedImages: 2 });
+      expect(documentXml()).toContain('(((img:missing)))');
+      expect(documentXml()).toContain('r:embed="rId5"');
+    });
+
+    test('should remove unmatched placeholders when not preserving them', () => {
+      setDocument(drawing('(((img:missing)))'));
+
+      replacer.replaceImages(
+        files,
+        modifiedFiles,
+        {},
+        { preserveUnmatched: false, logMissingData: false }
+      );
+
+      expect(documentXml()).toContain('descr=""');
+    });
+
+    test('should throw in strict mode', () => {
+      setDocument(drawing('(((img:text)))'));
+
+      expect(() =>
+        replacer.replaceImages(
+          files,
+          modifiedFiles,
+          { text: 'plain' },
+          { strictMode: true, logMissingData: false }
+        )
+      ).toThrow('Unsupported image data for placeholder: text');
+    });
+
+    test('should remove placeholders outside picture alt text', () => {
+      setDocument('<w:p><w:t>Logo: (((img:logo)))</w:t></w:p>');
+
+      replacer.replaceImages(files, modifiedFiles, { logo: png(2, 1) });
+
+      expect(documentXml()).toBe('<w:p><w:t>Logo: </w:t></w:p>');
+    });
+
+    test('should leave parts outside the package alone', () => {
+      modifiedFiles.set('word/embeddings/a.xlsx/xl/sheet1.xml', { content: '(((img:logo)))' });
+
+      const result = replacer.replaceImages(files, modifiedFiles, { logo: png(2, 1) });
+
+      expect(result.replacedImages).toBe(0);
+      expect(modifiedFiles.get('word/embeddings/a.xlsx/xl/sheet1.xml').content).toBe(
+        '(((img:logo)))'
+      );
+    });
+  });
+
+  describe('decodeImage', () => {
+    test('should decode buffers, typed arrays, base64 and data URIs', () => {
+      const bytes = png(3, 2);
+
+      expect(replacer.decodeImage(bytes)).toMatchObject({ extension: 'png', width: 3, height: 2 });
+      expect(replacer.decodeImage(new Uint8Array(bytes)).bytes.equals(bytes)).toBe(true);
+      expect(replacer.decodeImage(bytes.toString('base64')).bytes.equals(bytes)).toBe(true);
+      expect(
+        replacer
+          .decodeImage(`data:image/png;base64,${bytes.toString('base64')}`)
+          .bytes.equals(bytes)
+      ).toBe(true);
+    });
+
+    test('should reject empty, non-image and unsupported data', () => {
+      expect(replacer.decodeImage(null)).toBeNull();
+      expect(replacer.decodeImage('not base64!')).toBeNull();
+      expect(replacer.decodeImage(Buffer.from('plain text'))).toBeNull();
+      expect(replacer.decodeImage({ src: 'logo.png' })).toBeNull();
+    });
+  });
+
+  describe('readDimensions', () => {
+    test('should read PNG, JPEG, GIF and BMP sizes', () => {
+      const bmp = Buffer.alloc(26);
+      bmp.write('BM', 0, 'ascii');
+      bmp.writeInt32LE(40, 18);
+      bmp.writeInt32LE(-30, 22);
+
+      expect(replacer.readDimensions(png(640, 480), 'png')).toEqual({ width: 640, height: 480 });
+      expect(replacer.readDimensions(jpeg(800, 600), 'jpeg')).toEqual({ width: 800, height: 600 });
+      expect(replacer.readDimensions(gif(16, 8), 'gif')).toEqual({ width: 16, height: 8 });
+      expect(replacer.readDimensions(bmp, 'bmp')).toEqual({ width: 40, height: 30 });
+    });
+
+    test('should return unknown sizes for truncated or unmeasured images', () => {
+      expect(replacer.readDimensions(Buffer.from([0x89, 0x50]), 'png')).toEqual({
+        width: null,
+        height: null,
+      });
+      expect(replacer.readDimensions(Buffer.from([0x49, 0x49, 0x2a, 0]), 'tiff')).toEqual({
+        width: null,
+        height: null,
+      });
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Line Break Renderer tests
+ */
+
+const LineBreakRenderer = require('../../../src/core/line-break-renderer');
+
+describe('LineBreakRenderer', () => {
+  let renderer;
+
+  // Render text at the position of the (((value))) marker
+  const render = (content, text, fileType, mode) =>
+    renderer.render(text, content, content.indexOf('((('), fileType, mode);
+
+  beforeEach(() => {
+    renderer = new LineBreakRenderer();
+  });
+
+  describe('Word documents', () => {
+    const content =
+      '<w:p w14:paraId="1A2B3C4D"><w:pPr><w:pStyle w:val="Address"/><w:sectPr><w:pgSz/></w:sectPr></w:pPr>' +
+      '<w:r><w:rPr><w:b/></w:rPr><w:t>(((value)))</w:t></w:r></w:p>';
+
+    test('should turn newlines into w:br and tabs into w:tab within the run', () => {
+      expect(render(content, 'Main St 1\r\nSpringfield\tUSA', 'word')).toBe(
+        'Main St 1</w:t><w:br/><w:t xml:space="preserve">Springfield</w:t><w:tab/>' +
+          '<w:t xml:space="preserve">USA'
+      );
+    });
+
+    test('should start paragraphs that copy the paragraph and run properties', () => {
+      expect(render(content, 'A\nB', 'word', 'paragraph')).toBe(
+        'A</w:t></w:r></w:p><w:p><w:pPr><w:pStyle w:val="Address"/></w:pPr>' +
+          '<w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">B'
+      );
+    });
+
+    test('should close and reopen elements between the paragraph and the run', () => {
+      const linked =
+        '<w:p><w:hyperlink r:id="rId3"><w:r><w:t>(((value)))</w:t></w:r></w:hyperlink></w:p>';
+
+      expect(render(linked, 'A\nB', 'word', 'paragraph')).toBe(
+        'A</w:t></w:r></w:hyperlink></w:p><w:p><w:hyperlink r:id="rId3"><w:r>' +
+          '<w:t xml:space="preserve">B'
+      );
+    });
+
+    test('should leave text outside text runs unchanged', () => {
+      const field = '<w:p><w:r><w:instrText>(((value)))</w:instrText></w:r></w:p>';
+
+      expect(render(field, 'A\nB', 'word')).toBe('A\nB');
+      expect(render('<w:t>(((value)))</w:t>', 'A\nB', 'word')).toBe('A\nB');
+      expect(render(content, 'Single line', 'word')).toBe('Single line');
+    });
+  });
+
+  describe('PowerPoint slides', () => {
+    const content =
+      '<a:p><a:pPr algn="ctr"/><a:r><a:rPr lang="en-US" sz="1800"/><a:t>(((value)))</a:t></a:r></a:p>';
+
+    test('should place a:br with the run properties between runs and keep tabs', () => {
+      expect(render(content, 'A\nB\tC', 'powerpoint')).toBe(
+        'A</a:t></a:r><a:br><a:rPr lang="en-US" sz="1800"/></a:br>' +
+          '<a:r><a:rPr lang="en-US" sz="1800"/><a:t>B\tC'
+      );
+    });
+
+    test('should start new paragraphs in paragraph mode', () => {
+      expect(render(content, 'A\nB', 'powerpoint', 'paragraph')).toBe(
+        'A</a:t></a:r></a:p><a:p><a:pPr algn="ctr"/><a:r><a:rPr lang="en-US" sz="1800"/><a:t>B'
+      );
+    });
+  });
+
+  test('should not change text in other file types', () => {
+    expect(render('<si><t>(((value)))</t></si>', 'A\nB', 'excel')).toBe('A\nB');
+  });
+});
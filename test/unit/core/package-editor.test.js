@@ -0,0 +1,311 @@
+/**
+ * Package Editor tests
+ */
+
+const PackageEditor = require('../../../src/core/package-editor');
+
+describe('PackageEditor', () => {
+  const slideType = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide';
+  let files;
+  let editor;
+
+  const entry = (name, content) => ({ name, content, buffer: Buffer.from(content) });
+
+  beforeEach(() => {
+    files = {
+      '[Content_Types].xml': entry(
+        '[Content_Types].xml',
+        '<Types><Default Extension="xml" ContentType="application/xml"/>' +
+          '<Override PartName="/ppt/slides/slide1.xml" ContentType="slide+xml"/></Types>'
+      ),
+      'ppt/presentation.xml': entry('ppt/presentation.xml', '<p:presentation/>'),
+      'ppt/_rels/presentation.xml.rels': entry(
+        'ppt/_rels/presentation.xml.rels',
+        '<Relationships>' +
+          `<Relationship Id="rId1" Type="${slideType}" Target="slides/slide1.xml"/>` +
+          '<Relationship Id="rId7" Type="http://x/hyperlink" Target="https://a.test/?a=1&amp;b=2" TargetMode="External"/>' +
+          '</Relationships>'
+      ),
+      'ppt/slides/slide1.xml': entry('ppt/slides/slide1.xml', '<p:sld/>'),
+      'ppt/media/image1.png': {
+        name: 'ppt/media/image1.png',
+        content: null,
+        buffer: Buffer.from([1, 2]),
+      },
+    };
+    editor = new PackageEditor(files);
+  });
+
+  describe('paths', () => {
+    test('should build relationships part paths', () => {
+      expect(editor.getRelsPath('ppt/slides/slide1.xml')).toBe('ppt/slides/_rels/slide1.xml.rels');
+      expect(editor.getRelsPath('')).toBe('_rels/.rels');
+    });
+
+    test('should resolve relative and absolute targets', () => {
+      expect(editor.resolveTarget('ppt/slides/slide1.xml', '../charts/chart1.xml')).toBe(
+        'ppt/charts/chart1.xml'
+      );
+      expect(editor.resolveTarget('ppt/presentation.xml', 'slides/slide2.xml')).toBe(
+        'ppt/slides/slide2.xml'
+      );
+      expect(editor.resolveTarget('ppt/slides/slide1.xml', '/ppt/media/image1.png')).toBe(
+        'ppt/media/image1.png'
+      );
+    });
+
+    test('should build relative targets between parts', () => {
+      expect(editor.getRelativeTarget('ppt/slides/slide1.xml', 'ppt/charts/chart2.xml')).toBe(
+        '../charts/chart2.xml'
+      );
+      expect(editor.getRelativeTarget('ppt/presentation.xml', 'ppt/slides/slide3.xml')).toBe(
+        'slides/slide3.xml'
+      );
+    });
+
+    test('should find the next free part name in a series', () => {
+      expect(editor.getNextPartName('ppt/slides/slide1.xml')).toBe('ppt/slides/slide2.xml');
+      expect(editor.getNextPartName('ppt/embeddings/Workbook.xlsx')).toBe(
+        'ppt/embeddings/Workbook1.xlsx'
+      );
+    });
+  });
+
+  describe('relationships', () => {
+    test('should read relationships with resolved part paths', () => {
+      const relationships = editor.getRelationships('ppt/presentation.xml');
+
+      expect(relationships).toHaveLength(2);
+      expect(relationships[0]).toMatchObject({
+        id: 'rId1',
+        kind: 'slide',
+        partPath: 'ppt/slides/slide1.xml',
+      });
+      expect(relationships[1].targetMode).toBe('External');
+      expect(relationships[1].target).toBe('https://a.test/?a=1&b=2');
+      expect(relationships[1].partPath).toBeNull();
+    });
+
+    test('should add relationships with the next free id', () => {
+      const id = editor.addRelationship(
+        'ppt/presentation.xml',
+        editor.relationshipType('slide'),
+        'ppt/slides/slide2.xml'
+      );
+
+      expect(id).toBe('rId8');
+      expect(editor.getRelationships('ppt/presentation.xml')[2]).toMatchObject({
+        id: 'rId8',
+        target: 'slides/slide2.xml',
+      });
+    });
+
+    test('should create a relationships part when none exists', () => {
+      const id = editor.addRelationship(
+        'ppt/slides/slide1.xml',
+        editor.relationshipType('image'),
+        'ppt/media/image1.png'
+      );
+
+      expect(id).toBe('rId1');
+      expect(files['ppt/slides/_rels/slide1.xml.rels'].content).toContain(
+        'Target="../media/image1.png"'
+      );
+    });
+
+    test('should retarget and remove relationships', () => {
+      editor.retargetRelationship('ppt/presentation.xml', 'rId1', 'ppt/slides/slide9.xml');
+      expect(editor.getRelationships('ppt/presentation.xml')[0].target).toBe('slides/slide9.xml');
+
+      expect(editor.removeRelationship('ppt/presentation.xml', 'rId1')).toBe(true);
+      expect(editor.removeRelationship('ppt/presentation.xml', 'rId1')).toBe(false);
+      expect(editor.getRelationships('ppt/presentation.xml')).toHaveLength(1);
+    });
+
+    test('should find parts referencing a target', () => {
+      expect(editor.findReferencingParts('ppt/slides/slide1.xml')).toEqual([
+        { sourcePath: 'ppt/presentation.xml', id: 'rId1' },
+      ]);
+    });
+  });
+
+  describe('content types', () => {
+    test('should read, add and remove overrides', () => {
+      expect(editor.getContentTypeOverride('ppt/slides/slide1.xml')).toBe('slide+xml');
+      expect(editor.getContentTypeOverride('ppt/slides/slide2.xml')).toBeNull();
+
+      editor.addContentTypeOverride('ppt/slides/slide2.xml', 'slide+xml');
+      editor.addContentTypeOverride('ppt/slides/slide2.xml', 'slide+xml');
+      expect(files['[Content_Types].xml'].content.match(/slide2\.xml/g)).toHaveLength(1);
+
+      expect(editor.removeContentTypeOverride('ppt/slides/slide1.xml')).toBe(true);
+      expect(editor.getContentTypeOverride('ppt/slides/slide1.xml')).toBeNull();
+    });
+
+    test('should read and add extension defaults', () => {
+      expect(editor.getContentTypeDefault('XML')).toBe('application/xml');
+      expect(editor.getContentTypeDefault('png')).toBeNull();
+
+      editor.addContentTypeDefault('png', 'image/png');
+      editor.addContentTypeDefault('png', 'image/png');
+      expect(editor.getContentTypeDefault('png')).toBe('image/png');
+      expect(files['[Content_Types].xml'].content.match(/Extension="png"/g)).toHaveLength(1);
+    });
+  });
+
+  describe('parts', () => {
+    test('should copy XML parts with a transform and share binary buffers', () => {
+      editor.copyPart('ppt/slides/slide1.xml', 'ppt/slides/slide2.xml', (xml) =>
+        xml.replace('sld', 'sld2')
+      );
+      editor.copyPart('ppt/media/image1.png', 'ppt/media/image2.png');
+
+      expect(editor.getPartText('ppt/slides/slide2.xml')).toBe('<p:sld2/>');
+      expect(files['ppt/media/image2.png'].buffer).toBe(files['ppt/media/image1.png'].buffer);
+    });
+
+    test('should write binary parts', () => {
+      editor.setPartBuffer('ppt/media/image2.png', Buffer.from([3]));
+
+      expect(files['ppt/media/image2.png']).toEqual({
+        name: 'ppt/media/image2.png',
+        content: null,
+        buffer: Buffer.from([3]),
+      });
+    });
+
+    test('should remove parts', () => {
+      expect(editor.removePart('ppt/slides/slide1.xml')).toBe(true);
+      expect(editor.hasPart('ppt/slides/slide1.xml')).toBe(false);
+      expect(editor.removePart('ppt/slides/slide1.xml')).toBe(false);
+    });
+
+    test('should read text from strings and buffers', () => {
+      const structure = new PackageEditor({ 'a.xml': '<a/>', 'b.xml': Buffer.from('<b/>') });
+
+      expect(structure.getPartText('a.xml')).toBe('<a/>');
+      expect(structure.getPartText('b.xml')).toBe('<b/>');
+      expect(structure.getPartText('missing.xml')).toBeNull();
+    });
+  });
+
+  describe('importing parts', () => {
+    const layoutType =
+      'http://schemas.openxmlformats.org/officeDocument/2006/relationships/slideLayout';
+    const masterType =
+      'http://schemas.openxmlformats.org/officeDocument/2006/relationships/slideMaster';
+    const imageType = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image';
+    const rels = (...relationships) =>
+      `<Relationships>${relationships
+        .map(([id, type, target]) => `<Relationship Id="${id}" Type="${type}" Target="${target}"/>`)
+        .join('')}</Relationships>`;
+
+    // Layout and master reference each other, like in a real deck
+    const createSource = (layout) => {
+      const sourceFiles = {
+        '[Content_Types].xml': entry(
+          '[Content_Types].xml',
+          '<Types><Default Extension="png" ContentType="image/png"/>' +
+            '<Override PartName="/ppt/slides/slide1.xml" ContentType="slide+xml"/>' +
+            '<Override PartName="/ppt/slideLayouts/slideLayout1.xml" ContentType="layout+xml"/></Types>'
+        ),
+        'ppt/slides/slide1.xml': entry(
+          'ppt/slides/slide1.xml',
+          '<p:sld><a:blip r:embed="rId2"/></p:sld>'
+        ),
+        'ppt/slides/_rels/slide1.xml.rels': entry(
+          'ppt/slides/_rels/slide1.xml.rels',
+          rels(
+            ['rId1', layoutType, '../slideLayouts/slideLayout1.xml'],
+            ['rId2', imageType, '../media/image1.png']
+          )
+        ),
+        'ppt/slideLayouts/slideLayout1.xml': entry('ppt/slideLayouts/slideLayout1.xml', layout),
+        'ppt/slideLayouts/_rels/slideLayout1.xml.rels': entry(
+          'ppt/slideLayouts/_rels/slideLayout1.xml.rels',
+          rels(['rId1', masterType, '../slideMasters/slideMaster1.xml'])
+        ),
+        'ppt/slideMasters/slideMaster1.xml': entry(
+          'ppt/slideMasters/slideMaster1.xml',
+          '<p:sldMaster/>'
+        ),
+        'ppt/slideMasters/_rels/slideMaster1.xml.rels': entry(
+          'ppt/slideMasters/_rels/slideMaster1.xml.rels',
+          rels(['rId1', layoutType, '../slideLayouts/slideLayout1.xml'])
+        ),
+        'ppt/media/image1.png': {
+          name: 'ppt/media/image1.png',
+          content: null,
+          buffer: Buffer.from([1, 2]),
+        },
+      };
+      return new PackageEditor(sourceFiles);
+    };
+
+    beforeEach(() => {
+      const target = createSource('<p:sldLayout/>');
+      for (const [name, file] of Object.entries(target.files)) {
+        if (!files[name]) {
+          files[name] = file;
+        }
+      }
+    });
+
+    test('should copy a part and reuse the unchanged parts it references', () => {
+      const source = createSource('<p:sldLayout/>');
+      const context = {};
+
+      const slidePath = editor.importPart(source, 'ppt/slides/slide1.xml', context, true);
+
+      expect(slidePath).toBe('ppt/slides/slide2.xml');
+      expect(editor.getPartText(slidePath)).toBe('<p:sld><a:blip r:embed="rId2"/></p:sld>');
+      expect(
+        editor.getRelationships(slidePath).map((relationship) => relationship.partPath)
+      ).toEqual(['ppt/slideLayouts/slideLayout1.xml', 'ppt/media/image1.png']);
+      expect(editor.getContentTypeOverride(slidePath)).toBe('slide+xml');
+      expect(editor.hasPart('ppt/slideMasters/slideMaster2.xml')).toBe(false);
+      expect(context.copies.get('ppt/slides/slide1.xml')).toBe(slidePath);
+    });
+
+    test('should copy changed parts with everything that references them in a cycle', () => {
+      const source = createSource('<p:sldLayout name="Wide"/>');
+      source.files['ppt/media/image1.png'].buffer = Buffer.from([3]);
+
+      const slidePath = editor.importPart(source, 'ppt/slides/slide1.xml', {
+        transform: (xml) => xml.replace('<p:', '<p:copied'),
+      });
+
+      expect(editor.getPartText('ppt/slideLayouts/slideLayout2.xml')).toBe(
+        '<p:copiedsldLayout name="Wide"/>'
+      );
+      expect(editor.getRelationships('ppt/slideLayouts/slideLayout2.xml')[0].partPath).toBe(
+        'ppt/slideMasters/slideMaster2.xml'
+      );
+      expect(editor.getRelationships('ppt/slideMasters/slideMaster2.xml')[0].partPath).toBe(
+        'ppt/slideLayouts/slideLayout2.xml'
+      );
+      expect(editor.getRelationships(slidePath)[1].partPath).toBe('ppt/media/image2.png');
+      expect(files['ppt/media/image2.png'].buffer).toEqual(Buffer.from([3]));
+      expect(editor.getContentTypeOverride('ppt/slideLayouts/slideLayout2.xml')).toBe('layout+xml');
+    });
+
+    test('should tell unchanged parts from changed ones, following relationships', () => {
+      expect(
+        editor.holdsSamePart(createSource('<p:sldLayout/>'), 'ppt/slideMasters/slideMaster1.xml')
+      ).toBe(true);
+      expect(
+        editor.holdsSamePart(
+          createSource('<p:sldLayout name="Wide"/>'),
+          'ppt/slideMasters/slideMaster1.xml'
+        )
+      ).toBe(false);
+    });
+
+    test('should list parts as a file structure', () => {
+      const structure = editor.toFileStructure();
+
+      expect(structure['ppt/slides/slide1.xml']).toBe('<p:sld/>');
+      expect(structure['ppt/media/image1.png']).toEqual(Buffer.from([1, 2]));
+    });
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Placeholder Manifest tests
+ */
+
+const PlaceholderManifest = require('../../../src/core/placeholder-manifest');
+const PlaceholderParser = require('../../../src/core/placeholder-parser');
+
+describe('PlaceholderManifest', () => {
+  let parser;
+  let manifest;
+
+  const parse = (content) =>
+    parser.parseDocument({}, [
+      { path: 'word/document.xml', type: 'word', category: 'document', content },
+    ]);
+
+  beforeEach(() => {
+    parser = new PlaceholderParser();
+    manifest = new PlaceholderManifest(parser);
+  });
+
+  test('should describe what each path is used for and the type it expects', () => {
+    const result = manifest.build(
+      parse(
+        '<w:t>(((customer.name)))</w:t><w:t>(((customer.name)))</w:t>' +
+          '<w:t>(((1234=invoice.total)))</w:t>' +
+          '<w:t>(((DeletePageIfEmpty=notes)))</w:t>' +
+          '<w:t>(((#if customer.vip)))VIP(((/if)))</w:t>' +
+          '<w:t>(((#items)))(((items.sku)))</w:t>'
+      )
+    );
+
+    expect(result.schema).toBe('ooxml-templater/placeholder-manifest');
+    expect(result.version).toBe(1);
+    expect(result.template).toBeNull();
+
+    const byPath = Object.fromEntries(result.placeholders.map((entry) => [entry.path, entry]));
+    expect(byPath['customer.name']).toEqual({
+      path: 'customer.name',
+      expects: 'value',
+      usages: ['value'],
+      collection: null,
+      occurrences: 2,
+    });
+    expect(byPath['invoice.total'].expects).toBe('number');
+    expect(byPath.notes.expects).toBe('presence');
+    expect(byPath['customer.vip'].usages).toEqual(['condition']);
+    expect(byPath.items.expects).toBe('array');
+    expect(byPath['items.sku'].collection).toBe('items');
+  });
+
+  test('should nest paths in a tree with collections holding their item fields', () => {
+    const result = manifest.build(
+      parse(
+        '<w:t>(((#each sections)))(((sections.title)))</w:t>' +
+          '<w:t>(((#each sections.clauses)))(((sections.clauses.text)))(((/each)))(((/each)))</w:t>' +
+          '<w:t>(((customer.address.city)))</w:t><w:t>(((__proto__.polluted)))</w:t>'
+      )
+    );
+
+    const collections = Object.fromEntries(
+      result.placeholders.map((entry) => [entry.path, entry.collection])
+    );
+    expect(collections['sections.clauses.text']).toBe('sections.clauses');
+    expect(collections['sections.clauses']).toBe('sections');
+
+    expect(result.tree).toEqual({
+      sections: {
+        expects: 'array',
+        fields: {
+          title: { expects: 'value' },
+          clauses: { expects: 'array', fields: { text: { expects: 'value' } } },
+        },
+      },
+      customer: {
+        expects: 'object',
+        fields: { address: { expects: 'object', fields: { city: { expects: 'value' } } } },
+      },
+    });
+    expect({}.polluted).toBeUndefined();
+  });
+
+  test('should accept the parse result of parseTemplate', () => {
+    const parsing = parse('<w:t>(((title)))</w:t>');
+    const result = manifest.build({
+      template: { filename: 'offer.docx', type: 'docx', size: 100 },
+      placeholders: { all: parsing.placeholders, unique: parsing.uniquePlaceholderList },
+    });
+
+    expect(result.template).toEqual({ filename: 'offer.docx', type: 'docx' });
+    expect(result.placeholders.map((entry) => entry.path)).toEqual(['title']);
+  });
+});
@@ -63,6 +63,25 @@ describe('PlaceholderParser', () => {
       expect(matches[1].content).toBe('slide.data');
     });
 
+    test('should find row repetition directives', () => {
+      const content = '<w:tr><w:t>(((#items)))(((items.sku)))</w:t></w:tr>';
+      const matches = parser.findAllPlaceholders(content);
+
+      expect(matches).toHaveLength(2);
+      expect(matches[0].type).toBe('repeat');
+      expect(matches[0].content).toBe('items');
+      expect(matches[1].type).toBe('standard');
+      expect(matches[1].content).toBe('items.sku');
+    });
+
+    test('should find block loop markers', () => {
+      const content = '(((#each sections)))(((sections.title)))(((/each)))';
+      const matches = parser.findAllPlaceholders(content);
+
+      expect(matches.map((m) => m.type)).toEqual(['loop', 'standard', 'loopEnd']);
+      expect(matches[0].content).toBe('sections');
+    });
+
     test('should find mixed placeholder types', () => {
       const content = `
         Regular: (((user.name)))
@@ -199,6 +218,23 @@ describe('PlaceholderParser', () => {
       expect(result.uniquePlaceholderList).toEqual(['user.name']);
     });
 
+    test('should list loop collections but not closing markers', () => {
+      const xmlFiles = [
+        {
+          path: 'word/document.xml',
+          type: 'word',
+          category: 'content',
+          content: '<w:t>(((#each sections)))(((sections.title)))(((/each)))</w:t>',
+        },
+      ];
+
+      const result = parser.parseDocument({}, xmlFiles);
+
+      expect(result.uniquePlaceholderList).toEqual(['sections', 'sections.title']);
+      expect(result.repeatDirectives).toHaveLength(1);
+      expect(result.repeatDirectives[0].repeatScope).toBe('block');
+    });
+
     test('should use cache for identical documents', () => {
       const xmlFiles = [
         {
@@ -215,6 +251,30 @@ describe('PlaceholderParser', () => {
       expect(result1).toBe(result2); // Should be the same object from cache
       expect(parser.cache.size).toBe(1);
     });
+
+    test('should heal placeholders split across runs and report healed positions', () => {
+      const xmlFiles = [
+        {
+          path: 'word/document.xml',
+          type: 'word',
+          category: 'content',
+          content:
+            '<w:p><w:r><w:t>Hi (((user</w:t></w:r><w:proofErr w:type="spellStart"/>' +
+            '<w:r><w:t>.name)))</w:t></w:r></w:p>',
+        },
+      ];
+
+      const result = parser.parseDocument({}, xmlFiles);
+
+      expect(result.summary.healedPlaceholders).toBe(1);
+      expect(result.uniquePlaceholderList).toEqual(['user.name']);
+      expect(xmlFiles[0].content).toBe('<w:p><w:r><w:t>Hi (((user.name)))</w:t></w:r></w:p>');
+
+      const placeholder = result.placeholders[0];
+      expect(
+        xmlFiles[0].content.substr(placeholder.position.index, placeholder.position.length)
+      ).toBe('(((user.name)))');
+    });
   });
 
   describe('createPlaceholderObject', () => {
@@ -293,6 +353,181 @@ describe('PlaceholderParser', () => {
     });
   });
 
+  describe('formatter pipes', () => {
+    const xmlFile = {
+      path: 'word/document.xml',
+      type: 'word',
+      category: 'content',
+    };
+
+    test('should split the data path from its formatters', () => {
+      const content = '<w:t>(((invoice.total | currency:EUR:2 | default:&quot;n/a&quot;)))</w:t>';
+      const placeholders = parser.parseXmlFile({ ...xmlFile, content });
+
+      expect(placeholders).toHaveLength(1);
+      expect(placeholders[0].cleanName).toBe('invoice.total');
+      expect(placeholders[0].formatters).toEqual([
+        { name: 'currency', args: ['EUR', '2'] },
+        { name: 'default', args: ['n/a'] },
+      ]);
+    });
+
+    test('should keep separators inside straight and curly quotes', () => {
+      expect(parser.parseExpression('dueDate | date:"HH:mm | d MMM"').formatters).toEqual([
+        { name: 'date', args: ['HH:mm | d MMM'] },
+      ]);
+      expect(parser.parseExpression('dueDate|date:\u201cd MMM yyyy\u201d').formatters).toEqual([
+        { name: 'date', args: ['d MMM yyyy'] },
+      ]);
+      expect(parser.parseExpression("note | truncate:10:'...'").formatters).toEqual([
+        { name: 'truncate', args: ['10', '...'] },
+      ]);
+    });
+
+    test('should leave placeholders without pipes unchanged', () => {
+      expect(parser.parseExpression('user.name')).toEqual({
+        path: 'user.name',
+        fallbacks: [],
+        formatters: [],
+      });
+      expect(parser.splitOutsideQuotes('a || b', '|')).toEqual(['a || b']);
+    });
+  });
+
+  describe('fallback chains', () => {
+    test('should parse fallback paths and literals', () => {
+      expect(
+        parser.parseExpression('customer.nickname || customer.firstName || \u201cCustomer\u201d')
+      ).toEqual({
+        path: 'customer.nickname',
+        fallbacks: [{ path: 'customer.firstName' }, { value: 'Customer' }],
+        formatters: [],
+      });
+      expect(parser.parseExpression("qty || 0 | number:2 || 'a || b'").fallbacks).toEqual([
+        { value: 0 },
+      ]);
+    });
+
+    test('should combine fallbacks with formatter pipes', () => {
+      const placeholder = parser.createPlaceholderObject(
+        {
+          type: 'standard',
+          fullMatch: '(((name || &quot;n/a&quot; | upper)))',
+          content: 'name || &quot;n/a&quot; | upper',
+          index: 0,
+          length: 38,
+        },
+        { path: 'word/document.xml', type: 'word', category: 'content', content: '' }
+      );
+
+      expect(placeholder.cleanName).toBe('name');
+      expect(placeholder.fallbacks).toEqual([{ value: 'n/a' }]);
+      expect(placeholder.formatters).toEqual([{ name: 'upper', args: [] }]);
+    });
+
+    test('should list every path of a chain as a unique placeholder', () => {
+      const result = parser.parseDocument({}, [
+        {
+          path: 'word/document.xml',
+          type: 'word',
+          category: 'content',
+          content: '<w:t>(((a.nick || a.first || "Hi")))</w:t><w:t>(((a.first)))</w:t>',
+        },
+      ]);
+
+      expect(result.uniquePlaceholderList).toEqual(['a.nick', 'a.first']);
+      expect(result.placeholders[1].fallbacks).toBeUndefined();
+    });
+  });
+
+  describe('conditional blocks', () => {
+    test('should parse conditional markers and list condition paths', () => {
+      const result = parser.parseDocument({}, [
+        {
+          path: 'word/document.xml',
+          type: 'word',
+          category: 'content',
+          content:
+            '<w:t>(((#if order.total &gt; limit)))Big(((else)))Small(((/if))) (((order.id)))</w:t>',
+        },
+      ]);
+
+      expect(result.placeholders.map((p) => p.type)).toEqual([
+        'conditional',
+        'conditionalElse',
+        'conditionalEnd',
+        'standard',
+      ]);
+      expect(result.placeholders[0].condition).toEqual({
+        negate: false,
+        left: { path: 'order.total' },
+        operator: '>',
+        right: { path: 'limit' },
+      });
+      expect(result.uniquePlaceholderList).toEqual(['order.total', 'limit', 'order.id']);
+    });
+  });
+
+  describe('image placeholders', () => {
+    test('should parse picture placeholders in alt text as image directives', () => {
+      const result = parser.parseDocument({}, [
+        {
+          path: 'word/document.xml',
+          type: 'word',
+          category: 'content',
+          content:
+            '<wp:docPr id="1" descr="(((img:customer.logo)))"/><w:t>(((customer.name)))</w:t>',
+        },
+      ]);
+
+      expect(result.placeholders.map((p) => p.type)).toEqual(['image', 'standard']);
+      expect(result.imageDirectives[0].cleanName).toBe('customer.logo');
+      expect(result.summary.imageDirectiveCount).toBe(1);
+      expect(result.uniquePlaceholderList).toEqual(['customer.logo', 'customer.name']);
+    });
+  });
+
+  describe('hyperlink placeholders', () => {
+    test('should parse link placeholders with their URL and text operands', () => {
+      const result = parser.parseDocument({}, [
+        {
+          path: 'word/document.xml',
+          type: 'word',
+          category: 'content',
+          content:
+            '<w:t>(((link:links.portal|labels.portal))) (((link:"https://a.test"|"Site")))</w:t>',
+        },
+      ]);
+
+      expect(result.placeholders.map((p) => p.type)).toEqual(['link', 'link']);
+      expect(result.linkDirectives[0].link).toEqual({
+        url: { path: 'links.portal' },
+        text: { path: 'labels.portal' },
+      });
+      expect(result.linkDirectives[1].cleanName).toBe('https://a.test');
+      expect(result.summary.linkDirectiveCount).toBe(2);
+      expect(result.uniquePlaceholderList).toEqual(['links.portal', 'labels.portal']);
+    });
+  });
+
+  describe('HTML placeholders', () => {
+    test('should parse HTML placeholders as package directives', () => {
+      const result = parser.parseDocument({}, [
+        {
+          path: 'word/document.xml',
+          type: 'word',
+          category: 'content',
+          content: '<w:t>(((html:article.body)))</w:t><w:t>(((article.title)))</w:t>',
+        },
+      ]);
+
+      expect(result.placeholders.map((p) => p.type)).toEqual(['html', 'standard']);
+      expect(result.htmlDirectives[0].cleanName).toBe('article.body');
+      expect(result.summary.htmlDirectiveCount).toBe(1);
+      expect(result.uniquePlaceholderList).toEqual(['article.body', 'article.title']);
+    });
+  });
+
   describe('extractContext', () => {
     test('should extract context around placeholder', () => {
       const content = 'This is some text with (((placeholder))) in the middle of content';
@@ -121,6 +121,20 @@ describe('PlaceholderSubstitution', () => {
       expect(result.shouldDelete).toBe(false);
     });
 
+    test('should render Date values without a formatter as ISO 8601', () => {
+      const placeholder = {
+        type: 'standard',
+        cleanName: 'due',
+        position: { index: 4, length: 9 },
+      };
+      const render = (due) =>
+        substitution.substitutePlaceholder(placeholder, { due }, 'Due (((due)))').content;
+
+      expect(render(new Date(Date.UTC(2024, 2, 5)))).toBe('Due 2024-03-05');
+      expect(render(new Date(Date.UTC(2024, 2, 5, 9, 30)))).toBe('Due 2024-03-05T09:30:00.000Z');
+      expect(render(new Date('not a date'))).toBe('Due Invalid Date');
+    });
+
     test('should substitute numeric directive placeholder', () => {
       const placeholder = {
         type: 'numeric',
@@ -188,6 +202,336 @@ describe('PlaceholderSubstitution', () => {
       expect(result.success).toBe(false);
       expect(result.content).toBe('Hello , welcome!');
     });
+
+    test('should apply formatter pipes before inserting the value', () => {
+      substitution.configure({ locale: 'de-DE' });
+
+      const placeholder = {
+        type: 'standard',
+        cleanName: 'total',
+        formatters: [{ name: 'currency', args: ['EUR'] }],
+        position: { index: 7, length: 27 },
+      };
+      const content = 'Total: (((total | currency:EUR)))';
+
+      const result = substitution.substitutePlaceholder(placeholder, { total: 1234.5 }, content);
+
+      expect(result.success).toBe(true);
+      expect(result.content).toBe('Total: 1.234,50\u00a0€');
+    });
+
+    test('should fall back through the chain when values are missing or empty', () => {
+      const pattern = '(((customer.nickname || customer.firstName || "Customer")))';
+      const placeholder = {
+        type: 'standard',
+        cleanName: 'customer.nickname',
+        fallbacks: [{ path: 'customer.firstName' }, { value: 'Customer' }],
+        position: { index: 5, length: pattern.length },
+      };
+      const content = `Dear ${pattern},`;
+
+      const substituted = (customer) =>
+        substitution.substitutePlaceholder(placeholder, { customer }, content).content;
+
+      expect(substituted({ nickname: 'Bobby', firstName: 'Robert' })).toBe('Dear Bobby,');
+      expect(substituted({ nickname: '', firstName: 'Robert' })).toBe('Dear Robert,');
+      expect(substituted({})).toBe('Dear Customer,');
+    });
+
+    test('should fail unknown formatters and throw in strict mode', () => {
+      const placeholder = {
+        type: 'standard',
+        cleanName: 'name',
+        formatters: [{ name: 'shout', args: [] }],
+        position: { index: 0, length: 18 },
+      };
+      const content = '(((name | shout)))';
+
+      expect(substitution.substitutePlaceholder(placeholder, { name: 'a' }, content).success).toBe(
+        false
+      );
+
+      substitution.formatters.register('shout', (value) => `${value}!`);
+      expect(substitution.substitutePlaceholder(placeholder, { name: 'a' }, content).content).toBe(
+        'a!'
+      );
+
+      substitution.configure({ strictMode: true });
+      placeholder.formatters = [{ name: 'whisper', args: [] }];
+      expect(() => substitution.substitutePlaceholder(placeholder, { name: 'a' }, content)).toThrow(
+        'Unknown formatter: whisper'
+      );
+    });
+  });
+
+  describe('XML escaping', () => {
+    const { rawXml } = require('../../../src/utils/xml-escape');
+
+    test('should escape values inserted into text nodes', () => {
+      const content = '<w:t>(((customer.name)))</w:t>';
+      const placeholder = {
+        type: 'standard',
+        cleanName: 'customer.name',
+        position: { index: 5, length: 19 },
+      };
+
+      const result = substitution.substitutePlaceholder(
+        placeholder,
+        { customer: { name: 'Smith & Sons <Ltd>' } },
+        content
+      );
+
+      expect(result.content).toBe('<w:t>Smith &amp; Sons &lt;Ltd&gt;</w:t>');
+    });
+
+    test('should escape values inserted into attributes', () => {
+      const content = '<wp:docPr id="1" descr="(((alt)))"/>';
+      const placeholder = {
+        type: 'standard',
+        cleanName: 'alt',
+        position: { index: 24, length: 9 },
+      };
+
+      const result = substitution.substitutePlaceholder(
+        placeholder,
+        { alt: 'Logo "ACME"' },
+        content
+      );
+
+      expect(result.content).toBe('<wp:docPr id="1" descr="Logo &quot;ACME&quot;"/>');
+    });
+
+    test('should strip characters that are illegal in XML', () => {
+      const content = '<w:t>(((note)))</w:t>';
+      const placeholder = {
+        type: 'standard',
+        cleanName: 'note',
+        position: { index: 5, length: 10 },
+      };
+
+      const result = substitution.substitutePlaceholder(placeholder, { note: 'a\u0001b' }, content);
+
+      expect(result.content).toBe('<w:t>ab</w:t>');
+    });
+
+    test('should insert raw XML values verbatim', () => {
+      const content = '<w:t>(((markup)))</w:t>';
+      const placeholder = {
+        type: 'standard',
+        cleanName: 'markup',
+        position: { index: 5, length: 12 },
+      };
+
+      const result = substitution.substitutePlaceholder(
+        placeholder,
+        { markup: rawXml('</w:t><w:br/><w:t>') },
+        content
+      );
+
+      expect(result.content).toBe('<w:t></w:t><w:br/><w:t></w:t>');
+    });
+  });
+
+  describe('hyperlink targets', () => {
+    const relationship = (target) =>
+      `<Relationship Id="rId4" Type="hyperlink" Target="${target}" TargetMode="External"/>`;
+    const targetPlaceholder = (content, name) => ({
+      type: 'standard',
+      cleanName: name,
+      position: { index: content.indexOf('((('), length: `(((${name})))`.length },
+    });
+
+    test('should insert allowed URLs escaped for the attribute', () => {
+      const content = relationship('(((links.portal)))');
+
+      const result = substitution.substitutePlaceholder(
+        targetPlaceholder(content, 'links.portal'),
+        { links: { portal: 'https://a.test/?x=1&y="2"' } },
+        content
+      );
+
+      expect(result.content).toBe(relationship('https://a.test/?x=1&amp;y=&quot;2&quot;'));
+    });
+
+    test('should refuse URLs with schemes outside the allow-list', () => {
+      substitution.configure({ logMissingData: false });
+      const content = relationship('(((links.portal)))');
+      const placeholder = targetPlaceholder(content, 'links.portal');
+      const data = { links: { portal: 'javascript:alert(1)' } };
+
+      expect(substitution.substitutePlaceholder(placeholder, data, content)).toMatchObject({
+        content,
+        success: false,
+      });
+
+      substitution.configure({ preserveUnmatched: false });
+      expect(substitution.substitutePlaceholder(placeholder, data, content).content).toBe(
+        relationship('')
+      );
+    });
+
+    test('should use the configured allow-list', () => {
+      substitution.configure({ allowedLinkSchemes: ['tel'] });
+      const content = relationship('(((phone)))');
+
+      const result = substitution.substitutePlaceholder(
+        targetPlaceholder(content, 'phone'),
+        { phone: 'tel:+4912345' },
+        content
+      );
+
+      expect(result.content).toBe(relationship('tel:+4912345'));
+    });
+
+    test('should only check values that start an external target', () => {
+      const internal = '<Relationship Id="rId1" Type="image" Target="(((file)))"/>';
+      const inPath = relationship('https://a.test/(((slug)))');
+
+      expect(substitution.isExternalTargetStart(internal, internal.indexOf('((('))).toBe(false);
+      expect(substitution.isExternalTargetStart(inPath, inPath.indexOf('((('))).toBe(false);
+      expect(
+        substitution.substitutePlaceholder(
+          targetPlaceholder(inPath, 'slug'),
+          { slug: 'x:y' },
+          inPath
+        ).content
+      ).toBe(relationship('https://a.test/x:y'));
+    });
+
+    test('should throw in strict mode', () => {
+      substitution.configure({ strictMode: true, logMissingData: false });
+      const content = relationship('(((url)))');
+
+      expect(() =>
+        substitution.substitutePlaceholder(
+          targetPlaceholder(content, 'url'),
+          { url: 'file:///etc/passwd' },
+          content
+        )
+      ).toThrow('Unsafe link target for placeholder: url');
+    });
+  });
+
+  describe('multi-line values', () => {
+    const { rawXml } = require('../../../src/utils/xml-escape');
+    const content = '<w:p><w:r><w:t>(((address)))</w:t></w:r></w:p>';
+    const placeholder = {
+      type: 'standard',
+      cleanName: 'address',
+      position: { index: content.indexOf('((('), length: 13, fileType: 'word' },
+    };
+
+    test('should render newlines as line breaks by default', () => {
+      const result = substitution.substitutePlaceholder(
+        placeholder,
+        { address: 'Main St 1\nSpringfield' },
+        content
+      );
+
+      expect(result.content).toBe(
+        '<w:p><w:r><w:t>Main St 1</w:t><w:br/><w:t xml:space="preserve">Springfield</w:t></w:r></w:p>'
+      );
+    });
+
+    test('should start paragraphs with lineBreaks: paragraph', () => {
+      substitution.configure({ lineBreaks: 'paragraph' });
+
+      const result = substitution.substitutePlaceholder(placeholder, { address: 'A\nB' }, content);
+
+      expect(result.content).toBe(
+        '<w:p><w:r><w:t>A</w:t></w:r></w:p><w:p><w:r><w:t xml:space="preserve">B</w:t></w:r></w:p>'
+      );
+    });
+
+    test('should insert raw XML values verbatim', () => {
+      const result = substitution.substitutePlaceholder(
+        placeholder,
+        { address: rawXml('A\nB') },
+        content
+      );
+
+      expect(result.content).toBe('<w:p><w:r><w:t>A\nB</w:t></w:r></w:p>');
+    });
+  });
+
+  describe('rich text values', () => {
+    const { richText } = require('../../../src/utils/rich-text');
+    const placeholder = (content) => ({
+      type: 'standard',
+      cleanName: 'note',
+      position: { index: content.indexOf('((('), length: 10, fileType: 'word' },
+    });
+
+    test('should write formatted runs in place of the placeholder run', () => {
+      const content = '<w:p><w:r><w:t>(((note)))</w:t></w:r></w:p>';
+
+      const result = substitution.substitutePlaceholder(
+        placeholder(content),
+        { note: richText('*Due* today') },
+        content
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.content).toBe(
+        '<w:p><w:r><w:rPr><w:i/></w:rPr><w:t xml:space="preserve">Due</w:t></w:r>' +
+          '<w:r><w:t xml:space="preserve"> today</w:t></w:r></w:p>'
+      );
+    });
+
+    test('should format values through the markdown pipe', () => {
+      const content = '<w:p><w:r><w:t>(((note | markdown)))</w:t></w:r></w:p>';
+      const piped = {
+        ...placeholder(content),
+        formatters: [{ name: 'markdown', args: [] }],
+        position: { index: content.indexOf('((('), length: 21, fileType: 'word' },
+      };
+
+      const result = substitution.substitutePlaceholder(piped, { note: '**A**' }, content);
+
+      expect(result.content).toBe(
+        '<w:p><w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">A</w:t></w:r></w:p>'
+      );
+    });
+
+    test('should insert plain text where runs cannot go', () => {
+      const content = '<wp:docPr descr="(((note)))"/>';
+
+      const result = substitution.substitutePlaceholder(
+        placeholder(content),
+        { note: richText('- **A** & B') },
+        content
+      );
+
+      expect(result.content).toBe('<wp:docPr descr="• A &amp; B"/>');
+    });
+
+    test('should collect links and add list numbering to the document', () => {
+      const documentXml = '<w:body><w:p><w:r><w:t>(((note)))</w:t></w:r></w:p></w:body>';
+      const numberingXml =
+        '<w:numbering><w:abstractNum w:abstractNumId="4"><w:lvl w:ilvl="0"><w:numFmt w:val="decimal"/></w:lvl></w:abstractNum>' +
+        '<w:num w:numId="7"><w:abstractNumId w:val="4"/></w:num></w:numbering>';
+      const xmlFiles = [
+        { path: 'word/document.xml', content: documentXml },
+        { path: 'word/numbering.xml', content: numberingXml },
+      ];
+      const parseResult = {
+        fileMap: new Map([['word/document.xml', [placeholder(documentXml)]]]),
+      };
+
+      const result = substitution.substituteDocument(
+        parseResult,
+        { note: richText('1. [Site](https://example.com)\n2. Two') },
+        xmlFiles
+      );
+
+      expect(result.richTextLinks).toEqual(['https://example.com']);
+      expect(result.modifiedFiles.get('word/document.xml').content).toContain(
+        '<w:numPr><w:ilvl w:val="0"/><w:numId w:val="8"/></w:numPr>'
+      );
+      expect(result.modifiedFiles.get('word/numbering.xml').content).toContain(
+        '<w:num w:numId="8"><w:abstractNumId w:val="4"/>'
+      );
+    });
   });
 
   describe('processNumericDirective', () => {
@@ -315,6 +659,49 @@ describe('PlaceholderSubstitution', () => {
       expect(result.coverage).toBeCloseTo(66.67, 1);
     });
 
+    test('should not report chain paths as missing when the chain resolves', () => {
+      const chain = (cleanName, fallbacks) => ({ type: 'standard', cleanName, fallbacks });
+      const parseResult = {
+        placeholders: [
+          chain('user.nickname', [{ path: 'user.name' }]),
+          chain('user.title', [{ value: 'Mx' }]),
+          chain('user.fax', [{ path: 'user.pager' }]),
+          { type: 'standard', cleanName: 'user.title' },
+        ],
+        uniquePlaceholderList: [
+          'user.nickname',
+          'user.name',
+          'user.title',
+          'user.fax',
+          'user.pager',
+        ],
+        numericDirectives: [],
+      };
+
+      const result = substitution.validateData(parseResult, { user: { name: 'Ann' } });
+
+      // user.title is also used without a fallback; fax || pager cannot resolve
+      expect(result.missing).toEqual(['user.title', 'user.fax', 'user.pager']);
+      expect(result.available).toEqual(['user.nickname', 'user.name']);
+    });
+
+    test('should not report condition paths as missing', () => {
+      const parseResult = {
+        placeholders: [
+          {
+            type: 'conditional',
+            cleanName: 'user.vip',
+            condition: { negate: false, left: { path: 'user.vip' }, operator: null, right: null },
+          },
+          { type: 'conditionalEnd', cleanName: '/if' },
+        ],
+        uniquePlaceholderList: ['user.vip'],
+        numericDirectives: [],
+      };
+
+      expect(substitution.validateData(parseResult, {}).valid).toBe(true);
+    });
+
     test('should identify type errors for numeric directives', () => {
       const parseResult = {
         uniquePlaceholderList: ['chart.value'],
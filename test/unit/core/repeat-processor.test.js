@@ -0,0 +1,239 @@
+/**
+ * Repeat Processor tests
+ */
+
+const RepeatProcessor = require('../../../src/core/repeat-processor');
+
+describe('RepeatProcessor', () => {
+  let processor;
+
+  const row = (cells) =>
+    '<w:tr><w:trPr><w:cantSplit/></w:trPr>' +
+    cells.map((cell) => `<w:tc><w:p><w:r><w:t>${cell}</w:t></w:r></w:p></w:tc>`).join('') +
+    '</w:tr>';
+
+  beforeEach(() => {
+    processor = new RepeatProcessor();
+  });
+
+  describe('scopePlaceholders', () => {
+    test('should rewrite item-relative paths', () => {
+      const xml = '<w:t>(((items.sku))) (((items))) (((total))) (((lineitems.x)))</w:t>';
+
+      expect(processor.scopePlaceholders(xml, 'items', 2)).toBe(
+        '<w:t>(((items.2.sku))) (((items.2))) (((total))) (((lineitems.x)))</w:t>'
+      );
+    });
+
+    test('should scope nested collection paths', () => {
+      const xml = '(((#order.lines))) (((order.lines.qty))) (((order.id)))';
+
+      expect(processor.scopePlaceholders(xml, 'order.lines', 0)).toBe(
+        '(((#order.lines.0))) (((order.lines.0.qty))) (((order.id)))'
+      );
+    });
+
+    test('should scope fallback paths but not quoted literals', () => {
+      const xml = '(((items.nick || items.name || "no items" | default:&quot;items&quot;)))';
+
+      expect(processor.scopePlaceholders(xml, 'items', 1)).toBe(
+        '(((items.1.nick || items.1.name || "no items" | default:&quot;items&quot;)))'
+      );
+    });
+  });
+
+  describe('expandRows', () => {
+    test('should clone the row once per array item', () => {
+      const content =
+        '<w:tbl>' +
+        row(['SKU', 'Price']) +
+        row(['(((#items)))(((items.sku)))', '(((items.price)))']) +
+        row(['Total', '(((total)))']) +
+        '</w:tbl>';
+      const data = { items: [{ sku: 'A' }, { sku: 'B' }, { sku: 'C' }] };
+
+      const result = processor.expand(content, data, 'word');
+
+      expect(result.repeatedRows).toBe(3);
+      expect(result.content).toBe(
+        '<w:tbl>' +
+          row(['SKU', 'Price']) +
+          row(['(((items.0.sku)))', '(((items.0.price)))']) +
+          row(['(((items.1.sku)))', '(((items.1.price)))']) +
+          row(['(((items.2.sku)))', '(((items.2.price)))']) +
+          row(['Total', '(((total)))']) +
+          '</w:tbl>'
+      );
+    });
+
+    test('should remove the row for an empty array', () => {
+      const content =
+        '<w:tbl>' + row(['Header']) + row(['(((#items)))(((items.sku)))']) + '</w:tbl>';
+
+      const result = processor.expand(content, { items: [] }, 'word');
+
+      expect(result.removedRows).toBe(1);
+      expect(result.content).toBe('<w:tbl>' + row(['Header']) + '</w:tbl>');
+    });
+
+    test('should remove the row when the collection is missing', () => {
+      const content = '<w:tbl>' + row(['(((#items)))x']) + '</w:tbl>';
+
+      const result = processor.expand(content, {}, 'word');
+
+      expect(result.content).toBe('<w:tbl></w:tbl>');
+    });
+
+    test('should expand outer rows before nested table rows', () => {
+      const inner = '<w:tbl>' + row(['(((#orders.lines)))(((orders.lines.qty)))']) + '</w:tbl>';
+      const content =
+        '<w:tbl><w:tr><w:tc>' +
+        inner +
+        '<w:p><w:r><w:t>(((#orders)))</w:t></w:r></w:p></w:tc></w:tr></w:tbl>';
+      const data = {
+        orders: [{ lines: [{ qty: 1 }, { qty: 2 }] }, { lines: [{ qty: 3 }] }],
+      };
+
+      const result = processor.expand(content, data, 'word');
+
+      expect(result.content.match(/<w:tr>/g)).toHaveLength(2 + 3);
+      expect(result.content).toContain('(((orders.0.lines.0.qty)))');
+      expect(result.content).toContain('(((orders.0.lines.1.qty)))');
+      expect(result.content).toContain('(((orders.1.lines.0.qty)))');
+      expect(result.content).not.toContain('(((#');
+    });
+
+    test('should repeat PowerPoint table rows', () => {
+      const content =
+        '<a:tbl><a:tr h="370840"><a:tc><a:txBody><a:p><a:r><a:t>(((#regions)))(((regions.name)))</a:t></a:r></a:p></a:txBody></a:tc></a:tr></a:tbl>';
+
+      const result = processor.expand(content, { regions: [{}, {}] }, 'powerpoint');
+
+      expect(result.content.match(/<a:tr /g)).toHaveLength(2);
+      expect(result.content).toContain('(((regions.1.name)))');
+    });
+
+    test('should drop markers that are not inside a table row', () => {
+      const content = '<w:p><w:r><w:t>(((#items)))text</w:t></w:r></w:p>';
+
+      const result = processor.expand(content, { items: [1] }, 'word');
+
+      expect(result.content).toBe('<w:p><w:r><w:t>text</w:t></w:r></w:p>');
+    });
+  });
+
+  describe('block loops', () => {
+    const para = (text) => `<w:p><w:r><w:t>${text}</w:t></w:r></w:p>`;
+
+    test('should repeat the paragraphs between marker paragraphs', () => {
+      const content =
+        para('Intro') +
+        para('(((#each sections)))') +
+        para('(((sections.title)))') +
+        para('(((sections.body))) for (((client)))') +
+        para('(((/each)))') +
+        para('Outro');
+      const data = { sections: [{}, {}], client: 'ACME' };
+
+      const result = processor.expand(content, data, 'word');
+
+      expect(result.repeatedBlocks).toBe(2);
+      expect(result.content).toBe(
+        para('Intro') +
+          para('(((sections.0.title)))') +
+          para('(((sections.0.body))) for (((client)))') +
+          para('(((sections.1.title)))') +
+          para('(((sections.1.body))) for (((client)))') +
+          para('Outro')
+      );
+    });
+
+    test('should keep marker paragraphs that hold other text', () => {
+      const content =
+        para('Clauses: (((#each clauses)))') + para('(((clauses)))') + para('(((/each)))');
+
+      const result = processor.expand(content, { clauses: ['a', 'b'] }, 'word');
+
+      expect(result.content).toBe(
+        para('Clauses: ') + para('(((clauses.0)))') + para('(((clauses.1)))')
+      );
+    });
+
+    test('should expand nested loops against the current item', () => {
+      const content =
+        para('(((#each sections)))') +
+        para('(((sections.title)))') +
+        para('(((#each sections.bullets)))') +
+        para('- (((sections.bullets.text)))') +
+        para('(((/each)))') +
+        para('(((/each)))');
+      const data = {
+        sections: [{ bullets: [{}, {}] }, { bullets: [{}] }],
+      };
+
+      const result = processor.expand(content, data, 'word');
+
+      expect(result.content).toBe(
+        para('(((sections.0.title)))') +
+          para('- (((sections.0.bullets.0.text)))') +
+          para('- (((sections.0.bullets.1.text)))') +
+          para('(((sections.1.title)))') +
+          para('- (((sections.1.bullets.0.text)))')
+      );
+    });
+
+    test('should repeat inline markup when both markers share a paragraph', () => {
+      const content =
+        '<w:p><w:r><w:t>Tags: (((#each tags)))(((tags))), (((/each)))</w:t></w:r></w:p>';
+
+      const result = processor.expand(content, { tags: ['x', 'y'] }, 'word');
+
+      expect(result.content).toBe(
+        '<w:p><w:r><w:t>Tags: (((tags.0))), (((tags.1))), </w:t></w:r></w:p>'
+      );
+    });
+
+    test('should remove the whole block for an empty array', () => {
+      const content =
+        para('A') + para('(((#each items)))') + para('(((items)))') + para('(((/each)))');
+
+      const result = processor.expand(content, { items: [] }, 'word');
+
+      expect(result.content).toBe(para('A'));
+      expect(result.repeatedBlocks).toBe(0);
+    });
+
+    test('should expand table rows inside a block loop', () => {
+      const content =
+        para('(((#each orders)))') +
+        '<w:tbl>' +
+        row(['(((#orders.lines)))(((orders.lines.sku)))']) +
+        '</w:tbl>' +
+        para('(((/each)))');
+      const data = { orders: [{ lines: [{}, {}] }] };
+
+      const result = processor.expand(content, data, 'word');
+
+      expect(result.content).toContain('(((orders.0.lines.0.sku)))');
+      expect(result.content).toContain('(((orders.0.lines.1.sku)))');
+      expect(result.repeatedRows).toBe(2);
+    });
+
+    test('should drop unbalanced markers', () => {
+      expect(processor.expand(para('(((/each)))x'), {}, 'word').content).toBe(para('x'));
+      expect(processor.expand(para('(((#each a)))x'), {}, 'word').content).toBe(para('x'));
+    });
+
+    test('should repeat PowerPoint paragraphs', () => {
+      const content =
+        '<p:txBody><a:p><a:r><a:t>(((#each points)))</a:t></a:r></a:p>' +
+        '<a:p><a:r><a:t>(((points)))</a:t></a:r></a:p>' +
+        '<a:p><a:r><a:t>(((/each)))</a:t></a:r></a:p></p:txBody>';
+
+      const result = processor.expand(content, { points: ['a', 'b', 'c'] }, 'powerpoint');
+
+      expect(result.content.match(/<a:p>/g)).toHaveLength(3);
+      expect(result.content).toContain('(((points.2)))');
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Rich Text Renderer tests
+ */
+
+const RichTextRenderer = require('../../../src/core/rich-text-renderer');
+const { richText } = require('../../../src/utils/rich-text');
+
+describe('RichTextRenderer', () => {
+  const numberingXml =
+    '<w:numbering>' +
+    '<w:abstractNum w:abstractNumId="0"><w:lvl w:ilvl="0"><w:numFmt w:val="bullet"/></w:lvl></w:abstractNum>' +
+    '<w:abstractNum w:abstractNumId="1"><w:lvl w:ilvl="0"><w:numFmt w:val="decimal"/></w:lvl></w:abstractNum>' +
+    '<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>' +
+    '<w:num w:numId="2"><w:abstractNumId w:val="1"/></w:num>' +
+    '<w:numIdMacAtCleanup w:val="2"/></w:numbering>';
+
+  let renderer;
+  let context;
+
+  // Render the value at the (((value))) marker and return the updated content
+  const render = (content, value, fileType = 'word') => {
+    const index = content.indexOf('(((');
+    const position = { index, length: '(((value)))'.length, fileType };
+    const range = renderer.render(richText(value), content, position, context);
+    return range && content.slice(0, range.start) + range.markup + content.slice(range.end);
+  };
+
+  beforeEach(() => {
+    renderer = new RichTextRenderer();
+    context = renderer.createContext([{ path: 'word/numbering.xml', content: numberingXml }]);
+  });
+
+  describe('Word documents', () => {
+    const paragraph = (text) =>
+      '<w:p w14:paraId="1A2B3C4D"><w:pPr><w:pStyle w:val="Body"/></w:pPr>' +
+      `<w:r><w:rPr><w:sz w:val="20"/></w:rPr><w:t>${text}</w:t></w:r></w:p>`;
+
+    test('should replace the placeholder run with runs layered on its properties', () => {
+      expect(render(paragraph('(((value)))'), '**Bold** ~~gone~~ `x`')).toBe(
+        '<w:p w14:paraId="1A2B3C4D"><w:pPr><w:pStyle w:val="Body"/></w:pPr>' +
+          '<w:r><w:rPr><w:b/><w:sz w:val="20"/></w:rPr><w:t xml:space="preserve">Bold</w:t></w:r>' +
+          '<w:r><w:rPr><w:sz w:val="20"/></w:rPr><w:t xml:space="preserve"> </w:t></w:r>' +
+          '<w:r><w:rPr><w:strike/><w:sz w:val="20"/></w:rPr><w:t xml:space="preserve">gone</w:t></w:r>' +
+          '<w:r><w:rPr><w:sz w:val="20"/></w:rPr><w:t xml:space="preserve"> </w:t></w:r>' +
+          '<w:r><w:rPr><w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/>' +
+          '<w:sz w:val="20"/></w:rPr><w:t xml:space="preserve">x</w:t></w:r></w:p>'
+      );
+    });
+
+    test('should split the run around the placeholder and apply run model colors', () => {
+      expect(
+        render('<w:p><w:r><w:t>Total: (((value))) EUR</w:t></w:r></w:p>', [
+          { text: '42', color: '#c00000', underline: true },
+          '\tnet\nline',
+        ])
+      ).toBe(
+        '<w:p><w:r><w:t>Total: </w:t></w:r>' +
+          '<w:r><w:rPr><w:color w:val="c00000"/><w:u w:val="single"/></w:rPr><w:t xml:space="preserve">42</w:t></w:r>' +
+          '<w:r><w:tab/><w:t xml:space="preserve">net</w:t><w:br/><w:t xml:space="preserve">line</w:t></w:r>' +
+          '<w:r><w:t xml:space="preserve"> EUR</w:t></w:r></w:p>'
+      );
+    });
+
+    test('should wrap link runs in a hyperlink with a pending relationship id', () => {
+      const result = render(paragraph('(((value)))'), 'See [the docs](https://example.com)');
+
+      expect(result).toContain(
+        '<w:hyperlink r:id="richTextLink:0" w:history="1"><w:r><w:rPr><w:rStyle w:val="Hyperlink"/>' +
+          '<w:sz w:val="20"/></w:rPr><w:t xml:space="preserve">the docs</w:t></w:r></w:hyperlink>'
+      );
+      expect(context.links).toEqual(['https://example.com']);
+    });
+
+    test('should not nest hyperlinks', () => {
+      const linked =
+        '<w:p><w:hyperlink r:id="rId4"><w:r><w:t>(((value)))</w:t></w:r></w:hyperlink></w:p>';
+
+      expect(render(linked, '[a](https://example.com)')).toBe(
+        '<w:p><w:hyperlink r:id="rId4"><w:r><w:t xml:space="preserve">a</w:t></w:r></w:hyperlink></w:p>'
+      );
+      expect(context.links).toEqual([]);
+    });
+
+    test('should replace the paragraph with list paragraphs using the numbering definitions', () => {
+      const result = render(paragraph('(((value)))'), 'Intro\n\n- Apple\n- Pear\n\n1. One\n2. Two');
+      const paragraphs = result.match(/<w:p>[\s\S]*?<\/w:p>/g);
+
+      expect(paragraphs).toHaveLength(5);
+      expect(paragraphs[0]).toBe(
+        '<w:p><w:pPr><w:pStyle w:val="Body"/></w:pPr>' +
+          '<w:r><w:rPr><w:sz w:val="20"/></w:rPr><w:t xml:space="preserve">Intro</w:t></w:r></w:p>'
+      );
+      expect(paragraphs[1]).toContain(
+        '<w:pPr><w:pStyle w:val="Body"/><w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr></w:pPr>'
+      );
+      expect(paragraphs[3]).toContain('<w:numId w:val="3"/>');
+      expect(paragraphs[4]).toContain('<w:numId w:val="3"/>');
+      expect(context.numbering.added).toEqual([
+        '<w:num w:numId="3"><w:abstractNumId w:val="1"/>' +
+          '<w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride></w:num>',
+      ]);
+    });
+
+    test('should keep surrounding text in the split paragraph', () => {
+      const result = render(paragraph('Before (((value))) after'), 'First\n\nSecond\n\nThird');
+
+      expect(result).toBe(
+        '<w:p w14:paraId="1A2B3C4D"><w:pPr><w:pStyle w:val="Body"/></w:pPr>' +
+          '<w:r><w:rPr><w:sz w:val="20"/></w:rPr><w:t>Before </w:t></w:r>' +
+          '<w:r><w:rPr><w:sz w:val="20"/></w:rPr><w:t xml:space="preserve">First</w:t></w:r></w:p>' +
+          '<w:p><w:pPr><w:pStyle w:val="Body"/></w:pPr>' +
+          '<w:r><w:rPr><w:sz w:val="20"/></w:rPr><w:t xml:space="preserve">Second</w:t></w:r></w:p>' +
+          '<w:p><w:pPr><w:pStyle w:val="Body"/></w:pPr>' +
+          '<w:r><w:rPr><w:sz w:val="20"/></w:rPr><w:t xml:space="preserve">Third</w:t></w:r>' +
+          '<w:r><w:rPr><w:sz w:val="20"/></w:rPr><w:t xml:space="preserve"> after</w:t></w:r></w:p>'
+      );
+    });
+
+    test('should fall back to list markers without a numbering part', () => {
+      context = renderer.createContext([]);
+
+      const result = render('<w:p><w:r><w:t>(((value)))</w:t></w:r></w:p>', '1. One\n   - Sub');
+
+      expect(result).toBe(
+        '<w:p><w:r><w:t xml:space="preserve">1.</w:t><w:tab/></w:r><w:r><w:t xml:space="preserve">One</w:t></w:r></w:p>' +
+          '<w:p><w:r><w:tab/><w:t xml:space="preserve">•</w:t><w:tab/></w:r><w:r><w:t xml:space="preserve">Sub</w:t></w:r></w:p>'
+      );
+    });
+
+    test('should add numbering instances to numbering.xml', () => {
+      render(paragraph('(((value)))'), '1. One');
+      const modifiedFiles = new Map();
+
+      renderer.writeNumbering(
+        context,
+        [{ path: 'word/numbering.xml', content: numberingXml }],
+        modifiedFiles
+      );
+
+      expect(modifiedFiles.get('word/numbering.xml').content).toContain(
+        '<w:startOverride w:val="1"/></w:lvlOverride></w:num><w:numIdMacAtCleanup w:val="2"/>'
+      );
+      expect(context.numbering.added).toEqual([]);
+    });
+
+    test('should leave placeholders outside text runs to plain text', () => {
+      const field = '<w:p><w:r><w:instrText>(((value)))</w:instrText></w:r></w:p>';
+
+      expect(render(field, '**A**')).toBeNull();
+      expect(render('<si><t>(((value)))</t></si>', '**A**', 'excel')).toBeNull();
+    });
+  });
+
+  describe('PowerPoint slides', () => {
+    const content =
+      '<a:p><a:pPr algn="ctr"/><a:r><a:rPr lang="en-US" sz="1800"/><a:t>(((value)))</a:t></a:r>' +
+      '<a:endParaRPr lang="en-US"/></a:p>';
+
+    test('should set run attributes, fills and links on a:rPr', () => {
+      expect(
+        render(
+          content,
+          [
+            { text: 'Hot', bold: true, color: 'FF0000' },
+            { text: 'Go', link: 'https://x.test' },
+          ],
+          'powerpoint'
+        )
+      ).toBe(
+        '<a:p><a:pPr algn="ctr"/>' +
+          '<a:r><a:rPr lang="en-US" sz="1800" b="1"><a:solidFill><a:srgbClr val="FF0000"/></a:solidFill></a:rPr>' +
+          '<a:t>Hot</a:t></a:r>' +
+          '<a:r><a:rPr lang="en-US" sz="1800"><a:hlinkClick r:id="richTextLink:0"/></a:rPr><a:t>Go</a:t></a:r>' +
+          '<a:endParaRPr lang="en-US"/></a:p>'
+      );
+    });
+
+    test('should write list items as bulleted and numbered paragraphs', () => {
+      expect(render(content, '- Point\n  1. Step', 'powerpoint')).toBe(
+        '<a:p><a:pPr algn="ctr" marL="342900" indent="-342900"><a:buFont typeface="Arial"/><a:buChar char="•"/></a:pPr>' +
+          '<a:r><a:rPr lang="en-US" sz="1800"/><a:t>Point</a:t></a:r></a:p>' +
+          '<a:p><a:pPr algn="ctr" marL="685800" indent="-342900" lvl="1"><a:buAutoNum type="arabicPeriod"/></a:pPr>' +
+          '<a:r><a:rPr lang="en-US" sz="1800"/><a:t>Step</a:t></a:r></a:p>'
+      );
+    });
+  });
+});
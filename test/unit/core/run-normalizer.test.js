@@ -0,0 +1,143 @@
+/**
+ * Run Normalizer tests
+ */
+
+const RunNormalizer = require('../../../src/core/run-normalizer');
+
+describe('RunNormalizer', () => {
+  let normalizer;
+
+  beforeEach(() => {
+    normalizer = new RunNormalizer();
+  });
+
+  describe('normalize', () => {
+    test('should leave content without placeholders untouched', () => {
+      const content = '<w:p><w:r><w:t>Hello</w:t></w:r><w:r><w:t> world</w:t></w:r></w:p>';
+      const result = normalizer.normalize(content);
+
+      expect(result.content).toBe(content);
+      expect(result.healedCount).toBe(0);
+    });
+
+    test('should leave contiguous placeholders untouched', () => {
+      const content = '<w:p><w:r><w:t>Hello (((name)))</w:t></w:r><w:r><w:t>!</w:t></w:r></w:p>';
+      const result = normalizer.normalize(content);
+
+      expect(result.content).toBe(content);
+      expect(result.healedCount).toBe(0);
+    });
+
+    test('should merge a Word placeholder split across runs into the first run', () => {
+      const content =
+        '<w:p>' +
+        '<w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">Dear (((</w:t></w:r>' +
+        '<w:proofErr w:type="spellStart"/>' +
+        '<w:r><w:t>customer</w:t></w:r>' +
+        '<w:proofErr w:type="spellEnd"/>' +
+        '<w:r><w:rPr><w:i/></w:rPr><w:t>.name))),</w:t></w:r>' +
+        '</w:p>';
+      const result = normalizer.normalize(content);
+
+      expect(result.healedCount).toBe(1);
+      expect(result.content).toBe(
+        '<w:p>' +
+          '<w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">Dear (((customer.name)))</w:t></w:r>' +
+          '<w:r><w:rPr><w:i/></w:rPr><w:t>,</w:t></w:r>' +
+          '</w:p>'
+      );
+    });
+
+    test('should heal PowerPoint runs', () => {
+      const content =
+        '<a:p><a:r><a:rPr lang="en-US"/><a:t>(((re</a:t></a:r>' +
+        '<a:r><a:rPr lang="en-US" dirty="0"/><a:t>gion)))</a:t></a:r></a:p>';
+      const result = normalizer.normalize(content);
+
+      expect(result.healedCount).toBe(1);
+      expect(result.content).toBe(
+        '<a:p><a:r><a:rPr lang="en-US"/><a:t>(((region)))</a:t></a:r></a:p>'
+      );
+    });
+
+    test('should heal Excel rich text shared strings', () => {
+      const content =
+        '<sst><si><r><t>(((total</t></r><r><rPr><b/></rPr><t>.amount)))</t></r></si></sst>';
+      const result = normalizer.normalize(content);
+
+      expect(result.healedCount).toBe(1);
+      expect(result.content).toBe('<sst><si><r><t>(((total.amount)))</t></r></si></sst>');
+    });
+
+    test('should keep runs that carry other content', () => {
+      const content = '<w:p><w:r><w:t>(((a</w:t></w:r><w:r><w:tab/><w:t>b)))</w:t></w:r></w:p>';
+      const result = normalizer.normalize(content);
+
+      expect(result.healedCount).toBe(1);
+      expect(result.content).toBe(
+        '<w:p><w:r><w:t>(((ab)))</w:t></w:r><w:r><w:tab/><w:t></w:t></w:r></w:p>'
+      );
+    });
+
+    test('should heal several placeholders in one paragraph', () => {
+      const content =
+        '<w:p><w:r><w:t>(((first</w:t></w:r><w:r><w:t>))) and (((sec</w:t></w:r>' +
+        '<w:r><w:t>ond)))</w:t></w:r></w:p>';
+      const result = normalizer.normalize(content);
+
+      expect(result.healedCount).toBe(2);
+      expect(result.content).toBe(
+        '<w:p><w:r><w:t>(((first)))</w:t></w:r>' +
+          '<w:r><w:t xml:space="preserve"> and (((second)))</w:t></w:r></w:p>'
+      );
+    });
+
+    test('should not join text across paragraphs', () => {
+      const content = '<w:p><w:r><w:t>(((a</w:t></w:r></w:p><w:p><w:r><w:t>b)))</w:t></w:r></w:p>';
+      const result = normalizer.normalize(content);
+
+      expect(result.content).toBe(content);
+      expect(result.healedCount).toBe(0);
+    });
+
+    test('should heal text box paragraphs on their own', () => {
+      const textBox =
+        '<w:r><w:drawing><wps:txbx><w:txbxContent>' +
+        '<w:p><w:r><w:t>(((box.</w:t></w:r><w:r><w:t>title)))</w:t></w:r></w:p>' +
+        '<w:p w:rsidR="00A1"><w:r><w:t>(((a</w:t></w:r></w:p>' +
+        '</w:txbxContent></wps:txbx></w:drawing></w:r>';
+      const content =
+        `<w:p><w:r><w:t>(((cus</w:t></w:r>${textBox}` +
+        '<w:r><w:t>tomer)))</w:t></w:r></w:p><w:p/><w:p><w:r><w:t>b)))</w:t></w:r></w:p>';
+      const result = normalizer.normalize(content);
+
+      expect(result.content).toBe(
+        '<w:p><w:r><w:t>(((customer)))</w:t></w:r><w:r><w:drawing><wps:txbx><w:txbxContent>' +
+          '<w:p><w:r><w:t>(((box.title)))</w:t></w:r></w:p>' +
+          '<w:p w:rsidR="00A1"><w:r><w:t>(((a</w:t></w:r></w:p>' +
+          '</w:txbxContent></wps:txbx></w:drawing></w:r></w:p>' +
+          '<w:p/><w:p><w:r><w:t>b)))</w:t></w:r></w:p>'
+      );
+      expect(result.healedCount).toBe(2);
+    });
+
+    test('should handle empty content', () => {
+      expect(normalizer.normalize('').content).toBe('');
+      expect(normalizer.normalize(null).healedCount).toBe(0);
+    });
+  });
+
+  describe('findTextSegments', () => {
+    test('should return text elements with their boundaries', () => {
+      const paragraph =
+        '<w:p><w:r><w:t>ab</w:t></w:r><w:r><w:t xml:space="preserve"> c</w:t></w:r></w:p>';
+      const segments = normalizer.findTextSegments(paragraph, 'w:t');
+
+      expect(segments).toHaveLength(2);
+      expect(segments[0].text).toBe('ab');
+      expect(segments[1].text).toBe(' c');
+      expect(segments[1].attributes).toBe(' xml:space="preserve"');
+      expect(paragraph.slice(segments[0].start, segments[0].end)).toBe('<w:t>ab</w:t>');
+    });
+  });
+});
@@ -0,0 +1,336 @@
+/**
+ * Slide Manager tests
+ */
+
+const SlideManager = require('../../../src/core/slide-manager');
+const PackageEditor = require('../../../src/core/package-editor');
+
+describe('SlideManager', () => {
+  const rel = (id, kind, target) =>
+    `<Relationship Id="${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/${kind}" Target="${target}"/>`;
+  const entry = (name, content) => ({ name, content, buffer: null });
+
+  let manager;
+  let extracted;
+
+  beforeEach(() => {
+    manager = new SlideManager();
+
+    const files = {};
+    const add = (name, content) => {
+      files[name] = entry(name, content);
+    };
+    add(
+      '[Content_Types].xml',
+      '<Types>' +
+        '<Override PartName="/ppt/slides/slide1.xml" ContentType="slide"/>' +
+        '<Override PartName="/ppt/slides/slide2.xml" ContentType="slide"/>' +
+        '<Override PartName="/ppt/notesSlides/notesSlide1.xml" ContentType="notes"/>' +
+        '<Override PartName="/ppt/charts/chart1.xml" ContentType="chart"/>' +
+        '</Types>'
+    );
+    add(
+      'ppt/presentation.xml',
+      '<p:presentation><p:sldIdLst><p:sldId id="256" r:id="rId2"/><p:sldId id="257" r:id="rId3"/></p:sldIdLst></p:presentation>'
+    );
+    add(
+      'ppt/_rels/presentation.xml.rels',
+      '<Relationships>' +
+        rel('rId1', 'slideMaster', 'slideMasters/slideMaster1.xml') +
+        rel('rId2', 'slide', 'slides/slide1.xml') +
+        rel('rId3', 'slide', 'slides/slide2.xml') +
+        '</Relationships>'
+    );
+    add('ppt/slides/slide1.xml', '<p:sld><a:t>Intro</a:t></p:sld>');
+    add(
+      'ppt/slides/slide2.xml',
+      '<p:sld><a:t>(((RepeatSlide=regions)))</a:t><a:t>(((regions.name))) of (((title)))</a:t></p:sld>'
+    );
+    add(
+      'ppt/slides/_rels/slide2.xml.rels',
+      '<Relationships>' +
+        rel('rId1', 'slideLayout', '../slideLayouts/slideLayout1.xml') +
+        rel('rId2', 'notesSlide', '../notesSlides/notesSlide1.xml') +
+        rel('rId3', 'chart', '../charts/chart1.xml') +
+        '</Relationships>'
+    );
+    add('ppt/notesSlides/notesSlide1.xml', '<p:notes><a:t>(((regions.notes)))</a:t></p:notes>');
+    add(
+      'ppt/notesSlides/_rels/notesSlide1.xml.rels',
+      '<Relationships>' + rel('rId1', 'slide', '../slides/slide2.xml') + '</Relationships>'
+    );
+    add('ppt/charts/chart1.xml', '<c:chart><c:v>(((regions.total)))</c:v></c:chart>');
+    add('ppt/slideLayouts/slideLayout1.xml', '<p:sldLayout/>');
+
+    extracted = { files, embeddedFiles: {} };
+  });
+
+  const slideOrder = () => manager.getSlideOrder(new PackageEditor(extracted.files));
+  const text = (name) => extracted.files[name].content;
+
+  describe('repeatSlides', () => {
+    test('should clone the slide with its notes and chart once per item', () => {
+      const result = manager.repeatSlides(extracted, {
+        regions: [{ name: 'North' }, { name: 'South' }, { name: 'East' }],
+      });
+
+      expect(result.repeatedSlides).toBe(3);
+      expect(slideOrder()).toEqual([
+        'ppt/slides/slide1.xml',
+        'ppt/slides/slide2.xml',
+        'ppt/slides/slide3.xml',
+        'ppt/slides/slide4.xml',
+      ]);
+
+      expect(text('ppt/slides/slide2.xml')).toBe(
+        '<p:sld><a:t></a:t><a:t>(((regions.0.name))) of (((title)))</a:t></p:sld>'
+      );
+      expect(text('ppt/slides/slide4.xml')).toContain('(((regions.2.name))) of (((title)))');
+      expect(text('ppt/notesSlides/notesSlide1.xml')).toContain('(((regions.0.notes)))');
+      expect(text('ppt/notesSlides/notesSlide2.xml')).toContain('(((regions.1.notes)))');
+      expect(text('ppt/charts/chart3.xml')).toContain('(((regions.2.total)))');
+    });
+
+    test('should wire relationships and content types of the copies', () => {
+      manager.repeatSlides(extracted, { regions: [{}, {}] });
+      const editor = new PackageEditor(extracted.files);
+
+      const slideRels = editor.getRelationships('ppt/slides/slide3.xml');
+      expect(slideRels.map((r) => r.partPath)).toEqual([
+        'ppt/slideLayouts/slideLayout1.xml',
+        'ppt/notesSlides/notesSlide2.xml',
+        'ppt/charts/chart2.xml',
+      ]);
+      expect(editor.getRelationships('ppt/notesSlides/notesSlide2.xml')[0].partPath).toBe(
+        'ppt/slides/slide3.xml'
+      );
+
+      expect(editor.getContentTypeOverride('ppt/slides/slide3.xml')).toBe('slide');
+      expect(editor.getContentTypeOverride('ppt/notesSlides/notesSlide2.xml')).toBe('notes');
+      expect(editor.getContentTypeOverride('ppt/charts/chart2.xml')).toBe('chart');
+
+      expect(text('ppt/presentation.xml')).toContain(
+        '<p:sldId id="257" r:id="rId3"/><p:sldId id="258" r:id="rId4"/>'
+      );
+    });
+
+    test('should copy embedded workbooks of cloned charts', () => {
+      extracted.files['ppt/charts/_rels/chart1.xml.rels'] = entry(
+        'ppt/charts/_rels/chart1.xml.rels',
+        '<Relationships>' +
+          rel('rId1', 'package', '../embeddings/Workbook1.xlsx') +
+          '</Relationships>'
+      );
+      extracted.files['ppt/embeddings/Workbook1.xlsx'] = {
+        name: 'ppt/embeddings/Workbook1.xlsx',
+        content: null,
+        buffer: Buffer.from('zip'),
+      };
+      extracted.embeddedFiles['ppt/embeddings/Workbook1.xlsx'] = {
+        path: 'ppt/embeddings/Workbook1.xlsx',
+        files: { 'xl/sharedStrings.xml': { content: '<t>(((regions.name)))</t>' } },
+      };
+
+      manager.repeatSlides(extracted, { regions: [{}, {}] });
+
+      const copy = extracted.embeddedFiles['ppt/embeddings/Workbook2.xlsx'];
+      expect(copy.files['xl/sharedStrings.xml'].content).toBe('<t>(((regions.1.name)))</t>');
+      expect(
+        extracted.embeddedFiles['ppt/embeddings/Workbook1.xlsx'].files['xl/sharedStrings.xml']
+          .content
+      ).toBe('<t>(((regions.0.name)))</t>');
+      expect(text('ppt/charts/_rels/chart2.xml.rels')).toContain(
+        'Target="../embeddings/Workbook2.xlsx"'
+      );
+    });
+
+    test('should remove the slide when the collection is empty', () => {
+      const result = manager.repeatSlides(extracted, { regions: [] });
+
+      expect(result.removedSlides).toBe(1);
+      expect(slideOrder()).toEqual(['ppt/slides/slide1.xml']);
+      expect(extracted.files['ppt/slides/slide2.xml']).toBeUndefined();
+      expect(text('ppt/presentation.xml')).not.toContain('rId3');
+      expect(text('ppt/_rels/presentation.xml.rels')).not.toContain('slide2.xml');
+      expect(text('[Content_Types].xml')).not.toContain('slide2.xml');
+    });
+
+    test('should render a single object once without scoping', () => {
+      const result = manager.repeatSlides(extracted, { regions: { name: 'All' } });
+
+      expect(result.repeatedSlides).toBe(1);
+      expect(slideOrder()).toHaveLength(2);
+      expect(text('ppt/slides/slide2.xml')).toContain('(((regions.name)))');
+      expect(text('ppt/slides/slide2.xml')).not.toContain('RepeatSlide');
+    });
+
+    test('should leave decks without markers untouched', () => {
+      extracted.files['ppt/slides/slide2.xml'].content = '<p:sld/>';
+      const before = JSON.stringify(extracted.files);
+
+      const result = manager.repeatSlides(extracted, {});
+
+      expect(result.repeatedSlides).toBe(0);
+      expect(JSON.stringify(extracted.files)).toBe(before);
+    });
+  });
+
+  describe('removeSlides', () => {
+    beforeEach(() => {
+      const files = extracted.files;
+      files['ppt/charts/_rels/chart1.xml.rels'] = entry(
+        'ppt/charts/_rels/chart1.xml.rels',
+        '<Relationships>' +
+          rel('rId1', 'package', '../embeddings/Workbook1.xlsx') +
+          '</Relationships>'
+      );
+      files['ppt/embeddings/Workbook1.xlsx'] = entry('ppt/embeddings/Workbook1.xlsx', null);
+      extracted.embeddedFiles['ppt/embeddings/Workbook1.xlsx'] = { files: {} };
+
+      // slide2 uses one image of its own and one shared with slide1
+      files['ppt/slides/_rels/slide2.xml.rels'].content = files[
+        'ppt/slides/_rels/slide2.xml.rels'
+      ].content.replace(
+        '</Relationships>',
+        rel('rId4', 'image', '../media/image1.png') +
+          rel('rId5', 'image', '../media/image2.png') +
+          '</Relationships>'
+      );
+      files['ppt/slides/_rels/slide1.xml.rels'] = entry(
+        'ppt/slides/_rels/slide1.xml.rels',
+        '<Relationships>' + rel('rId1', 'image', '../media/image2.png') + '</Relationships>'
+      );
+      files['ppt/media/image1.png'] = entry('ppt/media/image1.png', null);
+      files['ppt/media/image2.png'] = entry('ppt/media/image2.png', null);
+    });
+
+    test('should remove the slide with its notes, charts, workbooks and unshared media', () => {
+      const removed = manager.removeSlides(extracted, ['ppt/slides/slide2.xml']);
+
+      expect(removed.sort()).toEqual([
+        'ppt/charts/_rels/chart1.xml.rels',
+        'ppt/charts/chart1.xml',
+        'ppt/embeddings/Workbook1.xlsx',
+        'ppt/media/image1.png',
+        'ppt/notesSlides/_rels/notesSlide1.xml.rels',
+        'ppt/notesSlides/notesSlide1.xml',
+        'ppt/slides/_rels/slide2.xml.rels',
+        'ppt/slides/slide2.xml',
+      ]);
+      expect(extracted.embeddedFiles['ppt/embeddings/Workbook1.xlsx']).toBeUndefined();
+      expect(extracted.files['ppt/media/image2.png']).toBeDefined();
+      expect(extracted.files['ppt/slideLayouts/slideLayout1.xml']).toBeDefined();
+    });
+
+    test('should unregister the slide from the presentation and content types', () => {
+      manager.removeSlides(extracted, ['ppt/slides/slide2.xml']);
+
+      expect(slideOrder()).toEqual(['ppt/slides/slide1.xml']);
+      expect(text('ppt/presentation.xml')).toBe(
+        '<p:presentation><p:sldIdLst><p:sldId id="256" r:id="rId2"/></p:sldIdLst></p:presentation>'
+      );
+      expect(text('ppt/_rels/presentation.xml.rels')).not.toContain('slide2.xml');
+      expect(text('[Content_Types].xml')).not.toMatch(/slide2\.xml|notesSlide1|chart1/);
+    });
+
+    test('should drop section and custom show entries of the slide', () => {
+      extracted.files['ppt/presentation.xml'].content =
+        '<p:presentation><p:sldIdLst><p:sldId id="256" r:id="rId2"/><p:sldId id="257" r:id="rId3"/></p:sldIdLst>' +
+        '<p:custShowLst><p:custShow name="Short" id="0"><p:sldLst><p:sld r:id="rId3"/></p:sldLst></p:custShow></p:custShowLst>' +
+        '<p:extLst><p:ext><p14:sectionLst><p14:section name="Main"><p14:sldIdLst>' +
+        '<p14:sldId id="256"/><p14:sldId id="257"/>' +
+        '</p14:sldIdLst></p14:section></p14:sectionLst></p:ext></p:extLst></p:presentation>';
+
+      manager.removeSlides(extracted, ['ppt/slides/slide2.xml']);
+
+      const presentation = text('ppt/presentation.xml');
+      expect(presentation).not.toContain('<p:sld r:id="rId3"/>');
+      expect(presentation).not.toContain('<p14:sldId id="257"/>');
+      expect(presentation).toContain('<p14:sldId id="256"/>');
+    });
+  });
+
+  describe('getSlideOrder', () => {
+    test('should follow sldIdLst order', () => {
+      extracted.files['ppt/presentation.xml'].content =
+        '<p:sldIdLst><p:sldId id="257" r:id="rId3"/><p:sldId id="256" r:id="rId2"/></p:sldIdLst>';
+
+      expect(slideOrder()).toEqual(['ppt/slides/slide2.xml', 'ppt/slides/slide1.xml']);
+    });
+  });
+
+  describe('appendSlides', () => {
+    const createSource = () => ({
+      '[Content_Types].xml': entry(
+        '[Content_Types].xml',
+        '<Types><Override PartName="/ppt/slides/slide1.xml" ContentType="slide"/>' +
+          '<Override PartName="/ppt/notesMasters/notesMaster1.xml" ContentType="notesMaster"/></Types>'
+      ),
+      'ppt/presentation.xml': entry(
+        'ppt/presentation.xml',
+        '<p:presentation><p:notesMasterIdLst><p:notesMasterId r:id="rId2"/></p:notesMasterIdLst>' +
+          '<p:sldIdLst><p:sldId id="256" r:id="rId1"/></p:sldIdLst></p:presentation>'
+      ),
+      'ppt/_rels/presentation.xml.rels': entry(
+        'ppt/_rels/presentation.xml.rels',
+        '<Relationships>' +
+          rel('rId1', 'slide', 'slides/slide1.xml') +
+          rel('rId2', 'notesMaster', 'notesMasters/notesMaster1.xml') +
+          '</Relationships>'
+      ),
+      'ppt/slides/slide1.xml': entry('ppt/slides/slide1.xml', '<p:sld><a:t>Appended</a:t></p:sld>'),
+      'ppt/slides/_rels/slide1.xml.rels': entry(
+        'ppt/slides/_rels/slide1.xml.rels',
+        '<Relationships>' +
+          rel('rId1', 'notesSlide', '../notesSlides/notesSlide1.xml') +
+          '</Relationships>'
+      ),
+      'ppt/notesSlides/notesSlide1.xml': entry('ppt/notesSlides/notesSlide1.xml', '<p:notes/>'),
+      'ppt/notesSlides/_rels/notesSlide1.xml.rels': entry(
+        'ppt/notesSlides/_rels/notesSlide1.xml.rels',
+        '<Relationships>' +
+          rel('rId1', 'slide', '../slides/slide1.xml') +
+          rel('rId2', 'notesMaster', '../notesMasters/notesMaster1.xml') +
+          '</Relationships>'
+      ),
+      'ppt/notesMasters/notesMaster1.xml': entry(
+        'ppt/notesMasters/notesMaster1.xml',
+        '<p:notesMaster/>'
+      ),
+    });
+
+    test('should append the slides with their notes and bring the notes master along', () => {
+      const result = manager.appendSlides(extracted, createSource());
+
+      expect(result).toEqual({ slides: 1, masters: 0 });
+      expect(slideOrder()).toEqual([
+        'ppt/slides/slide1.xml',
+        'ppt/slides/slide2.xml',
+        'ppt/slides/slide3.xml',
+      ]);
+      expect(text('ppt/slides/slide3.xml')).toBe('<p:sld><a:t>Appended</a:t></p:sld>');
+      expect(text('ppt/slides/_rels/slide3.xml.rels')).toContain(
+        'Target="../notesSlides/notesSlide2.xml"'
+      );
+      expect(text('ppt/notesSlides/_rels/notesSlide2.xml.rels')).toContain(
+        'Target="../slides/slide3.xml"'
+      );
+      expect(text('ppt/presentation.xml')).toBe(
+        '<p:presentation><p:notesMasterIdLst><p:notesMasterId r:id="rId5"/></p:notesMasterIdLst>' +
+          '<p:sldIdLst><p:sldId id="256" r:id="rId2"/><p:sldId id="257" r:id="rId3"/>' +
+          '<p:sldId id="258" r:id="rId4"/></p:sldIdLst></p:presentation>'
+      );
+      expect(text('[Content_Types].xml')).toContain(
+        '<Override PartName="/ppt/notesMasters/notesMaster1.xml" ContentType="notesMaster"/>'
+      );
+    });
+
+    test('should reject packages without a presentation', () => {
+      expect(() =>
+        manager.appendSlides(extracted, {
+          'word/document.xml': entry('word/document.xml', '<w:document/>'),
+        })
+      ).toThrow('Combining presentations needs PowerPoint files');
+    });
+  });
+});
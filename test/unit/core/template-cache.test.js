@@ -61,6 +61,14 @@ describe('TemplateCache', () => {
       expect(retrieved).not.toBe(template); // Should be cloned
     });
 
+    test('should store the value itself when cloning is disabled', () => {
+      const template = { parts: new Map([['a', Buffer.from('x')]]) };
+
+      cache.setTemplate('compiled', template, { clone: false });
+
+      expect(cache.getTemplate('compiled')).toBe(template);
+    });
+
     test('should return null for non-existent template', () => {
       const result = cache.getTemplate('non-existent');
       expect(result).toBeNull();
@@ -325,6 +333,12 @@ describe('TemplateCache', () => {
       expect(cache.options.ttl).toBe(2000);
     });
 
+    test('should not keep the process alive with its cleanup timer', () => {
+      cache.configure({ ttl: 1000 });
+
+      expect(cache.cleanupTimer.hasRef()).toBe(false);
+    });
+
     test('should restart cleanup timer when TTL changes', () => {
       const originalTimer = cache.cleanupTimer;
       cache.configure({ ttl: 5000 });
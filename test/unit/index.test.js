@@ -671,6 +671,39 @@ describe('OOXMLTemplater', () => {
       expect(result.substitution).toBeDefined();
     });
 
+    test('should stop between stages once the signal is aborted', async () => {
+      const controller = new AbortController();
+      const substitute = jest.spyOn(templater, 'substituteTemplate');
+      substitute.mockImplementation(async (...args) => {
+        controller.abort();
+        return OOXMLTemplater.prototype.substituteTemplate.apply(templater, args);
+      });
+      const outputPath = path.join(__dirname, '../fixtures/aborted-output.docx');
+
+      const result = await templater.processTemplate(
+        testTemplatePath,
+        { name: 'John Doe' },
+        { signal: controller.signal, outputPath }
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatchObject({
+        type: 'FetchAbortError',
+        code: 'ABORTED',
+        message: 'Rendering was aborted',
+      });
+      await expect(fs.access(outputPath)).rejects.toThrow();
+
+      const aborted = await templater.processTemplate(
+        testTemplatePath,
+        { name: 'John Doe' },
+        { signal: controller.signal }
+      );
+      expect(aborted.error.code).toBe('ABORTED');
+      expect(substitute).toHaveBeenCalledTimes(1);
+      substitute.mockRestore();
+    });
+
     test('should save to file when outputPath is provided', async () => {
       const data = {
         name: 'Jane Smith',
@@ -4,10 +4,18 @@
 
 const {
   fetchTemplate,
+  fetchJson,
+  getTemplateVersion,
   detectMimeType,
   detectDocumentType,
   extractFilename,
 } = require('../../../src/utils/fetch-handler');
+const {
+  FetchTimeoutError,
+  FetchHttpError,
+  FetchParseError,
+  FetchAbortError,
+} = require('../../../src/utils/fetch-errors');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -128,6 +136,175 @@ describe('FetchHandler', () => {
     });
   });
 
+  describe('fetchJson', () => {
+    const url = 'https://api.example.com/data';
+    const reply = (status, body, headers = {}) => ({
+      ok: status < 400,
+      status,
+      statusText: status < 400 ? 'OK' : 'Service Unavailable',
+      headers: { get: (name) => headers[name] || null },
+      json: async () => JSON.parse(body),
+    });
+
+    it('should retry 5xx responses with backoff and return the parsed body', async () => {
+      const request = jest
+        .fn()
+        .mockResolvedValueOnce(reply(503, '{}'))
+        .mockResolvedValueOnce(reply(502, '{}'))
+        .mockResolvedValueOnce(reply(200, '{"name":"Acme"}'));
+
+      const { data } = await fetchJson(
+        url,
+        { method: 'GET' },
+        { fetch: request, retries: 2, retryDelay: 1 }
+      );
+
+      expect(data).toEqual({ name: 'Acme' });
+      expect(request).toHaveBeenCalledTimes(3);
+      expect(request.mock.calls[0][1]).toMatchObject({ method: 'GET', signal: expect.anything() });
+    });
+
+    it('should not retry 4xx responses or invalid JSON', async () => {
+      const notFound = jest
+        .fn()
+        .mockResolvedValue({ ...reply(404, '{}'), statusText: 'Not Found' });
+      const error = await fetchJson(
+        url,
+        {},
+        { fetch: notFound, retries: 2, label: 'API request' }
+      ).catch((failure) => failure);
+
+      expect(error).toBeInstanceOf(FetchHttpError);
+      expect(error).toMatchObject({
+        message: 'API request failed: 404 Not Found',
+        status: 404,
+        attempts: 1,
+      });
+      expect(notFound).toHaveBeenCalledTimes(1);
+
+      const invalid = jest.fn().mockResolvedValue(reply(200, '<html>'));
+      await expect(fetchJson(url, {}, { fetch: invalid, retries: 2 })).rejects.toThrow(
+        FetchParseError
+      );
+      expect(invalid).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report invalid JSON from node-fetch without retrying', async () => {
+      const nock = require('nock');
+      const scope = nock('http://api.example.com')
+        .get('/maintenance')
+        .reply(200, '<html>Maintenance</html>', { 'Content-Type': 'application/json' });
+
+      const error = await fetchJson(
+        'http://api.example.com/maintenance',
+        { method: 'GET' },
+        { fetch: require('node-fetch'), retries: 2, retryDelay: 1 }
+      ).catch((failure) => failure);
+
+      expect(error).toBeInstanceOf(FetchParseError);
+      expect(error).toMatchObject({ code: 'PARSE_ERROR', attempts: 1 });
+      expect(scope.isDone()).toBe(true);
+      nock.cleanAll();
+    });
+
+    it('should time out without AbortController, sending no signal', async () => {
+      const { AbortController: original } = global;
+      delete global.AbortController;
+      const request = jest
+        .fn()
+        .mockReturnValueOnce(new Promise(() => {}))
+        .mockResolvedValueOnce(reply(200, '{"name":"Acme"}'));
+
+      try {
+        const { data } = await fetchJson(
+          url,
+          { method: 'GET' },
+          { fetch: request, timeout: 20, retries: 1, retryDelay: 1 }
+        );
+
+        expect(data).toEqual({ name: 'Acme' });
+        expect(request).toHaveBeenCalledTimes(2);
+        expect(request.mock.calls[0][1]).toEqual({ method: 'GET' });
+      } finally {
+        global.AbortController = original;
+      }
+    });
+
+    it('should time out attempts, even when fetch ignores the signal', async () => {
+      const request = jest.fn(() => new Promise(() => {}));
+
+      const error = await fetchJson(
+        url,
+        {},
+        { fetch: request, timeout: 20, retries: 1, retryDelay: 1 }
+      ).catch((failure) => failure);
+
+      expect(error).toBeInstanceOf(FetchTimeoutError);
+      expect(error).toMatchObject({ code: 'TIMEOUT', timeout: 20, attempts: 2 });
+    });
+
+    it('should wait for Retry-After, capped by the longest delay', async () => {
+      const request = jest
+        .fn()
+        .mockResolvedValueOnce(reply(503, '{}', { 'retry-after': '120' }))
+        .mockResolvedValueOnce(reply(200, '[]'));
+      const startedAt = Date.now();
+
+      await fetchJson(url, {}, { fetch: request, retries: 1, maxRetryDelay: 30 });
+
+      expect(Date.now() - startedAt).toBeGreaterThanOrEqual(25);
+      expect(Date.now() - startedAt).toBeLessThan(1000);
+    });
+
+    it('should stop on abort, including between retries', async () => {
+      const controller = new AbortController();
+      const request = jest.fn().mockImplementation(async () => {
+        setTimeout(() => controller.abort(), 5);
+        return reply(500, '{}');
+      });
+
+      const error = await fetchJson(
+        url,
+        {},
+        {
+          fetch: request,
+          retries: 3,
+          retryDelay: 10000,
+          signal: controller.signal,
+        }
+      ).catch((failure) => failure);
+
+      expect(error).toBeInstanceOf(FetchAbortError);
+      expect(request).toHaveBeenCalledTimes(1);
+      await expect(
+        fetchJson(url, {}, { fetch: request, signal: controller.signal })
+      ).rejects.toThrow('Request was aborted');
+    });
+  });
+
+  describe('getTemplateVersion', () => {
+    const versionFilePath = path.join(__dirname, '../../fixtures/test-version.bin');
+
+    afterAll(async () => {
+      await fs.rm(versionFilePath, { force: true });
+    });
+
+    it('should change when a local file changes', async () => {
+      await fs.mkdir(path.dirname(versionFilePath), { recursive: true });
+      await fs.writeFile(versionFilePath, Buffer.from([1]));
+      const first = await getTemplateVersion(versionFilePath);
+      await fs.writeFile(versionFilePath, Buffer.from([1, 2]));
+
+      expect(first).toMatch(/^[\d.]+:1$/);
+      expect(await getTemplateVersion(versionFilePath)).not.toBe(first);
+    });
+
+    it('should have no version for URLs and missing files', async () => {
+      expect(await getTemplateVersion('https://example.com/template.docx')).toBeNull();
+      expect(await getTemplateVersion('/non/existent/file.docx')).toBeNull();
+    });
+  });
+
   describe('fetchTemplate - Error handling', () => {
     it('should throw error for invalid paths', async () => {
       await expect(fetchTemplate('')).rejects.toThrow();
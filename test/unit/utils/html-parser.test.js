@@ -0,0 +1,97 @@
+/**
+ * Unit tests for HTML parsing utilities
+ */
+
+const {
+  parseHtml,
+  parseAttributes,
+  parseStyle,
+  decodeHtmlEntities,
+  htmlToText,
+} = require('../../../src/utils/html-parser');
+
+describe('HTML Parser', () => {
+  // Element names of a node tree, with their children
+  const outline = (nodes) =>
+    nodes.map((node) =>
+      node.type === 'text' ? node.text : { [node.name]: outline(node.children) }
+    );
+
+  describe('parseHtml', () => {
+    it('should build elements with attributes and text', () => {
+      expect(parseHtml('<p class="lead">Hello <b>world</b></p>')).toEqual([
+        {
+          type: 'element',
+          name: 'p',
+          attributes: { class: 'lead' },
+          children: [
+            { type: 'text', text: 'Hello ' },
+            {
+              type: 'element',
+              name: 'b',
+              attributes: {},
+              children: [{ type: 'text', text: 'world' }],
+            },
+          ],
+        },
+      ]);
+    });
+
+    it('should imply missing end tags of paragraphs, list items and table parts', () => {
+      expect(outline(parseHtml('<p>One<p>Two<ul><li>A<li>B</ul>'))).toEqual([
+        { p: ['One'] },
+        { p: ['Two'] },
+        { ul: [{ li: ['A'] }, { li: ['B'] }] },
+      ]);
+      expect(outline(parseHtml('<table><tr><td>1<td>2<tr><td>3</table>'))).toEqual([
+        { table: [{ tr: [{ td: ['1'] }, { td: ['2'] }] }, { tr: [{ td: ['3'] }] }] },
+      ]);
+    });
+
+    it('should keep nested lists inside their item', () => {
+      expect(outline(parseHtml('<ul><li>A<ul><li>A1</ul><li>B</ul>'))).toEqual([
+        { ul: [{ li: ['A', { ul: [{ li: ['A1'] }] }] }, { li: ['B'] }] },
+      ]);
+    });
+
+    it('should drop comments and stray end tags and read script content as text', () => {
+      expect(
+        outline(parseHtml('<!DOCTYPE html><!-- note --></div>A<br/>B<script>if (a<b) {}</script>'))
+      ).toEqual(['A', { br: [] }, 'B', { script: ['if (a<b) {}'] }]);
+    });
+  });
+
+  describe('parseAttributes', () => {
+    it('should read quoted, unquoted and empty attributes', () => {
+      expect(parseAttributes(' HREF="a?x=1&amp;y=2" colspan=2 hidden')).toEqual({
+        href: 'a?x=1&y=2',
+        colspan: '2',
+        hidden: '',
+      });
+    });
+  });
+
+  describe('parseStyle', () => {
+    it('should read CSS declarations', () => {
+      expect(parseStyle('Color: #c00; font-weight:bold;')).toEqual({
+        color: '#c00',
+        'font-weight': 'bold',
+      });
+      expect(parseStyle(undefined)).toEqual({});
+    });
+  });
+
+  describe('decodeHtmlEntities', () => {
+    it('should decode named and numeric references and keep unknown ones', () => {
+      expect(decodeHtmlEntities('&lt;&eacute;&#233;&#xE9;&nbsp;&unknown;')).toBe('<ééé &unknown;');
+    });
+  });
+
+  describe('htmlToText', () => {
+    it('should put blocks, list items and line breaks on their own lines', () => {
+      expect(htmlToText('<h1>Title</h1><p>One<br>two</p><ul><li>A</li><li>B</li></ul>')).toBe(
+        'Title\nOne\ntwo\nA\nB'
+      );
+    });
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Unit tests for JSON path selection
+ */
+
+const { parseJsonPath, selectJsonPath } = require('../../../src/utils/json-path');
+
+describe('JSON Path', () => {
+  const body = {
+    result: {
+      items: [{ name: 'Widget', 'display name': 'Widget Pro' }, { name: 'Gadget' }],
+      owner: null,
+    },
+    meta: { filename: 'report.docx' },
+  };
+
+  test('should parse dotted, indexed and quoted steps', () => {
+    expect(parseJsonPath('$.result.items[0]["display name"]')).toEqual([
+      'result',
+      'items',
+      0,
+      'display name',
+    ]);
+    expect(parseJsonPath("meta['file\\'s name']")).toEqual(['meta', "file's name"]);
+    expect(parseJsonPath('$')).toEqual([]);
+    expect(() => parseJsonPath('$..name')).toThrow('Invalid JSON path: $..name');
+  });
+
+  test('should select values, with or without the leading $', () => {
+    expect(selectJsonPath(body, '$.meta.filename')).toBe('report.docx');
+    expect(selectJsonPath(body, "result.items[0]['display name']")).toBe('Widget Pro');
+    expect(selectJsonPath(body, '$')).toBe(body);
+    expect(selectJsonPath(body, '$.result.owner')).toBeNull();
+    expect(selectJsonPath(body, '$.result.owner.name')).toBeUndefined();
+    expect(selectJsonPath(body, '$.missing[2]')).toBeUndefined();
+  });
+
+  test('should collect values from every item with wildcards', () => {
+    expect(selectJsonPath(body, '$.result.items[*].name')).toEqual(['Widget', 'Gadget']);
+    expect(selectJsonPath(body, '$.meta.*')).toEqual(['report.docx']);
+    expect(selectJsonPath(body, '$.missing[*]')).toEqual([]);
+  });
+});
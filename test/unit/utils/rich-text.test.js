@@ -0,0 +1,119 @@
+/**
+ * Unit tests for rich text utilities
+ */
+
+const {
+  RichText,
+  richText,
+  isRichText,
+  parseMarkdown,
+  parseInline,
+  parseRunModel,
+} = require('../../../src/utils/rich-text');
+
+describe('RichText', () => {
+  describe('parseInline', () => {
+    it('should split text into formatted runs', () => {
+      expect(parseInline('A **bold** and *italic* ~~old~~ `code`')).toEqual([
+        { text: 'A ' },
+        { text: 'bold', bold: true },
+        { text: ' and ' },
+        { text: 'italic', italic: true },
+        { text: ' ' },
+        { text: 'old', strike: true },
+        { text: ' ' },
+        { text: 'code', code: true },
+      ]);
+    });
+
+    it('should nest formatting and links', () => {
+      expect(parseInline('**[bold _link_](https://example.com)**')).toEqual([
+        { text: 'bold ', bold: true, link: 'https://example.com' },
+        { text: 'link', bold: true, italic: true, link: 'https://example.com' },
+      ]);
+    });
+
+    it('should keep escaped characters and underscores within words', () => {
+      expect(parseInline('\\*not italic\\* snake_case_name')).toEqual([
+        { text: '*not italic* snake_case_name' },
+      ]);
+    });
+  });
+
+  describe('parseMarkdown', () => {
+    it('should read paragraphs and keep single newlines as line breaks', () => {
+      expect(parseMarkdown('First line\nsecond line\n\nNext')).toEqual([
+        { runs: [{ text: 'First line\nsecond line' }], list: null, level: 0 },
+        { runs: [{ text: 'Next' }], list: null, level: 0 },
+      ]);
+    });
+
+    it('should read nested bullet and numbered lists', () => {
+      const paragraphs = parseMarkdown('- One\n  1. Sub\n  2) Sub\n* Two');
+
+      expect(paragraphs.map(({ list, level }) => [list, level])).toEqual([
+        ['bullet', 0],
+        ['number', 1],
+        ['number', 1],
+        ['bullet', 0],
+      ]);
+      expect(paragraphs[1].runs).toEqual([{ text: 'Sub' }]);
+    });
+
+    it('should have no paragraphs for empty or missing values', () => {
+      expect(parseMarkdown('')).toEqual([]);
+      expect(parseMarkdown(null)).toEqual([]);
+    });
+  });
+
+  describe('parseRunModel', () => {
+    it('should group loose runs into a paragraph and keep known formatting', () => {
+      expect(
+        parseRunModel(['Total: ', { text: 42, bold: true, color: '#C00000', size: 20 }])
+      ).toEqual([
+        {
+          runs: [{ text: 'Total: ' }, { text: '42', bold: true, color: '#C00000' }],
+          list: null,
+          level: 0,
+        },
+      ]);
+    });
+
+    it('should read paragraphs with list settings', () => {
+      expect(
+        parseRunModel([
+          { runs: [{ text: 'Item' }], list: 'number', level: 12 },
+          { runs: ['Plain'], list: 'table' },
+        ])
+      ).toEqual([
+        { runs: [{ text: 'Item' }], list: 'number', level: 8 },
+        { runs: [{ text: 'Plain' }], list: null, level: 0 },
+      ]);
+    });
+  });
+
+  describe('richText', () => {
+    it('should wrap Markdown and run models once', () => {
+      const value = richText('**Hi**');
+
+      expect(isRichText(value)).toBe(true);
+      expect(richText(value)).toBe(value);
+      expect(richText([{ text: 'Hi', italic: true }]).paragraphs[0].runs).toEqual([
+        { text: 'Hi', italic: true },
+      ]);
+      expect(isRichText('**Hi**')).toBe(false);
+    });
+
+    it('should number list items per level and list', () => {
+      const value = new RichText(parseMarkdown('1. A\n   - B\n   - C\n2. D\n\nText\n\n1. E'));
+
+      expect(value.getListMarkers()).toEqual(['1.', '•', '•', '2.', '', '1.']);
+    });
+
+    it('should render plain text with list markers', () => {
+      expect(String(richText('Steps:\n\n1. **Open**\n   - fast\n2. Close'))).toBe(
+        'Steps:\n1. Open\n  • fast\n2. Close'
+      );
+    });
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Unit tests for URL safety utilities
+ */
+
+const {
+  DEFAULT_LINK_SCHEMES,
+  getUrlScheme,
+  isAllowedLinkTarget,
+} = require('../../../src/utils/url-safety');
+
+describe('UrlSafety', () => {
+  describe('getUrlScheme', () => {
+    it('should return the lower-case scheme', () => {
+      expect(getUrlScheme('HTTPS://example.com')).toBe('https');
+      expect(getUrlScheme('mailto:ann@example.com')).toBe('mailto');
+    });
+
+    it('should ignore leading whitespace and embedded line breaks', () => {
+      expect(getUrlScheme(' \u0001java\nscript:alert(1)')).toBe('javascript');
+    });
+
+    it('should return null for URLs without a scheme', () => {
+      expect(getUrlScheme('example.com/path')).toBeNull();
+      expect(getUrlScheme('\\\\server\\share')).toBeNull();
+      expect(getUrlScheme('')).toBeNull();
+    });
+  });
+
+  describe('isAllowedLinkTarget', () => {
+    it('should allow http, https and mailto by default', () => {
+      expect(DEFAULT_LINK_SCHEMES).toEqual(['http', 'https', 'mailto']);
+      expect(isAllowedLinkTarget('http://example.com')).toBe(true);
+      expect(isAllowedLinkTarget('https://example.com/?a=1&b=2')).toBe(true);
+      expect(isAllowedLinkTarget('mailto:ann@example.com')).toBe(true);
+    });
+
+    it('should reject other schemes and scheme-less targets', () => {
+      expect(isAllowedLinkTarget('javascript:alert(1)')).toBe(false);
+      expect(isAllowedLinkTarget('file:///C:/secret.txt')).toBe(false);
+      expect(isAllowedLinkTarget('\tjavascript:alert(1)')).toBe(false);
+      expect(isAllowedLinkTarget('www.example.com')).toBe(false);
+      expect(isAllowedLinkTarget(null)).toBe(false);
+    });
+
+    it('should use a custom allow-list', () => {
+      expect(isAllowedLinkTarget('tel:+4912345', ['tel', 'HTTPS'])).toBe(true);
+      expect(isAllowedLinkTarget('https://example.com', ['tel', 'HTTPS'])).toBe(true);
+      expect(isAllowedLinkTarget('http://example.com', ['tel', 'HTTPS'])).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Unit tests for XML escaping utilities
+ */
+
+const {
+  rawXml,
+  isRawXml,
+  stripInvalidXmlChars,
+  escapeXmlText,
+  escapeXmlAttribute,
+  detectXmlContext,
+  encodeXmlValue,
+  unescapeXml,
+} = require('../../../src/utils/xml-escape');
+
+describe('XmlEscape', () => {
+  describe('escapeXmlText', () => {
+    it('should escape markup characters', () => {
+      expect(escapeXmlText('Smith & Sons <Ltd>')).toBe('Smith &amp; Sons &lt;Ltd&gt;');
+    });
+
+    it('should leave quotes alone in text nodes', () => {
+      expect(escapeXmlText(`"quoted" 'text'`)).toBe(`"quoted" 'text'`);
+    });
+
+    it('should stringify non-string values', () => {
+      expect(escapeXmlText(42)).toBe('42');
+      expect(escapeXmlText(false)).toBe('false');
+    });
+  });
+
+  describe('escapeXmlAttribute', () => {
+    it('should escape quotes and markup characters', () => {
+      expect(escapeXmlAttribute(`a "b" & 'c' <d>`)).toBe(
+        'a &quot;b&quot; &amp; &apos;c&apos; &lt;d&gt;'
+      );
+    });
+
+    it('should encode whitespace that attribute normalization would collapse', () => {
+      expect(escapeXmlAttribute('line1\nline2\tend')).toBe('line1&#10;line2&#9;end');
+    });
+  });
+
+  describe('stripInvalidXmlChars', () => {
+    it('should remove control characters', () => {
+      expect(stripInvalidXmlChars('a\u0000b\u0007c\u001Fd')).toBe('abcd');
+    });
+
+    it('should keep tab, newline and carriage return', () => {
+      expect(stripInvalidXmlChars('a\tb\nc\rd')).toBe('a\tb\nc\rd');
+    });
+
+    it('should remove lone surrogates but keep valid pairs', () => {
+      expect(stripInvalidXmlChars('x\uD800y')).toBe('xy');
+      expect(stripInvalidXmlChars('😀')).toBe('😀');
+    });
+  });
+
+  describe('detectXmlContext', () => {
+    it('should detect text context', () => {
+      const content = '<w:t>(((name)))</w:t>';
+      expect(detectXmlContext(content, content.indexOf('((('))).toBe('text');
+    });
+
+    it('should detect attribute context', () => {
+      const content = '<Relationship Target="(((url)))"/>';
+      expect(detectXmlContext(content, content.indexOf('((('))).toBe('attribute');
+    });
+  });
+
+  describe('encodeXmlValue', () => {
+    it('should escape according to context', () => {
+      const content = '<wp:docPr descr="(((alt)))"/><w:t>(((alt)))</w:t>';
+      expect(encodeXmlValue('"A" & B', content, content.indexOf('((('))).toBe(
+        '&quot;A&quot; &amp; B'
+      );
+      expect(encodeXmlValue('"A" & B', content, content.lastIndexOf('((('))).toBe('"A" &amp; B');
+    });
+
+    it('should insert raw XML verbatim', () => {
+      const value = rawXml('<w:br/>');
+      expect(isRawXml(value)).toBe(true);
+      expect(isRawXml('<w:br/>')).toBe(false);
+      expect(encodeXmlValue(value, '<w:t>x</w:t>', 5)).toBe('<w:br/>');
+    });
+  });
+
+  describe('unescapeXml', () => {
+    it('should decode named and numeric entities', () => {
+      expect(unescapeXml('&quot;A&quot; &amp; &lt;B&gt; &apos;C&apos;')).toBe('"A" & <B> \'C\'');
+      expect(unescapeXml('&#8220;x&#x201D;')).toBe('\u201cx\u201d');
+      expect(unescapeXml('&amp;lt;')).toBe('&lt;');
+    });
+  });
+});